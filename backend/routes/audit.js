@@ -0,0 +1,86 @@
+// backend/routes/audit.js - AUDIT LOG VIEWER AND EXPORT (ADMIN ONLY)
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { organizationScope, requirePermission } = require('../services/permissions');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Filters shared by the list and the export
+const filterValidators = [
+  query('actorId').optional().isLength({ min: 1 }),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }),
+  query('entityType').optional().trim().isLength({ min: 1, max: 100 }),
+  query('entityId').optional().trim().isLength({ min: 1 }),
+  query('search').optional().trim().isLength({ max: 200 }),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// Admins see what people in their organization did; super-admins see everything
+const readFilters = (req) => {
+  const { actorId, action, entityType, entityId, search, from, to } = req.query;
+  const { organizationId } = organizationScope(req.user);
+  return { actorId, action, entityType, entityId, search, from, to, organizationId };
+};
+
+// GET /api/audit - Entries matching the filters, newest first, with the values each filter can take
+router.get('/', authenticateToken, requirePermission('audit.view'), [
+  ...filterValidators,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  try {
+    const [{ entries, total }, facets] = await Promise.all([
+      auditService.list(readFilters(req), { page, limit }),
+      auditService.getFacets(organizationScope(req.user))
+    ]);
+
+    res.json({
+      entries,
+      facets,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// GET /api/audit/export - Entries matching the filters as a CSV download
+router.get('/export', authenticateToken, requirePermission('audit.view'), filterValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const csv = await auditService.exportCsv(readFilters(req));
+    const date = new Date().toISOString().slice(0, 10);
+
+    console.log(`📤 Audit log exported by ${req.user.name}`);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
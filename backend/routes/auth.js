@@ -1,10 +1,16 @@
 // backend/routes/auth.js - ENHANCED WITH COMPLETE PASSWORD RESET
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const crypto = require('crypto');
+const { passwordValidator } = require('../services/passwordPolicy');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
+const auditService = require('../services/auditService');
+const organizationService = require('../services/organizationService');
+const { describeRole } = require('../services/permissions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,8 +24,9 @@ try {
   console.warn('⚠️ Email service not available. Password reset will be limited.');
 }
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+// Middleware to verify the access token and that its session is still signed in
+// A 401 with code TOKEN_EXPIRED tells the browser to refresh; any other 401 means login again.
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -27,33 +34,46 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    req.user = await sessionService.authenticate(token);
+  } catch (error) {
+    if (error instanceof sessionService.SessionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
     }
-    req.user = user;
-    next();
-  });
-};
+    console.error('Authentication error:', error);
+    return res.status(500).json({ error: 'Authentication failed' });
+  }
 
-// Helper function to generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role,
-      name: user.name 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+  next();
 };
 
 // Helper function to format user response
 const formatUserResponse = (user) => {
-  const { passwordHash, ...userWithoutPassword } = user;
-  return userWithoutPassword;
+  const {
+    passwordHash,
+    totpSecret,
+    totpPendingSecret,
+    totpLastUsedStep,
+    totpRecoveryCodes,
+    ...userWithoutPassword
+  } = user;
+  return { ...userWithoutPassword, twoFactorEnabled: !!user.totpEnabledAt };
+};
+
+// 423 for a locked account, saying how long is left
+const sendLocked = (res, lockedUntil) => {
+  const minutes = Math.ceil((lockedUntil.getTime() - Date.now()) / 60000);
+  res.status(423).json({
+    error: `Too many failed attempts. This account is locked; try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    lockedUntil
+  });
+};
+
+// Sends a TwoFactorError as its status and message; returns false for other errors
+const sendTwoFactorError = (res, error) => {
+  if (!(error instanceof twoFactorService.TwoFactorError)) return false;
+  res.status(error.status).json({ error: error.message });
+  return true;
 };
 
 // Helper function to generate secure reset token
@@ -64,10 +84,12 @@ const generateResetToken = () => {
 // POST /api/auth/register - Student registration only
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('password').custom(passwordValidator),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('grade').optional().trim(),
-  body('parentEmail').optional().isEmail().normalizeEmail()
+  body('parentEmail').optional().isEmail().normalizeEmail(),
+  body('parentUpdatesConsent').optional().isBoolean(),
+  body('organizationId').optional({ checkFalsy: true }).isString()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -77,9 +99,11 @@ router.post('/register', [
     });
   }
 
-  const { email, password, name, grade, parentEmail } = req.body;
+  const { email, password, name, grade, parentEmail, parentUpdatesConsent } = req.body;
 
   try {
+    const organizationId = await organizationService.resolveForRegistration(req.body.organizationId);
+
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email }
@@ -100,20 +124,30 @@ router.post('/register', [
         passwordHash,
         name,
         role: 'STUDENT',
+        organizationId,
         grade: grade || null,
-        parentEmail: parentEmail || null
+        parentEmail: parentEmail || null,
+        // Progress emails to the parent only if the student opts in
+        ...(parentEmail && parentUpdatesConsent === true && {
+          parentUpdatesConsent: true,
+          parentConsentAt: new Date(),
+          parentAccessToken: crypto.randomBytes(32).toString('hex')
+        })
       }
     });
 
-    // Generate token
-    const token = generateToken(user);
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: formatUserResponse(user)
     });
   } catch (error) {
+    if (error instanceof organizationService.OrganizationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
@@ -146,21 +180,47 @@ router.post('/login', [
 
     // Check if account is active
     if (!user.isActive) {
+      await loginSecurityService.recordBlocked(user, req, 'deactivated');
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    if (!(await organizationService.allowsSignIn(user))) {
+      await loginSecurityService.recordBlocked(user, req, 'organization_inactive');
+      return res.status(401).json({ error: 'Your organization has been deactivated' });
+    }
+
+    // A locked account is refused before the password is even checked
+    const lockedUntil = loginSecurityService.lockedUntil(user);
+    if (lockedUntil) {
+      await loginSecurityService.recordBlocked(user, req, 'locked');
+      return sendLocked(res, lockedUntil);
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.passwordHash);
     if (!isValidPassword) {
+      const lockedNow = await loginSecurityService.recordFailure(user, req, 'bad_password');
+      if (lockedNow) return sendLocked(res, lockedNow);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // Two-factor users (and users whose role requires it) finish at POST /login/2fa
+    const requirement = await twoFactorService.loginRequirement(user);
+    if (requirement) {
+      return res.json({
+        twoFactorRequired: true,
+        setupRequired: requirement === 'setup',
+        challengeToken: twoFactorService.createChallenge(user)
+      });
+    }
+
+    await loginSecurityService.recordSuccess(user, req, 'password');
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: formatUserResponse(user)
     });
   } catch (error) {
@@ -169,12 +229,180 @@ router.post('/login', [
   }
 });
 
+// POST /api/auth/login/2fa/setup - QR code for a user who must set up two-factor before logging in
+router.post('/login/2fa/setup', [
+  body('challengeToken').isString().notEmpty().withMessage('Login challenge is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    const user = await twoFactorService.readChallenge(req.body.challengeToken);
+    const enrollment = await twoFactorService.beginEnrollment(user);
+    res.json(enrollment);
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('Login 2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// POST /api/auth/login/2fa - Second login step: an authenticator or recovery code
+// For a user setting up two-factor at login, the code confirms the enrollment and recovery codes are returned.
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Login challenge is required'),
+  body('code').trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    const user = await twoFactorService.readChallenge(req.body.challengeToken);
+    let recoveryCodes = null;
+    let result = null;
+
+    const lockedUntil = loginSecurityService.lockedUntil(user);
+    if (lockedUntil) {
+      await loginSecurityService.recordBlocked(user, req, 'locked');
+      return sendLocked(res, lockedUntil);
+    }
+
+    // Wrong codes count towards lockout like wrong passwords, or the code could be guessed
+    try {
+      if (user.totpEnabledAt) {
+        result = await twoFactorService.verifyLogin(user, req.body.code);
+      } else {
+        recoveryCodes = await twoFactorService.confirmEnrollment(user, req.body.code);
+      }
+    } catch (verifyError) {
+      if (!(verifyError instanceof twoFactorService.TwoFactorError)) throw verifyError;
+      const lockedNow = await loginSecurityService.recordFailure(user, req, 'bad_code');
+      if (lockedNow) return sendLocked(res, lockedNow);
+      throw verifyError;
+    }
+
+    if (recoveryCodes) {
+      await auditService.log(req, {
+        actor: user,
+        action: 'user.2fa_enable',
+        entityType: 'User',
+        entityId: user.id
+      });
+    }
+
+    if (result?.method === 'recovery') {
+      await auditService.log(req, {
+        actor: user,
+        action: 'user.2fa_recovery_used',
+        entityType: 'User',
+        entityId: user.id,
+        after: { recoveryCodesRemaining: result.recoveryCodesRemaining }
+      });
+    }
+
+    await loginSecurityService.recordSuccess(user, req, result?.method || 'totp');
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+    const updatedUser = await prisma.user.findUnique({ where: { id: user.id } });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatUserResponse(updatedUser),
+      recoveryCodes,
+      recoveryCodesRemaining: result?.recoveryCodesRemaining ?? null
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('Login 2FA error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// POST /api/auth/refresh - Swap a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    const { token, refreshToken } = await sessionService.refreshSession(req.body.refreshToken, req);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error instanceof sessionService.SessionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// POST /api/auth/logout - Sign out this device
+// Takes the refresh token rather than the access token, so it works after the access token has expired.
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    await sessionService.revokeByRefreshToken(req.body.refreshToken, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// POST /api/auth/logout-all - Sign out every device, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await sessionService.revokeUserSessions(req.user.id, 'logout_all');
+
+    await auditService.log(req, {
+      action: 'user.logout_all',
+      entityType: 'User',
+      entityId: req.user.id,
+      after: { sessionsRevoked: count }
+    });
+
+    res.json({ message: 'Logged out of all devices', sessionsRevoked: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all devices' });
+  }
+});
+
 // GET /api/auth/profile - Get current user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
       include: {
+        organization: {
+          select: { id: true, name: true }
+        },
         submissions: {
           select: {
             id: true,
@@ -379,7 +607,7 @@ If you have any questions, please contact our support team.
 router.post('/reset-password', [
   body('token').notEmpty().withMessage('Reset token is required'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+  body('password').custom(passwordValidator)
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -424,10 +652,24 @@ router.post('/reset-password', [
         passwordHash,
         resetPasswordToken: null,
         resetPasswordExpires: null,
+        // The reset proves the owner has their email, so a lockout from someone else's guesses ends here
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null,
         updatedAt: new Date()
       }
     });
 
+    // Whoever knew the old password may still be signed in
+    await sessionService.revokeUserSessions(user.id, 'password_reset');
+
+    await auditService.log(req, {
+      action: 'user.password_reset',
+      entityType: 'User',
+      entityId: user.id,
+      actor: user
+    });
+
     console.log(`✅ Password reset completed for: ${email}`);
 
     // Optionally send confirmation email
@@ -503,7 +745,7 @@ You can now log in with your new password at: ${process.env.FRONTEND_URL}/login
 // POST /api/auth/change-password - Change password for logged-in user
 router.post('/change-password', authenticateToken, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+  body('newPassword').custom(passwordValidator)
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -541,11 +783,198 @@ router.post('/change-password', authenticateToken, [
       data: { passwordHash }
     });
 
-    res.json({ message: 'Password changed successfully' });
+    // Every other device has to sign in with the new password
+    const sessionsRevoked = await sessionService.revokeUserSessions(user.id, 'password_change', {
+      exceptSessionId: req.user.sid
+    });
+
+    await auditService.log(req, {
+      action: 'user.password_change',
+      entityType: 'User',
+      entityId: user.id,
+      after: { sessionsRevoked }
+    });
+
+    res.json({ message: 'Password changed successfully', sessionsRevoked });
   } catch (error) {
     console.error('Password change error:', error);
     res.status(500).json({ error: 'Password change failed' });
   }
 });
 
+// GET /api/auth/permissions - What the current user's role may do, for showing and hiding UI
+router.get('/permissions', authenticateToken, (req, res) => {
+  res.json({ role: req.user.role, permissions: describeRole(req.user.role) });
+});
+
+// GET /api/auth/login-history - Recent sign-ins and failed attempts on the current account
+router.get('/login-history', authenticateToken, async (req, res) => {
+  try {
+    const events = await loginSecurityService.getHistory(req.user.id);
+    res.json({ events });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status for the profile page
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await twoFactorService.getStatus(user));
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// POST /api/auth/2fa/setup - New secret and QR code; nothing changes until POST /2fa/enable
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await twoFactorService.beginEnrollment(user));
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm setup with a code from the app; returns the recovery codes
+router.post('/2fa/enable', authenticateToken, [
+  body('code').trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, req.body.code);
+
+    await auditService.log(req, {
+      action: 'user.2fa_enable',
+      entityType: 'User',
+      entityId: user.id
+    });
+
+    console.log(`🔐 Two-factor enabled for ${user.email}`);
+    res.json({ message: 'Two-factor authentication turned on', recoveryCodes });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn two-factor off; needs the password, and isn't allowed where the role requires it
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not turned on' });
+    }
+
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    await twoFactorService.disable(user.id);
+
+    await auditService.log(req, {
+      action: 'user.2fa_disable',
+      entityType: 'User',
+      entityId: user.id
+    });
+
+    console.log(`🔓 Two-factor disabled for ${user.email}`);
+    res.json({ message: 'Two-factor authentication turned off' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes; needs a current code from the app
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not turned on' });
+    }
+
+    // A wrong code here is a 400; a 401 would sign the browser out
+    try {
+      await twoFactorService.verifyLogin(user, req.body.code);
+    } catch (verifyError) {
+      if (!(verifyError instanceof twoFactorService.TwoFactorError)) throw verifyError;
+      return res.status(400).json({ error: verifyError.message });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    await auditService.log(req, {
+      action: 'user.2fa_recovery_regenerate',
+      entityType: 'User',
+      entityId: user.id
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to create new recovery codes' });
+  }
+});
+
 module.exports = { router, authenticateToken };
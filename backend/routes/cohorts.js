@@ -0,0 +1,180 @@
+// backend/routes/cohorts.js - COHORTS: MANAGEMENT BY THEIR OWNERS AND PROGRESS DASHBOARDS
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const cohortService = require('../services/cohortService');
+const organizationService = require('../services/organizationService');
+
+const router = express.Router();
+
+// Sends a CohortError or OrganizationError as its status and message; returns false for other errors
+const sendCohortError = (res, error) => {
+  if (!(error instanceof cohortService.CohortError) &&
+      !(error instanceof organizationService.OrganizationError)) return false;
+  res.status(error.status).json({ error: error.message });
+  return true;
+};
+
+const idValidation = param('id').isLength({ min: 1 }).withMessage('Invalid cohort ID');
+
+// GET /api/cohorts - Cohorts the user may see: all of their organization's, or those they own
+router.get('/', authenticateToken, requirePermission('cohort.view'), [
+  query('includeArchived').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const cohorts = await cohortService.list(req.user, { includeArchived: req.query.includeArchived === 'true' });
+    res.json({ cohorts });
+  } catch (error) {
+    console.error('Get cohorts error:', error);
+    res.status(500).json({ error: 'Failed to fetch cohorts' });
+  }
+});
+
+// POST /api/cohorts - Create a cohort, owned by its creator unless staffIds are given
+router.post('/', authenticateToken, requirePermission('cohort.create'), [
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  body('staffIds').optional().isArray({ max: 50 }).withMessage('staffIds must be a list of user IDs'),
+  body('staffIds.*').isString(),
+  body('organizationId').optional({ nullable: true, checkFalsy: true }).isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const { name, description, staffIds } = req.body;
+    const organizationId = await organizationService.resolveFor(req.user, req.body.organizationId);
+    const cohort = await cohortService.create({ name, description, staffIds, organizationId }, req);
+    res.status(201).json({ message: 'Cohort created', cohort });
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Create cohort error:', error);
+    res.status(500).json({ error: 'Failed to create cohort' });
+  }
+});
+
+// GET /api/cohorts/:id - A cohort with its students and owners
+router.get('/:id', authenticateToken, requirePermission('cohort.view'), [idValidation], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const cohort = await cohortService.load(req.params.id, req.user);
+    res.json({ cohort });
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Get cohort error:', error);
+    res.status(500).json({ error: 'Failed to fetch cohort' });
+  }
+});
+
+// GET /api/cohorts/:id/progress - Each student's submissions by stage, and the cohort totals
+router.get('/:id/progress', authenticateToken, requirePermission('cohort.view'), [idValidation], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    res.json(await cohortService.progress(req.params.id, req.user));
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Get cohort progress error:', error);
+    res.status(500).json({ error: 'Failed to fetch cohort progress' });
+  }
+});
+
+// PUT /api/cohorts/:id - Rename, describe, archive or restore a cohort (owners and admins)
+router.put('/:id', authenticateToken, requirePermission('cohort.manage'), [
+  idValidation,
+  body('name').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  body('isArchived').optional().isBoolean().withMessage('isArchived must be true or false')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const { name, description, isArchived } = req.body;
+    const cohort = await cohortService.update(req.params.id, { name, description, isArchived }, req);
+    res.json({ message: 'Cohort updated', cohort });
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Update cohort error:', error);
+    res.status(500).json({ error: 'Failed to update cohort' });
+  }
+});
+
+// GET /api/cohorts/:id/candidates - Users who could be enrolled (role=student) or made owners (role=staff)
+router.get('/:id/candidates', authenticateToken, requirePermission('cohort.manage'), [
+  idValidation,
+  query('role').isIn(cohortService.MEMBER_ROLES).withMessage('Role must be student or staff'),
+  query('search').optional().trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const users = await cohortService.candidates(req.params.id, { role: req.query.role, search: req.query.search }, req.user);
+    res.json({ users });
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Get cohort candidates error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// POST /api/cohorts/:id/members - Enroll students or add owners
+router.post('/:id/members', authenticateToken, requirePermission('cohort.manage'), [
+  idValidation,
+  body('userIds').isArray({ min: 1, max: 500 }).withMessage('Choose between 1 and 500 users'),
+  body('userIds.*').isString(),
+  body('role').isIn(cohortService.MEMBER_ROLES).withMessage('Role must be student or staff')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const added = await cohortService.addMembers(req.params.id, { userIds: req.body.userIds, role: req.body.role }, req);
+    res.status(201).json({ message: `${added} added`, added });
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Add cohort members error:', error);
+    res.status(500).json({ error: 'Failed to add members' });
+  }
+});
+
+// DELETE /api/cohorts/:id/members/:userId - Take a student or owner out of the cohort
+router.delete('/:id/members/:userId', authenticateToken, requirePermission('cohort.manage'), [idValidation], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    await cohortService.removeMember(req.params.id, req.params.userId, req);
+    res.json({ message: 'Removed from cohort' });
+  } catch (error) {
+    if (sendCohortError(res, error)) return;
+    console.error('Remove cohort member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
+const slaService = require('../services/slaService');
+const { organizationScope } = require('../services/permissions');
+const cohortService = require('../services/cohortService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,7 +13,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     const userRole = req.user.role;
 
-    let whereClause = {};
+    let whereClause = { ...organizationScope(req.user) };
     if (userRole === 'STUDENT') {
       whereClause.studentId = userId;
     }
@@ -30,7 +33,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         where: { ...whereClause, currentStage: 'COMPLETED' }
       }),
       prisma.event.count({ 
-        where: { eventDate: { gte: new Date() }, isActive: true }
+        where: { eventDate: { gte: new Date() }, isActive: true, ...cohortService.eventAudienceWhere(req.user) }
       }),
       prisma.submission.findMany({
         where: whereClause,
@@ -40,12 +43,23 @@ router.get('/stats', authenticateToken, async (req, res) => {
       })
     ]);
 
+    // Overdue work is a staff concern; scoped to what each role can act on
+    let overdue = null;
+    if (userRole !== 'STUDENT') {
+      const overdueScope = {
+        EDITOR: { editorId: userId },
+        REVIEWER: { currentStage: 'PLAGIARISM_REVIEW' }
+      }[userRole] || {};
+      overdue = await slaService.countOverdue({ ...overdueScope, ...organizationScope(req.user) });
+    }
+
     res.json({
       totalSubmissions,
       inProgressSubmissions,
       completedSubmissions,
       upcomingEvents,
-      recentSubmissions
+      recentSubmissions,
+      overdue
     });
   } catch (error) {
     console.error('Dashboard stats error:', error);
@@ -3,6 +3,10 @@ const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
+const { can } = require('../services/permissions');
+const organizationService = require('../services/organizationService');
+const cohortService = require('../services/cohortService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -26,17 +30,20 @@ const sanitizeEventFields = (req, res, next) => {
   next();
 };
 
-// GET /api/events - Get all events
+// GET /api/events - Get the events of the user's organization they are invited to (see cohortService)
 router.get('/', authenticateToken, async (req, res) => {
   try {
     console.log('📅 Fetching all events for user:', req.user.id);
     
     const events = await prisma.event.findMany({
-      where: { isActive: true },
+      where: { isActive: true, ...cohortService.eventAudienceWhere(req.user) },
       include: {
         createdBy: {
           select: { id: true, name: true, role: true }
         },
+        cohort: {
+          select: { id: true, name: true }
+        },
         rsvps: {
           include: {
             user: {
@@ -70,7 +77,9 @@ router.post('/', authenticateToken, sanitizeEventFields, [
   body('maxAttendees')
     .optional({ nullable: true, checkFalsy: true })
     .isInt({ min: 1 })
-    .withMessage('Max attendees must be positive number if provided')
+    .withMessage('Max attendees must be positive number if provided'),
+  body('organizationId').optional({ nullable: true, checkFalsy: true }).isString(),
+  body('cohortId').optional({ nullable: true, checkFalsy: true }).isString()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -79,13 +88,16 @@ router.post('/', authenticateToken, sanitizeEventFields, [
   }
 
   // Check permissions
-  if (!['ADMIN', 'OPERATIONS', 'SALES'].includes(req.user.role)) {
+  if (!can(req.user, 'event.create')) {
     return res.status(403).json({ error: 'Not authorized to create events' });
   }
 
   const { title, description, eventDate, location, isVirtual, meetingLink, maxAttendees } = req.body;
 
   try {
+    const organizationId = await organizationService.resolveFor(req.user, req.body.organizationId);
+    const cohortId = await cohortService.resolveForEvent(req.body.cohortId, organizationId);
+
     const event = await prisma.event.create({
       data: {
         title,
@@ -95,16 +107,28 @@ router.post('/', authenticateToken, sanitizeEventFields, [
         isVirtual,
         meetingLink: meetingLink && meetingLink.trim() ? meetingLink.trim() : null,
         maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
+        organizationId,
+        cohortId,
         createdById: req.user.id
       },
       include: {
         createdBy: {
           select: { id: true, name: true, role: true }
         },
+        cohort: {
+          select: { id: true, name: true }
+        },
         rsvps: true
       }
     });
 
+    await auditService.log(req, {
+      action: 'event.create',
+      entityType: 'Event',
+      entityId: event.id,
+      after: auditService.snapshot(event)
+    });
+
     console.log('✅ Event created successfully:', {
       id: event.id,
       title: event.title,
@@ -117,6 +141,9 @@ router.post('/', authenticateToken, sanitizeEventFields, [
       event
     });
   } catch (error) {
+    if (error instanceof organizationService.OrganizationError || error instanceof cohortService.CohortError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Create event error:', error);
     res.status(500).json({ error: 'Failed to create event' });
   }
@@ -151,8 +178,9 @@ router.post('/:id/rsvp', authenticateToken, [
 
   try {
     // ✅ FIXED: Check if event exists with better error handling
-    const event = await prisma.event.findUnique({
-      where: { id },
+    // Events the user isn't invited to (another organization's, or another cohort's) don't exist for them
+    const event = await prisma.event.findFirst({
+      where: { id, ...cohortService.eventAudienceWhere(req.user) },
       include: { 
         rsvps: {
           include: {
@@ -244,6 +272,15 @@ router.post('/:id/rsvp', authenticateToken, [
       }
     });
 
+    const rsvpFields = ['status', 'attendeeCount', 'dietaryReqs', 'notes'];
+    const previousRsvp = event.rsvps.find(existing => existing.userId === req.user.id);
+    await auditService.log(req, {
+      action: 'event.rsvp',
+      entityType: 'Event',
+      entityId: id,
+      ...auditService.changes(auditService.snapshot(previousRsvp, rsvpFields), auditService.snapshot(rsvp, rsvpFields))
+    });
+
     console.log('✅ RSVP created/updated successfully:', {
       rsvpId: rsvp.id,
       userId: rsvp.userId,
@@ -312,7 +349,7 @@ router.get('/:id/rsvps', authenticateToken, [
     }
 
     // Only allow event creator or admin to see all RSVPs
-    if (req.user.role !== 'ADMIN' && event.createdById !== req.user.id) {
+    if (!can(req.user, 'event.manage', event)) {
       return res.status(403).json({ error: 'Not authorized to view RSVPs' });
     }
 
@@ -338,7 +375,8 @@ router.put('/:id', authenticateToken, sanitizeEventFields, [
   body('maxAttendees')
     .optional({ nullable: true, checkFalsy: true })
     .isInt({ min: 1 })
-    .withMessage('Max attendees must be positive number if provided')
+    .withMessage('Max attendees must be positive number if provided'),
+  body('cohortId').optional({ nullable: true }).isString().withMessage('Cohort ID must be a string, or null for the whole organization')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -357,7 +395,7 @@ router.put('/:id', authenticateToken, sanitizeEventFields, [
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && event.createdById !== req.user.id) {
+    if (!can(req.user, 'event.manage', event)) {
       return res.status(403).json({ error: 'Not authorized to update this event' });
     }
 
@@ -367,10 +405,18 @@ router.put('/:id', authenticateToken, sanitizeEventFields, [
     if (title !== undefined) updateData.title = title;
     if (description !== undefined) updateData.description = description && description.trim() ? description.trim() : null;
     if (eventDate !== undefined) updateData.eventDate = new Date(eventDate);
+
+    // A new date means new reminders (see services/scheduledTasks.js)
+    if (updateData.eventDate && updateData.eventDate.getTime() !== event.eventDate.getTime()) {
+      updateData.rsvps = { updateMany: { where: {}, data: { reminder24hSentAt: null, reminder1hSentAt: null } } };
+    }
     if (location !== undefined) updateData.location = location && location.trim() ? location.trim() : null;
     if (isVirtual !== undefined) updateData.isVirtual = isVirtual;
     if (meetingLink !== undefined) updateData.meetingLink = meetingLink && meetingLink.trim() ? meetingLink.trim() : null;
     if (maxAttendees !== undefined) updateData.maxAttendees = maxAttendees ? parseInt(maxAttendees) : null;
+    if (req.body.cohortId !== undefined) {
+      updateData.cohortId = await cohortService.resolveForEvent(req.body.cohortId, event.organizationId);
+    }
 
     const updatedEvent = await prisma.event.update({
       where: { id },
@@ -379,6 +425,9 @@ router.put('/:id', authenticateToken, sanitizeEventFields, [
         createdBy: {
           select: { id: true, name: true, role: true }
         },
+        cohort: {
+          select: { id: true, name: true }
+        },
         rsvps: {
           include: {
             user: {
@@ -389,11 +438,21 @@ router.put('/:id', authenticateToken, sanitizeEventFields, [
       }
     });
 
+    await auditService.log(req, {
+      action: 'event.update',
+      entityType: 'Event',
+      entityId: id,
+      ...auditService.changes(event, updatedEvent)
+    });
+
     res.json({
       message: 'Event updated successfully',
       event: updatedEvent
     });
   } catch (error) {
+    if (error instanceof cohortService.CohortError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Update event error:', error);
     res.status(500).json({ error: 'Failed to update event' });
   }
@@ -420,7 +479,7 @@ router.delete('/:id', authenticateToken, [
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && event.createdById !== req.user.id) {
+    if (!can(req.user, 'event.manage', event)) {
       return res.status(403).json({ error: 'Not authorized to delete this event' });
     }
 
@@ -430,6 +489,14 @@ router.delete('/:id', authenticateToken, [
       data: { isActive: false }
     });
 
+    await auditService.log(req, {
+      action: 'event.delete',
+      entityType: 'Event',
+      entityId: id,
+      before: { isActive: event.isActive },
+      after: { isActive: false }
+    });
+
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
     console.error('❌ Delete event error:', error);
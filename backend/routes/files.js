@@ -4,10 +4,14 @@ const multer = require('multer');
 const { body, validationResult, param } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
+const { can, canSometimes } = require('../services/permissions');
 
 // Import services
 const { uploadToWasabi, deleteFromWasabi, getSignedUrl } = require('../services/fileService');
 const textExtractionService = require('../services/textExtractionService');
+const { advanceIfReady } = require('../services/approvalService');
+const settingsService = require('../services/settingsService');
+const auditService = require('../services/auditService');
 
 // Optional notification service
 let createNotification;
@@ -21,29 +25,17 @@ try {
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Configure multer for file uploads
+// Configure multer for file uploads; size limit and allowed types come from system settings
 const storage = multer.memoryStorage();
-const upload = multer({
+const createUpload = ({ maxFileSizeMb, allowedMimeTypes }) => multer({
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: maxFileSizeMb * 1024 * 1024,
     files: 1,
   },
   fileFilter: (req, file, cb) => {
     console.log('📁 File filter check:', file.mimetype, file.originalname);
     
-    const allowedMimeTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'image/gif',
-      'image/webp'
-    ];
-    
     if (allowedMimeTypes.includes(file.mimetype)) {
       console.log('✅ File type allowed:', file.mimetype);
       cb(null, true);
@@ -55,16 +47,20 @@ const upload = multer({
 });
 
 // POST /api/files/upload - Upload file with real text extraction
-router.post('/upload', authenticateToken, (req, res, next) => {
+router.post('/upload', authenticateToken, async (req, res, next) => {
   console.log('📤 File upload endpoint hit');
   console.log('User:', req.user?.id);
+
+  const uploadSettings = await settingsService.getMany(['uploads.maxFileSizeMb', 'uploads.allowedMimeTypes']);
+  const maxFileSizeMb = uploadSettings['uploads.maxFileSizeMb'];
+  const upload = createUpload({ maxFileSizeMb, allowedMimeTypes: uploadSettings['uploads.allowedMimeTypes'] });
   
   upload.single('file')(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       console.error('❌ Multer Error:', err);
       if (err.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({ 
-          error: 'File too large. Maximum size is 10MB.',
+          error: `File too large. Maximum size is ${maxFileSizeMb}MB.`,
           code: 'FILE_TOO_LARGE'
         });
       }
@@ -133,13 +129,7 @@ router.post('/upload', authenticateToken, (req, res, next) => {
       }
 
       // Check permissions
-      const hasAccess = 
-        req.user.role === 'ADMIN' ||
-        req.user.role === 'OPERATIONS' ||
-        submission.studentId === req.user.id ||
-        submission.editorId === req.user.id;
-
-      if (!hasAccess) {
+      if (!can(req.user, 'submission.upload_file', submission)) {
         console.error('❌ Access denied for user:', req.user.id);
         return res.status(403).json({ error: 'Access denied' });
       }
@@ -242,6 +232,13 @@ router.post('/upload', authenticateToken, (req, res, next) => {
 
     console.log('✅ File record saved to database');
 
+    await auditService.log(req, {
+      action: 'file.upload',
+      entityType: 'FileAttachment',
+      entityId: fileRecord.id,
+      after: auditService.snapshot(fileRecord, ['submissionId', 'fileType', 'originalName', 'mimeType', 'fileSize'])
+    });
+
     // Create notification if available and submission exists
     if (submission && createNotification) {
       try {
@@ -318,7 +315,8 @@ router.get('/:id/extract-text', authenticateToken, [
     const file = await prisma.fileAttachment.findUnique({
       where: { id: req.params.id },
       include: {
-        submission: true
+        submission: true,
+        uploadedBy: { select: { organizationId: true } } // Whose organization a file without a submission is in
       }
     });
 
@@ -327,14 +325,7 @@ router.get('/:id/extract-text', authenticateToken, [
     }
 
     // Check permissions
-    const hasAccess = 
-      req.user.role === 'ADMIN' ||
-      req.user.role === 'OPERATIONS' ||
-      file.uploadedById === req.user.id ||
-      (file.submission && file.submission.studentId === req.user.id) ||
-      (file.submission && file.submission.editorId === req.user.id);
-
-    if (!hasAccess) {
+    if (!can(req.user, 'file.view', file)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -430,7 +421,8 @@ router.get('/:id', authenticateToken, [
       include: {
         submission: {
           include: { student: true }
-        }
+        },
+        uploadedBy: { select: { organizationId: true } }
       }
     });
 
@@ -439,14 +431,7 @@ router.get('/:id', authenticateToken, [
     }
 
     // Check permissions
-    const hasAccess = 
-      req.user.role === 'ADMIN' ||
-      req.user.role === 'OPERATIONS' ||
-      file.uploadedById === req.user.id ||
-      (file.submission && file.submission.studentId === req.user.id) ||
-      (file.submission && file.submission.editorId === req.user.id);
-
-    if (!hasAccess) {
+    if (!can(req.user, 'file.view', file)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -489,14 +474,8 @@ router.get('/submission/:submissionId', authenticateToken, [
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    // Check permissions
-    const hasAccess = 
-      req.user.role === 'ADMIN' ||
-      req.user.role === 'OPERATIONS' ||
-      submission.studentId === req.user.id ||
-      submission.editorId === req.user.id;
-
-    if (!hasAccess) {
+    // Check permissions: the same rule as for each of the submission's files
+    if (!can(req.user, 'file.view', { submission })) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -532,7 +511,7 @@ router.put('/:id/approve', authenticateToken, [
   }
 
   // Check permissions
-  if (!['ADMIN', 'OPERATIONS', 'EDITOR'].includes(req.user.role)) {
+  if (!canSometimes(req.user, 'file.approve')) {
     return res.status(403).json({ error: 'Not authorized to approve files' });
   }
 
@@ -544,7 +523,8 @@ router.put('/:id/approve', authenticateToken, [
       include: {
         submission: {
           include: { student: true }
-        }
+        },
+        uploadedBy: { select: { organizationId: true } }
       }
     });
 
@@ -552,8 +532,8 @@ router.put('/:id/approve', authenticateToken, [
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // If editor, check if assigned to this submission
-    if (req.user.role === 'EDITOR' && file.submission && file.submission.editorId !== req.user.id) {
+    // Editors may only approve files on submissions assigned to them
+    if (!can(req.user, 'file.approve', file)) {
       return res.status(403).json({ error: 'Not assigned to this submission' });
     }
 
@@ -563,6 +543,23 @@ router.put('/:id/approve', authenticateToken, [
       data: { isApproved: approved }
     });
 
+    await auditService.log(req, {
+      action: approved ? 'file.approve' : 'file.reject',
+      entityType: 'FileAttachment',
+      entityId: file.id,
+      before: { isApproved: file.isApproved },
+      after: { isApproved: updatedFile.isApproved, notes: notes || null }
+    });
+
+    // An approved PDF or cover may be the last thing holding back its stage
+    if (approved && file.submissionId && ['PDF_SOFT_COPY', 'COVER_DESIGN'].includes(file.fileType)) {
+      try {
+        await advanceIfReady(file.submissionId);
+      } catch (workflowError) {
+        console.error('❌ Workflow advance error (non-blocking):', workflowError);
+      }
+    }
+
     // Create notification if available
     if (file.submission && createNotification) {
       try {
@@ -596,7 +593,8 @@ router.delete('/:id', authenticateToken, [
     const file = await prisma.fileAttachment.findUnique({
       where: { id: req.params.id },
       include: {
-        submission: true
+        submission: true,
+        uploadedBy: { select: { organizationId: true } }
       }
     });
 
@@ -605,12 +603,7 @@ router.delete('/:id', authenticateToken, [
     }
 
     // Check permissions
-    const canDelete = 
-      req.user.role === 'ADMIN' ||
-      req.user.role === 'OPERATIONS' ||
-      file.uploadedById === req.user.id;
-
-    if (!canDelete) {
+    if (!can(req.user, 'file.delete', file)) {
       return res.status(403).json({ error: 'Not authorized to delete this file' });
     }
 
@@ -626,6 +619,13 @@ router.delete('/:id', authenticateToken, [
       where: { id: req.params.id }
     });
 
+    await auditService.log(req, {
+      action: 'file.delete',
+      entityType: 'FileAttachment',
+      entityId: file.id,
+      before: auditService.snapshot(file, ['submissionId', 'fileType', 'filePath', 'originalName', 'mimeType', 'fileSize', 'isApproved'])
+    });
+
     res.json({ message: 'File deleted successfully' });
   } catch (error) {
     console.error('❌ File deletion error:', error);
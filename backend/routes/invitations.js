@@ -0,0 +1,135 @@
+// backend/routes/invitations.js - STAFF INVITATIONS: ADMIN MANAGEMENT AND PUBLIC ACCEPTANCE
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const { passwordValidator } = require('../services/passwordPolicy');
+const invitationService = require('../services/invitationService');
+const organizationService = require('../services/organizationService');
+
+const router = express.Router();
+
+const tokenValidation = param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation link');
+
+// Sends an InvitationError or OrganizationError as its status and message; returns false for other errors
+const sendInvitationError = (res, error) => {
+  if (!(error instanceof invitationService.InvitationError) &&
+      !(error instanceof organizationService.OrganizationError)) return false;
+  res.status(error.status).json({ error: error.message });
+  return true;
+};
+
+// GET /api/invitations/accept/:token - Who an invitation is for, shown on the accept page (no login)
+router.get('/accept/:token', [tokenValidation], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+    res.json({
+      invitation: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to load invitation' });
+  }
+});
+
+// POST /api/invitations/accept/:token - Create the account with the invitee's chosen password (no login)
+router.post('/accept/:token', [
+  tokenValidation,
+  body('password').custom(passwordValidator)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const user = await invitationService.accept(req.params.token, { password: req.body.password }, req);
+    res.status(201).json({
+      message: 'Account created. Sign in with your new password.',
+      email: user.email
+    });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// GET /api/invitations - Invitations to the admin's organization, newest first, optionally by status (admin only)
+router.get('/', authenticateToken, requirePermission('user.manage'), [
+  query('status').optional().isIn(['pending', 'expired', 'accepted', 'revoked']).withMessage('Invalid status')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const invitations = await invitationService.list(req.user, { status: req.query.status });
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// POST /api/invitations - Invite a staff member by email (admin only)
+router.post('/', authenticateToken, requirePermission('user.manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('role').isIn(invitationService.STAFF_ROLES).withMessage(`Role must be one of ${invitationService.STAFF_ROLES.join(', ')}`),
+  body('organizationId').optional({ nullable: true, checkFalsy: true }).isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const { email, name, role } = req.body;
+    const organizationId = await organizationService.resolveFor(req.user, req.body.organizationId);
+    const result = await invitationService.create({ email, name, role, organizationId }, req);
+    res.status(201).json(result);
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// POST /api/invitations/:id/resend - Email a fresh link; the previous one stops working (admin only)
+router.post('/:id/resend', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const result = await invitationService.resend(req.params.id, req);
+    res.json(result);
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+// DELETE /api/invitations/:id - Revoke an invitation that hasn't been accepted (admin only)
+router.delete('/:id', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const invitation = await invitationService.revoke(req.params.id, req);
+    res.json({ message: 'Invitation revoked', invitation });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+// backend/routes/jobs.js - BACKGROUND JOB QUEUE (ADMIN)
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const { jobQueue } = require('../services/jobQueue');
+const { claudeService } = require('../services/claudeService');
+const { scheduler } = require('../services/scheduler');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// GET /api/jobs - Queue depth, status counts, recent failed jobs and analysis cache stats
+router.get('/', authenticateToken, requirePermission('jobs.manage'), [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  try {
+    const [stats, analysisCache, failedJobs] = await Promise.all([
+      jobQueue.getStats(),
+      claudeService.getUsageStats(),
+      prisma.job.findMany({
+        where: { status: 'FAILED' },
+        orderBy: { updatedAt: 'desc' },
+        take: limit,
+        include: {
+          submission: {
+            select: { id: true, title: true, currentStage: true }
+          }
+        }
+      })
+    ]);
+
+    res.json({
+      ...stats,
+      failedJobs,
+      analysisCache
+    });
+  } catch (error) {
+    console.error('Get job queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch job queue' });
+  }
+});
+
+// GET /api/jobs/scheduled - Recurring tasks with their schedule and latest run
+router.get('/scheduled', authenticateToken, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const tasks = await scheduler.getTasks();
+    res.json({ tasks });
+  } catch (error) {
+    console.error('Get scheduled tasks error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled tasks' });
+  }
+});
+
+// GET /api/jobs/scheduled/:name/runs - Run history of a recurring task
+router.get('/scheduled/:name/runs', authenticateToken, requirePermission('jobs.manage'), [
+  param('name').isLength({ min: 1 }).withMessage('Invalid task name'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  if (!scheduler.has(req.params.name)) {
+    return res.status(404).json({ error: 'Scheduled task not found' });
+  }
+
+  try {
+    const runs = await scheduler.getRuns(req.params.name, { limit: parseInt(req.query.limit, 10) || 50 });
+    res.json({ runs });
+  } catch (error) {
+    console.error('Get scheduled task runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch run history' });
+  }
+});
+
+// POST /api/jobs/scheduled/:name/run - Run a recurring task now; poll the run history for the outcome
+router.post('/scheduled/:name/run', authenticateToken, requirePermission('jobs.manage'), [
+  param('name').isLength({ min: 1 }).withMessage('Invalid task name')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  if (!scheduler.has(req.params.name)) {
+    return res.status(404).json({ error: 'Scheduled task not found' });
+  }
+
+  try {
+    const run = await scheduler.trigger(req.params.name, req.user);
+    if (!run) {
+      return res.status(409).json({ error: 'This task is already running' });
+    }
+
+    console.log(`▶️ Scheduled task ${req.params.name} started by ${req.user.name}`);
+
+    res.status(202).json({
+      message: 'Task started',
+      run
+    });
+  } catch (error) {
+    console.error('Run scheduled task error:', error);
+    res.status(500).json({ error: 'Failed to start task' });
+  }
+});
+
+// POST /api/jobs/:id/retry - Requeue a failed job
+router.post('/:id/retry', authenticateToken, requirePermission('jobs.manage'), [
+  param('id').isLength({ min: 1 }).withMessage('Invalid job ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const job = await prisma.job.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'FAILED') {
+      return res.status(409).json({ error: 'Only failed jobs can be retried' });
+    }
+
+    const requeued = await jobQueue.retry(job.id);
+
+    console.log(`🔁 Job ${job.id} (${job.type}) requeued by ${req.user.name}`);
+
+    res.json({
+      message: 'Job requeued',
+      job: requeued
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
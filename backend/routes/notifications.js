@@ -1,6 +1,10 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const notificationEmailService = require('../services/notificationEmailService');
+const { realtime } = require('../services/realtimeService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -48,6 +52,53 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/notifications/preferences - Email settings per notification type
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await notificationEmailService.getPreferences(req.user.id);
+
+    res.json({
+      preferences,
+      frequencies: notificationEmailService.EMAIL_FREQUENCIES
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// PUT /api/notifications/preferences - Update email settings, e.g. { preferences: { ASSIGNMENT: 'DAILY_DIGEST' } }
+router.put('/preferences', authenticateToken, [
+  body('preferences').isObject().withMessage('Preferences must be an object'),
+  body('preferences').custom((preferences) => {
+    const types = Object.keys(notificationEmailService.DEFAULT_EMAIL_PREFERENCES);
+    Object.entries(preferences).forEach(([type, frequency]) => {
+      if (!types.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+      if (!notificationEmailService.EMAIL_FREQUENCIES.includes(frequency)) {
+        throw new Error(`Invalid email setting for ${type}: ${frequency}`);
+      }
+    });
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const preferences = await notificationEmailService.updatePreferences(req.user.id, req.body.preferences);
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
 // PUT /api/notifications/:id/read - Mark notification as read
 router.put('/:id/read', authenticateToken, async (req, res) => {
   const { id } = req.params;
@@ -68,6 +119,8 @@ router.put('/:id/read', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Notification not found' });
     }
 
+    // Other open tabs refresh their bell
+    realtime.sendToUser(req.user.id, 'notifications.updated', {});
     res.json({ message: 'Notification marked as read' });
   } catch (error) {
     console.error('Mark as read error:', error);
@@ -89,6 +142,7 @@ router.put('/mark-all-read', authenticateToken, async (req, res) => {
       }
     });
 
+    realtime.sendToUser(req.user.id, 'notifications.updated', {});
     res.json({ 
       message: 'All notifications marked as read',
       count: result.count 
@@ -115,6 +169,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Notification not found' });
     }
 
+    realtime.sendToUser(req.user.id, 'notifications.updated', {});
     res.json({ message: 'Notification deleted successfully' });
   } catch (error) {
     console.error('Delete notification error:', error);
@@ -123,12 +178,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // GET /api/notifications/types - Get notification types (for admin)
-router.get('/types', authenticateToken, async (req, res) => {
-  // Only allow admins to see notification types
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-
+router.get('/types', authenticateToken, requirePermission('notification.types'), async (req, res) => {
   try {
     const types = await prisma.notification.groupBy({
       by: ['type'],
@@ -0,0 +1,80 @@
+// backend/routes/organizations.js - ORGANIZATIONS (SCHOOLS), MANAGED BY SUPER-ADMINS
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const organizationService = require('../services/organizationService');
+
+const router = express.Router();
+
+// Sends an OrganizationError as its status and message; returns false for other errors
+const sendOrganizationError = (res, error) => {
+  if (!(error instanceof organizationService.OrganizationError)) return false;
+  res.status(error.status).json({ error: error.message });
+  return true;
+};
+
+// GET /api/organizations/public - Active organizations to choose from when registering (no login)
+router.get('/public', async (req, res) => {
+  try {
+    const organizations = await organizationService.listActive();
+    res.json({ organizations });
+  } catch (error) {
+    console.error('Get public organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// GET /api/organizations - Every organization with member and submission counts (super-admin only)
+router.get('/', authenticateToken, requirePermission('organization.manage'), async (req, res) => {
+  try {
+    const organizations = await organizationService.list();
+    res.json({ organizations });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// POST /api/organizations - Create an organization (super-admin only)
+router.post('/', authenticateToken, requirePermission('organization.manage'), [
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const organization = await organizationService.create({ name: req.body.name }, req);
+    res.status(201).json({ message: 'Organization created', organization });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// PUT /api/organizations/:id - Rename, deactivate or reactivate an organization (super-admin only)
+router.put('/:id', authenticateToken, requirePermission('organization.manage'), [
+  param('id').isLength({ min: 1 }).withMessage('Invalid organization ID'),
+  body('name').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const { name, isActive } = req.body;
+    const organization = await organizationService.update(req.params.id, { name, isActive }, req);
+    res.json({ message: 'Organization updated', organization });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// backend/routes/parents.js - PARENT/GUARDIAN STATUS PAGE AND STUDENT CONSENT
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const parentUpdateService = require('../services/parentUpdateService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const tokenValidation = param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid link');
+
+const requireStudent = requirePermission('parent_updates.manage', 'Parent updates are only available for student accounts');
+
+// GET /api/parent/status/:token - Read-only progress page for parents, no login
+router.get('/status/:token', [tokenValidation], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(404).json({ error: 'This link is invalid or no longer active' });
+  }
+
+  try {
+    const status = await parentUpdateService.getParentStatus(req.params.token);
+    if (!status) {
+      return res.status(404).json({ error: 'This link is invalid or no longer active' });
+    }
+
+    res.json(status);
+  } catch (error) {
+    console.error('❌ Get parent status error:', error);
+    res.status(500).json({ error: 'Failed to load progress' });
+  }
+});
+
+// POST /api/parent/opt-out/:token - Stop progress emails from the link in the email footer
+router.post('/opt-out/:token', [tokenValidation], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(404).json({ error: 'This link is invalid or no longer active' });
+  }
+
+  try {
+    const found = await parentUpdateService.optOut(req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'This link is invalid or no longer active' });
+    }
+
+    console.log('👪 Parent opted out of progress updates');
+    res.json({ message: 'You will no longer receive progress emails' });
+  } catch (error) {
+    console.error('❌ Parent opt-out error:', error);
+    res.status(500).json({ error: 'Failed to update email settings' });
+  }
+});
+
+// GET /api/parent/settings - The student's parent update settings
+router.get('/settings', authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const settings = await parentUpdateService.getSettings(req.user.id);
+    res.json({ settings });
+  } catch (error) {
+    console.error('❌ Get parent settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch parent update settings' });
+  }
+});
+
+// PUT /api/parent/settings - Give or withdraw consent, optionally changing the parent's email
+router.put('/settings', authenticateToken, requireStudent, [
+  body('parentUpdatesConsent').isBoolean().withMessage('Consent must be true or false'),
+  body('parentEmail')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Parent email must be valid if provided')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  const consent = req.body.parentUpdatesConsent === true || req.body.parentUpdatesConsent === 'true';
+
+  try {
+    const current = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { parentEmail: true }
+    });
+    const parentEmail = req.body.parentEmail !== undefined ? (req.body.parentEmail || null) : current.parentEmail;
+
+    if (consent && !parentEmail) {
+      return res.status(400).json({ error: 'Add a parent or guardian email before turning on updates' });
+    }
+
+    if (parentEmail !== current.parentEmail) {
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: { parentEmail, ...parentUpdateService.parentEmailChangeData() }
+      });
+    }
+
+    const updated = await parentUpdateService.updateConsent(req.user.id, consent);
+
+    console.log(`👪 Parent updates ${consent ? 'enabled' : 'disabled'} by student ${req.user.id}`);
+    res.json({
+      message: consent ? 'Parent updates turned on' : 'Parent updates turned off',
+      settings: updated
+    });
+  } catch (error) {
+    console.error('❌ Update parent settings error:', error);
+    res.status(500).json({ error: 'Failed to update parent update settings' });
+  }
+});
+
+module.exports = router;
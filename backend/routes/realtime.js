@@ -0,0 +1,14 @@
+// backend/routes/realtime.js - LIVE UPDATES STREAM
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { realtime } = require('../services/realtimeService');
+
+const router = express.Router();
+
+// GET /api/realtime/stream - Server-Sent Events: new notifications and submission stage changes
+router.get('/stream', authenticateToken, (req, res) => {
+  console.log(`📡 Live updates connected for user ${req.user.id} (${realtime.connectionCount + 1} open)`);
+  realtime.connect(req, res);
+});
+
+module.exports = router;
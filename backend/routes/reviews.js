@@ -3,17 +3,17 @@ const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
+const { can, organizationScope, requirePermission } = require('../services/permissions');
+const workflowService = require('../services/workflowService');
+const { markRevisionRequested } = require('../services/revisionService');
+const similarityService = require('../services/similarityService');
+const { CHECK_SIMILARITY, enqueueSimilarityCheck } = require('../services/similarityJobs');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Middleware to check reviewer role
-const requireReviewer = (req, res, next) => {
-  if (!['REVIEWER', 'ADMIN'].includes(req.user.role)) {
-    return res.status(403).json({ error: 'Reviewer access required' });
-  }
-  next();
-};
+const requireReviewer = requirePermission('review.perform', 'Reviewer access required');
 
 // GET /api/reviews/pending - Get pending reviews
 router.get('/pending', authenticateToken, requireReviewer, async (req, res) => {
@@ -22,6 +22,7 @@ router.get('/pending', authenticateToken, requireReviewer, async (req, res) => {
     
     const submissions = await prisma.submission.findMany({
       where: { 
+        ...organizationScope(req.user),
         currentStage: 'PLAGIARISM_REVIEW',
         isArchived: false
       },
@@ -77,7 +78,7 @@ router.post('/:submissionId', authenticateToken, requireReviewer, [
       }
     });
 
-    if (!submission) {
+    if (!submission || !can(req.user, 'review.perform', submission)) {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
@@ -88,50 +89,66 @@ router.post('/:submissionId', authenticateToken, requireReviewer, [
       });
     }
 
+    const reviewNotes = `Plagiarism Score: ${plagiarismScore}%. ${passed ? 'PASSED' : 'FLAGGED'}: ${plagiarismNotes}`;
+
     // Start transaction for atomic updates
-    const result = await prisma.$transaction(async (tx) => {
+    const { result, transitionResult } = await prisma.$transaction(async (tx) => {
       // Update submission with review data
       const updatedSubmission = await tx.submission.update({
         where: { id: submissionId },
         data: {
           plagiarismScore: parseInt(plagiarismScore),
           plagiarismNotes: plagiarismNotes.trim(),
-          currentStage: passed ? 'EDITOR_MEETING' : 'PLAGIARISM_REVIEW', // Stay in review if failed
           updatedAt: new Date()
         }
       });
 
-      // Update current workflow stage
-      await tx.workflowStage.updateMany({
-        where: {
-          submissionId,
-          stageName: 'PLAGIARISM_REVIEW',
-          status: { in: ['pending', 'in_progress'] }
-        },
-        data: {
-          status: 'completed',
-          completedAt: new Date(),
-          notes: `Plagiarism Score: ${plagiarismScore}%. ${passed ? 'PASSED' : 'FLAGGED'}: ${plagiarismNotes}`,
-          assignedUserId: req.user.id
-        }
+      await auditService.record({
+        actor: req.user,
+        action: 'review.submit',
+        entityType: 'Submission',
+        entityId: submissionId,
+        before: { plagiarismScore: submission.plagiarismScore, plagiarismNotes: submission.plagiarismNotes },
+        after: { plagiarismScore: updatedSubmission.plagiarismScore, plagiarismNotes: updatedSubmission.plagiarismNotes, passed: Boolean(passed) },
+        req,
+        tx
       });
 
-      // If passed, create next stage
-      if (passed) {
-        await tx.workflowStage.create({
-          data: {
+      // Failed reviews stay in plagiarism review; record the notes on the open stage
+      if (!passed) {
+        await tx.workflowStage.updateMany({
+          where: {
             submissionId,
-            stageNumber: 3,
-            stageName: 'EDITOR_MEETING',
-            status: 'pending',
-            startedAt: new Date()
+            stageName: 'PLAGIARISM_REVIEW',
+            status: { in: ['pending', 'in_progress'] }
+          },
+          data: {
+            status: 'in_progress',
+            notes: reviewNotes,
+            assignedUserId: req.user.id
           }
         });
+
+        // The student can now upload a revised draft
+        const flagged = await markRevisionRequested(tx, submissionId, plagiarismNotes.trim());
+        return { result: flagged, transitionResult: null };
       }
 
-      return updatedSubmission;
+      // Passed reviews move on through the workflow engine
+      const moved = await workflowService.transition(submissionId, 'EDITOR_MEETING', {
+        actor: req.user,
+        notes: reviewNotes,
+        tx,
+        req
+      });
+
+      return { result: moved.submission, transitionResult: moved };
     });
 
+    if (transitionResult) {
+      await workflowService.runStageHooks(transitionResult);
+    }
+
     // Try to create notifications (optional, non-blocking)
     try {
       const { createNotification } = require('../services/notificationService');
@@ -143,14 +160,14 @@ router.post('/:submissionId', authenticateToken, requireReviewer, [
         title: passed ? 'Review Passed' : 'Review Requires Attention',
         message: passed 
           ? `Your submission "${submission.title}" passed plagiarism review and is moving to editor meeting.`
-          : `Your submission "${submission.title}" needs attention regarding plagiarism concerns.`,
+          : `Your submission "${submission.title}" needs attention regarding plagiarism concerns. Please submit a revised draft.`,
         metadata: { submissionId, plagiarismScore, passed }
       });
 
       // If passed, notify editors
       if (passed) {
         const editors = await prisma.user.findMany({
-          where: { role: 'EDITOR', isActive: true }
+          where: { role: 'EDITOR', isActive: true, organizationId: submission.organizationId }
         });
 
         for (const editor of editors) {
@@ -180,6 +197,10 @@ router.post('/:submissionId', authenticateToken, requireReviewer, [
       passed
     });
   } catch (error) {
+    if (error instanceof workflowService.WorkflowError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
     console.error(`❌ Submit review error for ${submissionId}:`, error);
     
     if (error.code === 'P2025') {
@@ -212,7 +233,7 @@ router.put('/:submissionId', authenticateToken, requireReviewer, [
       where: { id: submissionId }
     });
 
-    if (!submission) {
+    if (!submission || !can(req.user, 'review.perform', submission)) {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
@@ -224,7 +245,7 @@ router.put('/:submissionId', authenticateToken, requireReviewer, [
       updateData.plagiarismNotes = req.body.plagiarismNotes.trim();
     }
 
-    await prisma.submission.update({
+    const updated = await prisma.submission.update({
       where: { id: submissionId },
       data: {
         ...updateData,
@@ -232,6 +253,16 @@ router.put('/:submissionId', authenticateToken, requireReviewer, [
       }
     });
 
+    await auditService.log(req, {
+      action: 'review.update',
+      entityType: 'Submission',
+      entityId: submissionId,
+      ...auditService.changes(
+        auditService.snapshot(submission, ['plagiarismScore', 'plagiarismNotes']),
+        auditService.snapshot(updated, ['plagiarismScore', 'plagiarismNotes'])
+      )
+    });
+
     console.log(`✅ Review updated for submission ${submissionId}`);
     res.json({ message: 'Review updated successfully' });
   } catch (error) {
@@ -240,22 +271,97 @@ router.put('/:submissionId', authenticateToken, requireReviewer, [
   }
 });
 
-// GET /api/reviews/stats - Get review statistics (admin only)
-router.get('/stats', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Admin access required' });
+// GET /api/reviews/:submissionId/similarity - Latest automatic similarity report
+router.get('/:submissionId/similarity', authenticateToken, requireReviewer, [
+  param('submissionId').isLength({ min: 1 }).withMessage('Valid submission ID required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  const { submissionId } = req.params;
+
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId },
+      select: { id: true, organizationId: true }
+    });
+
+    if (!submission || !can(req.user, 'review.perform', submission)) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const [report, pendingJob] = await Promise.all([
+      similarityService.getLatestReport(submissionId),
+      prisma.job.findFirst({
+        where: { type: CHECK_SIMILARITY, submissionId, status: { in: ['QUEUED', 'RUNNING'] } },
+        select: { id: true, status: true }
+      })
+    ]);
+
+    res.json({
+      report,
+      isChecking: !!pendingJob
+    });
+  } catch (error) {
+    console.error('❌ Get similarity report error:', error);
+    res.status(500).json({ error: 'Failed to fetch similarity report' });
+  }
+});
+
+// POST /api/reviews/:submissionId/similarity - Re-run the similarity check
+router.post('/:submissionId/similarity', authenticateToken, requireReviewer, [
+  param('submissionId').isLength({ min: 1 }).withMessage('Valid submission ID required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
   }
 
   try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.submissionId },
+      select: { id: true, organizationId: true }
+    });
+
+    if (!submission || !can(req.user, 'review.perform', submission)) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const job = await enqueueSimilarityCheck(submission.id);
+
+    await auditService.log(req, {
+      action: 'review.similarity_check',
+      entityType: 'Submission',
+      entityId: submission.id,
+      after: { jobId: job.id }
+    });
+
+    res.status(202).json({
+      message: 'Similarity check queued',
+      jobId: job.id
+    });
+  } catch (error) {
+    console.error('❌ Queue similarity check error:', error);
+    res.status(500).json({ error: 'Failed to queue similarity check' });
+  }
+});
+
+// GET /api/reviews/stats - Get review statistics (admin only)
+router.get('/stats', authenticateToken, requirePermission('review.stats'), async (req, res) => {
+  try {
+    const scope = organizationScope(req.user);
     const [totalReviews, pendingReviews, completedToday] = await Promise.all([
       prisma.submission.count({
-        where: { plagiarismScore: { not: null } }
+        where: { ...scope, plagiarismScore: { not: null } }
       }),
       prisma.submission.count({
-        where: { currentStage: 'PLAGIARISM_REVIEW', isArchived: false }
+        where: { ...scope, currentStage: 'PLAGIARISM_REVIEW', isArchived: false }
       }),
       prisma.submission.count({
         where: {
+          ...scope,
           plagiarismScore: { not: null },
           updatedAt: { gte: new Date(new Date().setHours(0, 0, 0, 0)) }
         }
@@ -0,0 +1,66 @@
+// backend/routes/settings.js - ADMIN-EDITABLE SYSTEM SETTINGS
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const settingsService = require('../services/settingsService');
+
+const router = express.Router();
+
+// GET /api/settings/public - Upload limits and password rules (no login needed, used by the register form)
+router.get('/public', async (req, res) => {
+  try {
+    const settings = await settingsService.getPublicSettings();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get public settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// GET /api/settings - Every setting with its current value (admin only)
+router.get('/', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const settings = await settingsService.describeAll();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// PUT /api/settings - Change settings (admin only), e.g. { settings: { 'ai.maxTokens': 3000, 'password.requireNumber': null } }
+// A null value resets the setting to its default.
+router.put('/', authenticateToken, requirePermission('settings.manage'), [
+  body('settings').isObject().withMessage('Settings must be an object'),
+  body('settings').custom((settings) => {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!settingsService.SETTINGS[key]) throw new Error(`Unknown setting: ${key}`);
+      if (value !== null) settingsService.normalizeSetting(key, value);
+    });
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg, details: errors.array() });
+  }
+
+  try {
+    const changed = await settingsService.updateSettings(req.body.settings, req.user, req);
+    if (changed.length > 0) {
+      console.log(`⚙️ Settings changed by ${req.user.name}: ${changed.join(', ')}`);
+    }
+
+    res.json({
+      message: changed.length > 0 ? 'Settings saved' : 'No changes',
+      changed,
+      settings: await settingsService.describeAll()
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// backend/routes/sla.js - STAGE SLA SETTINGS
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requirePermission } = require('../services/permissions');
+const slaService = require('../services/slaService');
+
+const router = express.Router();
+
+// GET /api/sla - Days allowed in each workflow stage
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const slas = await slaService.getStageSlas();
+    res.json({ slas });
+  } catch (error) {
+    console.error('Get SLAs error:', error);
+    res.status(500).json({ error: 'Failed to fetch stage SLAs' });
+  }
+});
+
+// PUT /api/sla - Change stage SLAs (admin only), e.g. { slas: { PLAGIARISM_REVIEW: 2 } }
+router.put('/', authenticateToken, requirePermission('settings.manage'), [
+  body('slas').isObject().withMessage('SLAs must be an object'),
+  body('slas').custom((slas) => {
+    Object.entries(slas).forEach(([stage, days]) => {
+      if (!slaService.isValidSla(stage, days)) {
+        throw new Error(`Invalid SLA for ${stage}: must be a whole number of days from 1 to ${slaService.MAX_SLA_DAYS}`);
+      }
+    });
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const slas = await slaService.updateStageSlas(req.body.slas, req.user, req);
+
+    console.log(`⏱️ Stage SLAs updated by ${req.user.name}:`, req.body.slas);
+    res.json({
+      message: 'Stage SLAs updated',
+      slas
+    });
+  } catch (error) {
+    console.error('Update SLAs error:', error);
+    res.status(500).json({ error: 'Failed to update stage SLAs' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,20 @@
 // backend/routes/submissions.js - FIXED VERSION WITH MISSING ROUTES
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
-const { analyzeWithClaude } = require('../services/claudeService');
+const { can, organizationScope, whereFor, requirePermission } = require('../services/permissions');
+const approvalService = require('../services/approvalService');
+const workflowService = require('../services/workflowService');
+const { enqueueAnalysis } = require('../services/analysisJobs');
+const analysisHistoryService = require('../services/analysisHistoryService');
+const revisionService = require('../services/revisionService');
+const diffService = require('../services/diffService');
+const annotationService = require('../services/annotationService');
+const parentUpdateService = require('../services/parentUpdateService');
+const slaService = require('../services/slaService');
+const auditService = require('../services/auditService');
+const cohortService = require('../services/cohortService');
 
 // Try to import notification service (optional)
 let createNotification;
@@ -18,47 +29,24 @@ try {
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Middleware to check user role
-const requireRole = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
-    next();
-  };
-};
-
-// GET /api/submissions - Get submissions (filtered by role)
+// GET /api/submissions - Get submissions (filtered by role; optionally by stage, status, overdue or cohort)
 router.get('/', authenticateToken, async (req, res) => {
-  const { stage, status, page = 1, limit = 10 } = req.query;
+  const { stage, status, overdue, cohortId, page = 1, limit = 10 } = req.query;
   const offset = (page - 1) * limit;
 
   try {
-    let whereClause = {};
-    
-    // Role-based filtering
-    switch (req.user.role) {
-      case 'STUDENT':
-        whereClause.studentId = req.user.id;
-        break;
-      case 'EDITOR':
-        whereClause.editorId = req.user.id;
-        break;
-      case 'REVIEWER':
-        whereClause.currentStage = 'PLAGIARISM_REVIEW';
-        break;
-      case 'ADMIN':
-      case 'OPERATIONS':
-      case 'SALES':
-        // Can see all submissions
-        break;
-      default:
-        return res.status(403).json({ error: 'Invalid role' });
-    }
-
-    // Add filters
-    if (stage) whereClause.currentStage = stage;
-    if (status) whereClause.isArchived = status === 'archived';
+    // Only the submissions the user may see; filters narrow that, never widen it
+    const visible = whereFor(req.user, 'submission.view');
+    if (!visible) {
+      return res.status(403).json({ error: 'Invalid role' });
+    }
+
+    const filters = [visible];
+    if (stage) filters.push({ currentStage: stage });
+    if (status) filters.push({ isArchived: status === 'archived' });
+    if (overdue === 'true') filters.push(await slaService.overdueWhere());
+    if (cohortId) filters.push(cohortService.submissionsWhere(cohortId));
+    const whereClause = { AND: filters };
 
     const [submissions, total] = await Promise.all([
       prisma.submission.findMany({
@@ -95,7 +83,7 @@ router.get('/', authenticateToken, async (req, res) => {
     ]);
 
     res.json({
-      submissions,
+      submissions: await slaService.withSla(submissions),
       pagination: {
         total,
         page: parseInt(page),
@@ -110,12 +98,13 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // ✅ FIXED: GET /api/submissions/unassigned - Get unassigned submissions (admin only)
-router.get('/unassigned', authenticateToken, requireRole(['ADMIN', 'OPERATIONS']), async (req, res) => {
+router.get('/unassigned', authenticateToken, requirePermission('submission.assign_editor'), async (req, res) => {
   try {
     console.log('📋 Fetching unassigned submissions...');
     
     const unassignedSubmissions = await prisma.submission.findMany({
       where: {
+        ...organizationScope(req.user),
         editorId: null,
         isArchived: false
       },
@@ -140,12 +129,12 @@ router.get('/unassigned', authenticateToken, requireRole(['ADMIN', 'OPERATIONS']
 });
 
 // ✅ FIXED: GET /api/submissions/editor-workload - Get editor workload summary
-router.get('/editor-workload', authenticateToken, requireRole(['ADMIN', 'OPERATIONS']), async (req, res) => {
+router.get('/editor-workload', authenticateToken, requirePermission('submission.assign_editor'), async (req, res) => {
   try {
     console.log('📊 Fetching editor workload...');
     
     const editors = await prisma.user.findMany({
-      where: { role: 'EDITOR', isActive: true },
+      where: { role: 'EDITOR', isActive: true, ...organizationScope(req.user) },
       include: {
         editorSubmissions: {
           where: { 
@@ -251,19 +240,12 @@ router.get('/:id', authenticateToken, [
     }
 
     // Check access permissions
-    const hasAccess = 
-      req.user.role === 'ADMIN' ||
-      req.user.role === 'OPERATIONS' ||
-      req.user.role === 'SALES' ||
-      submission.studentId === req.user.id ||
-      submission.editorId === req.user.id ||
-      (req.user.role === 'REVIEWER' && submission.currentStage === 'PLAGIARISM_REVIEW');
-
-    if (!hasAccess) {
+    if (!can(req.user, 'submission.view', submission)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json({ submission });
+    const [withSla] = await slaService.withSla([submission]);
+    res.json({ submission: withSla });
   } catch (error) {
     console.error('Get submission error:', error);
     res.status(500).json({ error: 'Failed to fetch submission' });
@@ -271,7 +253,7 @@ router.get('/:id', authenticateToken, [
 });
 
 // POST /api/submissions - Create new submission (students only)
-router.post('/', authenticateToken, requireRole(['STUDENT']), [
+router.post('/', authenticateToken, requirePermission('submission.create'), [
   body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title is required and must be less than 255 characters'),
   body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters')
 ], async (req, res) => {
@@ -287,6 +269,7 @@ router.post('/', authenticateToken, requireRole(['STUDENT']), [
     const submission = await prisma.submission.create({
       data: {
         studentId: req.user.id,
+        organizationId: req.user.organizationId ?? null,
         title,
         content,
         currentStage: 'ANALYSIS'
@@ -309,8 +292,22 @@ router.post('/', authenticateToken, requireRole(['STUDENT']), [
       }
     });
 
-    // Start Claude analysis in background (don't wait for it)
-    analyzeSubmissionAsync(submission.id, content, title, req.user.name);
+    // Keep the original draft as version 1
+    await revisionService.ensureCurrentVersion(prisma, submission);
+
+    // Queue Claude analysis - the job worker picks it up and retries on failure
+    try {
+      await enqueueAnalysis(submission.id);
+    } catch (queueError) {
+      console.error(`❌ Failed to queue analysis for submission ${submission.id}:`, queueError);
+    }
+
+    await auditService.log(req, {
+      action: 'submission.create',
+      entityType: 'Submission',
+      entityId: submission.id,
+      after: auditService.snapshot(submission, ['title', 'content', 'currentStage'])
+    });
 
     res.status(201).json({
       message: 'Submission created successfully',
@@ -322,8 +319,8 @@ router.post('/', authenticateToken, requireRole(['STUDENT']), [
   }
 });
 
-// ✅ FIXED: POST /api/submissions/:id/analysis - Trigger Claude analysis (admin/operations only)
-router.post('/:id/analysis', authenticateToken, requireRole(['ADMIN', 'OPERATIONS']), [
+// POST /api/submissions/:id/analysis - Queue a Claude re-analysis (admin/operations only); the requester is told over SSE when it finishes
+router.post('/:id/analysis', authenticateToken, requirePermission('submission.analyze'), [
   param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -335,56 +332,545 @@ router.post('/:id/analysis', authenticateToken, requireRole(['ADMIN', 'OPERATION
     console.log(`🔄 Manual analysis triggered for submission ${req.params.id} by ${req.user.name}`);
     
     const submission = await prisma.submission.findUnique({
-      where: { id: req.params.id },
-      include: {
-        student: { select: { name: true } }
-      }
+      where: { id: req.params.id }
     });
 
     if (!submission) {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
+    if (!can(req.user, 'submission.analyze', submission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     if (!submission.content || submission.content.trim().length < 50) {
       return res.status(400).json({ error: 'Submission content is too short for analysis (minimum 50 characters)' });
     }
 
-    console.log(`📝 Running Claude analysis for: "${submission.title}"`);
-    
-    // Run Claude analysis
-    const analysisResult = await analyzeWithClaude(submission.content, submission.title);
+    // Long manuscripts take many Claude calls, far beyond the request timeout, so the job queue runs it
+    const job = await enqueueAnalysis(submission.id, 'manual', req.user.id);
+    // An analysis that was already waiting is returned instead, and reports to whoever queued it
+    const alreadyQueued = job.payload?.triggeredById !== req.user.id;
 
-    // Update submission
-    await prisma.submission.update({
-      where: { id: submission.id },
-      data: { 
-        analysisResult,
-        updatedAt: new Date()
-      }
+    await auditService.log(req, {
+      action: 'submission.analyze',
+      entityType: 'Submission',
+      entityId: submission.id,
+      after: { jobId: job.id, version: submission.currentVersion }
     });
 
-    console.log(`✅ Analysis completed for submission ${req.params.id}`);
+    res.status(202).json({
+      message: alreadyQueued ? 'Analysis is already queued' : 'Analysis queued',
+      jobId: job.id,
+      alreadyQueued
+    });
+  } catch (error) {
+    console.error('❌ Manual analysis error:', error);
+    res.status(500).json({ error: 'Failed to queue analysis' });
+  }
+});
+
+// Load the submission and check access; sends the error response and returns null on failure
+const loadViewableSubmission = async (req, res, select = {}) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    return null;
+  }
+
+  const submission = await prisma.submission.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, studentId: true, editorId: true, currentStage: true, organizationId: true, ...select }
+  });
+
+  if (!submission) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+
+  if (!can(req.user, 'submission.view', submission)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return submission;
+};
+
+// GET /api/submissions/:id/analyses - Every analysis run, newest first
+router.get('/:id/analyses', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res);
+    if (!submission) return;
+
+    const runs = await analysisHistoryService.listRuns(submission.id);
+
+    res.json({ runs });
+  } catch (error) {
+    console.error('❌ Get analysis history error:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis history' });
+  }
+});
+
+// GET /api/submissions/:id/analyses/compare?from=&to= - Score changes between two runs (default: previous vs latest)
+router.get('/:id/analyses/compare', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  query('from').optional().isLength({ min: 1 }).withMessage('Invalid run ID'),
+  query('to').optional().isLength({ min: 1 }).withMessage('Invalid run ID')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res);
+    if (!submission) return;
+
+    const { from, to } = req.query;
+    if (!!from !== !!to) {
+      return res.status(400).json({ error: 'Provide both from and to, or neither' });
+    }
+
+    const comparison = await analysisHistoryService.compareRuns(submission.id, { fromId: from, toId: to });
+
+    if (!comparison) {
+      return res.status(404).json({
+        error: from ? 'Analysis run not found' : 'At least two analysis runs are needed to compare'
+      });
+    }
+
+    res.json({ comparison });
+  } catch (error) {
+    console.error('❌ Compare analyses error:', error);
+    res.status(500).json({ error: 'Failed to compare analyses' });
+  }
+});
+
+// GET /api/submissions/:id/analyses/:runId - One run with its full analysis
+router.get('/:id/analyses/:runId', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  param('runId').isLength({ min: 1 }).withMessage('Invalid run ID')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res);
+    if (!submission) return;
+
+    const run = await analysisHistoryService.getRun(submission.id, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Analysis run not found' });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    console.error('❌ Get analysis run error:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis run' });
+  }
+});
+
+// GET /api/submissions/:id/revisions - Every draft of the submission, newest first
+router.get('/:id/revisions', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res, {
+      title: true,
+      content: true,
+      createdAt: true,
+      currentVersion: true,
+      revisionRequested: true,
+      revisionRequestNotes: true
+    });
+    if (!submission) return;
+
+    const revisions = await revisionService.listRevisions(submission);
 
     res.json({
-      message: 'Analysis completed successfully',
-      analysis: analysisResult
+      revisions,
+      currentVersion: submission.currentVersion,
+      revisionRequested: submission.revisionRequested,
+      revisionRequestNotes: submission.revisionRequestNotes,
+      canResubmit: revisionService.canResubmit(submission, req.user),
+      canRequestRevision: revisionService.canRequestRevision(submission, req.user)
     });
   } catch (error) {
-    console.error('❌ Manual analysis error:', error);
-    
-    // Provide specific error messages
-    if (error.message.includes('Claude API failed')) {
-      return res.status(503).json({ error: 'AI analysis service is currently unavailable. Please try again later.' });
-    } else if (error.message.includes('timeout')) {
-      return res.status(408).json({ error: 'Analysis request timed out. Please try again.' });
-    } else {
-      return res.status(500).json({ error: 'Analysis failed. Please try again or contact support.' });
+    console.error('❌ Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// GET /api/submissions/:id/revisions/:version - One draft with its content
+router.get('/:id/revisions/:version', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid version')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res, {
+      title: true,
+      content: true,
+      createdAt: true,
+      currentVersion: true
+    });
+    if (!submission) return;
+
+    const revision = await revisionService.getRevision(submission, parseInt(req.params.version, 10));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('❌ Get revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// GET /api/submissions/:id/diff?from=&to= - Word-level diff between two drafts or uploaded files
+// Sources are a version number ("2") or "file:<fileId>"; defaults to the previous version vs the current one
+router.get('/:id/diff', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  query('from').optional().matches(/^(\d+|file:.+)$/).withMessage('Invalid diff source'),
+  query('to').optional().matches(/^(\d+|file:.+)$/).withMessage('Invalid diff source')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res, {
+      title: true,
+      content: true,
+      createdAt: true,
+      currentVersion: true
+    });
+    if (!submission) return;
+
+    const to = req.query.to || String(submission.currentVersion);
+    const from = req.query.from || String(submission.currentVersion - 1);
+
+    if (from === '0') {
+      return res.status(404).json({ error: 'At least two versions are needed to compare' });
+    }
+    if (from === to) {
+      return res.status(400).json({ error: 'Pick two different versions to compare' });
+    }
+
+    const [fromSource, toSource] = await Promise.all([
+      revisionService.getTextSource(submission, from),
+      revisionService.getTextSource(submission, to)
+    ]);
+
+    if (!fromSource || !toSource) {
+      return res.status(404).json({ error: 'Version or file not found' });
+    }
+
+    const missingText = [fromSource, toSource].find(source => source.text === null);
+    if (missingText) {
+      return res.status(409).json({
+        error: `No extracted text for ${missingText.label} yet - extract its text first`,
+        source: missingText.source
+      });
+    }
+
+    const diff = diffService.diffTexts(fromSource.text, toSource.text);
+
+    res.json({
+      from: { source: fromSource.source, label: fromSource.label, createdAt: fromSource.createdAt },
+      to: { source: toSource.source, label: toSource.label, createdAt: toSource.createdAt },
+      ...diff
+    });
+  } catch (error) {
+    console.error('❌ Diff error:', error);
+    res.status(500).json({ error: 'Failed to compare versions' });
+  }
+});
+
+// POST /api/submissions/:id/revisions - Upload a revised draft (the student, their editor or an admin)
+router.post('/:id/revisions', authenticateToken, requirePermission('submission.revise'), [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be less than 255 characters'),
+  body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
+  body('changeNotes').optional().trim().isLength({ max: 2000 }).withMessage('Change notes must be less than 2000 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (!can(req.user, 'submission.revise', submission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (submission.content === req.body.content) {
+      return res.status(400).json({ error: 'The revised draft is identical to the current version' });
+    }
+
+    const result = await revisionService.resubmit({
+      submission,
+      user: req.user,
+      title: req.body.title,
+      content: req.body.content,
+      changeNotes: req.body.changeNotes || null
+    });
+
+    await auditService.log(req, {
+      action: 'submission.revise',
+      entityType: 'Submission',
+      entityId: submission.id,
+      ...auditService.changes(
+        auditService.snapshot(submission, ['title', 'content', 'currentVersion']),
+        auditService.snapshot(result.submission, ['title', 'content', 'currentVersion'])
+      )
+    });
+
+    res.status(201).json({
+      message: 'Revised draft submitted successfully',
+      revision: result.revision,
+      submission: result.submission,
+      currentStage: result.stage
+    });
+  } catch (error) {
+    if (error instanceof workflowService.WorkflowError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('❌ Resubmit error:', error);
+    res.status(500).json({ error: 'Failed to submit revised draft' });
+  }
+});
+
+// POST /api/submissions/:id/request-revision - Editor asks the student for a new draft
+router.post('/:id/request-revision', authenticateToken, requirePermission('submission.request_revision'), [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  body('notes').trim().isLength({ min: 10 }).withMessage('Please describe what needs to change (at least 10 characters)')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (!can(req.user, 'submission.request_revision', submission)) {
+      return res.status(403).json({ error: 'Only the assigned editor can request a revision' });
+    }
+
+    if (submission.currentStage !== 'EDITOR_MEETING') {
+      return res.status(409).json({
+        error: 'Revisions can only be requested during the editor meeting',
+        currentStage: submission.currentStage
+      });
+    }
+
+    const updated = await revisionService.requestRevision({
+      submission,
+      user: req.user,
+      notes: req.body.notes.trim()
+    });
+
+    await auditService.log(req, {
+      action: 'submission.request_revision',
+      entityType: 'Submission',
+      entityId: submission.id,
+      after: { notes: req.body.notes.trim() }
+    });
+
+    res.json({
+      message: 'Revision requested',
+      submission: updated
+    });
+  } catch (error) {
+    console.error('❌ Request revision error:', error);
+    res.status(500).json({ error: 'Failed to request revision' });
+  }
+});
+
+// Fields annotation handlers need to anchor comments and notify the thread
+const annotationSelect = {
+  title: true,
+  content: true,
+  currentVersion: true
+};
+
+// Load the annotation for a submission the user can see; sends the error response and returns null on failure
+const loadAnnotation = async (req, res) => {
+  const submission = await loadViewableSubmission(req, res, annotationSelect);
+  if (!submission) return null;
+
+  const annotation = await annotationService.getAnnotation(submission.id, req.params.annotationId);
+  if (!annotation) {
+    res.status(404).json({ error: 'Annotation not found' });
+    return null;
+  }
+
+  return { submission, annotation };
+};
+
+// GET /api/submissions/:id/annotations - Comments on the text with their threads
+router.get('/:id/annotations', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
+], async (req, res) => {
+  try {
+    const submission = await loadViewableSubmission(req, res, annotationSelect);
+    if (!submission) return;
+
+    const annotations = await annotationService.listAnnotations(submission);
+
+    res.json({
+      annotations,
+      canAnnotate: annotationService.canAnnotate(req.user)
+    });
+  } catch (error) {
+    console.error('❌ Get annotations error:', error);
+    res.status(500).json({ error: 'Failed to fetch annotations' });
+  }
+});
+
+// POST /api/submissions/:id/annotations - Highlight a range of the current draft and comment on it
+router.post('/:id/annotations', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  body('startOffset').isInt({ min: 0 }).withMessage('Invalid start offset'),
+  body('endOffset').isInt({ min: 1 }).withMessage('Invalid end offset'),
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    if (!annotationService.canAnnotate(req.user)) {
+      return res.status(403).json({ error: 'Students can reply to comments but not add new ones' });
     }
+
+    const submission = await loadViewableSubmission(req, res, annotationSelect);
+    if (!submission) return;
+
+    const annotation = await annotationService.createAnnotation({
+      submission,
+      user: req.user,
+      startOffset: parseInt(req.body.startOffset, 10),
+      endOffset: parseInt(req.body.endOffset, 10),
+      body: req.body.body
+    });
+
+    if (!annotation) {
+      return res.status(400).json({ error: 'Select some text in the current draft to comment on' });
+    }
+
+    await auditService.log(req, {
+      action: 'annotation.create',
+      entityType: 'Annotation',
+      entityId: annotation.id,
+      after: { submissionId: submission.id, ...auditService.snapshot(annotation, ['startOffset', 'endOffset', 'body']) }
+    });
+
+    res.status(201).json({ message: 'Comment added', annotation });
+  } catch (error) {
+    console.error('❌ Create annotation error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// POST /api/submissions/:id/annotations/:annotationId/replies - Reply in a comment thread
+router.post('/:id/annotations/:annotationId/replies', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  param('annotationId').isLength({ min: 1 }).withMessage('Invalid annotation ID'),
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Reply must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const loaded = await loadAnnotation(req, res);
+    if (!loaded) return;
+
+    const reply = await annotationService.addReply({
+      ...loaded,
+      user: req.user,
+      body: req.body.body
+    });
+
+    await auditService.log(req, {
+      action: 'annotation.reply',
+      entityType: 'Annotation',
+      entityId: loaded.annotation.id,
+      after: { replyId: reply.id, body: reply.body }
+    });
+
+    res.status(201).json({ message: 'Reply added', reply });
+  } catch (error) {
+    console.error('❌ Annotation reply error:', error);
+    res.status(500).json({ error: 'Failed to add reply' });
+  }
+});
+
+// PUT /api/submissions/:id/annotations/:annotationId/resolve - Resolve or reopen a comment
+router.put('/:id/annotations/:annotationId/resolve', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  param('annotationId').isLength({ min: 1 }).withMessage('Invalid annotation ID'),
+  body('resolved').isBoolean().withMessage('Resolved must be true or false')
+], async (req, res) => {
+  try {
+    const loaded = await loadAnnotation(req, res);
+    if (!loaded) return;
+
+    if (!annotationService.canResolve(req.user, loaded.submission, loaded.annotation)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const annotation = await annotationService.setResolved({
+      ...loaded,
+      user: req.user,
+      resolved: req.body.resolved === true || req.body.resolved === 'true'
+    });
+
+    await auditService.log(req, {
+      action: annotation.isResolved ? 'annotation.resolve' : 'annotation.reopen',
+      entityType: 'Annotation',
+      entityId: annotation.id,
+      before: { isResolved: loaded.annotation.isResolved },
+      after: { isResolved: annotation.isResolved }
+    });
+
+    res.json({ message: annotation.isResolved ? 'Comment resolved' : 'Comment reopened', annotation });
+  } catch (error) {
+    console.error('❌ Resolve annotation error:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// DELETE /api/submissions/:id/annotations/:annotationId - Remove a comment and its thread
+router.delete('/:id/annotations/:annotationId', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  param('annotationId').isLength({ min: 1 }).withMessage('Invalid annotation ID')
+], async (req, res) => {
+  try {
+    const loaded = await loadAnnotation(req, res);
+    if (!loaded) return;
+
+    if (!annotationService.canDelete(req.user, loaded.submission, loaded.annotation)) {
+      return res.status(403).json({ error: 'Only the author can delete this comment' });
+    }
+
+    await annotationService.deleteAnnotation(loaded.annotation);
+
+    await auditService.log(req, {
+      action: 'annotation.delete',
+      entityType: 'Annotation',
+      entityId: loaded.annotation.id,
+      before: { submissionId: loaded.submission.id, ...auditService.snapshot(loaded.annotation, ['authorId', 'startOffset', 'endOffset', 'body']) }
+    });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('❌ Delete annotation error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
   }
 });
 
 // ✅ FIXED: PUT /api/submissions/:id/assign-editor - Assign editor to submission
-router.put('/:id/assign-editor', authenticateToken, requireRole(['ADMIN', 'OPERATIONS']), [
+router.put('/:id/assign-editor', authenticateToken, requirePermission('submission.assign_editor'), [
   param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
   body('editorId').isLength({ min: 1 }).withMessage('Valid editor ID required'),
   body('notes').optional().trim()
@@ -410,9 +896,13 @@ router.put('/:id/assign-editor', authenticateToken, requireRole(['ADMIN', 'OPERA
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    // Verify editor exists and has EDITOR role
+    if (!can(req.user, 'submission.assign_editor', submission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Verify editor exists, has EDITOR role and works at the student's school
     const editor = await prisma.user.findFirst({
-      where: { id: editorId, role: 'EDITOR', isActive: true }
+      where: { id: editorId, role: 'EDITOR', isActive: true, organizationId: submission.organizationId }
     });
 
     if (!editor) {
@@ -475,6 +965,21 @@ router.put('/:id/assign-editor', authenticateToken, requireRole(['ADMIN', 'OPERA
       });
     }
 
+    // Only the first assignment is news for parents; reassignments are internal
+    if (!submission.editorId) {
+      parentUpdateService.notifyParentMilestone(id, 'EDITOR_MEETING_SCHEDULED').catch(notifyError => {
+        console.warn('⚠️ Parent update failed (non-blocking):', notifyError.message);
+      });
+    }
+
+    await auditService.log(req, {
+      action: 'submission.assign_editor',
+      entityType: 'Submission',
+      entityId: id,
+      before: { editorId: submission.editorId },
+      after: { editorId, notes: notes || null }
+    });
+
     console.log('✅ Editor assigned successfully:', {
       submissionId: id,
       editorId,
@@ -492,6 +997,29 @@ router.put('/:id/assign-editor', authenticateToken, requireRole(['ADMIN', 'OPERA
   }
 });
 
+// GET /api/submissions/:id/transitions - Stages the current user can move this submission to
+router.get('/:id/transitions', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const transitions = await workflowService.getAvailableTransitions(req.params.id, req.user);
+
+    if (!transitions) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    res.json({ transitions });
+  } catch (error) {
+    console.error('❌ Get transitions error:', error);
+    res.status(500).json({ error: 'Failed to fetch available transitions' });
+  }
+});
+
 // PUT /api/submissions/:id/stage - Update workflow stage
 router.put('/:id/stage', authenticateToken, [
   param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
@@ -515,59 +1043,17 @@ router.put('/:id/stage', authenticateToken, [
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    // Check permissions
-    const canUpdate = 
-      req.user.role === 'ADMIN' ||
-      (req.user.role === 'EDITOR' && submission.editorId === req.user.id) ||
-      (req.user.role === 'OPERATIONS' && ['PDF_REVIEW', 'COVER_APPROVAL'].includes(stage));
-
-    if (!canUpdate) {
-      return res.status(403).json({ error: 'Not authorized to update this stage' });
+    if (!can(req.user, 'submission.change_stage', submission)) {
+      return res.status(403).json({ error: 'Not authorized to change this submission\'s stage' });
     }
 
-    // Update submission stage
-    await prisma.submission.update({
-      where: { id: submission.id },
-      data: { currentStage: stage }
-    });
-
-    // Update current stage to completed
-    await prisma.workflowStage.updateMany({
-      where: {
-        submissionId: submission.id,
-        stageName: submission.currentStage
-      },
-      data: {
-        status: 'completed',
-        completedAt: new Date(),
-        notes
-      }
+    // Transitions, role guards and preconditions are enforced by the workflow engine
+    await workflowService.transition(submission.id, stage, {
+      actor: req.user,
+      notes,
+      req
     });
 
-    // Create new stage if not completed
-    if (stage !== 'COMPLETED') {
-      const stageNumbers = {
-        'ANALYSIS': 1,
-        'PLAGIARISM_REVIEW': 2,
-        'EDITOR_MEETING': 3,
-        'APPROVAL_PROCESS': 4,
-        'PDF_REVIEW': 5,
-        'COVER_APPROVAL': 6,
-        'EVENT_PLANNING': 7
-      };
-
-      await prisma.workflowStage.create({
-        data: {
-          submissionId: submission.id,
-          stageNumber: stageNumbers[stage],
-          stageName: stage,
-          status: 'pending',
-          startedAt: new Date(),
-          assignedUserId: req.user.id
-        }
-      });
-    }
-
     // Send notifications
     if (createNotification) {
       await createNotification({
@@ -580,13 +1066,16 @@ router.put('/:id/stage', authenticateToken, [
 
     res.json({ message: 'Stage updated successfully' });
   } catch (error) {
+    if (error instanceof workflowService.WorkflowError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Update stage error:', error);
     res.status(500).json({ error: 'Failed to update stage' });
   }
 });
 
-// DELETE /api/submissions/:id - Archive submission (soft delete)
-router.delete('/:id', authenticateToken, [
+// GET /api/submissions/:id/approvals - List approvals and what the current stage still needs
+router.get('/:id/approvals', authenticateToken, [
   param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -596,148 +1085,159 @@ router.delete('/:id', authenticateToken, [
 
   try {
     const submission = await prisma.submission.findUnique({
-      where: { id: req.params.id }
+      where: { id: req.params.id },
+      include: {
+        approvals: {
+          include: {
+            user: {
+              select: { id: true, name: true, role: true }
+            }
+          },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
     });
 
     if (!submission) {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    // Check permissions - only student who owns it or admin can archive
-    if (req.user.role !== 'ADMIN' && submission.studentId !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to archive this submission' });
+    if (!can(req.user, 'approval.view', submission)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Archive submission
-    await prisma.submission.update({
-      where: { id: submission.id },
-      data: { isArchived: true }
-    });
+    const approvalStatus = approvalService.getApprovalStatus(submission.currentStage, submission.approvals);
 
-    res.json({ message: 'Submission archived successfully' });
+    res.json({
+      approvals: submission.approvals,
+      currentStage: submission.currentStage,
+      approvalStatus,
+      canRecord: (approvalService.STAGE_APPROVALS[submission.currentStage] || [])
+        .filter(approvalType => approvalService.canRecordApproval(approvalType, req.user, submission))
+    });
   } catch (error) {
-    console.error('Archive submission error:', error);
-    res.status(500).json({ error: 'Failed to archive submission' });
+    console.error('❌ Get approvals error:', error);
+    res.status(500).json({ error: 'Failed to fetch approvals' });
   }
 });
 
-// Background function to handle Claude analysis
-async function analyzeSubmissionAsync(submissionId, content, title, studentName) {
+// POST /api/submissions/:id/approvals - Record an approval decision for the current stage
+router.post('/:id/approvals', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID'),
+  body('approvalType').isIn(['EDITOR_APPROVAL', 'STUDENT_CONFIRMATION', 'ADMIN_FINAL_APPROVAL', 'PDF_APPROVAL', 'COVER_APPROVAL'])
+    .withMessage('Valid approval type required'),
+  body('status').isIn(approvalService.DECISION_STATUSES)
+    .withMessage('Status must be APPROVED, REJECTED or REVISION_NEEDED'),
+  body('comments').optional({ nullable: true }).trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  const { approvalType, status, comments } = req.body;
+
+  if (status !== 'APPROVED' && !comments) {
+    return res.status(400).json({ error: 'Comments are required when rejecting or requesting revisions' });
+  }
+
   try {
-    console.log(`🤖 Starting Claude analysis for submission ${submissionId}`);
-    
-    // Run Claude analysis
-    const analysisResult = await analyzeWithClaude(content, title);
-    
-    // Update submission with analysis results
-    await prisma.submission.update({
-      where: { id: submissionId },
-      data: {
-        analysisResult,
-        currentStage: 'PLAGIARISM_REVIEW'
-      }
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id }
     });
 
-    // Complete analysis stage
-    await prisma.workflowStage.updateMany({
-      where: {
-        submissionId: submissionId,
-        stageName: 'ANALYSIS'
-      },
-      data: {
-        status: 'completed',
-        completedAt: new Date(),
-        notes: 'AI analysis completed successfully'
-      }
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const requiredTypes = approvalService.STAGE_APPROVALS[submission.currentStage];
+    if (!requiredTypes || !requiredTypes.includes(approvalType)) {
+      return res.status(400).json({
+        error: `${approvalType} is not required in the current stage`,
+        currentStage: submission.currentStage,
+        requiredApprovals: requiredTypes || []
+      });
+    }
+
+    if (!approvalService.canRecordApproval(approvalType, req.user, submission)) {
+      return res.status(403).json({ error: 'Not authorized to record this approval' });
+    }
+
+    const result = await approvalService.recordApproval({
+      submission,
+      user: req.user,
+      approvalType,
+      status,
+      comments: comments || null
     });
 
-    // Create plagiarism review stage
-    await prisma.workflowStage.create({
-      data: {
-        submissionId: submissionId,
-        stageNumber: 2,
-        stageName: 'PLAGIARISM_REVIEW',
-        status: 'pending',
-        startedAt: new Date()
-      }
+    await auditService.log(req, {
+      action: 'submission.approval',
+      entityType: 'Submission',
+      entityId: submission.id,
+      after: { approvalId: result.approval.id, approvalType, status, comments: comments || null, outcome: result.outcome }
     });
 
-    // Notify reviewers
-    const reviewers = await prisma.user.findMany({
-      where: { role: 'REVIEWER', isActive: true }
+    res.json({
+      message: 'Approval recorded successfully',
+      approval: result.approval,
+      outcome: result.outcome,
+      currentStage: result.stage,
+      approvalStatus: result.approvalStatus,
+      blockers: result.blockers || []
     });
+  } catch (error) {
+    // A concurrent decision may have moved the submission on already
+    if (error instanceof workflowService.WorkflowError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Record approval error:', error);
+    res.status(500).json({ error: 'Failed to record approval' });
+  }
+});
 
-    if (createNotification) {
-      for (const reviewer of reviewers) {
-        await createNotification({
-          userId: reviewer.id,
-          type: 'ASSIGNMENT',
-          title: 'New Submission for Plagiarism Review',
-          message: `A new submission "${title}" by ${studentName} is ready for plagiarism review.`,
-          metadata: { submissionId }
-        });
-      }
+// DELETE /api/submissions/:id - Archive submission (soft delete)
+router.delete('/:id', authenticateToken, [
+  param('id').isLength({ min: 1 }).withMessage('Invalid submission ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
     }
 
-    console.log(`✅ Claude analysis completed for submission ${submissionId}`);
-  } catch (error) {
-    console.error(`❌ Claude analysis failed for submission ${submissionId}:`, error);
-    
-    // Update submission to show analysis failed
+    // Check permissions - only student who owns it or admin can archive
+    if (!can(req.user, 'submission.archive', submission)) {
+      return res.status(403).json({ error: 'Not authorized to archive this submission' });
+    }
+
+    // Archive submission
     await prisma.submission.update({
-      where: { id: submissionId },
-      data: {
-        analysisResult: {
-          error: 'Analysis failed',
-          fallback_used: true,
-          message: 'AI analysis encountered an error. Please contact support.',
-          timestamp: new Date().toISOString(),
-          overall_score: 75,
-          actionable_feedback: {
-            top_priorities: [
-              'Please contact support for manual analysis',
-              'Your submission is still in the review queue',
-              'No action needed from your side'
-            ],
-            encouragement: 'Your submission has been received and will be reviewed manually.'
-          }
-        }
-      }
+      where: { id: submission.id },
+      data: { isArchived: true }
     });
 
-    // Mark analysis stage as failed but continue workflow
-    await prisma.workflowStage.updateMany({
-      where: {
-        submissionId: submissionId,
-        stageName: 'ANALYSIS'
-      },
-      data: {
-        status: 'completed', // Mark as completed so workflow continues
-        completedAt: new Date(),
-        notes: `Analysis failed but workflow continues: ${error.message}`
-      }
+    await auditService.log(req, {
+      action: 'submission.archive',
+      entityType: 'Submission',
+      entityId: submission.id,
+      before: { isArchived: submission.isArchived },
+      after: { isArchived: true }
     });
 
-    // Still move to plagiarism review stage
-    try {
-      await prisma.submission.update({
-        where: { id: submissionId },
-        data: { currentStage: 'PLAGIARISM_REVIEW' }
-      });
-
-      await prisma.workflowStage.create({
-        data: {
-          submissionId: submissionId,
-          stageNumber: 2,
-          stageName: 'PLAGIARISM_REVIEW',
-          status: 'pending',
-          startedAt: new Date()
-        }
-      });
-    } catch (stageError) {
-      console.error('Failed to create plagiarism review stage:', stageError);
-    }
+    res.json({ message: 'Submission archived successfully' });
+  } catch (error) {
+    console.error('Archive submission error:', error);
+    res.status(500).json({ error: 'Failed to archive submission' });
   }
-}
+});
 
 module.exports = router;
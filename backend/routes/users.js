@@ -4,18 +4,19 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult, param } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('./auth');
+const { can, organizationScope, requirePermission } = require('../services/permissions');
+const organizationService = require('../services/organizationService');
+const parentUpdateService = require('../services/parentUpdateService');
+const { passwordValidator } = require('../services/passwordPolicy');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
+const userImportService = require('../services/userImportService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  next();
-};
-
 // Custom middleware to handle empty strings in optional fields
 const sanitizeOptionalFields = (req, res, next) => {
   // Convert empty strings to undefined for optional fields
@@ -28,13 +29,25 @@ const sanitizeOptionalFields = (req, res, next) => {
   next();
 };
 
-// GET /api/users - Get all users (admin only)
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
-  const { role, search, isActive, page = 1, limit = 50 } = req.query;
+// A user the admin may manage: in their organization, and only a super-admin manages super-admins
+const canManage = (actor, user) =>
+  can(actor, 'user.manage', user) && (user.role !== 'SUPER_ADMIN' || actor.role === 'SUPER_ADMIN');
+
+// Sends an OrganizationError as its status and message; returns false for other errors
+const sendOrganizationError = (res, error) => {
+  if (!(error instanceof organizationService.OrganizationError)) return false;
+  res.status(error.status).json({ error: error.message });
+  return true;
+};
+
+// GET /api/users - Get all users in the admin's organization (admin only; super-admins may filter by organizationId)
+router.get('/', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  const { role, search, isActive, organizationId, page = 1, limit = 50 } = req.query;
   
   try {
-    let whereClause = {};
+    let whereClause = { ...organizationScope(req.user) };
     
+    if (organizationId && req.user.role === 'SUPER_ADMIN') whereClause.organizationId = organizationId;
     if (role) whereClause.role = role;
     if (search) {
       whereClause.OR = [
@@ -57,8 +70,13 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
           grade: true,
           parentEmail: true,
           isActive: true,
+          totpEnabledAt: true,
+          lockedUntil: true,
           createdAt: true,
           updatedAt: true,
+          organization: {
+            select: { id: true, name: true }
+          },
           _count: {
             select: {
               submissions: true,
@@ -90,9 +108,9 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // POST /api/users - Create new user (admin only)
-router.post('/', authenticateToken, requireAdmin, sanitizeOptionalFields, [
+router.post('/', authenticateToken, requirePermission('user.manage'), sanitizeOptionalFields, [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('password').custom(passwordValidator),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('role').isIn(['STUDENT', 'ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS']),
   body('grade').optional({ nullable: true, checkFalsy: true }).trim(),
@@ -100,7 +118,8 @@ router.post('/', authenticateToken, requireAdmin, sanitizeOptionalFields, [
     .optional({ nullable: true, checkFalsy: true })
     .isEmail()
     .normalizeEmail()
-    .withMessage('Parent email must be valid if provided')
+    .withMessage('Parent email must be valid if provided'),
+  body('organizationId').optional({ nullable: true, checkFalsy: true }).isString()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -111,6 +130,9 @@ router.post('/', authenticateToken, requireAdmin, sanitizeOptionalFields, [
   const { email, password, name, role, grade, parentEmail } = req.body;
 
   try {
+    const organizationId = await organizationService.resolveFor(req.user, req.body.organizationId);
+
+
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email }
@@ -133,10 +155,18 @@ router.post('/', authenticateToken, requireAdmin, sanitizeOptionalFields, [
         role,
         grade: grade && grade.trim() ? grade.trim() : null,
         parentEmail: parentEmail && parentEmail.trim() ? parentEmail.trim() : null,
+        organizationId,
         createdById: req.user.id
       }
     });
 
+    await auditService.log(req, {
+      action: 'user.create',
+      entityType: 'User',
+      entityId: user.id,
+      after: auditService.snapshot(user, ['email', 'name', 'role', 'grade', 'parentEmail', 'isActive'])
+    });
+
     console.log('User created successfully:', {
       id: user.id,
       email: user.email,
@@ -154,17 +184,82 @@ router.post('/', authenticateToken, requireAdmin, sanitizeOptionalFields, [
         grade: user.grade,
         parentEmail: user.parentEmail,
         isActive: user.isActive,
+        organizationId: user.organizationId,
         createdAt: user.createdAt
       }
     });
   } catch (error) {
+    if (sendOrganizationError(res, error)) return;
     console.error('Create user error:', error);
     res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
+const csvValidation = [
+  body('csv').isString().isLength({ min: 1, max: 2 * 1024 * 1024 }).withMessage('Upload a CSV file of at most 2 MB'),
+  body('organizationId').optional({ nullable: true, checkFalsy: true }).isString()
+];
+
+// POST /api/users/import/preview - Check a CSV of users row by row without creating anything
+router.post('/import/preview', authenticateToken, requirePermission('user.manage'), csvValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  try {
+    res.json(await userImportService.preview(req.body.csv));
+  } catch (error) {
+    if (error instanceof userImportService.ImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Preview user import error:', error);
+    res.status(500).json({ error: 'Failed to read the import file' });
+  }
+});
+
+// POST /api/users/import - Create every user in a CSV and email each a set-password link; nothing is created if any row is invalid
+router.post('/import', authenticateToken, requirePermission('user.manage'), csvValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  // Exempt from the 25s request timeout in server.js: a full class can take longer to commit, and
+  // a timeout reported while the accounts are still being created would invite a failing retry
+  req.setTimeout(0);
+
+  try {
+    const organizationId = await organizationService.resolveFor(req.user, req.body.organizationId);
+    const result = await userImportService.importUsers(req.body.csv, req, organizationId);
+
+    if (result.summary.invalid > 0) {
+      return res.status(400).json({
+        error: `${result.summary.invalid} row${result.summary.invalid === 1 ? ' has' : 's have'} errors; no users were created`,
+        ...result
+      });
+    }
+
+    res.status(201).json({
+      message: `${result.created.length} users created`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof userImportService.ImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (sendOrganizationError(res, error)) return;
+    // Another request took one of the addresses between the check and the insert
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'One of these emails was just registered. Preview the file again.' });
+    }
+    console.error('User import error:', error);
+    res.status(500).json({ error: 'Failed to import users' });
+  }
+});
+
 // PUT /api/users/:id - Update user (admin only)
-router.put('/:id', authenticateToken, requireAdmin, sanitizeOptionalFields, [
+router.put('/:id', authenticateToken, requirePermission('user.manage'), sanitizeOptionalFields, [
   param('id').isUUID(),
   body('name').optional().trim().isLength({ min: 2 }),
   body('role').optional().isIn(['STUDENT', 'ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS']),
@@ -186,7 +281,7 @@ router.put('/:id', authenticateToken, requireAdmin, sanitizeOptionalFields, [
       where: { id: req.params.id }
     });
 
-    if (!user) {
+    if (!user || !canManage(req.user, user)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
@@ -202,11 +297,30 @@ router.put('/:id', authenticateToken, requireAdmin, sanitizeOptionalFields, [
     if (req.body.grade !== undefined) updateData.grade = req.body.grade && req.body.grade.trim() ? req.body.grade.trim() : null;
     if (req.body.parentEmail !== undefined) updateData.parentEmail = req.body.parentEmail && req.body.parentEmail.trim() ? req.body.parentEmail.trim() : null;
 
+    // A new parent address must not inherit the old one's status link or opt-out
+    if (updateData.parentEmail !== undefined && updateData.parentEmail !== user.parentEmail) {
+      Object.assign(updateData, parentUpdateService.parentEmailChangeData());
+    }
+
     const updatedUser = await prisma.user.update({
       where: { id: req.params.id },
       data: updateData
     });
 
+    await auditService.log(req, {
+      action: 'user.update',
+      entityType: 'User',
+      entityId: user.id,
+      ...auditService.changes(user, updatedUser)
+    });
+
+    // Sessions opened under the old role or before deactivation are signed out
+    if (user.isActive && !updatedUser.isActive) {
+      await sessionService.revokeUserSessions(user.id, 'deactivated');
+    } else if (user.role !== updatedUser.role) {
+      await sessionService.revokeUserSessions(user.id, 'role_change');
+    }
+
     res.json({
       message: 'User updated successfully',
       user: {
@@ -227,7 +341,7 @@ router.put('/:id', authenticateToken, requireAdmin, sanitizeOptionalFields, [
 });
 
 // DELETE /api/users/:id - Delete user (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, [
+router.delete('/:id', authenticateToken, requirePermission('user.manage'), [
   param('id').isUUID()
 ], async (req, res) => {
   try {
@@ -235,7 +349,7 @@ router.delete('/:id', authenticateToken, requireAdmin, [
       where: { id: req.params.id }
     });
 
-    if (!user) {
+    if (!user || !canManage(req.user, user)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
@@ -250,6 +364,16 @@ router.delete('/:id', authenticateToken, requireAdmin, [
       data: { isActive: false }
     });
 
+    await auditService.log(req, {
+      action: 'user.deactivate',
+      entityType: 'User',
+      entityId: user.id,
+      before: { isActive: user.isActive },
+      after: { isActive: false }
+    });
+
+    await sessionService.revokeUserSessions(user.id, 'deactivated');
+
     res.json({ message: 'User deactivated successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -257,8 +381,102 @@ router.delete('/:id', authenticateToken, requireAdmin, [
   }
 });
 
+// GET /api/users/:id/login-history - Recent sign-ins and failed attempts, with lockout state (admin only)
+router.get('/:id/login-history', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, role: true, organizationId: true, failedLoginAttempts: true, lockedUntil: true }
+    });
+
+    if (!user || !canManage(req.user, user)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const events = await loginSecurityService.getHistory(user.id, { limit: 50 });
+
+    res.json({
+      events,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockedUntil: loginSecurityService.lockedUntil(user)
+    });
+  } catch (error) {
+    console.error('Get user login history error:', error);
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+// POST /api/users/:id/unlock - End a lockout before it runs out (admin only)
+router.post('/:id/unlock', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user || !canManage(req.user, user)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await loginSecurityService.unlock(user.id);
+
+    await auditService.log(req, {
+      action: 'user.unlock',
+      entityType: 'User',
+      entityId: user.id,
+      before: { lockedUntil: user.lockedUntil, failedLoginAttempts: user.failedLoginAttempts },
+      after: { lockedUntil: null, failedLoginAttempts: 0 }
+    });
+
+    console.log(`🔓 ${user.email} unlocked by ${req.user.name}`);
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// POST /api/users/:id/reset-2fa - Turn off two-factor for a user who lost their authenticator and recovery codes (admin only)
+// If their role requires two-factor, they set it up again at their next login.
+router.post('/:id/reset-2fa', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user || !canManage(req.user, user)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'Manage your own two-factor authentication from your profile' });
+    }
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not turned on for this user' });
+    }
+
+    await twoFactorService.disable(user.id);
+
+    await auditService.log(req, {
+      action: 'user.2fa_reset',
+      entityType: 'User',
+      entityId: user.id,
+      before: { totpEnabledAt: user.totpEnabledAt },
+      after: { totpEnabledAt: null }
+    });
+
+    await sessionService.revokeUserSessions(user.id, '2fa_reset');
+
+    console.log(`🔓 Two-factor reset for ${user.email} by ${req.user.name}`);
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
 // POST /api/users/assign-editor - Assign editor to student
-router.post('/assign-editor', authenticateToken, requireAdmin, [
+router.post('/assign-editor', authenticateToken, requirePermission('user.manage'), [
   body('studentId').isUUID(),
   body('editorId').isUUID()
 ], async (req, res) => {
@@ -267,8 +485,8 @@ router.post('/assign-editor', authenticateToken, requireAdmin, [
   try {
     // Verify student and editor exist
     const [student, editor] = await Promise.all([
-      prisma.user.findFirst({ where: { id: studentId, role: 'STUDENT' } }),
-      prisma.user.findFirst({ where: { id: editorId, role: 'EDITOR' } })
+      prisma.user.findFirst({ where: { id: studentId, role: 'STUDENT', ...organizationScope(req.user) } }),
+      prisma.user.findFirst({ where: { id: editorId, role: 'EDITOR', ...organizationScope(req.user) } })
     ]);
 
     if (!student) {
@@ -277,9 +495,12 @@ router.post('/assign-editor', authenticateToken, requireAdmin, [
     if (!editor) {
       return res.status(404).json({ error: 'Editor not found' });
     }
+    if (editor.organizationId !== student.organizationId) {
+      return res.status(400).json({ error: 'The editor must be in the student\'s organization' });
+    }
 
     // Create editor assignment
-    await prisma.editorAssignment.create({
+    const assignment = await prisma.editorAssignment.create({
       data: {
         studentId,
         editorId,
@@ -287,6 +508,13 @@ router.post('/assign-editor', authenticateToken, requireAdmin, [
       }
     });
 
+    await auditService.log(req, {
+      action: 'user.assign_editor',
+      entityType: 'User',
+      entityId: studentId,
+      after: { assignmentId: assignment.id, editorId }
+    });
+
     res.json({ message: 'Editor assigned successfully' });
   } catch (error) {
     console.error('Assign editor error:', error);
@@ -17,6 +17,22 @@ const notificationRoutes = require('./routes/notifications');
 const userRoutes = require('./routes/users');
 const reviewRoutes = require('./routes/reviews');
 const healthRoutes = require('./routes/health');
+const jobRoutes = require('./routes/jobs');
+const realtimeRoutes = require('./routes/realtime');
+const slaRoutes = require('./routes/sla');
+const settingsRoutes = require('./routes/settings');
+const auditRoutes = require('./routes/audit');
+const invitationRoutes = require('./routes/invitations');
+const organizationRoutes = require('./routes/organizations');
+const cohortRoutes = require('./routes/cohorts');
+const settingsService = require('./services/settingsService');
+const parentRoutes = require('./routes/parents'); // Also registers the SEND_PARENT_UPDATE job handler
+const { jobQueue } = require('./services/jobQueue');
+require('./services/analysisJobs'); // Registers the ANALYZE_SUBMISSION job handler
+require('./services/similarityJobs'); // Registers the CHECK_SIMILARITY job handler
+require('./services/notificationEmailService'); // Registers the SEND_NOTIFICATION_EMAIL job handler
+const { scheduler } = require('./services/scheduler');
+require('./services/scheduledTasks'); // Registers the recurring tasks
 
 // ✅ CRITICAL: Make sure files route is imported and registered
 const fileRoutes = require('./routes/files');
@@ -78,22 +94,62 @@ app.use(cors({
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
+// Rate limiting, configured in system settings. The store can't change its window, so the
+// limiter is rebuilt (and its counts reset) when an admin changes the window.
+const configurableLimiter = ({ windowKey, limitKey, message, keyGenerator, skipSuccessfulRequests = false }) => {
+  let limiter = null;
+  let limiterWindow = null;
+
+  return async (req, res, next) => {
+    let windowMinutes;
+    try {
+      windowMinutes = await settingsService.get(windowKey);
+    } catch (error) {
+      console.error('❌ Could not load rate limit settings:', error.message);
+      windowMinutes = limiterWindow || settingsService.SETTINGS[windowKey].default;
+    }
+
+    if (!limiter || windowMinutes !== limiterWindow) {
+      limiterWindow = windowMinutes;
+      limiter = rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        limit: () => settingsService.get(limitKey).catch(() => settingsService.SETTINGS[limitKey].default),
+        message,
+        skipSuccessfulRequests,
+        ...(keyGenerator && { keyGenerator })
+      });
+    }
+
+    return limiter(req, res, next);
+  };
+};
+
+const limiter = configurableLimiter({
+  windowKey: 'rateLimit.api.windowMinutes',
+  limitKey: 'rateLimit.api.maxRequests',
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
 
 // Auth rate limiting (stricter)
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5,
-  message: 'Too many authentication attempts, please try again later.'
+// Counted per IP and account, so a school sharing one IP isn't blocked as a whole; guessing
+// one account's password from many IPs is stopped by the per-account lockout instead, and
+// trying one password on many accounts from one IP by the per-IP limit on failed logins.
+const authLimiter = configurableLimiter({
+  windowKey: 'rateLimit.auth.windowMinutes',
+  limitKey: 'rateLimit.auth.maxAttempts',
+  message: 'Too many authentication attempts, please try again later.',
+  keyGenerator: (req) => `${req.ip}:${String(req.body?.email || req.body?.challengeToken || '').toLowerCase()}`
+});
+const loginIpLimiter = configurableLimiter({
+  windowKey: 'rateLimit.auth.windowMinutes',
+  limitKey: 'rateLimit.auth.maxLoginAttemptsPerIp',
+  message: 'Too many failed logins from this IP, please try again later.',
+  skipSuccessfulRequests: true
 });
-app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/login', loginIpLimiter, authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/invitations/accept', authLimiter);
 
 // Logging
 app.use(morgan('combined'));
@@ -144,6 +200,33 @@ console.log('✅ Reviews routes registered');
 app.use('/api/files', fileRoutes);
 console.log('✅ Files routes registered');
 
+app.use('/api/jobs', jobRoutes);
+console.log('✅ Jobs routes registered');
+
+app.use('/api/parent', parentRoutes);
+console.log('✅ Parent routes registered');
+
+app.use('/api/realtime', realtimeRoutes);
+console.log('✅ Realtime routes registered');
+
+app.use('/api/sla', slaRoutes);
+console.log('✅ SLA routes registered');
+
+app.use('/api/settings', settingsRoutes);
+console.log('✅ Settings routes registered');
+
+app.use('/api/audit', auditRoutes);
+console.log('✅ Audit routes registered');
+
+app.use('/api/invitations', invitationRoutes);
+console.log('✅ Invitation routes registered');
+
+app.use('/api/organizations', organizationRoutes);
+console.log('✅ Organization routes registered');
+
+app.use('/api/cohorts', cohortRoutes);
+console.log('✅ Cohort routes registered');
+
 app.use('/health', healthRoutes);
 console.log('✅ Health routes registered');
 
@@ -162,6 +245,7 @@ app.get('/', (req, res) => {
       '/api/notifications',
       '/api/users',
       '/api/reviews',
+      '/api/jobs',
       '/health'
     ]
   });
@@ -237,7 +321,7 @@ app.use((error, req, res, next) => {
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({
       error: 'File too large',
-      maxSize: '10MB'
+      code: 'FILE_TOO_LARGE'
     });
   }
 
@@ -251,12 +335,16 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  scheduler.stop();
+  await jobQueue.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  scheduler.stop();
+  await jobQueue.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -267,6 +355,10 @@ app.listen(PORT, () => {
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
   console.log(`📁 Files endpoint: http://localhost:${PORT}/api/files`);
+
+  // Start the background job worker (also requeues jobs orphaned by a previous restart)
+  jobQueue.start();
+  scheduler.start().catch(error => console.error('❌ Failed to start scheduler:', error));
 });
 
 module.exports = app;
@@ -0,0 +1,167 @@
+// backend/services/analysisHistoryService.js - ANALYSIS RUN HISTORY
+const { PrismaClient } = require('@prisma/client');
+const { claudeService } = require('./claudeService');
+
+const prisma = new PrismaClient();
+
+// Scores compared between runs; AI likelihood is the one where lower is better
+const SCORE_METRICS = [
+  { key: 'overall', label: 'Overall', path: 'overall_score' },
+  { key: 'grammar', label: 'Grammar & Language', path: 'grammar_analysis.score' },
+  { key: 'character_development', label: 'Character Development', path: 'character_development.score' },
+  { key: 'story_structure', label: 'Story Structure', path: 'story_structure.score' },
+  { key: 'tone_consistency', label: 'Tone Consistency', path: 'tone_analysis.tone_consistency' },
+  { key: 'tense_consistency', label: 'Tense Consistency', path: 'tense_consistency.score' },
+  { key: 'engagement', label: 'Engagement', path: 'engagement_level.score' },
+  { key: 'ai_likelihood', label: 'AI Likelihood', path: 'ai_content_detection.likelihood_ai_generated', higherIsBetter: false }
+];
+
+const triggeredByInclude = {
+  triggeredBy: {
+    select: { id: true, name: true, role: true }
+  }
+};
+
+const getPath = (result, path) => {
+  const value = path.split('.').reduce((current, key) => current?.[key], result);
+  return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Store an analysis run and make it the submission's current analysisResult
+ * @param {Object} params
+ * @param {string} params.submissionId - The submission ID
+ * @param {Object} params.result - The analysis JSON
+ * @param {string} params.trigger - What started the run (submission, manual, resubmission)
+ * @param {string} params.triggeredById - User who asked for it; null for automatic runs
+ * @param {number} params.version - Draft version that was analysed
+ */
+async function recordAnalysisRun({ submissionId, result, trigger = 'submission', triggeredById = null, version = null }) {
+  const [run] = await prisma.$transaction([
+    prisma.analysisRun.create({
+      data: {
+        submissionId,
+        result,
+        overallScore: getPath(result, 'overall_score'),
+        model: result.fallback_used ? null : claudeService.model,
+        promptVersion: result.fallback_used ? null : claudeService.promptVersion,
+        fallbackUsed: !!result.fallback_used,
+        cached: !!result.cached,
+        trigger,
+        triggeredById,
+        version
+      }
+    }),
+    prisma.submission.update({
+      where: { id: submissionId },
+      data: { analysisResult: result }
+    })
+  ]);
+
+  return run;
+}
+
+// The fields the history list needs, without the full analysis JSON
+function summarizeRun(run) {
+  const scores = {};
+  SCORE_METRICS.forEach(metric => {
+    scores[metric.key] = getPath(run.result, metric.path);
+  });
+
+  return {
+    id: run.id,
+    createdAt: run.createdAt,
+    model: run.model,
+    promptVersion: run.promptVersion,
+    fallbackUsed: run.fallbackUsed,
+    cached: run.cached,
+    trigger: run.trigger,
+    triggeredBy: run.triggeredBy || null,
+    version: run.version,
+    wordCount: run.result?.word_count ?? null,
+    scores
+  };
+}
+
+/**
+ * List every run for a submission, newest first
+ */
+async function listRuns(submissionId) {
+  const runs = await prisma.analysisRun.findMany({
+    where: { submissionId },
+    orderBy: { createdAt: 'desc' },
+    include: triggeredByInclude
+  });
+
+  return runs.map(summarizeRun);
+}
+
+async function getRun(submissionId, runId) {
+  return prisma.analysisRun.findFirst({
+    where: { id: runId, submissionId },
+    include: triggeredByInclude
+  });
+}
+
+/**
+ * Compare two runs metric by metric
+ * Defaults to the previous run against the latest one
+ * @returns {Promise<Object|null>} null when the runs can't be found
+ */
+async function compareRuns(submissionId, { fromId, toId } = {}) {
+  let from;
+  let to;
+
+  if (fromId && toId) {
+    [from, to] = await Promise.all([getRun(submissionId, fromId), getRun(submissionId, toId)]);
+  } else {
+    const latest = await prisma.analysisRun.findMany({
+      where: { submissionId },
+      orderBy: { createdAt: 'desc' },
+      take: 2,
+      include: triggeredByInclude
+    });
+    [to, from] = latest;
+  }
+
+  if (!from || !to) return null;
+
+  const changes = SCORE_METRICS.map(metric => {
+    const fromValue = getPath(from.result, metric.path);
+    const toValue = getPath(to.result, metric.path);
+    const delta = fromValue !== null && toValue !== null ? toValue - fromValue : null;
+    const improved = delta === null || delta === 0 ? null : (metric.higherIsBetter === false ? delta < 0 : delta > 0);
+
+    return {
+      metric: metric.key,
+      label: metric.label,
+      from: fromValue,
+      to: toValue,
+      delta,
+      improved
+    };
+  });
+
+  const fromPriorities = from.result?.actionable_feedback?.top_priorities || [];
+  const toPriorities = to.result?.actionable_feedback?.top_priorities || [];
+
+  return {
+    from: summarizeRun(from),
+    to: summarizeRun(to),
+    changes,
+    priorities: {
+      resolved: fromPriorities.filter(priority => !toPriorities.includes(priority)),
+      added: toPriorities.filter(priority => !fromPriorities.includes(priority)),
+      unchanged: toPriorities.filter(priority => fromPriorities.includes(priority))
+    }
+  };
+}
+
+module.exports = {
+  SCORE_METRICS,
+  recordAnalysisRun,
+  summarizeRun,
+  listRuns,
+  getRun,
+  compareRuns
+};
@@ -0,0 +1,149 @@
+// backend/services/analysisJobs.js - CLAUDE ANALYSIS AS A QUEUED JOB
+const { PrismaClient } = require('@prisma/client');
+const { analyzeWithClaude } = require('./claudeService');
+const { createNotification } = require('./notificationService');
+const { realtime } = require('./realtimeService');
+const workflowService = require('./workflowService');
+const { jobQueue } = require('./jobQueue');
+const { recordAnalysisRun } = require('./analysisHistoryService');
+
+const prisma = new PrismaClient();
+
+const ANALYZE_SUBMISSION = 'ANALYZE_SUBMISSION';
+
+const loadSubmission = (submissionId) => prisma.submission.findUnique({
+  where: { id: submissionId },
+  include: {
+    student: { select: { id: true, name: true } }
+  }
+});
+
+// Tell whoever asked for a manual re-analysis how it went, over their open streams
+function reportManualRun(job, data) {
+  if (job.payload.trigger !== 'manual' || !job.payload.triggeredById) return;
+  realtime.sendToUser(job.payload.triggeredById, 'submission.analysis', {
+    submissionId: job.payload.submissionId,
+    jobId: job.id,
+    ...data
+  });
+}
+
+// Run Claude on the submission and hand it over to plagiarism review
+async function analyzeSubmission(job) {
+  const { submissionId, trigger = 'submission', triggeredById = null } = job.payload;
+  const submission = await loadSubmission(submissionId);
+
+  if (!submission) {
+    console.warn(`⚠️ Submission ${submissionId} no longer exists, skipping analysis`);
+    return;
+  }
+
+  // Someone moved it on manually while the job was waiting (revised drafts and manual re-runs are
+  // analysed wherever they are)
+  if (submission.currentStage !== 'ANALYSIS' && trigger === 'submission') {
+    console.log(`⏭️ Submission ${submissionId} is already in ${submission.currentStage}, skipping analysis`);
+    return;
+  }
+
+  console.log(`🤖 Starting Claude analysis for submission ${submissionId}`);
+
+  // Let the queue retry real API failures instead of storing a fallback straight away
+  const analysisResult = await analyzeWithClaude(submission.content, submission.title, { fallbackOnError: false });
+
+  const run = await recordAnalysisRun({
+    submissionId,
+    result: analysisResult,
+    trigger,
+    triggeredById,
+    version: submission.currentVersion
+  });
+  reportManualRun(job, { status: 'completed', runId: run.id });
+
+  // Revised drafts and manual re-runs of submissions past analysis stay where they are
+  if (submission.currentStage !== 'ANALYSIS') {
+    console.log(`✅ Claude analysis completed for submission ${submissionId} in ${submission.currentStage}`);
+    return;
+  }
+
+  await workflowService.transition(submissionId, 'PLAGIARISM_REVIEW', {
+    actor: workflowService.SYSTEM_ACTOR,
+    notes: 'AI analysis completed successfully'
+  });
+
+  // Only the reviewers at the student's school
+  const reviewers = await prisma.user.findMany({
+    where: { role: 'REVIEWER', isActive: true, organizationId: submission.organizationId }
+  });
+
+  for (const reviewer of reviewers) {
+    try {
+      await createNotification({
+        userId: reviewer.id,
+        type: 'ASSIGNMENT',
+        title: 'New Submission for Plagiarism Review',
+        message: `A new submission "${submission.title}" by ${submission.student.name} is ready for plagiarism review.`,
+        metadata: { submissionId }
+      });
+    } catch (notificationError) {
+      console.warn('⚠️ Reviewer notification failed (non-blocking):', notificationError.message);
+    }
+  }
+
+  console.log(`✅ Claude analysis completed for submission ${submissionId}`);
+}
+
+// Retries exhausted: store a placeholder result so the workflow is not stuck in ANALYSIS
+async function handleAnalysisFailure(job, error) {
+  const { submissionId } = job.payload;
+  reportManualRun(job, { status: 'failed', error: error.message });
+
+  const submission = await loadSubmission(submissionId);
+  if (!submission || submission.currentStage !== 'ANALYSIS') return;
+
+  await recordAnalysisRun({
+    submissionId,
+    trigger: job.payload.trigger || 'submission',
+    version: submission.currentVersion,
+    result: {
+      error: 'Analysis failed',
+      fallback_used: true,
+      message: 'AI analysis encountered an error. Please contact support.',
+      timestamp: new Date().toISOString(),
+      overall_score: 75,
+      actionable_feedback: {
+        top_priorities: [
+          'Please contact support for manual analysis',
+          'Your submission is still in the review queue',
+          'No action needed from your side'
+        ],
+        encouragement: 'Your submission has been received and will be reviewed manually.'
+      }
+    }
+  });
+
+  await workflowService.transition(submissionId, 'PLAGIARISM_REVIEW', {
+    actor: workflowService.SYSTEM_ACTOR,
+    notes: `Analysis failed after ${job.attempts} attempt(s) but workflow continues: ${error.message}`
+  });
+}
+
+jobQueue.register(ANALYZE_SUBMISSION, {
+  handler: analyzeSubmission,
+  onFailure: handleAnalysisFailure
+});
+
+/**
+ * Queue Claude analysis for a submission
+ * Returns the job already queued instead if there is one.
+ * @param {string} submissionId - The submission ID
+ * @param {string} trigger - submission, resubmission or manual (recorded on the analysis run)
+ * @param {string|null} triggeredById - Who asked for a manual run; told over SSE when it finishes
+ */
+function enqueueAnalysis(submissionId, trigger = 'submission', triggeredById = null) {
+  return jobQueue.enqueue(ANALYZE_SUBMISSION, { submissionId, trigger, triggeredById }, { submissionId });
+}
+
+module.exports = {
+  ANALYZE_SUBMISSION,
+  enqueueAnalysis
+};
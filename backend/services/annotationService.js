@@ -0,0 +1,199 @@
+// backend/services/annotationService.js - COMMENTS ANCHORED TO SUBMISSION TEXT
+const { PrismaClient } = require('@prisma/client');
+const { createNotification } = require('./notificationService');
+const { can } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+const annotationInclude = {
+  author: { select: { id: true, name: true, role: true } },
+  resolvedBy: { select: { id: true, name: true } },
+  replies: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      author: { select: { id: true, name: true, role: true } }
+    }
+  }
+};
+
+/**
+ * Where an annotation's highlight sits in the current content
+ * Annotations from earlier drafts are matched by their quote, nearest to the original offset;
+ * null when the quoted text is gone
+ */
+function locateAnnotation(annotation, submission) {
+  const { content } = submission;
+  const { quote, startOffset, endOffset } = annotation;
+
+  if (content.slice(startOffset, endOffset) === quote) {
+    return { start: startOffset, end: endOffset };
+  }
+
+  let best = null;
+  let index = content.indexOf(quote);
+  while (index !== -1) {
+    if (best === null || Math.abs(index - startOffset) < Math.abs(best - startOffset)) best = index;
+    index = content.indexOf(quote, index + 1);
+  }
+
+  return best === null ? null : { start: best, end: best + quote.length };
+}
+
+const withAnchor = (annotation, submission) => ({
+  ...annotation,
+  anchor: locateAnnotation(annotation, submission),
+  isOutdated: annotation.version !== submission.currentVersion
+});
+
+// Staff comment on the text; students reply to and resolve what they're given
+function canAnnotate(user) {
+  return can(user, 'annotation.create');
+}
+
+function canResolve(user, submission, annotation) {
+  return can(user, 'annotation.resolve', { ...annotation, submission });
+}
+
+function canDelete(user, submission, annotation) {
+  return can(user, 'annotation.delete', { ...annotation, submission });
+}
+
+/**
+ * Every annotation on a submission with its thread, in reading order
+ */
+async function listAnnotations(submission) {
+  const annotations = await prisma.annotation.findMany({
+    where: { submissionId: submission.id },
+    orderBy: [{ startOffset: 'asc' }, { createdAt: 'asc' }],
+    include: annotationInclude
+  });
+
+  return annotations.map(annotation => withAnchor(annotation, submission));
+}
+
+async function getAnnotation(submissionId, annotationId) {
+  return prisma.annotation.findFirst({
+    where: { id: annotationId, submissionId },
+    include: annotationInclude
+  });
+}
+
+// Tell everyone in the thread except the person who just wrote
+async function notifyParticipants(submission, annotation, user, { title, message }) {
+  const recipients = new Set([
+    submission.studentId,
+    annotation.authorId,
+    ...(annotation.replies || []).map(reply => reply.authorId)
+  ]);
+  recipients.delete(user.id);
+
+  for (const userId of recipients) {
+    try {
+      await createNotification({
+        userId,
+        type: 'WORKFLOW_UPDATE',
+        title,
+        message,
+        metadata: { submissionId: submission.id, annotationId: annotation.id }
+      });
+    } catch (notificationError) {
+      console.warn('⚠️ Annotation notification failed (non-blocking):', notificationError.message);
+    }
+  }
+}
+
+/**
+ * Highlight a range of the current draft and comment on it
+ * @param {Object} params
+ * @param {Object} params.submission - Needs id, content, title, studentId and currentVersion
+ * @param {Object} params.user - The commenter
+ * @param {number} params.startOffset - First character of the highlight
+ * @param {number} params.endOffset - Character after the highlight
+ * @param {string} params.body - The comment
+ * @returns {Promise<Object|null>} null when the range is outside the content or only whitespace
+ */
+async function createAnnotation({ submission, user, startOffset, endOffset, body }) {
+  if (endOffset > submission.content.length || startOffset >= endOffset) return null;
+
+  const quote = submission.content.slice(startOffset, endOffset);
+  if (!quote.trim()) return null;
+
+  const annotation = await prisma.annotation.create({
+    data: {
+      submissionId: submission.id,
+      authorId: user.id,
+      version: submission.currentVersion,
+      startOffset,
+      endOffset,
+      quote,
+      body
+    },
+    include: annotationInclude
+  });
+
+  console.log(`💬 Annotation added to submission ${submission.id} by ${user.name}`);
+
+  await notifyParticipants(submission, annotation, user, {
+    title: 'New Comment on Your Submission',
+    message: `${user.name} commented on "${submission.title}": ${body}`
+  });
+
+  return withAnchor(annotation, submission);
+}
+
+async function addReply({ submission, annotation, user, body }) {
+  const reply = await prisma.annotationReply.create({
+    data: {
+      annotationId: annotation.id,
+      authorId: user.id,
+      body
+    },
+    include: {
+      author: { select: { id: true, name: true, role: true } }
+    }
+  });
+
+  // A reply reopens the discussion
+  if (annotation.isResolved) {
+    await prisma.annotation.update({
+      where: { id: annotation.id },
+      data: { isResolved: false, resolvedById: null, resolvedAt: null }
+    });
+  }
+
+  await notifyParticipants(submission, annotation, user, {
+    title: 'New Reply to a Comment',
+    message: `${user.name} replied on "${submission.title}": ${body}`
+  });
+
+  return reply;
+}
+
+async function setResolved({ submission, annotation, user, resolved }) {
+  const updated = await prisma.annotation.update({
+    where: { id: annotation.id },
+    data: resolved
+      ? { isResolved: true, resolvedById: user.id, resolvedAt: new Date() }
+      : { isResolved: false, resolvedById: null, resolvedAt: null },
+    include: annotationInclude
+  });
+
+  return withAnchor(updated, submission);
+}
+
+async function deleteAnnotation(annotation) {
+  return prisma.annotation.delete({ where: { id: annotation.id } });
+}
+
+module.exports = {
+  locateAnnotation,
+  canAnnotate,
+  canResolve,
+  canDelete,
+  listAnnotations,
+  getAnnotation,
+  createAnnotation,
+  addReply,
+  setResolved,
+  deleteAnnotation
+};
@@ -0,0 +1,302 @@
+// backend/services/approvalService.js - MULTI-PARTY APPROVALS
+const { PrismaClient } = require('@prisma/client');
+const { createNotification } = require('./notificationService');
+const workflowService = require('./workflowService');
+const { markRevisionRequested } = require('./revisionService');
+const { can } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+// Approvals each gated stage needs before it can advance
+const STAGE_APPROVALS = {
+  APPROVAL_PROCESS: ['EDITOR_APPROVAL', 'STUDENT_CONFIRMATION', 'ADMIN_FINAL_APPROVAL'],
+  PDF_REVIEW: ['PDF_APPROVAL'],
+  COVER_APPROVAL: ['COVER_APPROVAL']
+};
+
+// Where a gated stage goes once all approvals are in
+const NEXT_STAGE = {
+  APPROVAL_PROCESS: 'PDF_REVIEW',
+  PDF_REVIEW: 'COVER_APPROVAL',
+  COVER_APPROVAL: 'EVENT_PLANNING'
+};
+
+// Where a gated stage goes when any party asks for revisions
+const REVISION_STAGE = {
+  APPROVAL_PROCESS: 'EDITOR_MEETING',
+  PDF_REVIEW: 'APPROVAL_PROCESS',
+  COVER_APPROVAL: 'PDF_REVIEW'
+};
+
+const DECISION_STATUSES = ['APPROVED', 'REJECTED', 'REVISION_NEEDED'];
+
+// Permission (see permissions.js) needed to record each approval type
+const APPROVAL_PERMISSIONS = {
+  EDITOR_APPROVAL: 'approval.editor',
+  STUDENT_CONFIRMATION: 'approval.student_confirmation',
+  ADMIN_FINAL_APPROVAL: 'approval.admin_final',
+  PDF_APPROVAL: 'approval.files',
+  COVER_APPROVAL: 'approval.files'
+};
+
+const formatStage = (stage) => stage.replace(/_/g, ' ').toLowerCase();
+
+/**
+ * Check whether a user is one of the parties allowed to record an approval type
+ * @param {string} approvalType - The ApprovalType being recorded
+ * @param {Object} user - The authenticated user (req.user)
+ * @param {Object} submission - The submission being approved
+ */
+function canRecordApproval(approvalType, user, submission) {
+  const permission = APPROVAL_PERMISSIONS[approvalType];
+  return !!permission && can(user, permission, submission);
+}
+
+/**
+ * Summarise the approvals required for a stage
+ * A type is satisfied once someone approved it and nobody has an open objection
+ * @param {string} stage - The SubmissionStage to evaluate
+ * @param {Array} approvals - Approval rows for the submission
+ */
+function getApprovalStatus(stage, approvals) {
+  const requiredTypes = STAGE_APPROVALS[stage] || [];
+
+  const requirements = requiredTypes.map((approvalType) => {
+    const decisions = approvals.filter(approval => approval.approvalType === approvalType);
+    const approved = decisions.some(approval => approval.status === 'APPROVED');
+    const blocked = decisions.some(approval => ['REJECTED', 'REVISION_NEEDED'].includes(approval.status));
+
+    return {
+      approvalType,
+      status: blocked ? 'BLOCKED' : approved ? 'APPROVED' : 'PENDING',
+      decisions
+    };
+  });
+
+  return {
+    stage,
+    requiresApproval: requiredTypes.length > 0,
+    isComplete: requirements.length > 0 && requirements.every(req => req.status === 'APPROVED'),
+    missing: requirements.filter(req => req.status !== 'APPROVED').map(req => req.approvalType),
+    requirements
+  };
+}
+
+/**
+ * Put every approval for a stage back to PENDING so a new round starts clean
+ */
+async function resetApprovals(tx, submissionId, stage) {
+  await tx.approval.updateMany({
+    where: {
+      submissionId,
+      approvalType: { in: STAGE_APPROVALS[stage] || [] }
+    },
+    data: {
+      status: 'PENDING',
+      approvedAt: null
+    }
+  });
+}
+
+/**
+ * Notify the parties whose approval is needed for the submission's current stage
+ * @param {Object} submission - Submission with currentStage, studentId, editorId and organizationId
+ */
+async function requestApprovals(submission) {
+  const requiredTypes = STAGE_APPROVALS[submission.currentStage];
+  if (!requiredTypes) return;
+
+  const recipients = new Set();
+
+  for (const approvalType of requiredTypes) {
+    if (['STUDENT_CONFIRMATION', 'PDF_APPROVAL', 'COVER_APPROVAL'].includes(approvalType)) {
+      recipients.add(submission.studentId);
+    }
+    if (approvalType === 'EDITOR_APPROVAL' && submission.editorId) {
+      recipients.add(submission.editorId);
+    }
+    if (approvalType === 'ADMIN_FINAL_APPROVAL') {
+      const admins = await prisma.user.findMany({
+        where: { role: 'ADMIN', isActive: true, organizationId: submission.organizationId },
+        select: { id: true }
+      });
+      admins.forEach(admin => recipients.add(admin.id));
+    }
+  }
+
+  for (const userId of recipients) {
+    try {
+      await createNotification({
+        userId,
+        type: 'APPROVAL_REQUEST',
+        title: 'Approval Needed',
+        message: `"${submission.title}" is in ${formatStage(submission.currentStage)} and is waiting for your approval.`,
+        metadata: { submissionId: submission.id, stage: submission.currentStage }
+      });
+    } catch (notificationError) {
+      console.warn('⚠️ Approval request notification failed (non-blocking):', notificationError.message);
+    }
+  }
+}
+
+/**
+ * Record one party's decision and advance or send back the submission when warranted
+ * @param {Object} params
+ * @param {Object} params.submission - The submission (must be in a gated stage)
+ * @param {Object} params.user - The authenticated user making the decision
+ * @param {string} params.approvalType - The ApprovalType being decided
+ * @param {string} params.status - APPROVED, REJECTED or REVISION_NEEDED
+ * @param {string} params.comments - Optional comments from the approver
+ * @returns {Promise<{approval: Object, outcome: string, stage: string, approvalStatus: Object}>}
+ */
+async function recordApproval({ submission, user, approvalType, status, comments = null }) {
+  const stage = submission.currentStage;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const approval = await tx.approval.upsert({
+      where: {
+        submissionId_userId_approvalType: {
+          submissionId: submission.id,
+          userId: user.id,
+          approvalType
+        }
+      },
+      update: {
+        status,
+        comments,
+        approvedAt: status === 'APPROVED' ? new Date() : null
+      },
+      create: {
+        submissionId: submission.id,
+        userId: user.id,
+        approvalType,
+        status,
+        comments,
+        approvedAt: status === 'APPROVED' ? new Date() : null
+      },
+      include: {
+        user: { select: { id: true, name: true, role: true } }
+      }
+    });
+
+    const approvals = await tx.approval.findMany({
+      where: {
+        submissionId: submission.id,
+        approvalType: { in: STAGE_APPROVALS[stage] }
+      }
+    });
+
+    const approvalStatus = getApprovalStatus(stage, approvals);
+
+    if (status === 'REVISION_NEEDED') {
+      const transitionResult = await workflowService.transition(submission.id, REVISION_STAGE[stage], {
+        actor: workflowService.SYSTEM_ACTOR,
+        notes: `Revision requested by ${user.name}${comments ? `: ${comments}` : ''}`,
+        tx
+      });
+
+      // Content changes go back to the editor meeting, where the student can upload a new draft
+      if (transitionResult.toStage === 'EDITOR_MEETING') {
+        await markRevisionRequested(tx, submission.id, comments);
+      }
+      return { approval, outcome: 'sent_back', stage: transitionResult.toStage, approvalStatus, transitionResult };
+    }
+
+    if (approvalStatus.isComplete) {
+      const toStage = NEXT_STAGE[stage];
+      const evaluation = await workflowService.canTransition(submission.id, toStage, workflowService.SYSTEM_ACTOR, tx);
+
+      // Approvals are in but something else (e.g. an unapproved file) still blocks the move
+      if (!evaluation.allowed) {
+        return { approval, outcome: 'pending', stage, approvalStatus, blockers: evaluation.failedPreconditions };
+      }
+
+      const transitionResult = await workflowService.transition(submission.id, toStage, {
+        actor: workflowService.SYSTEM_ACTOR,
+        notes: `All ${formatStage(stage)} approvals received`,
+        tx
+      });
+      return { approval, outcome: 'advanced', stage: toStage, approvalStatus, transitionResult };
+    }
+
+    return { approval, outcome: 'pending', stage, approvalStatus };
+  });
+
+  console.log(`✅ ${approvalType} recorded as ${status} for submission ${submission.id}:`, {
+    userId: user.id,
+    outcome: result.outcome,
+    stage: result.stage
+  });
+
+  try {
+    if (result.outcome === 'sent_back') {
+      await createNotification({
+        userId: submission.studentId,
+        type: 'WORKFLOW_UPDATE',
+        title: 'Revision Requested',
+        message: `${user.name} requested revisions to "${submission.title}". It has moved back to ${formatStage(result.stage)}.${comments ? ` Note: ${comments}` : ''}`,
+        metadata: { submissionId: submission.id, approvalType }
+      });
+      if (submission.editorId && submission.editorId !== user.id) {
+        await createNotification({
+          userId: submission.editorId,
+          type: 'WORKFLOW_UPDATE',
+          title: 'Revision Requested',
+          message: `${user.name} requested revisions to "${submission.title}" during ${formatStage(stage)}.`,
+          metadata: { submissionId: submission.id, approvalType }
+        });
+      }
+    } else if (result.outcome === 'advanced') {
+      await createNotification({
+        userId: submission.studentId,
+        type: 'WORKFLOW_UPDATE',
+        title: 'Approvals Complete',
+        message: `All approvals for "${submission.title}" are in. It has moved to ${formatStage(result.stage)}.`,
+        metadata: { submissionId: submission.id }
+      });
+    }
+
+    if (result.transitionResult) {
+      await workflowService.runStageHooks(result.transitionResult);
+    }
+  } catch (notificationError) {
+    console.warn('⚠️ Approval notification failed (non-blocking):', notificationError.message);
+  }
+
+  return result;
+}
+
+/**
+ * Advance a gated stage whose approvals were already complete but was waiting on
+ * something else, such as the PDF or cover file being approved
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<Object|null>} The transition result, or null if nothing moved
+ */
+async function advanceIfReady(submissionId) {
+  const submission = await prisma.submission.findUnique({
+    where: { id: submissionId },
+    select: { currentStage: true }
+  });
+
+  const toStage = submission && NEXT_STAGE[submission.currentStage];
+  if (!toStage) return null;
+
+  const evaluation = await workflowService.canTransition(submissionId, toStage, workflowService.SYSTEM_ACTOR);
+  if (!evaluation.allowed) return null;
+
+  return workflowService.transition(submissionId, toStage, {
+    actor: workflowService.SYSTEM_ACTOR,
+    notes: `All ${formatStage(submission.currentStage)} requirements met`
+  });
+}
+
+module.exports = {
+  STAGE_APPROVALS,
+  DECISION_STATUSES,
+  canRecordApproval,
+  getApprovalStatus,
+  resetApprovals,
+  requestApprovals,
+  recordApproval,
+  advanceIfReady
+};
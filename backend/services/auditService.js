@@ -0,0 +1,223 @@
+// backend/services/auditService.js - APPEND-ONLY AUDIT TRAIL
+// Entries are only ever created; nothing in the app updates or deletes them.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Never copied into the log
+const SECRET_FIELDS = [
+  'passwordHash',
+  'resetPasswordToken',
+  'resetPasswordExpires',
+  'parentAccessToken',
+  'totpSecret',
+  'totpPendingSecret',
+  'totpRecoveryCodes'
+];
+// Too large to copy; the log keeps their length instead
+const LARGE_FIELDS = ['content', 'extractedText', 'analysisResult', 'plagiarismReport'];
+// Bookkeeping that changes on every write
+const IGNORED_FIELDS = ['updatedAt'];
+
+const MAX_EXPORT_ROWS = 10000;
+
+const summarize = (key, value) => {
+  if (value == null) return value;
+  if (SECRET_FIELDS.includes(key)) return '[redacted]';
+  if (LARGE_FIELDS.includes(key)) {
+    const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+    return `[${length} characters]`;
+  }
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Copy of the given fields of a record, safe to store in the log
+ * @param {Object} entity - e.g. a Prisma row
+ * @param {string[]} fields - Fields to keep; all scalar fields when omitted
+ */
+function snapshot(entity, fields = null) {
+  if (!entity) return null;
+
+  const keys = fields || Object.keys(entity).filter(key => {
+    const value = entity[key];
+    return !IGNORED_FIELDS.includes(key) && (value === null || typeof value !== 'object' || value instanceof Date);
+  });
+
+  return Object.fromEntries(keys.map(key => [key, summarize(key, entity[key])]));
+}
+
+/**
+ * Fields that differ between two versions of a record
+ * @returns {{ before: Object, after: Object }} Only the changed fields on each side
+ */
+function changes(before, after) {
+  const previous = snapshot(before) || {};
+  const next = snapshot(after) || {};
+  const diff = { before: {}, after: {} };
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(key => {
+    const from = previous[key] ?? null;
+    const to = next[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff.before[key] = from;
+      diff.after[key] = to;
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Record a change
+ * @param {Object} entry
+ * @param {Object} entry.actor - User making the change (req.user); omit for system actions
+ * @param {string} entry.action - e.g. settings.update
+ * @param {string} entry.entityType - e.g. SystemConfig
+ * @param {string} entry.entityId - e.g. the setting key
+ * @param {*} entry.before - State before the change
+ * @param {*} entry.after - State after the change
+ * @param {Object} entry.req - Express request, for IP and user agent
+ * @param {Object} entry.tx - Prisma transaction client, so the entry commits with the change
+ */
+async function record({ actor = null, action, entityType, entityId = null, before = null, after = null, req = null, tx = null }) {
+  const client = tx || prisma;
+
+  return client.auditLog.create({
+    data: {
+      actorId: actor?.id || null,
+      action,
+      entityType,
+      entityId: entityId != null ? String(entityId) : null,
+      before: before ?? undefined,
+      after: after ?? undefined,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('user-agent')?.slice(0, 500) || null
+    }
+  });
+}
+
+/**
+ * Record an action taken through the API, after it has happened
+ * A failure here is logged rather than failing a request whose change is already saved.
+ */
+async function log(req, entry) {
+  try {
+    return await record({ actor: req.user, req, ...entry });
+  } catch (error) {
+    console.error(`❌ Failed to write audit entry ${entry.action}:`, error);
+    return null;
+  }
+}
+
+// Where clause for the viewer and export filters; organizationId limits it to actors in that organization
+function buildWhere({ actorId, action, entityType, entityId, from, to, search, organizationId } = {}) {
+  const where = {};
+  if (organizationId !== undefined) where.actor = { organizationId };
+  if (actorId) where.actorId = actorId;
+  if (action) where.action = action;
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lte = new Date(to);
+  }
+  if (search) {
+    where.OR = [
+      { actor: { name: { contains: search, mode: 'insensitive' } } },
+      { actor: { email: { contains: search, mode: 'insensitive' } } },
+      { entityId: { contains: search } },
+      { ipAddress: { contains: search } }
+    ];
+  }
+  return where;
+}
+
+const actorSelect = { select: { id: true, name: true, email: true, role: true } };
+
+/**
+ * A page of entries, newest first
+ */
+async function list(filters = {}, { page = 1, limit = 50 } = {}) {
+  const where = buildWhere(filters);
+
+  const [entries, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      include: { actor: actorSelect },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.auditLog.count({ where })
+  ]);
+
+  return { entries, total };
+}
+
+/**
+ * Actions and entity types that appear in the log, for the viewer's filter lists
+ * @param {string|null} organizationId - Only entries by the organization's people; omit for all
+ */
+async function getFacets({ organizationId } = {}) {
+  const where = buildWhere({ organizationId });
+  const [actions, entityTypes] = await Promise.all([
+    prisma.auditLog.groupBy({ by: ['action'], where, orderBy: { action: 'asc' } }),
+    prisma.auditLog.groupBy({ by: ['entityType'], where, orderBy: { entityType: 'asc' } })
+  ]);
+
+  return {
+    actions: actions.map(row => row.action),
+    entityTypes: entityTypes.map(row => row.entityType)
+  };
+}
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  // Quote everything; a leading = + - @ is prefixed so spreadsheets don't run it as a formula
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Matching entries as CSV, newest first, capped at MAX_EXPORT_ROWS
+ */
+async function exportCsv(filters = {}) {
+  const entries = await prisma.auditLog.findMany({
+    where: buildWhere(filters),
+    include: { actor: actorSelect },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_EXPORT_ROWS
+  });
+
+  const header = ['Time', 'Actor', 'Actor email', 'Actor role', 'Action', 'Entity type', 'Entity ID', 'Before', 'After', 'IP address', 'User agent'];
+  const rows = entries.map(entry => [
+    entry.createdAt.toISOString(),
+    entry.actor?.name || 'System',
+    entry.actor?.email,
+    entry.actor?.role,
+    entry.action,
+    entry.entityType,
+    entry.entityId,
+    entry.before,
+    entry.after,
+    entry.ipAddress,
+    entry.userAgent
+  ].map(csvCell).join(','));
+
+  return [header.map(csvCell).join(','), ...rows].join('\r\n');
+}
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  snapshot,
+  changes,
+  record,
+  log,
+  list,
+  getFacets,
+  exportCsv
+};
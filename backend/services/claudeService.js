@@ -1,13 +1,42 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const settingsService = require('./settingsService');
+
+const prisma = new PrismaClient();
+
+// Bump whenever the analysis prompts or result shape change so stale cached results aren't served
+const PROMPT_VERSION = '2';
+const CACHE_TTL_DAYS = parseInt(process.env.ANALYSIS_CACHE_TTL_DAYS, 10) || 30;
+
+// Lines treated as the start of a new chapter/section when chunking long manuscripts
+const SECTION_HEADING = /^(?:#{1,3}\s+\S.*|(?:chapter|part|book|section|act)\s+(?:\d+|[ivxlc]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty)\b.*|prologue|epilogue|interlude|afterword)$/i;
 
 class ClaudeService {
   constructor() {
     this.apiKey = process.env.ANTHROPIC_API_KEY;
     this.baseURL = 'https://api.anthropic.com/v1';
-    this.model = 'claude-3-5-sonnet-20241022';
-    this.cache = new Map(); // Simple in-memory cache
+    this.model = settingsService.SETTINGS['ai.model'].default; // Both kept current by applySettings()
+    this.maxTokens = settingsService.SETTINGS['ai.maxTokens'].default;
+    this.promptVersion = PROMPT_VERSION;
+    this.cacheTtlMs = CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+    this.cache = new Map(); // In-memory layer in front of the analysis_cache table
     this.maxCacheSize = 1000;
+    this.cacheStats = { memoryHits: 0, databaseHits: 0, misses: 0, writes: 0, errors: 0 };
+    this.chunkSize = 12000; // Target characters per Claude call
+    this.maxChunks = 16; // Chunks grow past chunkSize rather than exceed this
+    this.chunkConcurrency = 2;
+  }
+
+  // Pick up the model and max_tokens from system settings
+  async applySettings() {
+    const settings = await settingsService.getMany(['ai.model', 'ai.maxTokens']);
+    if (settings['ai.model'] !== this.model) {
+      // The memory cache isn't keyed by model, unlike the analysis_cache table
+      this.cache.clear();
+      this.model = settings['ai.model'];
+    }
+    this.maxTokens = settings['ai.maxTokens'];
   }
 
   // Generate cache key for content
@@ -17,40 +46,205 @@ class ClaudeService {
     return hash.digest('hex');
   }
 
-  // Check cache for existing analysis
-  getFromCache(cacheKey) {
-    return this.cache.get(cacheKey);
+  // Check cache for existing analysis - memory first, then the database
+  async getFromCache(cacheKey) {
+    const memoryEntry = this.cache.get(cacheKey);
+    if (memoryEntry && memoryEntry.expiresAt > Date.now()) {
+      this.cacheStats.memoryHits++;
+      return memoryEntry.analysis;
+    }
+    this.cache.delete(cacheKey);
+
+    try {
+      const entry = await prisma.analysisCache.findUnique({
+        where: {
+          cacheKey_model_promptVersion: {
+            cacheKey,
+            model: this.model,
+            promptVersion: this.promptVersion
+          }
+        }
+      });
+
+      if (!entry || entry.expiresAt <= new Date()) {
+        this.cacheStats.misses++;
+        return null;
+      }
+
+      await prisma.analysisCache.update({
+        where: { id: entry.id },
+        data: { hitCount: { increment: 1 }, lastHitAt: new Date() }
+      });
+
+      this.cacheStats.databaseHits++;
+      this.remember(cacheKey, entry.result, entry.expiresAt.getTime());
+      return entry.result;
+    } catch (error) {
+      // A cache problem should never block an analysis
+      this.cacheStats.errors++;
+      this.cacheStats.misses++;
+      console.warn('Analysis cache lookup failed:', error.message);
+      return null;
+    }
   }
 
-  // Store analysis in cache
-  setCache(cacheKey, analysis) {
-    // Implement simple LRU by removing oldest entries
+  // Keep an entry in the in-memory layer, evicting the oldest when full
+  remember(cacheKey, analysis, expiresAt) {
     if (this.cache.size >= this.maxCacheSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
     }
-    this.cache.set(cacheKey, {
+    this.cache.set(cacheKey, { analysis, expiresAt });
+  }
+
+  // Store analysis in cache
+  async setCache(cacheKey, analysis) {
+    const expiresAt = new Date(Date.now() + this.cacheTtlMs);
+    const cachedAnalysis = {
       ...analysis,
       cached: true,
       cachedAt: new Date()
-    });
+    };
+
+    this.remember(cacheKey, cachedAnalysis, expiresAt.getTime());
+
+    try {
+      await prisma.analysisCache.upsert({
+        where: {
+          cacheKey_model_promptVersion: {
+            cacheKey,
+            model: this.model,
+            promptVersion: this.promptVersion
+          }
+        },
+        update: { result: cachedAnalysis, expiresAt },
+        create: {
+          cacheKey,
+          model: this.model,
+          promptVersion: this.promptVersion,
+          result: cachedAnalysis,
+          expiresAt
+        }
+      });
+      this.cacheStats.writes++;
+    } catch (error) {
+      this.cacheStats.errors++;
+      console.warn('Analysis cache write failed:', error.message);
+    }
   }
 
   // Preprocess content to optimize tokens
+  // Long manuscripts are chunked by buildChunks() first, so nothing is truncated here
   preprocessContent(content) {
     // Remove excessive whitespace
-    let processed = content.replace(/\s+/g, ' ').trim();
-    
-    // Limit content length (keep first 8000 characters for analysis)
-    if (processed.length > 8000) {
-      processed = processed.substring(0, 8000) + '... [content truncated for analysis]';
+    return content.replace(/\s+/g, ' ').trim();
+  }
+
+  // Split a manuscript at chapter/section headings, keeping character offsets into the original
+  splitIntoSections(content) {
+    const sections = [];
+    let current = null;
+    let offset = 0;
+
+    for (const line of content.split('\n')) {
+      const trimmed = line.trim();
+      const isHeading = trimmed.length > 0 && trimmed.length <= 100 && SECTION_HEADING.test(trimmed);
+
+      if (isHeading || !current) {
+        if (current) sections.push(current);
+        current = {
+          label: isHeading ? trimmed.replace(/^#+\s*/, '') : 'Opening',
+          start: offset,
+          end: offset
+        };
+      }
+
+      offset += line.length + 1;
+      current.end = Math.min(offset, content.length);
     }
-    
-    return processed;
+    if (current) sections.push(current);
+
+    const withText = sections.filter(section => content.slice(section.start, section.end).trim().length > 0);
+
+    // No headings found - the whole text is one section
+    if (withText.length === 1 && withText[0].label === 'Opening') {
+      withText[0].label = 'Full text';
+    }
+
+    return withText;
+  }
+
+  // Break a range that is too long at paragraph, then sentence, then word boundaries
+  splitRange(content, start, end, maxLength) {
+    const ranges = [];
+
+    while (end - start > maxLength) {
+      const window = content.slice(start, start + maxLength);
+      const minCut = Math.floor(maxLength / 2);
+
+      let cut = window.lastIndexOf('\n\n');
+      if (cut < minCut) {
+        cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? ')) + 1;
+      }
+      if (cut < minCut) {
+        cut = window.lastIndexOf(' ');
+      }
+      if (cut < minCut) {
+        cut = maxLength;
+      }
+
+      ranges.push({ start, end: start + cut });
+      start += cut;
+    }
+
+    ranges.push({ start, end });
+    return ranges;
+  }
+
+  /**
+   * Group sections into chunks small enough for one Claude call each
+   * Long sections are split into parts; short neighbouring sections share a chunk
+   */
+  buildChunks(content) {
+    const maxLength = Math.max(this.chunkSize, Math.ceil(content.length / this.maxChunks));
+    const pieces = [];
+
+    for (const section of this.splitIntoSections(content)) {
+      const ranges = this.splitRange(content, section.start, section.end, maxLength);
+      ranges.forEach((range, idx) => {
+        pieces.push({
+          ...range,
+          sections: [section.label],
+          label: ranges.length > 1 ? `${section.label} (part ${idx + 1} of ${ranges.length})` : section.label
+        });
+      });
+    }
+
+    const chunks = [];
+    for (const piece of pieces) {
+      const last = chunks[chunks.length - 1];
+      if (last && piece.end - last.start <= maxLength) {
+        last.end = piece.end;
+        last.labels.push(piece.label);
+        last.sections.push(...piece.sections.filter(label => !last.sections.includes(label)));
+      } else {
+        chunks.push({ start: piece.start, end: piece.end, labels: [piece.label], sections: [...piece.sections] });
+      }
+    }
+
+    return chunks.map((chunk, index) => ({
+      index,
+      start: chunk.start,
+      end: chunk.end,
+      sections: chunk.sections,
+      label: chunk.labels.length > 1 ? `${chunk.labels[0]} – ${chunk.labels[chunk.labels.length - 1]}` : chunk.labels[0],
+      text: content.slice(chunk.start, chunk.end)
+    }));
   }
 
   // Create comprehensive analysis prompt
-  createAnalysisPrompt(content, title) {
+  // context is prepended for chunked analysis so Claude knows it is reading one part of a longer work
+  createAnalysisPrompt(content, title, context = '') {
     return `Please analyze this student writing submission comprehensively. Provide your analysis in JSON format with the following structure:
 
 {
@@ -107,7 +301,7 @@ class ClaudeService {
   "reading_level": "<grade level>",
   "genre_classification": "<detected genre>"
 }
-
+${context ? `\n${context}\n` : ''}
 **Title:** ${title}
 
 **Content to analyze:**
@@ -123,7 +317,7 @@ Please be thorough but constructive in your feedback, focusing on helping the st
         `${this.baseURL}/messages`,
         {
           model: this.model,
-          max_tokens: 4000,
+          max_tokens: this.maxTokens,
           messages: [
             {
               role: 'user',
@@ -254,42 +448,262 @@ Please be thorough but constructive in your feedback, focusing on helping the st
     };
   }
 
+  // Analyse one chunk of a long manuscript (cached separately so job retries only redo what failed)
+  async analyzeChunk(chunk, title, totalChunks) {
+    const cacheKey = this.generateCacheKey(chunk.text, `${title}#chunk`);
+    const cachedResult = await this.getFromCache(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    const context = `This is part ${chunk.index + 1} of ${totalChunks} of a longer manuscript, covering: ${chunk.label}. ` +
+      'Analyse this part on its own merits. For story structure, judge how well this part works within a larger work ' +
+      'rather than expecting a complete beginning, middle and end. Report word_count for this part only.';
+
+    const prompt = this.createAnalysisPrompt(this.preprocessContent(chunk.text), title, context);
+    const response = await this.callClaudeAPI(prompt);
+    const analysis = this.parseClaudeResponse(response);
+
+    await this.setCache(cacheKey, analysis);
+    return analysis;
+  }
+
+  // Ask Claude for one overall analysis of the manuscript from the per-section results
+  async synthesizeAnalyses(title, sectionResults) {
+    const sectionSummaries = sectionResults.map(({ chunk, analysis }) => JSON.stringify({
+      section: chunk.label,
+      overall_score: analysis.overall_score,
+      grammar: { score: analysis.grammar_analysis.score, issues: analysis.grammar_analysis.specific_issues },
+      character_development: analysis.character_development,
+      story_structure: analysis.story_structure,
+      tone: analysis.tone_analysis,
+      tense: analysis.tense_consistency,
+      ai_content_detection: {
+        likelihood_ai_generated: analysis.ai_content_detection.likelihood_ai_generated,
+        reasoning: analysis.ai_content_detection.reasoning
+      },
+      engagement: analysis.engagement_level,
+      priorities: analysis.actionable_feedback.top_priorities
+    })).join('\n');
+
+    const prompt = this.createAnalysisPrompt(
+      `[The full manuscript was analysed in ${sectionResults.length} parts. Section analyses follow, in reading order.]\n${sectionSummaries}`,
+      title,
+      'Combine the section analyses below into ONE analysis of the whole manuscript. Weigh longer sections more, ' +
+      'judge story structure across the whole work (beginning in the first sections, ending in the last), ' +
+      'and make the actionable feedback about the manuscript as a whole. Use the same JSON structure.'
+    );
+
+    const response = await this.callClaudeAPI(prompt);
+    return this.parseClaudeResponse(response);
+  }
+
+  // Combine section analyses without Claude - used when the synthesis call fails
+  mergeSectionAnalyses(sectionResults) {
+    const weights = sectionResults.map(({ chunk }) => chunk.end - chunk.start);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+    const get = (analysis, path) => path.split('.').reduce((value, key) => value?.[key], analysis);
+    const values = (path) => sectionResults.map(({ analysis }) => get(analysis, path));
+
+    const average = (path) => Math.round(
+      values(path).reduce((sum, value, idx) => sum + (Number(value) || 0) * weights[idx], 0) / totalWeight
+    );
+    const total = (path) => values(path).reduce((sum, value) => sum + (Number(value) || 0), 0);
+    const collect = (path, limit = 5) => [...new Set(values(path).flatMap(value => value || []))].slice(0, limit);
+    const mostCommon = (path) => {
+      const counts = {};
+      values(path).filter(Boolean).forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+      return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || 'To be determined';
+    };
+    const bySection = (path) => sectionResults
+      .filter(({ analysis }) => get(analysis, path))
+      .map(({ chunk, analysis }) => `${chunk.label}: ${get(analysis, path)}`)
+      .join(' ');
+    const first = sectionResults[0].analysis;
+    const last = sectionResults[sectionResults.length - 1].analysis;
+
+    return {
+      overall_score: average('overall_score'),
+      grammar_analysis: {
+        score: average('grammar_analysis.score'),
+        errors_found: total('grammar_analysis.errors_found'),
+        specific_issues: collect('grammar_analysis.specific_issues'),
+        suggestions: collect('grammar_analysis.suggestions')
+      },
+      character_development: {
+        score: average('character_development.score'),
+        strengths: collect('character_development.strengths'),
+        areas_for_improvement: collect('character_development.areas_for_improvement'),
+        feedback: bySection('character_development.feedback')
+      },
+      story_structure: {
+        score: average('story_structure.score'),
+        has_clear_beginning: !!first.story_structure?.has_clear_beginning,
+        has_developed_middle: values('story_structure.has_developed_middle').filter(Boolean).length >= sectionResults.length / 2,
+        has_satisfying_ending: !!last.story_structure?.has_satisfying_ending,
+        pacing_feedback: bySection('story_structure.pacing_feedback'),
+        structural_suggestions: collect('story_structure.structural_suggestions')
+      },
+      tone_analysis: {
+        primary_tone: mostCommon('tone_analysis.primary_tone'),
+        tone_consistency: average('tone_analysis.tone_consistency'),
+        target_audience: mostCommon('tone_analysis.target_audience'),
+        tone_feedback: bySection('tone_analysis.tone_feedback')
+      },
+      tense_consistency: {
+        score: average('tense_consistency.score'),
+        primary_tense: mostCommon('tense_consistency.primary_tense'),
+        tense_errors: total('tense_consistency.tense_errors'),
+        inconsistencies: collect('tense_consistency.inconsistencies')
+      },
+      ai_content_detection: {
+        likelihood_ai_generated: average('ai_content_detection.likelihood_ai_generated'),
+        reasoning: bySection('ai_content_detection.reasoning'),
+        specific_indicators: collect('ai_content_detection.specific_indicators'),
+        human_elements: collect('ai_content_detection.human_elements')
+      },
+      engagement_level: {
+        score: average('engagement_level.score'),
+        engaging_elements: collect('engagement_level.engaging_elements'),
+        areas_lacking_engagement: collect('engagement_level.areas_lacking_engagement')
+      },
+      actionable_feedback: {
+        top_priorities: collect('actionable_feedback.top_priorities', 3),
+        specific_next_steps: collect('actionable_feedback.specific_next_steps', 3),
+        encouragement: first.actionable_feedback?.encouragement
+      },
+      reading_level: mostCommon('reading_level'),
+      genre_classification: mostCommon('genre_classification')
+    };
+  }
+
+  // Analyse every chunk of a long manuscript and merge into one result with per-section scores
+  async analyzeInChunks(content, title, chunks, { fallbackOnError }) {
+    console.log(`Analysing "${title}" in ${chunks.length} chunks (${content.length} characters)`);
+
+    const results = new Array(chunks.length);
+    let next = 0;
+
+    // Small worker pool so long manuscripts don't fire every request at once
+    const worker = async () => {
+      while (next < chunks.length) {
+        const chunk = chunks[next++];
+        try {
+          results[chunk.index] = { chunk, analysis: await this.analyzeChunk(chunk, title, chunks.length) };
+        } catch (error) {
+          if (!fallbackOnError) throw error;
+          console.error(`Chunk ${chunk.index + 1}/${chunks.length} (${chunk.label}) failed:`, error.message);
+          results[chunk.index] = { chunk, error };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.chunkConcurrency, chunks.length) }, worker));
+
+    const analysed = results.filter(result => result.analysis);
+    if (analysed.length === 0) {
+      throw new Error('All manuscript sections failed to analyse');
+    }
+
+    let overall;
+    let synthesis = 'claude';
+    try {
+      overall = analysed.length === 1 ? { ...analysed[0].analysis } : await this.synthesizeAnalyses(title, analysed);
+    } catch (error) {
+      console.error('Synthesis failed, merging section scores instead:', error.message);
+      overall = this.mergeSectionAnalyses(analysed);
+      synthesis = 'computed';
+    }
+
+    const analysedCharacters = analysed.reduce((sum, { chunk }) => sum + (chunk.end - chunk.start), 0);
+
+    return {
+      ...overall,
+      word_count: content.split(/\s+/).filter(Boolean).length,
+      synthesis,
+      sections: analysed.map(({ chunk, analysis }) => ({
+        index: chunk.index,
+        label: chunk.label,
+        start: chunk.start,
+        end: chunk.end,
+        word_count: chunk.text.split(/\s+/).filter(Boolean).length,
+        overall_score: analysis.overall_score,
+        scores: {
+          grammar: analysis.grammar_analysis?.score,
+          character_development: analysis.character_development?.score,
+          story_structure: analysis.story_structure?.score,
+          tense_consistency: analysis.tense_consistency?.score,
+          engagement: analysis.engagement_level?.score
+        },
+        top_priorities: analysis.actionable_feedback?.top_priorities || []
+      })),
+      coverage: {
+        chunked: true,
+        total_characters: content.length,
+        analyzed_characters: analysedCharacters,
+        sections_analyzed: analysed.map(({ chunk }) => chunk.label),
+        sections_skipped: results.filter(result => result.error).map(({ chunk }) => chunk.label)
+      }
+    };
+  }
+
   // Main analysis function
-  async analyzeSubmission(content, title) {
+  // Pass { fallbackOnError: false } to get the error instead of a fallback (used by the job queue to retry)
+  async analyzeSubmission(content, title, { fallbackOnError = true } = {}) {
+    await this.applySettings();
     const cacheKey = this.generateCacheKey(content, title);
     
     // Check cache first
-    const cachedResult = this.getFromCache(cacheKey);
+    const cachedResult = await this.getFromCache(cacheKey);
     if (cachedResult) {
       console.log('Analysis served from cache');
       return cachedResult;
     }
 
     try {
-      // Preprocess content
-      const processedContent = this.preprocessContent(content);
-      
-      // Create analysis prompt
-      const prompt = this.createAnalysisPrompt(processedContent, title);
-      
-      // Call Claude API
-      const response = await this.callClaudeAPI(prompt);
-      
-      // Parse response
-      const analysis = this.parseClaudeResponse(response);
+      const chunks = this.buildChunks(content);
+      let analysis;
+
+      if (chunks.length > 1) {
+        analysis = await this.analyzeInChunks(content, title, chunks, { fallbackOnError });
+      } else {
+        // Preprocess content
+        const processedContent = this.preprocessContent(content);
+
+        // Create analysis prompt
+        const prompt = this.createAnalysisPrompt(processedContent, title);
+
+        // Call Claude API
+        const response = await this.callClaudeAPI(prompt);
+
+        // Parse response
+        analysis = this.parseClaudeResponse(response);
+        analysis.coverage = {
+          chunked: false,
+          total_characters: content.length,
+          analyzed_characters: content.length,
+          sections_analyzed: chunks.map(chunk => chunk.label),
+          sections_skipped: []
+        };
+      }
       
       // Add metadata
       analysis.analysis_timestamp = new Date().toISOString();
       analysis.cached = false;
       analysis.fallback_used = false;
       
-      // Cache the result
-      this.setCache(cacheKey, analysis);
+      // Only cache complete analyses
+      if (!analysis.coverage.sections_skipped.length) {
+        await this.setCache(cacheKey, analysis);
+      }
       
       console.log('Analysis completed successfully');
       return analysis;
       
     } catch (error) {
+      if (!fallbackOnError) {
+        throw error;
+      }
+
       console.error('Claude analysis failed, using fallback:', error.message);
       
       // Generate fallback analysis
@@ -301,17 +715,64 @@ Please be thorough but constructive in your feedback, focusing on helping the st
   }
 
   // Get API usage stats (for monitoring)
-  getUsageStats() {
+  // Hit/miss counters are for this process since start; database figures cover all instances
+  async getUsageStats() {
+    await this.applySettings();
+    const { memoryHits, databaseHits, misses } = this.cacheStats;
+    const lookups = memoryHits + databaseHits + misses;
+
+    const [entries, expired, totalHits] = await Promise.all([
+      prisma.analysisCache.count({
+        where: { model: this.model, promptVersion: this.promptVersion }
+      }),
+      prisma.analysisCache.count({
+        where: { expiresAt: { lte: new Date() } }
+      }),
+      prisma.analysisCache.aggregate({
+        _sum: { hitCount: true }
+      })
+    ]);
+
     return {
-      cacheSize: this.cache.size,
-      maxCacheSize: this.maxCacheSize,
-      cacheHitRate: this.cache.size > 0 ? 'Available in cache' : 'Cache empty'
+      model: this.model,
+      promptVersion: this.promptVersion,
+      ttlDays: CACHE_TTL_DAYS,
+      process: {
+        ...this.cacheStats,
+        lookups,
+        hitRate: lookups > 0 ? Math.round(((memoryHits + databaseHits) / lookups) * 100) : null,
+        memoryEntries: this.cache.size,
+        maxMemoryEntries: this.maxCacheSize
+      },
+      database: {
+        entries,
+        expiredEntries: expired,
+        totalHits: totalHits._sum.hitCount || 0
+      }
     };
   }
 
+  // Remove expired rows and results from older models or prompt versions
+  async purgeExpiredCache() {
+    await this.applySettings();
+    const { count } = await prisma.analysisCache.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lte: new Date() } },
+          { model: { not: this.model } },
+          { promptVersion: { not: this.promptVersion } }
+        ]
+      }
+    });
+
+    console.log(`Purged ${count} stale analysis cache entries`);
+    return count;
+  }
+
   // Clear cache (for maintenance)
-  clearCache() {
+  async clearCache() {
     this.cache.clear();
+    await prisma.analysisCache.deleteMany({});
     console.log('Claude analysis cache cleared');
   }
 }
@@ -320,8 +781,8 @@ Please be thorough but constructive in your feedback, focusing on helping the st
 const claudeService = new ClaudeService();
 
 // Export the main function for backwards compatibility
-const analyzeWithClaude = async (content, title) => {
-  return await claudeService.analyzeSubmission(content, title);
+const analyzeWithClaude = async (content, title, options) => {
+  return await claudeService.analyzeSubmission(content, title, options);
 };
 
 module.exports = {
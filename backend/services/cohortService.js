@@ -0,0 +1,363 @@
+// backend/services/cohortService.js - COHORTS: CLASSES OF STUDENTS OWNED BY STAFF
+// A cohort's members are enrolled students and the staff who own it. Owners manage the cohort and
+// see its progress; admins and operations do so for every cohort of their organization (see
+// permissions.js). A student may be in several cohorts. Events can target a cohort, and then only
+// its members (and event staff) see them.
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const slaService = require('./slaService');
+const { can, organizationScope } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+const MEMBER_ROLES = ['student', 'staff'];
+
+// Users who may own a cohort; super-admins belong to no organization, so can't
+const STAFF_ROLES = ['ADMIN', 'OPERATIONS', 'EDITOR', 'REVIEWER', 'SALES'];
+
+class CohortError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CohortError';
+    this.status = status;
+  }
+}
+
+const memberInclude = {
+  members: {
+    include: { user: { select: { id: true, name: true, email: true, role: true, grade: true, isActive: true } } },
+    orderBy: { addedAt: 'asc' }
+  }
+};
+
+// The cohort as the permissions read it: with the user's own membership, or null
+const withMembership = (cohort, user) => ({
+  ...cohort,
+  membership: cohort.members.find(member => member.userId === user.id) || null
+});
+
+/**
+ * Prisma where clause for the cohorts the user may see: all of their organization's, or those they own
+ */
+function visibleWhere(user) {
+  if (can(user, 'cohort.view')) return organizationScope(user);
+  return { ...organizationScope(user), members: { some: { userId: user.id, role: 'staff' } } };
+}
+
+/**
+ * Cohorts the user may see, with their owners and number of students
+ * @param {boolean} includeArchived
+ */
+async function list(user, { includeArchived = false } = {}) {
+  const cohorts = await prisma.cohort.findMany({
+    where: { ...visibleWhere(user), ...(includeArchived ? {} : { isArchived: false }) },
+    orderBy: [{ isArchived: 'asc' }, { name: 'asc' }],
+    include: {
+      organization: { select: { id: true, name: true } },
+      members: {
+        where: { role: 'staff' },
+        include: { user: { select: { id: true, name: true } } }
+      },
+      _count: { select: { members: { where: { role: 'student' } } } }
+    }
+  });
+
+  return cohorts.map(({ members, _count, ...cohort }) => ({
+    ...cohort,
+    staff: members.map(member => member.user),
+    studentCount: _count.members,
+    membership: members.find(member => member.userId === user.id) || null
+  }));
+}
+
+/**
+ * A cohort with its members, if the user has the permission for it
+ * @param {string} permission - cohort.view or cohort.manage
+ * @throws {CohortError} 404 when it doesn't exist or the user may not see it, 403 when they may see but not manage it
+ */
+async function load(id, user, permission = 'cohort.view') {
+  const cohort = await prisma.cohort.findUnique({ where: { id }, include: memberInclude });
+  const record = cohort && withMembership(cohort, user);
+  if (!record || !can(user, 'cohort.view', record)) throw new CohortError('Cohort not found', 404);
+  if (!can(user, permission, record)) throw new CohortError('Not authorized to manage this cohort', 403);
+  return record;
+}
+
+// Users to add with the given role: all found, active, of a fitting role and in the cohort's organization
+async function findMembers(userIds, role, organizationId) {
+  const users = await prisma.user.findMany({
+    where: {
+      id: { in: userIds },
+      isActive: true,
+      organizationId,
+      role: role === 'student' ? 'STUDENT' : { in: STAFF_ROLES }
+    },
+    select: { id: true }
+  });
+  if (users.length !== new Set(userIds).size) {
+    throw new CohortError(role === 'student'
+      ? 'Only active students of the cohort\'s organization can be enrolled'
+      : 'Only active staff of the cohort\'s organization can own the cohort');
+  }
+  return users;
+}
+
+async function assertNameFree(name, organizationId, exceptId = null) {
+  const existing = await prisma.cohort.findFirst({
+    where: { name, organizationId, isArchived: false, ...(exceptId ? { id: { not: exceptId } } : {}) },
+    select: { id: true }
+  });
+  if (existing) throw new CohortError('A cohort with this name already exists', 409);
+}
+
+/**
+ * Create a cohort; its creator owns it unless other owners are given
+ * A super-admin's cohort starts without owners (they belong to no organization); its admins add them.
+ * @param {string[]} staffIds - Owners
+ * @throws {CohortError} 409 when an active cohort of the organization has the name
+ */
+async function create({ name, description, staffIds, organizationId }, req) {
+  const ownerIds = [...new Set(staffIds?.length ? staffIds : req.user.role === 'SUPER_ADMIN' ? [] : [req.user.id])];
+
+  await assertNameFree(name, organizationId);
+  if (ownerIds.length > 0) await findMembers(ownerIds, 'staff', organizationId);
+
+  const cohort = await prisma.cohort.create({
+    data: {
+      name,
+      description: description || null,
+      organizationId,
+      createdById: req.user.id,
+      members: { create: ownerIds.map(userId => ({ userId, role: 'staff' })) }
+    },
+    include: memberInclude
+  });
+
+  await auditService.log(req, {
+    action: 'cohort.create',
+    entityType: 'Cohort',
+    entityId: cohort.id,
+    after: { ...auditService.snapshot(cohort, ['name', 'description']), staffIds: ownerIds }
+  });
+
+  console.log(`🎓 Cohort "${cohort.name}" created by ${req.user.name}`);
+  return withMembership(cohort, req.user);
+}
+
+/**
+ * Rename, describe, archive or restore a cohort
+ */
+async function update(id, { name, description, isArchived }, req) {
+  const cohort = await load(id, req.user, 'cohort.manage');
+
+  const data = {};
+  if (name !== undefined) data.name = name;
+  if (description !== undefined) data.description = description || null;
+  if (isArchived !== undefined) data.isArchived = isArchived;
+
+  // Restoring can clash with a cohort created under the same name meanwhile
+  if ((data.name !== undefined && data.name !== cohort.name) || (cohort.isArchived && data.isArchived === false)) {
+    await assertNameFree(data.name ?? cohort.name, cohort.organizationId, id);
+  }
+
+  const updated = await prisma.cohort.update({ where: { id }, data, include: memberInclude });
+
+  const fields = ['name', 'description', 'isArchived'];
+  await auditService.log(req, {
+    action: 'cohort.update',
+    entityType: 'Cohort',
+    entityId: id,
+    ...auditService.changes(auditService.snapshot(cohort, fields), auditService.snapshot(updated, fields))
+  });
+
+  return withMembership(updated, req.user);
+}
+
+/**
+ * Enroll students or add owners; those already in the cohort are left as they are
+ * @param {string} role - student or staff
+ * @returns {Promise<number>} How many were added
+ */
+async function addMembers(id, { userIds, role }, req) {
+  const cohort = await load(id, req.user, 'cohort.manage');
+  await findMembers(userIds, role, cohort.organizationId);
+
+  const { count } = await prisma.cohortMember.createMany({
+    data: userIds.map(userId => ({ cohortId: id, userId, role })),
+    skipDuplicates: true
+  });
+
+  await auditService.log(req, {
+    action: 'cohort.add_members',
+    entityType: 'Cohort',
+    entityId: id,
+    after: { role, userIds }
+  });
+
+  return count;
+}
+
+/**
+ * Take someone out of a cohort; the last owner stays, so someone can still manage it
+ */
+async function removeMember(id, userId, req) {
+  const cohort = await load(id, req.user, 'cohort.manage');
+
+  const member = cohort.members.find(entry => entry.userId === userId);
+  if (!member) throw new CohortError('Not a member of this cohort', 404);
+  if (member.role === 'staff' && cohort.members.filter(entry => entry.role === 'staff').length === 1) {
+    throw new CohortError('A cohort needs at least one staff member. Add another owner first.');
+  }
+
+  await prisma.cohortMember.delete({ where: { id: member.id } });
+
+  await auditService.log(req, {
+    action: 'cohort.remove_member',
+    entityType: 'Cohort',
+    entityId: id,
+    before: { role: member.role, userId }
+  });
+}
+
+/**
+ * Users of the cohort's organization who could be added with the role, and aren't members yet
+ * @param {string} search - Matches name or email
+ */
+async function candidates(id, { role, search }, user) {
+  const cohort = await load(id, user, 'cohort.manage');
+
+  return prisma.user.findMany({
+    where: {
+      organizationId: cohort.organizationId,
+      isActive: true,
+      role: role === 'student' ? 'STUDENT' : { in: STAFF_ROLES },
+      id: { notIn: cohort.members.map(member => member.userId) },
+      ...(search ? {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } }
+        ]
+      } : {})
+    },
+    select: { id: true, name: true, email: true, role: true, grade: true },
+    orderBy: { name: 'asc' },
+    take: 50
+  });
+}
+
+/**
+ * Where each enrolled student is with their work, and the cohort totals
+ * Archived submissions are left out.
+ */
+async function progress(id, user) {
+  const cohort = await load(id, user, 'cohort.view');
+  const students = cohort.members.filter(member => member.role === 'student').map(member => member.user);
+
+  const submissions = await slaService.withSla(await prisma.submission.findMany({
+    where: {
+      studentId: { in: students.map(student => student.id) },
+      organizationId: cohort.organizationId,
+      isArchived: false
+    },
+    select: {
+      id: true,
+      title: true,
+      studentId: true,
+      editorId: true,
+      currentStage: true,
+      isArchived: true,
+      organizationId: true,
+      createdAt: true,
+      updatedAt: true,
+      workflowStages: { select: { stageName: true, status: true, startedAt: true } }
+    },
+    orderBy: { updatedAt: 'desc' }
+  }));
+
+  const byStage = {};
+  submissions.forEach(submission => {
+    byStage[submission.currentStage] = (byStage[submission.currentStage] || 0) + 1;
+  });
+
+  const rows = students.map(student => {
+    const own = submissions.filter(submission => submission.studentId === student.id);
+    const latest = own[0];
+    return {
+      student,
+      submissions: own.length,
+      completed: own.filter(submission => submission.currentStage === 'COMPLETED').length,
+      overdue: own.filter(submission => submission.sla?.isOverdue).length,
+      latest: latest ? {
+        id: latest.id,
+        title: latest.title,
+        currentStage: latest.currentStage,
+        studentId: latest.studentId,
+        editorId: latest.editorId,
+        updatedAt: latest.updatedAt,
+        sla: latest.sla
+      } : null
+    };
+  });
+
+  return {
+    cohort: { id: cohort.id, name: cohort.name, description: cohort.description, isArchived: cohort.isArchived },
+    summary: {
+      students: students.length,
+      withoutSubmissions: rows.filter(row => row.submissions === 0).length,
+      submissions: submissions.length,
+      completed: byStage.COMPLETED || 0,
+      overdue: submissions.filter(submission => submission.sla?.isOverdue).length,
+      byStage
+    },
+    students: rows
+  };
+}
+
+/**
+ * Prisma where clause for submissions by students enrolled in the cohort
+ */
+function submissionsWhere(cohortId) {
+  return { student: { cohortMemberships: { some: { cohortId, role: 'student' } } } };
+}
+
+/**
+ * Prisma where clause for the events the user is invited to
+ * Event staff see every event of their organization; everyone else those for the whole
+ * organization and those for cohorts they are in.
+ */
+function eventAudienceWhere(user) {
+  if (can(user, 'event.create')) return organizationScope(user);
+  return {
+    ...organizationScope(user),
+    OR: [{ cohortId: null }, { cohort: { members: { some: { userId: user.id } } } }]
+  };
+}
+
+/**
+ * The cohort an event targets, checked to be active and in the event's organization
+ * @returns {Promise<string|null>}
+ */
+async function resolveForEvent(cohortId, organizationId) {
+  if (!cohortId) return null;
+  const cohort = await prisma.cohort.findUnique({ where: { id: cohortId }, select: { id: true, organizationId: true, isArchived: true } });
+  if (!cohort || cohort.isArchived || cohort.organizationId !== organizationId) {
+    throw new CohortError('Cohort not found', 404);
+  }
+  return cohort.id;
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  CohortError,
+  list,
+  load,
+  create,
+  update,
+  addMembers,
+  removeMember,
+  candidates,
+  progress,
+  submissionsWhere,
+  eventAudienceWhere,
+  resolveForEvent
+};
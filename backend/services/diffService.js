@@ -0,0 +1,194 @@
+// backend/services/diffService.js - WORD-LEVEL DIFF BETWEEN TWO TEXTS
+
+// Myers keeps one snapshot per edit step, so memory grows with the square of this.
+// Drafts that differ by more words than this get a coarse diff of the changed middle.
+const MAX_EDIT_DISTANCE = parseInt(process.env.DIFF_MAX_EDIT_DISTANCE, 10) || 3000;
+
+/**
+ * Split text into words, keeping the whitespace in front of each word so the
+ * diff can be rendered back with the original line and paragraph breaks
+ */
+function tokenize(text) {
+  const normalized = (text || '').replace(/\r\n?/g, '\n');
+  const tokens = [];
+  const pattern = /(\s*)(\S+)/g;
+  let paragraph = 0;
+  let match;
+
+  while ((match = pattern.exec(normalized)) !== null) {
+    const [, space, word] = match;
+    if (tokens.length > 0 && /\n\s*\n/.test(space)) paragraph++;
+    tokens.push({ word, space, paragraph });
+  }
+
+  return tokens;
+}
+
+// Myers O(ND) shortest edit script over two arrays of word ids; null when it needs more than maxEdits
+function shortestEditScript(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+
+  return null;
+}
+
+// Walk the snapshots back from (n, m) to recover the edit operations in order
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', from: x - 1, to: y - 1 });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      ops.push(x === prevX ? { type: 'added', to: y - 1 } : { type: 'removed', from: x - 1 });
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Word-level diff of two texts
+ * @param {string} fromText - The older text
+ * @param {string} toText - The newer text
+ * @returns {Object} segments (runs of equal/added/removed text, whitespace included) and change stats
+ */
+function diffTexts(fromText, toText) {
+  const fromTokens = tokenize(fromText);
+  const toTokens = tokenize(toText);
+
+  // Compare small integers rather than strings in the hot loop
+  const ids = new Map();
+  const idOf = (token) => {
+    if (!ids.has(token.word)) ids.set(token.word, ids.size);
+    return ids.get(token.word);
+  };
+  const a = fromTokens.map(idOf);
+  const b = toTokens.map(idOf);
+
+  // Drafts usually share long runs at both ends; only the middle needs the real diff
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  let middle = shortestEditScript(a.slice(start, endA), b.slice(start, endB), MAX_EDIT_DISTANCE);
+  const approximate = middle === null;
+
+  if (approximate) {
+    middle = [];
+    for (let i = 0; i < endA - start; i++) middle.push({ type: 'removed', from: i });
+    for (let i = 0; i < endB - start; i++) middle.push({ type: 'added', to: i });
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', from: i, to: i });
+  middle.forEach(op => ops.push({
+    type: op.type,
+    from: op.from === undefined ? undefined : op.from + start,
+    to: op.to === undefined ? undefined : op.to + start
+  }));
+  for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'equal', from: endA + i, to: endB + i });
+
+  const segments = [];
+  const touchedParagraphs = new Set();
+  const stats = { wordsAdded: 0, wordsRemoved: 0, wordsUnchanged: 0 };
+  let currentParagraph = 0;
+
+  ops.forEach(op => {
+    const token = op.type === 'removed' ? fromTokens[op.from] : toTokens[op.to];
+
+    if (op.type === 'removed') {
+      // A deletion touches the paragraph of the new draft it was cut from
+      touchedParagraphs.add(currentParagraph);
+      stats.wordsRemoved++;
+    } else {
+      currentParagraph = token.paragraph;
+      if (op.type === 'added') {
+        touchedParagraphs.add(currentParagraph);
+        stats.wordsAdded++;
+      } else {
+        stats.wordsUnchanged++;
+      }
+    }
+
+    const text = token.space + token.word;
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) {
+      last.text += text;
+    } else {
+      segments.push({ type: op.type, text });
+    }
+  });
+
+  const wordsBefore = fromTokens.length;
+  const wordsAfter = toTokens.length;
+  const changed = stats.wordsAdded + stats.wordsRemoved;
+
+  return {
+    segments,
+    approximate,
+    stats: {
+      ...stats,
+      wordsBefore,
+      wordsAfter,
+      paragraphsBefore: wordsBefore ? fromTokens[wordsBefore - 1].paragraph + 1 : 0,
+      paragraphsAfter: wordsAfter ? toTokens[wordsAfter - 1].paragraph + 1 : 0,
+      paragraphsTouched: changed ? touchedParagraphs.size : 0,
+      percentChanged: changed
+        ? Math.min(100, Math.round((changed / Math.max(wordsBefore, wordsAfter, 1)) * 100))
+        : 0
+    }
+  };
+}
+
+module.exports = {
+  MAX_EDIT_DISTANCE,
+  tokenize,
+  diffTexts
+};
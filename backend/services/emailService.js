@@ -29,7 +29,7 @@ class EmailService {
 
   setupSendGrid() {
     // For SendGrid, we'll use SMTP
-    this.transporter = nodemailer.createTransporter({
+    this.transporter = nodemailer.createTransport({
       host: 'smtp.sendgrid.net',
       port: 587,
       secure: false,
@@ -59,7 +59,7 @@ class EmailService {
       config.service = 'gmail';
     }
 
-    this.transporter = nodemailer.createTransporter(config);
+    this.transporter = nodemailer.createTransport(config);
     this.isConfigured = true;
     console.log('✅ SMTP email transporter configured');
   }
@@ -69,7 +69,7 @@ class EmailService {
       // Create test account for development
       const testAccount = await nodemailer.createTestAccount();
       
-      this.transporter = nodemailer.createTransporter({
+      this.transporter = nodemailer.createTransport({
         host: 'smtp.ethereal.email',
         port: 587,
         secure: false,
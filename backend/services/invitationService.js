@@ -0,0 +1,291 @@
+// backend/services/invitationService.js - EMAIL INVITATIONS FOR STAFF ACCOUNTS
+// The admin gives the person's name, email and role; the invitee follows the emailed link and
+// chooses their own password, which creates the account. Links are single-use and expire. Only a
+// hash of each link's token is stored, so resending (which issues a new link) retires the old one.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { emailService } = require('./emailService');
+const { escapeHtml, renderLayout, renderButton } = require('./notificationEmailService');
+const settingsService = require('./settingsService');
+const auditService = require('./auditService');
+const { organizationScope, sameOrganization } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+// Students sign up themselves or are imported by CSV
+const STAFF_ROLES = ['ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS'];
+
+class InvitationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvitationError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const inviteUrl = (token) => `${process.env.FRONTEND_URL || ''}/invite/${token}`;
+
+/**
+ * Where an invitation stands: pending, expired, accepted or revoked
+ */
+function statusOf(invitation) {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+}
+
+const format = (invitation) => {
+  const { tokenHash, ...rest } = invitation;
+  return { ...rest, status: statusOf(invitation) };
+};
+
+// A new link: the token for the email and what is stored
+async function issueToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = await settingsService.get('onboarding.inviteDays');
+  return {
+    token,
+    data: {
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      sentAt: new Date()
+    }
+  };
+}
+
+function renderInvitationEmail(invitation, inviter, token) {
+  const url = inviteUrl(token);
+  const role = invitation.role.toLowerCase();
+  const until = invitation.expiresAt.toUTCString();
+
+  return {
+    subject: 'AI Writing Companion - You Are Invited',
+    html: renderLayout('You Are Invited', `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(invitation.name)},</h2>
+        <p>${escapeHtml(inviter.name)} has invited you to join AI Writing Companion as ${escapeHtml(role === 'admin' ? 'an admin' : `a ${role}`)}.
+          Choose a password to create your account.</p>
+        ${renderButton(url, 'Accept Invitation')}
+        <p style="color: #666; font-size: 14px;">This link works once, until ${escapeHtml(until)}. If it has run out,
+          ask ${escapeHtml(inviter.name)} to send a new one.</p>
+    `, { footerUrl: `${process.env.FRONTEND_URL || ''}/login`, footerLabel: 'Sign in' }),
+    text: `
+Hello ${invitation.name},
+
+${inviter.name} has invited you to join AI Writing Companion as ${role === 'admin' ? 'an admin' : `a ${role}`}. Choose a password to create your account:
+${url}
+
+This link works once, until ${until}. If it has run out, ask ${inviter.name} to send a new one.
+    `
+  };
+}
+
+// Email the link; when that isn't possible the admin gets the link to pass on themselves
+async function deliver(invitation, inviter, token) {
+  if (!emailService.isConfigured) {
+    console.warn(`⚠️ Email not configured, invitation ${invitation.id} must be shared by hand`);
+    return { emailSent: false, inviteUrl: inviteUrl(token) };
+  }
+
+  try {
+    await emailService.sendEmail({ to: invitation.email, ...renderInvitationEmail(invitation, inviter, token) });
+    console.log(`✉️ Sent invitation ${invitation.id} to ${invitation.email}`);
+    return { emailSent: true };
+  } catch (error) {
+    console.error(`❌ Failed to send invitation ${invitation.id}:`, error);
+    return { emailSent: false, inviteUrl: inviteUrl(token) };
+  }
+}
+
+/**
+ * Invitations to the user's organization, newest first
+ * @param {Object} user - req.user
+ * @param {string} status - Only those with this status (pending, expired, accepted, revoked)
+ */
+async function list(user, { status } = {}) {
+  const now = new Date();
+  const where = {
+    pending: { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+    expired: { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } },
+    accepted: { acceptedAt: { not: null } },
+    revoked: { revokedAt: { not: null } }
+  }[status] || {};
+
+  const invitations = await prisma.invitation.findMany({
+    where: { ...where, ...organizationScope(user) },
+    orderBy: { createdAt: 'desc' },
+    take: 200,
+    include: {
+      invitedBy: { select: { id: true, name: true } },
+      organization: { select: { id: true, name: true } }
+    }
+  });
+
+  return invitations.map(format);
+}
+
+/**
+ * Invite someone to an organization and email them the link
+ * @returns {Promise<Object>} { invitation, emailSent, inviteUrl? }
+ * @throws {InvitationError} 409 when the email already has an account or an open invitation
+ */
+async function create({ email, name, role, organizationId }, req) {
+  if (!STAFF_ROLES.includes(role)) {
+    throw new InvitationError(`Invitations are for staff roles: ${STAFF_ROLES.join(', ')}`);
+  }
+
+  const [existingUser, openInvitation] = await Promise.all([
+    prisma.user.findUnique({ where: { email }, select: { id: true } }),
+    prisma.invitation.findFirst({ where: { email, acceptedAt: null, revokedAt: null } })
+  ]);
+  if (existingUser) throw new InvitationError('A user with this email already exists', 409);
+  if (openInvitation) {
+    throw new InvitationError('This email already has an open invitation. Resend or revoke it instead.', 409);
+  }
+
+  const { token, data } = await issueToken();
+  const invitation = await prisma.invitation.create({
+    data: { email, name, role, organizationId, invitedById: req.user.id, ...data }
+  });
+
+  await auditService.log(req, {
+    action: 'invitation.create',
+    entityType: 'Invitation',
+    entityId: invitation.id,
+    after: auditService.snapshot(invitation, ['email', 'name', 'role', 'expiresAt'])
+  });
+
+  return { invitation: format(invitation), ...(await deliver(invitation, req.user, token)) };
+}
+
+// An invitation the admin may still act on, i.e. in their organization and neither accepted nor revoked
+async function findOpen(id, user) {
+  const invitation = await prisma.invitation.findUnique({ where: { id } });
+  if (!invitation || !sameOrganization(user, invitation)) throw new InvitationError('Invitation not found', 404);
+  if (invitation.acceptedAt) throw new InvitationError('This invitation has already been accepted', 409);
+  if (invitation.revokedAt) throw new InvitationError('This invitation has been revoked', 409);
+  return invitation;
+}
+
+/**
+ * Email a new link, valid for the full period again; the previous link stops working
+ * @returns {Promise<Object>} { invitation, emailSent, inviteUrl? }
+ */
+async function resend(id, req) {
+  await findOpen(id, req.user);
+
+  const { token, data } = await issueToken();
+  const invitation = await prisma.invitation.update({ where: { id }, data });
+
+  await auditService.log(req, {
+    action: 'invitation.resend',
+    entityType: 'Invitation',
+    entityId: id,
+    after: { expiresAt: invitation.expiresAt }
+  });
+
+  return { invitation: format(invitation), ...(await deliver(invitation, req.user, token)) };
+}
+
+/**
+ * Withdraw an invitation so its link no longer works
+ */
+async function revoke(id, req) {
+  await findOpen(id, req.user);
+
+  const invitation = await prisma.invitation.update({
+    where: { id },
+    data: { revokedAt: new Date() }
+  });
+
+  await auditService.log(req, {
+    action: 'invitation.revoke',
+    entityType: 'Invitation',
+    entityId: id
+  });
+
+  return format(invitation);
+}
+
+/**
+ * The pending invitation a link belongs to
+ * @throws {InvitationError} 404 for an unknown link, 410 for one that can no longer be used
+ */
+async function findByToken(token) {
+  const invitation = await prisma.invitation.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!invitation) throw new InvitationError('This invitation link is not valid. It may have been replaced by a newer one.', 404);
+
+  const messages = {
+    accepted: 'This invitation has already been used. Sign in instead.',
+    revoked: 'This invitation has been withdrawn.',
+    expired: 'This invitation has expired. Ask for a new one.'
+  };
+  const status = statusOf(invitation);
+  if (status !== 'pending') throw new InvitationError(messages[status], 410);
+
+  return invitation;
+}
+
+/**
+ * Create the invitee's account with the password they chose
+ * @returns {Promise<Object>} The new user
+ */
+async function accept(token, { password }, req) {
+  const invitation = await findByToken(token);
+  const passwordHash = await bcrypt.hash(password, 12);
+
+  const user = await prisma.$transaction(async (tx) => {
+    // Conditional, so a link opened in two tabs creates one account
+    const { count } = await tx.invitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+      data: { acceptedAt: new Date() }
+    });
+    if (count === 0) throw new InvitationError('This invitation has already been used. Sign in instead.', 410);
+
+    if (await tx.user.findUnique({ where: { email: invitation.email }, select: { id: true } })) {
+      throw new InvitationError('An account with this email already exists. Sign in instead.', 409);
+    }
+
+    const created = await tx.user.create({
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        organizationId: invitation.organizationId,
+        passwordHash,
+        createdById: invitation.invitedById
+      }
+    });
+
+    await tx.invitation.update({ where: { id: invitation.id }, data: { userId: created.id } });
+
+    await auditService.record({
+      tx,
+      req,
+      actor: created,
+      action: 'invitation.accept',
+      entityType: 'User',
+      entityId: created.id,
+      after: auditService.snapshot(created, ['email', 'name', 'role', 'isActive'])
+    });
+
+    return created;
+  });
+
+  console.log(`✅ Invitation ${invitation.id} accepted by ${user.email}`);
+  return user;
+}
+
+module.exports = {
+  STAFF_ROLES,
+  InvitationError,
+  list,
+  create,
+  resend,
+  revoke,
+  findByToken,
+  accept
+};
@@ -0,0 +1,343 @@
+// backend/services/jobQueue.js - DURABLE POSTGRES JOB QUEUE
+const os = require('os');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+// A RUNNING job whose lock is older than this is treated as orphaned (worker crashed or restarted)
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.currentJob = null;
+    this.lastRecoveryAt = 0;
+  }
+
+  /**
+   * Register the code that runs a job type
+   * @param {string} type - Job type, e.g. ANALYZE_SUBMISSION
+   * @param {Object} options
+   * @param {Function} options.handler - async (job) => void; throw to trigger a retry
+   * @param {Function} options.onFailure - async (job, error) => void; called once retries are exhausted
+   */
+  register(type, { handler, onFailure = null }) {
+    this.handlers.set(type, { handler, onFailure });
+  }
+
+  /**
+   * Add a job to the queue
+   * Returns the existing job instead if the same type is already queued or running for the submission
+   */
+  async enqueue(type, payload = {}, { submissionId = null, maxAttempts, runAt } = {}) {
+    if (submissionId) {
+      const existing = await prisma.job.findFirst({
+        where: { type, submissionId, status: { in: ['QUEUED', 'RUNNING'] } }
+      });
+      if (existing) {
+        console.log(`📋 ${type} already queued for submission ${submissionId} (job ${existing.id})`);
+        return existing;
+      }
+    }
+
+    const job = await prisma.job.create({
+      data: {
+        type,
+        payload,
+        submissionId,
+        ...(maxAttempts && { maxAttempts }),
+        ...(runAt && { runAt })
+      }
+    });
+
+    console.log(`📋 Job ${job.id} queued: ${type}`, submissionId ? { submissionId } : {});
+    this.poke();
+    return job;
+  }
+
+  /**
+   * Add one job of the type per payload in a single insert, e.g. an email to each imported user
+   * @returns {Promise<number>} How many were queued
+   */
+  async enqueueMany(type, payloads, { maxAttempts, runAt } = {}) {
+    if (payloads.length === 0) return 0;
+
+    const { count } = await prisma.job.createMany({
+      data: payloads.map(payload => ({
+        type,
+        payload,
+        ...(maxAttempts && { maxAttempts }),
+        ...(runAt && { runAt })
+      }))
+    });
+
+    console.log(`📋 ${count} ${type} jobs queued`);
+    this.poke();
+    return count;
+  }
+
+  // Start the worker loop; safe to call more than once
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    console.log(`⚙️ Job worker ${this.workerId} started (poll every ${POLL_INTERVAL_MS}ms)`);
+
+    try {
+      await this.recoverOrphanedJobs();
+    } catch (error) {
+      console.error('❌ Orphaned job recovery failed:', error);
+    }
+
+    this.schedule(0);
+  }
+
+  // Stop polling and wait for the job in progress, if any
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.currentJob) {
+      console.log(`⏳ Waiting for job ${this.currentJob.id} before shutting down`);
+      await this.currentJob.promise.catch(() => {});
+    }
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  // Pick up new work straight away instead of waiting for the next poll
+  poke() {
+    if (this.running && !this.currentJob) {
+      this.schedule(0);
+    }
+  }
+
+  async tick() {
+    let processed = false;
+
+    try {
+      if (Date.now() - this.lastRecoveryAt > LOCK_TIMEOUT_MS / 2) {
+        await this.recoverOrphanedJobs();
+      }
+
+      const job = await this.claimNext();
+      if (job) {
+        const promise = this.runJob(job);
+        this.currentJob = { id: job.id, promise };
+        await promise;
+        processed = true;
+      }
+    } catch (error) {
+      console.error('❌ Job worker error:', error);
+    } finally {
+      this.currentJob = null;
+    }
+
+    // Drain the queue before going back to polling
+    this.schedule(processed ? 0 : POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Atomically lock the next due job
+   * SKIP LOCKED lets several instances share the table without picking the same job
+   */
+  async claimNext() {
+    const rows = await prisma.$queryRaw`
+      UPDATE jobs
+      SET status = 'RUNNING',
+          attempts = attempts + 1,
+          locked_at = NOW(),
+          locked_by = ${this.workerId},
+          updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'QUEUED' AND run_at <= NOW()
+        ORDER BY run_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `;
+
+    if (rows.length === 0) return null;
+    return prisma.job.findUnique({ where: { id: rows[0].id } });
+  }
+
+  async runJob(job) {
+    const registered = this.handlers.get(job.type);
+    if (!registered) {
+      await this.failJob(job, new Error(`No handler registered for job type ${job.type}`), { retry: false });
+      return;
+    }
+
+    console.log(`⚙️ Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+    // Keep the lock fresh so long jobs (e.g. chunked manuscripts) aren't mistaken for orphans
+    const heartbeat = setInterval(() => {
+      prisma.job.update({ where: { id: job.id }, data: { lockedAt: new Date() } })
+        .catch(error => console.warn(`⚠️ Job ${job.id} heartbeat failed:`, error.message));
+    }, LOCK_TIMEOUT_MS / 3);
+
+    try {
+      await registered.handler(job);
+
+      await prisma.job.update({
+        where: { id: job.id },
+        data: {
+          status: 'COMPLETED',
+          completedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null
+        }
+      });
+
+      console.log(`✅ Job ${job.id} (${job.type}) completed`);
+    } catch (error) {
+      await this.failJob(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Record a failed attempt and either requeue with exponential backoff or give up
+   */
+  async failJob(job, error, { retry = true } = {}) {
+    const message = error?.message || String(error);
+    const errorLog = [
+      ...(Array.isArray(job.errorLog) ? job.errorLog : []),
+      { attempt: job.attempts, error: message, at: new Date().toISOString() }
+    ];
+
+    if (retry && job.attempts < job.maxAttempts) {
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+
+      await prisma.job.update({
+        where: { id: job.id },
+        data: {
+          status: 'QUEUED',
+          runAt: new Date(Date.now() + delay),
+          lockedAt: null,
+          lockedBy: null,
+          lastError: message,
+          errorLog
+        }
+      });
+
+      console.warn(`⚠️ Job ${job.id} (${job.type}) failed attempt ${job.attempts}, retrying in ${Math.round(delay / 1000)}s:`, message);
+      return;
+    }
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'FAILED',
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: message,
+        errorLog
+      }
+    });
+
+    console.error(`❌ Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s):`, message);
+
+    const onFailure = this.handlers.get(job.type)?.onFailure;
+    if (onFailure) {
+      try {
+        await onFailure(job, error);
+      } catch (failureError) {
+        console.error(`❌ Failure handler for job ${job.id} errored:`, failureError);
+      }
+    }
+  }
+
+  /**
+   * Put jobs whose worker died mid-run back in the queue (or fail them if out of attempts)
+   */
+  async recoverOrphanedJobs() {
+    this.lastRecoveryAt = Date.now();
+
+    const orphaned = await prisma.job.findMany({
+      where: {
+        status: 'RUNNING',
+        lockedAt: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+      }
+    });
+
+    for (const job of orphaned) {
+      console.warn(`🔁 Recovering orphaned job ${job.id} (${job.type}) locked by ${job.lockedBy}`);
+      await this.failJob(job, new Error(`Worker ${job.lockedBy} stopped before the job finished`));
+    }
+
+    return orphaned.length;
+  }
+
+  /**
+   * Queue a FAILED job again with a fresh set of attempts
+   */
+  async retry(jobId) {
+    const job = await prisma.job.update({
+      where: { id: jobId },
+      data: {
+        status: 'QUEUED',
+        attempts: 0,
+        runAt: new Date(),
+        completedAt: null,
+        lastError: null
+      }
+    });
+
+    this.poke();
+    return job;
+  }
+
+  // Queue depth and failure counts for the admin endpoint
+  async getStats() {
+    const grouped = await prisma.job.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
+
+    const counts = { QUEUED: 0, RUNNING: 0, COMPLETED: 0, FAILED: 0 };
+    grouped.forEach(group => {
+      counts[group.status] = group._count._all;
+    });
+
+    const oldestQueued = await prisma.job.findFirst({
+      where: { status: 'QUEUED' },
+      orderBy: { runAt: 'asc' },
+      select: { runAt: true }
+    });
+
+    return {
+      counts,
+      depth: counts.QUEUED + counts.RUNNING,
+      oldestQueuedAt: oldestQueued?.runAt || null,
+      worker: {
+        id: this.workerId,
+        running: this.running,
+        currentJobId: this.currentJob?.id || null
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = {
+  JobQueue,
+  jobQueue
+};
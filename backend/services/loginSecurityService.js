@@ -0,0 +1,269 @@
+// backend/services/loginSecurityService.js - ACCOUNT LOCKOUT AND LOGIN HISTORY
+// Failed logins are counted per account, so guessing a password from many IP addresses still
+// locks it, while one shared school IP no longer locks everyone out. Every attempt on a known
+// account is recorded, and the owner is emailed on lockout and on sign-in from a new device.
+const { PrismaClient } = require('@prisma/client');
+const { emailService } = require('./emailService');
+const { jobQueue } = require('./jobQueue');
+const { escapeHtml, renderLayout, renderButton } = require('./notificationEmailService');
+const settingsService = require('./settingsService');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const SEND_SECURITY_EMAIL = 'SEND_SECURITY_EMAIL';
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Login events older than this are deleted by the nightly purge
+const RETENTION_DAYS = 180;
+
+const requestDetails = (req) => ({
+  ipAddress: req?.ip || null,
+  userAgent: req?.get?.('user-agent')?.slice(0, 500) || null
+});
+
+const recordEvent = (user, req, data) => prisma.loginEvent.create({
+  data: { userId: user.id, ...requestDetails(req), ...data }
+});
+
+/**
+ * When the account's lockout ends, if it is locked now
+ * @returns {Date|null}
+ */
+function lockedUntil(user) {
+  return user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null;
+}
+
+/**
+ * Record a login refused before the password was checked
+ * @param {string} reason - locked or deactivated
+ */
+async function recordBlocked(user, req, reason) {
+  await recordEvent(user, req, { success: false, reason });
+}
+
+/**
+ * Record a wrong password or code, locking the account once there have been too many in a row
+ * @param {string} reason - bad_password or bad_code
+ * @returns {Promise<Date|null>} When the new lockout ends, if this attempt caused one
+ */
+async function recordFailure(user, req, reason) {
+  await recordEvent(user, req, { success: false, reason });
+
+  const [threshold, baseMinutes] = await Promise.all([
+    settingsService.get('security.lockoutThreshold'),
+    settingsService.get('security.lockoutMinutes')
+  ]);
+
+  const { failedLoginAttempts, lockoutCount } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true, lockoutCount: true }
+  });
+
+  if (failedLoginAttempts < threshold) return null;
+
+  const minutes = Math.min(baseMinutes * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+  const until = new Date(Date.now() + minutes * 60 * 1000);
+
+  // Conditional on the count, so two failures arriving together lock the account once
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, failedLoginAttempts },
+    data: { lockedUntil: until, lockoutCount: { increment: 1 }, failedLoginAttempts: 0 }
+  });
+  if (count === 0) return null;
+
+  console.warn(`🔒 Locked ${user.email} for ${minutes} minutes after ${failedLoginAttempts} failed logins`);
+
+  await auditService.log(req, {
+    action: 'user.lockout',
+    entityType: 'User',
+    entityId: user.id,
+    after: { lockedUntil: until, failedLoginAttempts }
+  });
+
+  await jobQueue.enqueue(SEND_SECURITY_EMAIL, {
+    userId: user.id,
+    kind: 'lockout',
+    lockedUntil: until.toISOString(),
+    failedLoginAttempts,
+    ...requestDetails(req)
+  });
+
+  return until;
+}
+
+/**
+ * Record a completed login and clear the failed-attempt count
+ * The first login from an IP address and browser the account has never used is flagged and emailed.
+ * @param {string} method - password, totp or recovery
+ */
+async function recordSuccess(user, req, method) {
+  const details = requestDetails(req);
+
+  const [previousLogins, familiarLogins] = await Promise.all([
+    prisma.loginEvent.count({ where: { userId: user.id, success: true } }),
+    prisma.loginEvent.count({
+      where: {
+        userId: user.id,
+        success: true,
+        OR: [{ ipAddress: details.ipAddress }, { userAgent: details.userAgent }]
+      }
+    })
+  ]);
+  const newDevice = previousLogins > 0 && familiarLogins === 0;
+
+  if (user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+    });
+  }
+
+  const event = await recordEvent(user, req, { success: true, method, newDevice });
+
+  if (newDevice) {
+    await jobQueue.enqueue(SEND_SECURITY_EMAIL, { userId: user.id, kind: 'new_device', eventId: event.id });
+  }
+}
+
+/**
+ * Recent login attempts on an account, newest first
+ */
+async function getHistory(userId, { limit = 20 } = {}) {
+  return prisma.loginEvent.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    select: {
+      id: true,
+      success: true,
+      reason: true,
+      method: true,
+      newDevice: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true
+    }
+  });
+}
+
+/**
+ * End a lockout early (admin)
+ */
+async function unlock(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+  });
+}
+
+async function purgeOldEvents() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.loginEvent.deleteMany({ where: { createdAt: { lt: cutoff } } });
+  return { purged: count };
+}
+
+const resetPasswordUrl = () => `${process.env.FRONTEND_URL || ''}/forgot-password`;
+const securityFooter = { footerUrl: `${process.env.FRONTEND_URL || ''}/profile`, footerLabel: 'Review your sign-in history' };
+
+/**
+ * Email telling the user their account was locked
+ * @returns {Object} { subject, html, text }
+ */
+function renderLockoutEmail(user, { lockedUntil: until, failedLoginAttempts, ipAddress }) {
+  const untilText = new Date(until).toUTCString();
+
+  return {
+    subject: 'AI Writing Companion - Account Temporarily Locked',
+    html: renderLayout('Account Locked', `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(user.name)},</h2>
+        <p>After ${failedLoginAttempts} failed sign-in attempts in a row, the most recent from IP address
+          <strong>${escapeHtml(ipAddress || 'unknown')}</strong>, your account is locked until <strong>${escapeHtml(untilText)}</strong>.</p>
+        <p>If this was you, wait until then and try again. If it wasn't, someone may be trying to guess your password.
+          Reset it now to be safe.</p>
+        ${renderButton(resetPasswordUrl(), 'Reset Password')}
+    `, securityFooter),
+    text: `
+Hello ${user.name},
+
+After ${failedLoginAttempts} failed sign-in attempts in a row, the most recent from IP address ${ipAddress || 'unknown'}, your account is locked until ${untilText}.
+
+If this was you, wait until then and try again. If it wasn't, someone may be trying to guess your password. Reset it now to be safe: ${resetPasswordUrl()}
+    `
+  };
+}
+
+/**
+ * Email telling the user about a sign-in from a device the account hasn't used before
+ * @returns {Object} { subject, html, text }
+ */
+function renderNewDeviceEmail(user, event) {
+  const when = event.createdAt.toUTCString();
+  const device = event.userAgent || 'Unknown browser';
+
+  return {
+    subject: 'AI Writing Companion - New Sign-in to Your Account',
+    html: renderLayout('New Sign-in', `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(user.name)},</h2>
+        <p>Your account was just signed in to from a device we haven't seen before:</p>
+        <ul>
+          <li><strong>When:</strong> ${escapeHtml(when)}</li>
+          <li><strong>IP address:</strong> ${escapeHtml(event.ipAddress || 'unknown')}</li>
+          <li><strong>Browser:</strong> ${escapeHtml(device)}</li>
+        </ul>
+        <p>If this was you, there's nothing to do. If it wasn't, reset your password, then use
+          "Log out of all devices" on your profile.</p>
+        ${renderButton(resetPasswordUrl(), 'Reset Password')}
+    `, securityFooter),
+    text: `
+Hello ${user.name},
+
+Your account was just signed in to from a device we haven't seen before:
+When: ${when}
+IP address: ${event.ipAddress || 'unknown'}
+Browser: ${device}
+
+If this was you, there's nothing to do. If it wasn't, reset your password (${resetPasswordUrl()}), then use "Log out of all devices" on your profile.
+    `
+  };
+}
+
+async function sendSecurityEmail(job) {
+  const { userId, kind, eventId } = job.payload;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, name: true, isActive: true }
+  });
+  if (!user || !user.isActive) return;
+
+  if (!emailService.isConfigured) {
+    console.warn(`⚠️ Email not configured, skipping ${kind} security email for user ${userId}`);
+    return;
+  }
+
+  let email;
+  if (kind === 'lockout') {
+    email = renderLockoutEmail(user, job.payload);
+  } else {
+    const event = await prisma.loginEvent.findUnique({ where: { id: eventId } });
+    if (!event) return;
+    email = renderNewDeviceEmail(user, event);
+  }
+
+  await emailService.sendEmail({ to: user.email, ...email });
+  console.log(`🛡️ Sent ${kind} security email to user ${userId}`);
+}
+
+jobQueue.register(SEND_SECURITY_EMAIL, { handler: sendSecurityEmail });
+
+module.exports = {
+  lockedUntil,
+  recordBlocked,
+  recordFailure,
+  recordSuccess,
+  getHistory,
+  unlock,
+  purgeOldEvents
+};
@@ -0,0 +1,294 @@
+// backend/services/notificationEmailService.js - EMAIL DELIVERY FOR IN-APP NOTIFICATIONS
+const { PrismaClient } = require('@prisma/client');
+const { emailService } = require('./emailService');
+const { jobQueue } = require('./jobQueue');
+
+const prisma = new PrismaClient();
+
+const SEND_NOTIFICATION_EMAIL = 'SEND_NOTIFICATION_EMAIL';
+
+// Hour of the day (server time) the daily digest goes out - see services/scheduledTasks.js
+const DIGEST_HOUR = parseInt(process.env.EMAIL_DIGEST_HOUR, 10) || 7;
+
+const EMAIL_FREQUENCIES = ['IMMEDIATE', 'DAILY_DIGEST', 'OFF'];
+
+// Used for any type the user hasn't set a preference for
+const DEFAULT_EMAIL_PREFERENCES = {
+  WORKFLOW_UPDATE: 'IMMEDIATE',
+  ASSIGNMENT: 'IMMEDIATE',
+  APPROVAL_REQUEST: 'IMMEDIATE',
+  EVENT_INVITATION: 'IMMEDIATE',
+  SYSTEM_ALERT: 'DAILY_DIGEST'
+};
+
+const TYPE_TEMPLATES = {
+  WORKFLOW_UPDATE: { label: 'Submission updates', heading: 'Submission Update', action: 'View Submission' },
+  ASSIGNMENT: { label: 'Assignments', heading: 'New Assignment', action: 'Open Assignment' },
+  APPROVAL_REQUEST: { label: 'Approval requests', heading: 'Approval Needed', action: 'Review Now' },
+  EVENT_INVITATION: { label: 'Event invitations', heading: 'Event Invitation', action: 'View Events' },
+  SYSTEM_ALERT: { label: 'System alerts', heading: 'System Alert', action: 'Open Dashboard' }
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Where the email's button should take the user
+function notificationLink(notification) {
+  const base = process.env.FRONTEND_URL || '';
+  if (notification.metadata?.submissionId) return `${base}/submissions/${notification.metadata.submissionId}`;
+  if (notification.type === 'EVENT_INVITATION') return `${base}/events`;
+  return `${base}/dashboard`;
+}
+
+// Same frame as the password reset email; the footer link is how the reader stops these emails
+function renderLayout(heading, bodyHtml, {
+  footerUrl = `${process.env.FRONTEND_URL || ''}/profile`,
+  footerLabel = 'Choose which emails you receive'
+} = {}) {
+  return `
+    <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+        <h1 style="color: white; margin: 0;">${escapeHtml(heading)}</h1>
+      </div>
+
+      <div style="padding: 30px; background: #f9f9f9;">
+        ${bodyHtml}
+      </div>
+
+      <div style="background: #333; color: white; padding: 20px; text-align: center; font-size: 14px;">
+        <p style="margin: 0 0 8px;">© ${new Date().getFullYear()} AI Writing Companion. All rights reserved.</p>
+        <p style="margin: 0;">
+          <a href="${footerUrl}" style="color: #c3c8f5;">${escapeHtml(footerLabel)}</a>
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+function renderButton(url, label) {
+  return `
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${url}"
+         style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+        ${escapeHtml(label)}
+      </a>
+    </div>
+  `;
+}
+
+/**
+ * Email for a single notification
+ * @returns {Object} { subject, html, text }
+ */
+function renderNotificationEmail(notification, user) {
+  const template = TYPE_TEMPLATES[notification.type] || TYPE_TEMPLATES.SYSTEM_ALERT;
+  const url = notificationLink(notification);
+
+  return {
+    subject: `AI Writing Companion - ${notification.title}`,
+    html: renderLayout(template.heading, `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(user.name)},</h2>
+        <p><strong>${escapeHtml(notification.title)}</strong></p>
+        <p>${escapeHtml(notification.message)}</p>
+        ${renderButton(url, template.action)}
+    `),
+    text: `
+Hello ${user.name},
+
+${notification.title}
+
+${notification.message}
+
+${template.action}: ${url}
+
+Choose which emails you receive: ${process.env.FRONTEND_URL || ''}/profile
+    `
+  };
+}
+
+/**
+ * One email summarising a user's notifications since the last digest
+ */
+function renderDigestEmail(notifications, user) {
+  const items = notifications.map(notification => `
+        <div style="margin-bottom: 16px; padding: 12px 16px; background: white; border-left: 4px solid #667eea; border-radius: 4px;">
+          <p style="margin: 0; font-weight: bold;">
+            <a href="${notificationLink(notification)}" style="color: #333; text-decoration: none;">${escapeHtml(notification.title)}</a>
+          </p>
+          <p style="margin: 4px 0 0; color: #666; font-size: 14px;">${escapeHtml(notification.message)}</p>
+        </div>
+  `).join('');
+
+  return {
+    subject: `AI Writing Companion - Your daily summary (${notifications.length} update${notifications.length === 1 ? '' : 's'})`,
+    html: renderLayout('Your Daily Summary', `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(user.name)},</h2>
+        <p>Here's what happened since your last summary:</p>
+        ${items}
+        ${renderButton(`${process.env.FRONTEND_URL || ''}/dashboard`, 'Open Dashboard')}
+    `),
+    text: `
+Hello ${user.name},
+
+Here's what happened since your last summary:
+
+${notifications.map(notification => `- ${notification.title}: ${notification.message}`).join('\n')}
+
+Choose which emails you receive: ${process.env.FRONTEND_URL || ''}/profile
+    `
+  };
+}
+
+/**
+ * Every notification type with the user's email setting, defaults filled in
+ */
+async function getPreferences(userId) {
+  const saved = await prisma.notificationPreference.findMany({ where: { userId } });
+  const byType = new Map(saved.map(preference => [preference.type, preference.email]));
+
+  return Object.keys(DEFAULT_EMAIL_PREFERENCES).map(type => ({
+    type,
+    label: TYPE_TEMPLATES[type].label,
+    email: byType.get(type) || DEFAULT_EMAIL_PREFERENCES[type],
+    isDefault: !byType.has(type)
+  }));
+}
+
+/**
+ * Save email settings
+ * @param {string} userId - The user ID
+ * @param {Object} preferences - Map of NotificationType to EmailFrequency
+ */
+async function updatePreferences(userId, preferences) {
+  await prisma.$transaction(Object.entries(preferences).map(([type, email]) =>
+    prisma.notificationPreference.upsert({
+      where: { userId_type: { userId, type } },
+      create: { userId, type, email },
+      update: { email }
+    })
+  ));
+
+  return getPreferences(userId);
+}
+
+async function getEmailFrequency(userId, type) {
+  const preference = await prisma.notificationPreference.findUnique({
+    where: { userId_type: { userId, type } }
+  });
+  return preference?.email || DEFAULT_EMAIL_PREFERENCES[type] || 'OFF';
+}
+
+/**
+ * Send, hold for the digest or skip a new notification's email, per the user's preference
+ * @param {Object} notification - The Notification row just created
+ */
+async function deliverNotification(notification) {
+  const frequency = await getEmailFrequency(notification.userId, notification.type);
+
+  if (frequency === 'IMMEDIATE') {
+    await jobQueue.enqueue(SEND_NOTIFICATION_EMAIL, { notificationId: notification.id });
+  } else if (frequency === 'DAILY_DIGEST') {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { digestPending: true }
+    });
+  }
+}
+
+async function sendNotificationEmail(job) {
+  const notification = await prisma.notification.findUnique({
+    where: { id: job.payload.notificationId },
+    include: { user: { select: { id: true, name: true, email: true, isActive: true } } }
+  });
+
+  if (!notification || notification.emailedAt || !notification.user.isActive) return;
+
+  // No mail transport in this environment; retrying would not help
+  if (!emailService.isConfigured) {
+    console.warn(`⚠️ Email not configured, skipping email for notification ${notification.id}`);
+    return;
+  }
+
+  await emailService.sendEmail({
+    to: notification.user.email,
+    ...renderNotificationEmail(notification, notification.user)
+  });
+
+  await prisma.notification.update({
+    where: { id: notification.id },
+    data: { emailedAt: new Date() }
+  });
+}
+
+/**
+ * Email each user their pending DAILY_DIGEST notifications in one message
+ * @returns {Promise<Object>} { sent, held } - held when no mail transport is configured
+ */
+async function sendDigests() {
+  if (!emailService.isConfigured) {
+    console.warn('⚠️ Email not configured, holding daily digests');
+    return { sent: 0, held: true };
+  }
+
+  const pending = await prisma.notification.findMany({
+    where: { digestPending: true },
+    orderBy: { createdAt: 'asc' },
+    include: { user: { select: { id: true, name: true, email: true, isActive: true } } }
+  });
+
+  const byUser = new Map();
+  pending.forEach(notification => {
+    if (!byUser.has(notification.userId)) byUser.set(notification.userId, []);
+    byUser.get(notification.userId).push(notification);
+  });
+
+  let sent = 0;
+  for (const notifications of byUser.values()) {
+    const { user } = notifications[0];
+    const ids = notifications.map(notification => notification.id);
+
+    // Types switched off since they were queued are dropped from the digest
+    const preferences = await getPreferences(user.id);
+    const frequencyOf = new Map(preferences.map(preference => [preference.type, preference.email]));
+    const included = notifications.filter(notification => frequencyOf.get(notification.type) !== 'OFF');
+
+    try {
+      if (user.isActive && included.length > 0) {
+        await emailService.sendEmail({ to: user.email, ...renderDigestEmail(included, user) });
+        sent++;
+      }
+
+      await prisma.notification.updateMany({
+        where: { id: { in: ids } },
+        data: { digestPending: false, emailedAt: new Date() }
+      });
+    } catch (sendError) {
+      // Left pending for tomorrow's digest
+      console.error(`❌ Digest email to user ${user.id} failed:`, sendError.message);
+    }
+  }
+
+  console.log(`📬 Sent ${sent} daily digest email(s)`);
+  return { sent, held: false };
+}
+
+jobQueue.register(SEND_NOTIFICATION_EMAIL, { handler: sendNotificationEmail });
+
+module.exports = {
+  escapeHtml,
+  renderLayout,
+  renderButton,
+  EMAIL_FREQUENCIES,
+  DEFAULT_EMAIL_PREFERENCES,
+  renderNotificationEmail,
+  renderDigestEmail,
+  getPreferences,
+  updatePreferences,
+  deliverNotification,
+  DIGEST_HOUR,
+  sendDigests
+};
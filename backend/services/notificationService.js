@@ -1,4 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
+const { deliverNotification } = require('./notificationEmailService');
+const { realtime } = require('./realtimeService');
 const prisma = new PrismaClient();
 
 /**
@@ -29,6 +31,15 @@ async function createNotification({
     });
 
     console.log(`Notification created for user ${userId}: ${title}`);
+
+    realtime.sendToUser(userId, 'notification', notification);
+
+    try {
+      await deliverNotification(notification);
+    } catch (emailError) {
+      console.warn('⚠️ Notification email could not be queued (non-blocking):', emailError.message);
+    }
+
     return notification;
   } catch (error) {
     console.error('Failed to create notification:', error);
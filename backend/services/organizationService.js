@@ -0,0 +1,151 @@
+// backend/services/organizationService.js - ORGANIZATIONS (SCHOOLS) AS TENANTS
+// Users, submissions and events belong to an organization, and everyone but super-admins only
+// sees their own (see permissions.js). Records from before organizations existed have none and
+// stay visible to accounts without one, until they are moved into an organization.
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+
+const prisma = new PrismaClient();
+
+class OrganizationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Active organizations, for choosing one at registration
+ */
+async function listActive() {
+  return prisma.organization.findMany({
+    where: { isActive: true },
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Every organization with its member and submission counts
+ */
+async function list() {
+  return prisma.organization.findMany({
+    orderBy: { name: 'asc' },
+    include: { _count: { select: { users: true, submissions: true } } }
+  });
+}
+
+/**
+ * @throws {OrganizationError} 409 when the name is taken
+ */
+async function create({ name }, req) {
+  if (await prisma.organization.findUnique({ where: { name } })) {
+    throw new OrganizationError('An organization with this name already exists', 409);
+  }
+
+  const organization = await prisma.organization.create({ data: { name } });
+
+  await auditService.log(req, {
+    action: 'organization.create',
+    entityType: 'Organization',
+    entityId: organization.id,
+    after: auditService.snapshot(organization, ['name', 'isActive'])
+  });
+
+  console.log(`🏫 Organization "${organization.name}" created by ${req.user.name}`);
+  return organization;
+}
+
+/**
+ * Rename, deactivate or reactivate; deactivating signs out all its members
+ * @throws {OrganizationError} 404 when not found, 409 when the new name is taken
+ */
+async function update(id, { name, isActive }, req) {
+  const organization = await prisma.organization.findUnique({ where: { id } });
+  if (!organization) throw new OrganizationError('Organization not found', 404);
+
+  if (name !== undefined && name !== organization.name &&
+      await prisma.organization.findUnique({ where: { name } })) {
+    throw new OrganizationError('An organization with this name already exists', 409);
+  }
+
+  const data = {};
+  if (name !== undefined) data.name = name;
+  if (isActive !== undefined) data.isActive = isActive;
+
+  const updated = await prisma.organization.update({ where: { id }, data });
+
+  await auditService.log(req, {
+    action: 'organization.update',
+    entityType: 'Organization',
+    entityId: id,
+    ...auditService.changes(
+      auditService.snapshot(organization, ['name', 'isActive']),
+      auditService.snapshot(updated, ['name', 'isActive'])
+    )
+  });
+
+  if (organization.isActive && !updated.isActive) {
+    await sessionService.revokeOrganizationSessions(id, 'organization_deactivated');
+  }
+
+  return updated;
+}
+
+// An active organization by id, or an OrganizationError
+async function findActive(id) {
+  const organization = await prisma.organization.findUnique({ where: { id } });
+  if (!organization || !organization.isActive) throw new OrganizationError('Organization not found', 404);
+  return organization;
+}
+
+/**
+ * The organization something the user creates (an account, invitation or event) belongs to
+ * Always the user's own, except for super-admins, who have none and must say which.
+ * @param {Object} user - req.user
+ * @param {string} requestedId - organizationId from the request; only read for super-admins
+ * @returns {Promise<string|null>}
+ */
+async function resolveFor(user, requestedId) {
+  if (user.role !== 'SUPER_ADMIN') return user.organizationId ?? null;
+  if (!requestedId) throw new OrganizationError('Choose an organization');
+  return (await findActive(requestedId)).id;
+}
+
+/**
+ * The organization a self-registering student joins
+ * Required once any organization exists; until then students register without one.
+ * @returns {Promise<string|null>}
+ */
+async function resolveForRegistration(requestedId) {
+  if (requestedId) return (await findActive(requestedId)).id;
+  if (await prisma.organization.count({ where: { isActive: true } }) > 0) {
+    throw new OrganizationError('Choose your school');
+  }
+  return null;
+}
+
+/**
+ * Whether the user's organization (if they have one) lets them sign in
+ */
+async function allowsSignIn(user) {
+  if (!user.organizationId) return true;
+  const organization = await prisma.organization.findUnique({
+    where: { id: user.organizationId },
+    select: { isActive: true }
+  });
+  return !!organization?.isActive;
+}
+
+module.exports = {
+  OrganizationError,
+  listActive,
+  list,
+  create,
+  update,
+  resolveFor,
+  resolveForRegistration,
+  allowsSignIn
+};
@@ -0,0 +1,275 @@
+// backend/services/parentUpdateService.js - PROGRESS EMAILS AND STATUS PAGE FOR PARENTS/GUARDIANS
+// Parents have no account; the student's parentAccessToken is the only credential for the
+// read-only status page and the opt-out link, so it is rotated whenever parentEmail changes.
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { emailService } = require('./emailService');
+const { jobQueue } = require('./jobQueue');
+const { escapeHtml, renderLayout, renderButton } = require('./notificationEmailService');
+
+const prisma = new PrismaClient();
+
+const SEND_PARENT_UPDATE = 'SEND_PARENT_UPDATE';
+
+const MILESTONES = {
+  PLAGIARISM_PASSED: {
+    subject: 'passed its originality review',
+    message: 'has passed our originality review and is moving on to work with an editor.'
+  },
+  EDITOR_MEETING_SCHEDULED: {
+    subject: 'has been matched with an editor',
+    message: 'has been matched with an editor, who will meet with your child to go over the piece.'
+  },
+  PDF_READY: {
+    subject: 'is ready as a PDF',
+    message: 'has been laid out and the final PDF is ready.'
+  },
+  PUBLISHING_EVENT: {
+    subject: 'is heading to a publishing event',
+    message: 'is complete and we are now planning the publishing event where it will be presented.'
+  },
+  PUBLISHED: {
+    subject: 'has been published',
+    message: 'has been published. Congratulations!'
+  }
+};
+
+// Stage moves that parents hear about; backwards moves (rework) are not announced
+const STAGE_MILESTONES = [
+  { from: 'PLAGIARISM_REVIEW', to: 'EDITOR_MEETING', milestone: 'PLAGIARISM_PASSED' },
+  { from: 'PDF_REVIEW', to: 'COVER_APPROVAL', milestone: 'PDF_READY' },
+  { from: 'COVER_APPROVAL', to: 'EVENT_PLANNING', milestone: 'PUBLISHING_EVENT' },
+  { from: 'EVENT_PLANNING', to: 'COMPLETED', milestone: 'PUBLISHED' }
+];
+
+const generateAccessToken = () => crypto.randomBytes(32).toString('hex');
+
+const statusUrl = (token) => `${process.env.FRONTEND_URL || ''}/parent/${token}`;
+const optOutUrl = (token) => `${statusUrl(token)}?unsubscribe=1`;
+
+function milestoneForTransition(fromStage, toStage) {
+  const match = STAGE_MILESTONES.find(entry => entry.from === fromStage && entry.to === toStage);
+  return match ? match.milestone : null;
+}
+
+const canReceiveUpdates = (student) =>
+  student.role === 'STUDENT' &&
+  student.isActive &&
+  student.parentUpdatesConsent &&
+  !!student.parentEmail &&
+  !student.parentOptedOutAt;
+
+/**
+ * The student's access token, creating one if they don't have it yet
+ */
+async function ensureAccessToken(student) {
+  if (student.parentAccessToken) return student.parentAccessToken;
+
+  const { parentAccessToken } = await prisma.user.update({
+    where: { id: student.id },
+    data: { parentAccessToken: generateAccessToken() },
+    select: { parentAccessToken: true }
+  });
+  return parentAccessToken;
+}
+
+/**
+ * Queue a progress email to the student's parent, if they have agreed to receive them
+ * @param {string} submissionId - The submission that reached the milestone
+ * @param {string} milestone - Key of MILESTONES
+ */
+async function notifyParentMilestone(submissionId, milestone) {
+  if (!MILESTONES[milestone]) return null;
+
+  const submission = await prisma.submission.findUnique({
+    where: { id: submissionId },
+    select: { id: true, student: true }
+  });
+  if (!submission || !canReceiveUpdates(submission.student)) return null;
+
+  await ensureAccessToken(submission.student);
+
+  return jobQueue.enqueue(SEND_PARENT_UPDATE, { submissionId, milestone });
+}
+
+/**
+ * Parent email for a submission milestone
+ * @returns {Object} { subject, html, text }
+ */
+function renderParentUpdateEmail(milestone, submission, student) {
+  const { subject, message } = MILESTONES[milestone];
+  const token = student.parentAccessToken;
+
+  return {
+    subject: `AI Writing Companion - "${submission.title}" ${subject}`,
+    html: renderLayout('Progress Update', `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello,</h2>
+        <p>${escapeHtml(student.name)}'s piece <strong>"${escapeHtml(submission.title)}"</strong> ${escapeHtml(message)}</p>
+        <p>You can follow every stage of your child's submissions on their status page. No login is needed.</p>
+        ${renderButton(statusUrl(token), 'View Progress')}
+        <p style="color: #666; font-size: 14px;">
+          You are receiving this because ${escapeHtml(student.name)} listed this address as a parent or guardian contact.
+        </p>
+    `, { footerUrl: optOutUrl(token), footerLabel: 'Stop receiving these updates' }),
+    text: `
+Hello,
+
+${student.name}'s piece "${submission.title}" ${message}
+
+View progress: ${statusUrl(token)}
+
+You are receiving this because ${student.name} listed this address as a parent or guardian contact.
+Stop receiving these updates: ${optOutUrl(token)}
+    `
+  };
+}
+
+async function sendParentUpdate(job) {
+  const { submissionId, milestone } = job.payload;
+
+  const submission = await prisma.submission.findUnique({
+    where: { id: submissionId },
+    select: { id: true, title: true, student: true }
+  });
+
+  // Consent may have been withdrawn while the job waited
+  if (!submission || !MILESTONES[milestone] || !canReceiveUpdates(submission.student)) return;
+
+  if (!emailService.isConfigured) {
+    console.warn(`⚠️ Email not configured, skipping parent update for submission ${submissionId}`);
+    return;
+  }
+
+  await emailService.sendEmail({
+    to: submission.student.parentEmail,
+    ...renderParentUpdateEmail(milestone, submission, submission.student)
+  });
+
+  console.log(`👪 Sent ${milestone} parent update for submission ${submissionId}`);
+}
+
+/**
+ * Read-only progress of a student's submissions for the parent status page
+ * @param {string} token - The student's parentAccessToken
+ * @returns {Promise<Object|null>} null if the token is unknown or updates are switched off
+ */
+async function getParentStatus(token) {
+  const student = await prisma.user.findUnique({
+    where: { parentAccessToken: token },
+    select: { id: true, name: true, role: true, isActive: true, parentUpdatesConsent: true, parentOptedOutAt: true }
+  });
+  if (!student || student.role !== 'STUDENT' || !student.isActive || !student.parentUpdatesConsent) return null;
+
+  // Titles, stages and dates only; the writing itself and staff notes stay private
+  const submissions = await prisma.submission.findMany({
+    where: { studentId: student.id, isArchived: false },
+    orderBy: { createdAt: 'desc' },
+    select: {
+      id: true,
+      title: true,
+      currentStage: true,
+      createdAt: true,
+      updatedAt: true,
+      workflowStages: {
+        orderBy: { stageNumber: 'asc' },
+        select: { stageNumber: true, stageName: true, status: true, startedAt: true, completedAt: true }
+      },
+      events: {
+        where: { isActive: true, eventDate: { gte: new Date() } },
+        orderBy: { eventDate: 'asc' },
+        select: { id: true, title: true, eventDate: true, location: true, isVirtual: true }
+      }
+    }
+  });
+
+  return {
+    student: { name: student.name },
+    optedOut: !!student.parentOptedOutAt,
+    submissions
+  };
+}
+
+/**
+ * Stop progress emails for the parent holding this token; the status page keeps working
+ * @returns {Promise<boolean>} false if the token is unknown
+ */
+async function optOut(token) {
+  const student = await prisma.user.findUnique({
+    where: { parentAccessToken: token },
+    select: { id: true, parentOptedOutAt: true }
+  });
+  if (!student) return false;
+
+  if (!student.parentOptedOutAt) {
+    await prisma.user.update({
+      where: { id: student.id },
+      data: { parentOptedOutAt: new Date() }
+    });
+  }
+  return true;
+}
+
+const settingsSelect = {
+  parentEmail: true,
+  parentUpdatesConsent: true,
+  parentConsentAt: true,
+  parentAccessToken: true,
+  parentOptedOutAt: true
+};
+
+const formatSettings = (user) => ({
+  parentEmail: user.parentEmail,
+  parentUpdatesConsent: user.parentUpdatesConsent,
+  parentConsentAt: user.parentConsentAt,
+  parentOptedOut: !!user.parentOptedOutAt,
+  parentOptedOutAt: user.parentOptedOutAt,
+  statusUrl: user.parentUpdatesConsent && user.parentAccessToken ? statusUrl(user.parentAccessToken) : null
+});
+
+async function getSettings(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: settingsSelect });
+  return user ? formatSettings(user) : null;
+}
+
+/**
+ * Give or withdraw the student's consent to parent updates
+ * An opt-out by the parent stands until a different parentEmail is set.
+ */
+async function updateConsent(userId, consent) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: settingsSelect });
+  if (!user) return null;
+
+  const data = consent
+    ? {
+        parentUpdatesConsent: true,
+        parentConsentAt: new Date(),
+        parentAccessToken: user.parentAccessToken || generateAccessToken()
+      }
+    : { parentUpdatesConsent: false, parentConsentAt: null };
+
+  const updated = await prisma.user.update({ where: { id: userId }, data, select: settingsSelect });
+  return formatSettings(updated);
+}
+
+/**
+ * Fields to merge into a user update when parentEmail changes, so the old address loses access
+ */
+const parentEmailChangeData = () => ({
+  parentAccessToken: generateAccessToken(),
+  parentOptedOutAt: null
+});
+
+jobQueue.register(SEND_PARENT_UPDATE, { handler: sendParentUpdate });
+
+module.exports = {
+  MILESTONES,
+  milestoneForTransition,
+  notifyParentMilestone,
+  renderParentUpdateEmail,
+  getParentStatus,
+  optOut,
+  getSettings,
+  updateConsent,
+  parentEmailChangeData,
+  generateAccessToken
+};
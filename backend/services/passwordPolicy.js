@@ -0,0 +1,39 @@
+// backend/services/passwordPolicy.js - PASSWORD RULES FROM SYSTEM SETTINGS
+const settingsService = require('./settingsService');
+
+/**
+ * Rules a new password breaks, as messages
+ * @returns {Promise<string[]>} Empty when the password is acceptable
+ */
+async function checkPassword(password) {
+  const rules = await settingsService.getMany([
+    'password.minLength',
+    'password.requireUppercase',
+    'password.requireNumber',
+    'password.requireSymbol'
+  ]);
+  const text = typeof password === 'string' ? password : '';
+  const problems = [];
+
+  if (text.length < rules['password.minLength']) {
+    problems.push(`at least ${rules['password.minLength']} characters`);
+  }
+  if (rules['password.requireUppercase'] && !/[A-Z]/.test(text)) problems.push('an uppercase letter');
+  if (rules['password.requireNumber'] && !/[0-9]/.test(text)) problems.push('a number');
+  if (rules['password.requireSymbol'] && !/[^A-Za-z0-9]/.test(text)) problems.push('a symbol');
+
+  return problems;
+}
+
+/**
+ * express-validator custom check, e.g. body('password').custom(passwordValidator)
+ */
+async function passwordValidator(password) {
+  const problems = await checkPassword(password);
+  if (problems.length > 0) {
+    throw new Error(`Password must contain ${problems.join(', ')}`);
+  }
+  return true;
+}
+
+module.exports = { checkPassword, passwordValidator };
@@ -0,0 +1,237 @@
+// backend/services/permissions.js - WHO CAN DO WHAT: THE PERMISSION MATRIX
+// One table of resource.action × role, used by the API middleware and sent to the browser
+// (GET /api/auth/permissions), so the UI shows exactly what the API allows.
+//
+// A role's grant is either true (always allowed) or a list of conditions on the record, any one
+// of which is enough. A condition maps field paths on the record to the value they must have;
+// '$user' stands for the signed-in user's id. Roles without an entry fall back to '*'.
+// Stage-by-stage workflow rules stay in workflowService; these only say who may act at all.
+//
+// On top of the grants, records belong to an organization (a school): everyone but super-admins
+// may only act on records of their own organization. Super-admins have every admin grant, in
+// every organization, plus the platform-wide ones below.
+
+const ROLES = ['SUPER_ADMIN', 'ADMIN', 'OPERATIONS', 'EDITOR', 'REVIEWER', 'SALES', 'STUDENT'];
+
+const OWN_SUBMISSION = { studentId: '$user' };
+const ASSIGNED_EDITOR = { editorId: '$user' };
+const COHORT_STAFF = { 'membership.role': 'staff' };
+
+const PERMISSIONS = {
+  // Submissions (record: the submission)
+  'submission.view': {
+    ADMIN: true, OPERATIONS: true, SALES: true,
+    STUDENT: [OWN_SUBMISSION],
+    EDITOR: [ASSIGNED_EDITOR],
+    REVIEWER: [{ currentStage: 'PLAGIARISM_REVIEW' }]
+  },
+  'submission.create': { STUDENT: true },
+  'submission.revise': {
+    ADMIN: true,
+    STUDENT: [OWN_SUBMISSION],
+    EDITOR: [ASSIGNED_EDITOR]
+  },
+  'submission.archive': { ADMIN: true, STUDENT: [OWN_SUBMISSION] },
+  'submission.analyze': { ADMIN: true, OPERATIONS: true },
+  'submission.assign_editor': { ADMIN: true, OPERATIONS: true },
+  'submission.request_revision': { ADMIN: true, EDITOR: [ASSIGNED_EDITOR] },
+  'submission.change_stage': {
+    ADMIN: true, OPERATIONS: true,
+    EDITOR: [ASSIGNED_EDITOR],
+    REVIEWER: [{ currentStage: 'PLAGIARISM_REVIEW' }]
+  },
+  'submission.upload_file': {
+    ADMIN: true, OPERATIONS: true,
+    STUDENT: [OWN_SUBMISSION],
+    EDITOR: [ASSIGNED_EDITOR]
+  },
+
+  // Approvals (record: the submission)
+  'approval.view': {
+    ADMIN: true, OPERATIONS: true, SALES: true,
+    STUDENT: [OWN_SUBMISSION],
+    EDITOR: [ASSIGNED_EDITOR]
+  },
+  'approval.editor': { ADMIN: true, EDITOR: [ASSIGNED_EDITOR] },
+  'approval.student_confirmation': { '*': [OWN_SUBMISSION] },
+  'approval.admin_final': { ADMIN: true },
+  'approval.files': { ADMIN: true, '*': [OWN_SUBMISSION] },
+
+  // Annotations (record: the annotation with its submission)
+  'annotation.create': { ADMIN: true, OPERATIONS: true, EDITOR: true, REVIEWER: true, SALES: true },
+  'annotation.resolve': {
+    ADMIN: true,
+    '*': [{ authorId: '$user' }, { 'submission.studentId': '$user' }, { 'submission.editorId': '$user' }]
+  },
+  'annotation.delete': { ADMIN: true, '*': [{ authorId: '$user' }] },
+
+  // Files (record: the file with its submission)
+  'file.view': {
+    ADMIN: true, OPERATIONS: true,
+    '*': [{ uploadedById: '$user' }, { 'submission.studentId': '$user' }, { 'submission.editorId': '$user' }]
+  },
+  'file.approve': { ADMIN: true, OPERATIONS: true, EDITOR: [{ 'submission.editorId': '$user' }, { submission: null }] },
+  'file.delete': { ADMIN: true, OPERATIONS: true, '*': [{ uploadedById: '$user' }] },
+
+  // Plagiarism reviews
+  'review.perform': { ADMIN: true, REVIEWER: true },
+  'review.stats': { ADMIN: true },
+
+  // Events (record: the event)
+  'event.create': { ADMIN: true, OPERATIONS: true, SALES: true },
+  'event.manage': { ADMIN: true, '*': [{ createdById: '$user' }] },
+
+  // Cohorts (record: the cohort with the user's own membership, see cohortService)
+  'cohort.create': { ADMIN: true, OPERATIONS: true, EDITOR: true },
+  'cohort.view': {
+    ADMIN: true, OPERATIONS: true, SALES: true,
+    EDITOR: [COHORT_STAFF], REVIEWER: [COHORT_STAFF]
+  },
+  'cohort.manage': {
+    ADMIN: true, OPERATIONS: true,
+    EDITOR: [COHORT_STAFF], REVIEWER: [COHORT_STAFF], SALES: [COHORT_STAFF]
+  },
+
+  // Own account
+  'parent_updates.manage': { STUDENT: true },
+
+  // Administration
+  'user.manage': { ADMIN: true },
+  'audit.view': { ADMIN: true },
+  'notification.types': { ADMIN: true },
+
+  // Platform-wide: shared by every organization
+  'organization.manage': { SUPER_ADMIN: true },
+  'settings.manage': { SUPER_ADMIN: true },
+  'jobs.manage': { SUPER_ADMIN: true }
+};
+
+const valueAt = (record, path) => path.split('.').reduce((value, key) => value?.[key], record) ?? null;
+
+const matches = (condition, user, record) => Object.entries(condition).every(([path, expected]) =>
+  valueAt(record, path) === (expected === '$user' ? user.id : expected)
+);
+
+const grantFor = (permission, role) => {
+  const grants = PERMISSIONS[permission];
+  if (!grants) throw new Error(`Unknown permission: ${permission}`);
+  if (role === 'SUPER_ADMIN') return grants.SUPER_ADMIN ?? grants.ADMIN ?? grants['*'] ?? false;
+  return grants[role] ?? grants['*'] ?? false;
+};
+
+// A record's organization: its own, its submission's, or for files without a submission their
+// uploader's. undefined when the record wasn't loaded with any of those.
+const organizationOf = (record) => {
+  if (record.organizationId !== undefined) return record.organizationId;
+  if (record.submission) return record.submission.organizationId;
+  return record.uploadedBy?.organizationId;
+};
+
+/**
+ * Whether the record belongs to the user's organization (always, for super-admins)
+ * Records loaded without their organization count as someone else's.
+ */
+function sameOrganization(user, record) {
+  if (user.role === 'SUPER_ADMIN') return true;
+  const organizationId = organizationOf(record);
+  return organizationId !== undefined && organizationId === (user.organizationId ?? null);
+}
+
+/**
+ * Prisma where clause for the rows of a model with organizationId that the user may see at all
+ */
+function organizationScope(user) {
+  return user.role === 'SUPER_ADMIN' ? {} : { organizationId: user.organizationId ?? null };
+}
+
+/**
+ * Whether the user may do something, to this record if given
+ * Without a record, only unconditional grants count; with one, it must be in the user's organization.
+ * @param {Object} user - req.user
+ * @param {string} permission - e.g. submission.archive
+ * @param {Object} record - The thing acted on, with the fields its conditions read
+ * @returns {boolean}
+ */
+function can(user, permission, record = null) {
+  if (!user) return false;
+  if (record && !sameOrganization(user, record)) return false;
+  const grant = grantFor(permission, user.role);
+  if (grant === true) return true;
+  if (!grant || !record) return false;
+  return grant.some(condition => matches(condition, user, record));
+}
+
+/**
+ * Whether the user's role may ever do something (unconditionally or for some records)
+ */
+function canSometimes(user, permission) {
+  return !!user && grantFor(permission, user.role) !== false;
+}
+
+/**
+ * Prisma where clause for the records the user may act on, in their organization; null when none
+ * Only for models with organizationId, and permissions whose conditions use the model's own
+ * fields or to-one relations.
+ */
+function whereFor(user, permission) {
+  const grant = grantFor(permission, user.role);
+  if (!grant) return null;
+  const scope = organizationScope(user);
+  if (grant === true) return scope;
+
+  // { 'submission.studentId': '$user' } becomes { submission: { studentId: user.id } }
+  const toWhere = (condition) => {
+    const where = {};
+    for (const [path, expected] of Object.entries(condition)) {
+      const keys = path.split('.');
+      const field = keys.pop();
+      let target = where;
+      keys.forEach(key => { target = target[key] = target[key] || {}; });
+      target[field] = expected === '$user' ? user.id : expected;
+    }
+    return where;
+  };
+
+  return { ...scope, ...(grant.length === 1 ? toWhere(grant[0]) : { OR: grant.map(toWhere) }) };
+}
+
+/**
+ * Middleware: 403 unless the user's role has the permission for at least some records
+ * Routes with conditional grants still check the loaded record with can().
+ * @param {string} permission
+ * @param {string} message - Error shown to the user
+ */
+const requirePermission = (permission, message = 'Insufficient permissions') => {
+  grantFor(permission, ROLES[0]); // Typos fail at startup rather than on the first request
+
+  return (req, res, next) => {
+    if (!canSometimes(req.user, permission)) {
+      return res.status(403).json({ error: message });
+    }
+    next();
+  };
+};
+
+/**
+ * A role's grants, as sent to the browser
+ * @returns {Object} permission -> true | conditions
+ */
+function describeRole(role) {
+  return Object.fromEntries(
+    Object.keys(PERMISSIONS)
+      .map(permission => [permission, grantFor(permission, role)])
+      .filter(([, grant]) => grant !== false)
+  );
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  canSometimes,
+  sameOrganization,
+  organizationScope,
+  whereFor,
+  requirePermission,
+  describeRole
+};
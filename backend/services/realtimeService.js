@@ -0,0 +1,124 @@
+// backend/services/realtimeService.js - SERVER-SENT EVENTS TO CONNECTED BROWSERS
+// Connections live in this process only. Events raised by the job worker reach browsers because
+// the worker runs in the same process as the API (see server.js).
+
+const HEARTBEAT_MS = 20 * 1000; // Keeps proxies from closing idle streams
+const RECONNECT_MS = 3000; // Suggested to the browser after a dropped connection
+
+// Roles that see every submission of their organization (same as submission.view in permissions.js)
+const ALL_SUBMISSION_ROLES = ['ADMIN', 'OPERATIONS', 'SALES'];
+
+class RealtimeHub {
+  constructor() {
+    this.clients = new Map(); // userId -> Set of { res, role, organizationId, sessionId }
+    this.heartbeat = null;
+  }
+
+  /**
+   * Turn the response into an event stream for the authenticated user
+   * @param {Object} req - Express request, after authenticateToken
+   * @param {Object} res - Express response, kept open until the client disconnects
+   */
+  connect(req, res) {
+    const { id: userId, role, organizationId, sid: sessionId, exp } = req.user;
+
+    // Exempt from the 25s request timeout in server.js
+    req.setTimeout(0);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const client = { res, role, organizationId: organizationId ?? null, sessionId };
+    if (!this.clients.has(userId)) this.clients.set(userId, new Set());
+    this.clients.get(userId).add(client);
+
+    // The stream must not outlive the token that opened it; the browser reconnects with a fresh one
+    const expiry = exp ? setTimeout(() => res.end(), Math.max(exp * 1000 - Date.now(), 0)) : null;
+
+    req.on('close', () => {
+      if (expiry) clearTimeout(expiry);
+      const userClients = this.clients.get(userId);
+      if (!userClients) return;
+      userClients.delete(client);
+      if (userClients.size === 0) this.clients.delete(userId);
+    });
+
+    this.send(client, 'ready', { userId });
+    this.startHeartbeat();
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(userClients => userClients.forEach(client => client.res.write(': ping\n\n')));
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Push an event to every open stream of a user
+   */
+  sendToUser(userId, event, data) {
+    const userClients = this.clients.get(userId);
+    if (!userClients) return;
+    userClients.forEach(client => this.send(client, event, data));
+  }
+
+  /**
+   * Push a stage change to everyone allowed to see the submission
+   * @param {Object} result - Result of workflowService.transition
+   */
+  publishStageChange({ submission, fromStage, toStage, actor }) {
+    const payload = {
+      submissionId: submission.id,
+      title: submission.title,
+      fromStage,
+      toStage,
+      actorId: actor?.id || null,
+      changedAt: new Date().toISOString()
+    };
+    const involvesReview = fromStage === 'PLAGIARISM_REVIEW' || toStage === 'PLAGIARISM_REVIEW';
+
+    this.clients.forEach((userClients, userId) => {
+      userClients.forEach(client => {
+        const sameOrganization = client.organizationId === (submission.organizationId ?? null);
+        const canSee =
+          client.role === 'SUPER_ADMIN' ||
+          userId === submission.studentId ||
+          userId === submission.editorId ||
+          (sameOrganization && ALL_SUBMISSION_ROLES.includes(client.role)) ||
+          (sameOrganization && client.role === 'REVIEWER' && involvesReview);
+
+        if (canSee) this.send(client, 'submission.stage', payload);
+      });
+    });
+  }
+
+  /**
+   * Close the streams opened by sessions that have been signed out
+   */
+  disconnectSessions(sessionIds) {
+    this.clients.forEach(userClients => userClients.forEach(client => {
+      if (sessionIds.includes(client.sessionId)) client.res.end();
+    }));
+  }
+
+  get connectionCount() {
+    let count = 0;
+    this.clients.forEach(userClients => { count += userClients.size; });
+    return count;
+  }
+}
+
+const realtime = new RealtimeHub();
+
+module.exports = { realtime };
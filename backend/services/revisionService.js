@@ -0,0 +1,307 @@
+// backend/services/revisionService.js - SUBMISSION DRAFTS AND RESUBMISSION
+const { PrismaClient } = require('@prisma/client');
+const { createNotification } = require('./notificationService');
+const workflowService = require('./workflowService');
+const { enqueueAnalysis } = require('./analysisJobs');
+const { can } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+// Where a resubmitted draft goes, by the stage the revision was requested in
+const RESUBMIT_STAGE = {
+  PLAGIARISM_REVIEW: 'ANALYSIS', // Failed review: analyse the new draft, then back to a reviewer
+  EDITOR_MEETING: 'EDITOR_MEETING' // Editor or approver asked for changes: stays with the editor, re-analysed in place
+};
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Flag a submission as waiting for a revised draft from the student
+ * Call after any stage transition in the same transaction - transitions clear the flag
+ */
+async function markRevisionRequested(tx, submissionId, notes = null) {
+  return tx.submission.update({
+    where: { id: submissionId },
+    data: {
+      revisionRequested: true,
+      revisionRequestNotes: notes
+    }
+  });
+}
+
+/**
+ * Store the submission's current content as a revision if it has none yet
+ * Covers the original draft of submissions created before revisions existed
+ */
+async function ensureCurrentVersion(tx, submission) {
+  const existing = await tx.submissionRevision.findUnique({
+    where: {
+      submissionId_version: {
+        submissionId: submission.id,
+        version: submission.currentVersion
+      }
+    }
+  });
+  if (existing) return existing;
+
+  return tx.submissionRevision.create({
+    data: {
+      submissionId: submission.id,
+      version: submission.currentVersion,
+      title: submission.title,
+      content: submission.content,
+      stage: submission.currentStage,
+      createdById: submission.studentId
+    }
+  });
+}
+
+/**
+ * Whether the user can upload a new draft right now
+ */
+function canResubmit(submission, user) {
+  return can(user, 'submission.revise', submission) &&
+    submission.revisionRequested &&
+    !!RESUBMIT_STAGE[submission.currentStage];
+}
+
+/**
+ * Whether the user can ask the student for a new draft right now
+ */
+function canRequestRevision(submission, user) {
+  return can(user, 'submission.request_revision', submission) &&
+    submission.currentStage === 'EDITOR_MEETING' && !submission.revisionRequested;
+}
+
+/**
+ * List a submission's drafts without their content, newest first
+ */
+async function listRevisions(submission) {
+  const revisions = await prisma.submissionRevision.findMany({
+    where: { submissionId: submission.id },
+    orderBy: { version: 'desc' },
+    include: {
+      createdBy: { select: { id: true, name: true } }
+    }
+  });
+
+  // Submissions from before revisions existed only have their current content
+  if (revisions.length === 0) {
+    return [{
+      id: null,
+      version: submission.currentVersion,
+      title: submission.title,
+      changeNotes: null,
+      stage: submission.currentStage,
+      createdAt: submission.createdAt,
+      createdBy: null,
+      wordCount: countWords(submission.content),
+      isCurrent: true
+    }];
+  }
+
+  return revisions.map(({ content, ...revision }) => ({
+    ...revision,
+    wordCount: countWords(content),
+    isCurrent: revision.version === submission.currentVersion
+  }));
+}
+
+/**
+ * Get one draft with its content
+ */
+async function getRevision(submission, version) {
+  const revision = await prisma.submissionRevision.findUnique({
+    where: {
+      submissionId_version: { submissionId: submission.id, version }
+    },
+    include: {
+      createdBy: { select: { id: true, name: true } }
+    }
+  });
+
+  if (revision || version !== submission.currentVersion) return revision;
+
+  // Legacy submission: the current content is the only draft
+  return {
+    id: null,
+    version,
+    title: submission.title,
+    content: submission.content,
+    changeNotes: null,
+    stage: submission.currentStage,
+    createdAt: submission.createdAt,
+    createdBy: null
+  };
+}
+
+/**
+ * Load the text behind a diff source: a draft version ("3") or an uploaded file's extracted text ("file:<id>")
+ * @returns {Promise<Object|null>} { source, label, text, createdAt }; text is null for files not extracted yet
+ */
+async function getTextSource(submission, source) {
+  const fileMatch = /^file:(.+)$/.exec(source);
+
+  if (fileMatch) {
+    const file = await prisma.fileAttachment.findFirst({
+      where: { id: fileMatch[1], submissionId: submission.id }
+    });
+    if (!file) return null;
+
+    return {
+      source,
+      label: file.originalName,
+      text: file.metadata?.extractedText || null,
+      createdAt: file.createdAt
+    };
+  }
+
+  const revision = await getRevision(submission, parseInt(source, 10));
+  if (!revision) return null;
+
+  return {
+    source,
+    label: `Version ${revision.version}`,
+    text: revision.content,
+    createdAt: revision.createdAt
+  };
+}
+
+/**
+ * Ask the student for a revised draft (editor meeting)
+ * @param {Object} params
+ * @param {Object} params.submission - The submission
+ * @param {Object} params.user - Editor or admin making the request
+ * @param {string} params.notes - What needs to change
+ */
+async function requestRevision({ submission, user, notes }) {
+  const updated = await markRevisionRequested(prisma, submission.id, notes);
+
+  console.log(`✏️ Revision requested for submission ${submission.id} by ${user.name}`);
+
+  try {
+    await createNotification({
+      userId: submission.studentId,
+      type: 'WORKFLOW_UPDATE',
+      title: 'Revision Requested',
+      message: `${user.name} asked for a revised draft of "${submission.title}": ${notes}`,
+      metadata: { submissionId: submission.id }
+    });
+  } catch (notificationError) {
+    console.warn('⚠️ Revision request notification failed (non-blocking):', notificationError.message);
+  }
+
+  return updated;
+}
+
+/**
+ * Store a revised draft, move the submission to the right stage and re-run analysis
+ * @param {Object} params
+ * @param {Object} params.submission - The submission being revised
+ * @param {Object} params.user - Who uploads the draft: the student, their editor or an admin
+ * @param {string} params.title - New title (optional, defaults to the current one)
+ * @param {string} params.content - The revised content
+ * @param {string} params.changeNotes - Summary of what changed
+ * @throws {WorkflowError} When the submission isn't waiting for a revision
+ */
+async function resubmit({ submission, user, title, content, changeNotes = null }) {
+  const fromStage = submission.currentStage;
+  const toStage = RESUBMIT_STAGE[fromStage];
+
+  if (!submission.revisionRequested || !toStage) {
+    throw new workflowService.WorkflowError('This submission is not waiting for a revised draft', 409, {
+      currentStage: fromStage
+    });
+  }
+
+  const version = submission.currentVersion + 1;
+
+  const result = await prisma.$transaction(async (tx) => {
+    await ensureCurrentVersion(tx, submission);
+
+    const revision = await tx.submissionRevision.create({
+      data: {
+        submissionId: submission.id,
+        version,
+        title: title || submission.title,
+        content,
+        changeNotes,
+        stage: fromStage,
+        createdById: user.id
+      }
+    });
+
+    let updated = await tx.submission.update({
+      where: { id: submission.id },
+      data: {
+        title: title || submission.title,
+        content,
+        currentVersion: version,
+        revisionRequested: false,
+        revisionRequestNotes: null,
+        // A new draft after a failed review needs a fresh plagiarism review
+        ...(toStage === 'ANALYSIS' && { plagiarismScore: null, plagiarismNotes: null })
+      }
+    });
+
+    let transitionResult = null;
+    if (toStage !== fromStage) {
+      transitionResult = await workflowService.transition(submission.id, toStage, {
+        actor: workflowService.SYSTEM_ACTOR,
+        notes: `Revised draft (version ${version}) submitted by ${user.name}`,
+        tx
+      });
+      updated = transitionResult.submission;
+    }
+
+    return { revision, submission: updated, transitionResult };
+  });
+
+  if (result.transitionResult) {
+    await workflowService.runStageHooks(result.transitionResult);
+  }
+
+  try {
+    await enqueueAnalysis(submission.id, 'resubmission');
+  } catch (queueError) {
+    console.error(`❌ Failed to queue analysis for revised submission ${submission.id}:`, queueError);
+  }
+
+  console.log(`📝 Submission ${submission.id} resubmitted as version ${version}:`, {
+    fromStage,
+    toStage
+  });
+
+  if (submission.editorId && toStage === 'EDITOR_MEETING') {
+    try {
+      await createNotification({
+        userId: submission.editorId,
+        type: 'WORKFLOW_UPDATE',
+        title: 'Revised Draft Submitted',
+        message: `${user.name} submitted version ${version} of "${result.submission.title}".${changeNotes ? ` Changes: ${changeNotes}` : ''}`,
+        metadata: { submissionId: submission.id, version }
+      });
+    } catch (notificationError) {
+      console.warn('⚠️ Resubmission notification failed (non-blocking):', notificationError.message);
+    }
+  }
+
+  return {
+    revision: result.revision,
+    submission: result.submission,
+    stage: toStage
+  };
+}
+
+module.exports = {
+  RESUBMIT_STAGE,
+  markRevisionRequested,
+  ensureCurrentVersion,
+  canResubmit,
+  canRequestRevision,
+  listRevisions,
+  getRevision,
+  getTextSource,
+  requestRevision,
+  resubmit
+};
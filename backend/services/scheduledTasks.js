@@ -0,0 +1,257 @@
+// backend/services/scheduledTasks.js - RECURRING TASKS RUN BY THE SCHEDULER
+const { PrismaClient } = require('@prisma/client');
+const { scheduler } = require('./scheduler');
+const { createNotification } = require('./notificationService');
+const slaService = require('./slaService');
+const { DIGEST_HOUR, sendDigests } = require('./notificationEmailService');
+const { purgeExpiredSessions } = require('./sessionService');
+const { purgeOldEvents: purgeLoginHistory } = require('./loginSecurityService');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// A stuck submission is nudged again at most this often, even if the task is run by hand
+const NUDGE_INTERVAL_MS = 20 * HOUR_MS;
+
+const formatStage = (stage) => stage.replace(/_/g, ' ').toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
+
+const formatEventTime = (date) => new Date(date).toLocaleString('en-US', {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Remind attendees 24 hours and 1 hour before an event
+ * Runs every few minutes; each reminder is sent once per RSVP.
+ */
+async function sendEventReminders() {
+  const now = new Date();
+  const rsvps = await prisma.eventRsvp.findMany({
+    where: {
+      status: 'attending',
+      event: { isActive: true, eventDate: { gt: now, lte: new Date(now.getTime() + DAY_MS) } },
+      OR: [{ reminder24hSentAt: null }, { reminder1hSentAt: null }]
+    },
+    include: {
+      event: { select: { id: true, title: true, eventDate: true, location: true, isVirtual: true, meetingLink: true } },
+      user: { select: { id: true, isActive: true } }
+    }
+  });
+
+  let dayBefore = 0;
+  let hourBefore = 0;
+
+  for (const rsvp of rsvps) {
+    const { event } = rsvp;
+    const startsSoon = event.eventDate.getTime() - now.getTime() <= HOUR_MS;
+    const where = event.isVirtual ? 'online' : `at ${event.location || 'the venue'}`;
+
+    // Someone who RSVPs within the last hour only gets the 1-hour reminder
+    if (startsSoon && !rsvp.reminder1hSentAt) {
+      if (rsvp.user.isActive) {
+        await createNotification({
+          userId: rsvp.userId,
+          type: 'EVENT_INVITATION',
+          title: `Starting soon: ${event.title}`,
+          message: `${event.title} starts ${formatEventTime(event.eventDate)} ${where}.`,
+          metadata: { eventId: event.id, reminder: '1h' }
+        });
+        hourBefore++;
+      }
+      await prisma.eventRsvp.update({
+        where: { id: rsvp.id },
+        data: { reminder1hSentAt: now, reminder24hSentAt: rsvp.reminder24hSentAt || now }
+      });
+    } else if (!startsSoon && !rsvp.reminder24hSentAt) {
+      if (rsvp.user.isActive) {
+        await createNotification({
+          userId: rsvp.userId,
+          type: 'EVENT_INVITATION',
+          title: `Tomorrow: ${event.title}`,
+          message: `Reminder: ${event.title} is on ${formatEventTime(event.eventDate)} ${where}.`,
+          metadata: { eventId: event.id, reminder: '24h' }
+        });
+        dayBefore++;
+      }
+      await prisma.eventRsvp.update({
+        where: { id: rsvp.id },
+        data: { reminder24hSentAt: now }
+      });
+    }
+  }
+
+  return { dayBefore, hourBefore };
+}
+
+// Active users in these roles at the submission's school
+const activeUsers = (roles, submission) => prisma.user.findMany({
+  where: { role: { in: roles }, isActive: true, organizationId: submission.organizationId },
+  select: { id: true }
+});
+
+// Who is waited on in each stage
+async function stageOwners(stage, submission) {
+  switch (stage) {
+    case 'ANALYSIS':
+      return activeUsers(['ADMIN'], submission);
+    case 'PLAGIARISM_REVIEW':
+      return activeUsers(['REVIEWER'], submission);
+    case 'EDITOR_MEETING':
+    case 'APPROVAL_PROCESS':
+      // Without an editor, whoever assigns editors is the one holding things up
+      return submission.editorId ? [{ id: submission.editorId }] : activeUsers(['ADMIN', 'OPERATIONS'], submission);
+    default:
+      return activeUsers(['OPERATIONS'], submission);
+  }
+}
+
+/**
+ * Nudge stage owners about overdue submissions (at most daily), and escalate each overdue
+ * stage to operations and admins once
+ */
+async function escalateOverdueSubmissions() {
+  const now = new Date();
+
+  const submissions = await prisma.submission.findMany({
+    where: await slaService.overdueWhere(now),
+    select: {
+      id: true,
+      title: true,
+      currentStage: true,
+      editorId: true,
+      organizationId: true,
+      createdAt: true,
+      isArchived: true,
+      workflowStages: { where: { status: { in: ['pending', 'in_progress'] } } }
+    }
+  });
+  if (submissions.length === 0) return { overdue: 0, nudged: 0, escalated: 0 };
+
+  const slas = await slaService.getStageSlas();
+  // Each school's operations and admins, looked up once per school
+  const escalationTeams = new Map();
+  const escalationTeam = async (submission) => {
+    if (!escalationTeams.has(submission.organizationId)) {
+      escalationTeams.set(submission.organizationId, await activeUsers(['OPERATIONS', 'ADMIN'], submission));
+    }
+    return escalationTeams.get(submission.organizationId);
+  };
+
+  let nudged = 0;
+  let escalated = 0;
+
+  for (const submission of submissions) {
+    const stage = submission.workflowStages.find(entry => entry.stageName === submission.currentStage);
+    const sla = slaService.computeSla(submission, slas, now);
+    if (!stage || !sla?.isOverdue) continue;
+
+    const stageLabel = formatStage(stage.stageName);
+    const message = `"${submission.title}" has been in ${stageLabel} for ${sla.daysInStage} days (target: ${sla.slaDays}).`;
+    const metadata = { submissionId: submission.id, stage: stage.stageName, dueAt: sla.dueAt, daysInStage: sla.daysInStage };
+
+    // Timestamps from an earlier visit to this stage don't count
+    const since = (key) => {
+      const at = stage.metadata?.[key] ? new Date(stage.metadata[key]) : null;
+      return at && at >= stage.startedAt ? at : null;
+    };
+    const lastNudgedAt = since('slaNudgedAt');
+    const escalatedAt = since('slaEscalatedAt');
+    const notified = new Set();
+    const updates = {};
+
+    if (!lastNudgedAt || now - lastNudgedAt >= NUDGE_INTERVAL_MS) {
+      const owners = await stageOwners(stage.stageName, submission);
+      for (const owner of owners) {
+        await createNotification({
+          userId: owner.id,
+          type: 'SYSTEM_ALERT',
+          title: `Waiting in ${stageLabel}`,
+          message,
+          metadata
+        });
+        notified.add(owner.id);
+      }
+      updates.slaNudgedAt = now.toISOString();
+      nudged++;
+    }
+
+    if (!escalatedAt) {
+      for (const member of await escalationTeam(submission)) {
+        if (notified.has(member.id)) continue;
+        await createNotification({
+          userId: member.id,
+          type: 'SYSTEM_ALERT',
+          title: `Overdue: ${submission.title}`,
+          message: `${message} It was due ${sla.dueAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}.`,
+          metadata: { ...metadata, escalation: true }
+        });
+      }
+      updates.slaEscalatedAt = now.toISOString();
+      escalated++;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await prisma.workflowStage.update({
+        where: { id: stage.id },
+        data: { metadata: { ...(stage.metadata || {}), ...updates } }
+      });
+    }
+  }
+
+  return { overdue: submissions.length, nudged, escalated };
+}
+
+async function purgeExpiredResetTokens() {
+  const { count } = await prisma.user.updateMany({
+    where: { resetPasswordExpires: { lt: new Date() } },
+    data: { resetPasswordToken: null, resetPasswordExpires: null }
+  });
+
+  return { purged: count };
+}
+
+scheduler.register('event-reminders', {
+  schedule: '*/5 * * * *',
+  description: 'Remind attendees 24 hours and 1 hour before an event',
+  handler: sendEventReminders
+});
+
+scheduler.register('stage-sla-escalations', {
+  schedule: '15 * * * *',
+  description: 'Nudge stage owners about overdue submissions and escalate them to operations',
+  handler: escalateOverdueSubmissions
+});
+
+scheduler.register('purge-reset-tokens', {
+  schedule: '30 3 * * *',
+  description: 'Clear expired password reset tokens',
+  handler: purgeExpiredResetTokens
+});
+
+scheduler.register('purge-sessions', {
+  schedule: '45 3 * * *',
+  description: 'Delete sessions that expired or were signed out over 30 days ago',
+  handler: purgeExpiredSessions
+});
+
+scheduler.register('purge-login-history', {
+  schedule: '50 3 * * *',
+  description: 'Delete login history older than 180 days',
+  handler: purgeLoginHistory
+});
+
+scheduler.register('notification-digest', {
+  schedule: `0 ${DIGEST_HOUR} * * *`,
+  description: 'Email daily digests of pending notifications',
+  handler: sendDigests
+});
+
+module.exports = {
+  sendEventReminders,
+  escalateOverdueSubmissions,
+  purgeExpiredResetTokens
+};
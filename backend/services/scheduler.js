@@ -0,0 +1,190 @@
+// backend/services/scheduler.js - RECURRING TASKS ON NODE-CRON WITH RUN HISTORY
+// Every instance runs the same cron schedule. Each tick is claimed by inserting a ScheduledTaskRun
+// with a unique (task, scheduledFor), so only one instance does the work.
+const cron = require('node-cron');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// A RUNNING row older than this was left by an instance that stopped mid-run
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.cronJobs = [];
+    this.running = new Set(); // Tasks running in this process
+  }
+
+  /**
+   * Register a recurring task
+   * @param {string} name - Task name, e.g. event-reminders
+   * @param {Object} options
+   * @param {string} options.schedule - Cron expression (server time)
+   * @param {string} options.description - Shown to admins
+   * @param {Function} options.handler - async (run) => summary object stored on the run; throw to fail it
+   */
+  register(name, { schedule, description, handler }) {
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron schedule for task ${name}: ${schedule}`);
+    }
+    this.tasks.set(name, { name, schedule, description, handler });
+  }
+
+  async start() {
+    await this.recoverStaleRuns();
+
+    this.tasks.forEach(task => {
+      this.cronJobs.push(cron.schedule(task.schedule, () => {
+        // Same value on every instance for this tick
+        const scheduledFor = new Date(Math.floor(Date.now() / 60000) * 60000);
+        this.run(task.name, { scheduledFor }).catch(error => {
+          console.error(`❌ Scheduled task ${task.name} could not start:`, error);
+        });
+      }));
+    });
+
+    console.log(`⏰ Scheduler started with ${this.tasks.size} task(s)`);
+  }
+
+  stop() {
+    this.cronJobs.forEach(job => job.stop());
+    this.cronJobs = [];
+  }
+
+  async recoverStaleRuns() {
+    const { count } = await prisma.scheduledTaskRun.updateMany({
+      where: { status: 'RUNNING', startedAt: { lt: new Date(Date.now() - STALE_RUN_MS) } },
+      data: { status: 'FAILED', finishedAt: new Date(), error: 'Interrupted: the server stopped during the run' }
+    });
+
+    if (count > 0) {
+      console.warn(`⚠️ Marked ${count} interrupted scheduled run(s) as failed`);
+    }
+  }
+
+  /**
+   * Record a run; null when another instance already claimed this tick or the task is busy here
+   */
+  async claim(name, { trigger, scheduledFor, triggeredById }) {
+    if (this.running.has(name)) {
+      console.warn(`⚠️ Scheduled task ${name} is still running, skipping`);
+      return null;
+    }
+
+    try {
+      return await prisma.scheduledTaskRun.create({
+        data: { task: name, trigger, scheduledFor, triggeredById }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  async execute(task, run) {
+    this.running.add(task.name);
+    const startedAt = Date.now();
+
+    try {
+      const result = await task.handler(run);
+      const finished = await prisma.scheduledTaskRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'SUCCEEDED',
+          finishedAt: new Date(),
+          durationMs: Date.now() - startedAt,
+          result: result ?? undefined
+        }
+      });
+
+      console.log(`✅ Scheduled task ${task.name} finished in ${finished.durationMs}ms`, result || '');
+      return finished;
+    } catch (error) {
+      console.error(`❌ Scheduled task ${task.name} failed:`, error);
+      return prisma.scheduledTaskRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'FAILED',
+          finishedAt: new Date(),
+          durationMs: Date.now() - startedAt,
+          error: error.message
+        }
+      });
+    } finally {
+      this.running.delete(task.name);
+    }
+  }
+
+  /**
+   * Run a task now and wait for it to finish
+   * @returns {Promise<Object|null>} The finished ScheduledTaskRun, null if it didn't run
+   */
+  async run(name, { trigger = 'SCHEDULE', scheduledFor = null, triggeredById = null } = {}) {
+    const task = this.tasks.get(name);
+    if (!task) throw new Error(`Unknown scheduled task: ${name}`);
+
+    const run = await this.claim(name, { trigger, scheduledFor, triggeredById });
+    if (!run) return null;
+
+    return this.execute(task, run);
+  }
+
+  /**
+   * Start a task for an admin without waiting for it
+   * @returns {Promise<Object|null>} The RUNNING ScheduledTaskRun, null if the task is already running
+   */
+  async trigger(name, user) {
+    const task = this.tasks.get(name);
+    if (!task) throw new Error(`Unknown scheduled task: ${name}`);
+
+    const run = await this.claim(name, { trigger: 'MANUAL', scheduledFor: null, triggeredById: user.id });
+    if (!run) return null;
+
+    this.execute(task, run).catch(error => {
+      console.error(`❌ Manual run of ${name} could not be recorded:`, error);
+    });
+    return run;
+  }
+
+  has(name) {
+    return this.tasks.has(name);
+  }
+
+  /**
+   * Every task with its schedule and latest run
+   */
+  async getTasks() {
+    const names = [...this.tasks.keys()];
+    const latestRuns = await Promise.all(names.map(name =>
+      prisma.scheduledTaskRun.findFirst({
+        where: { task: name },
+        orderBy: { startedAt: 'desc' }
+      })
+    ));
+
+    return names.map((name, index) => {
+      const { schedule, description } = this.tasks.get(name);
+      return {
+        name,
+        schedule,
+        description,
+        isRunning: this.running.has(name),
+        lastRun: latestRuns[index]
+      };
+    });
+  }
+
+  async getRuns(name, { limit = 50 } = {}) {
+    return prisma.scheduledTaskRun.findMany({
+      where: { task: name },
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+      include: { triggeredBy: { select: { id: true, name: true } } }
+    });
+  }
+}
+
+const scheduler = new Scheduler();
+
+module.exports = { scheduler };
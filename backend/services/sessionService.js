@@ -0,0 +1,272 @@
+// backend/services/sessionService.js - SIGNED-IN SESSIONS, TOKEN REFRESH AND REVOCATION
+// Access tokens are short-lived JWTs naming their session, and authenticateToken checks that session
+// on every request, so signing a session out takes effect immediately. Refresh tokens are random,
+// single-use (each refresh issues a new one) and stored only as hashes.
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { realtime } = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Two tabs refreshing at once present the same token; within this window the second one isn't treated as theft
+const REUSE_GRACE_MS = 60 * 1000;
+// Signed-out and expired sessions are kept this long before the nightly purge
+const RETENTION_DAYS = 30;
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = 401;
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const requestDetails = (req) => ({
+  ipAddress: req?.ip || null,
+  userAgent: req?.get?.('user-agent')?.slice(0, 500) || null
+});
+
+const isLive = (session) =>
+  !session.revokedAt && session.expiresAt > new Date() && session.user?.isActive !== false;
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      name: user.name,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Sign a user in on a new device
+ * @param {Object} user - User row
+ * @param {Object} req - Express request; its IP and user agent are stored on the session
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+async function createSession(user, req = null) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      ...requestDetails(req)
+    }
+  });
+
+  return { token: signAccessToken(user, session.id), refreshToken, sessionId: session.id };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * Presenting an already-used refresh token signs its session out, since only a copy could do that.
+ * @throws {SessionError} When the token is unknown, used, expired or signed out
+ */
+async function refreshSession(refreshToken, req = null) {
+  const hash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hash },
+    include: { user: true }
+  });
+
+  if (!session) {
+    const rotated = await prisma.session.findUnique({ where: { previousTokenHash: hash } });
+
+    if (rotated && !rotated.revokedAt) {
+      if (rotated.rotatedAt && Date.now() - rotated.rotatedAt.getTime() < REUSE_GRACE_MS) {
+        throw new SessionError('Session was refreshed by another tab', 'REFRESH_SUPERSEDED');
+      }
+
+      console.warn(`🚨 Refresh token reuse for user ${rotated.userId}; signing out session ${rotated.id}`);
+      await revokeSession(rotated.id, 'token_reuse');
+    }
+
+    throw new SessionError('Session expired. Please login again.', 'SESSION_EXPIRED');
+  }
+
+  if (!isLive(session)) {
+    throw new SessionError('Session expired. Please login again.', 'SESSION_EXPIRED');
+  }
+
+  const nextToken = crypto.randomBytes(48).toString('base64url');
+  const now = new Date();
+
+  // Conditional on the old hash, so of two concurrent refreshes only one rotates
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: hash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ...requestDetails(req)
+    }
+  });
+
+  if (count === 0) {
+    throw new SessionError('Session was refreshed by another tab', 'REFRESH_SUPERSEDED');
+  }
+
+  return {
+    token: signAccessToken(session.user, session.id),
+    refreshToken: nextToken,
+    user: session.user
+  };
+}
+
+/**
+ * Check an access token and its session
+ * @returns {Promise<Object>} The user as stored now (not as when the token was issued), with sid and exp
+ * @throws {SessionError} TOKEN_EXPIRED when a refresh should fix it; another code when it won't
+ */
+async function authenticate(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new SessionError('Access token expired', 'TOKEN_EXPIRED');
+    }
+    throw new SessionError('Invalid token', 'TOKEN_INVALID');
+  }
+
+  // Tokens issued before sessions existed carry no sid
+  const session = payload.sid && await prisma.session.findUnique({
+    where: { id: payload.sid },
+    include: {
+      user: {
+        select: { id: true, email: true, role: true, name: true, isActive: true, organizationId: true }
+      }
+    }
+  });
+
+  if (!session || session.userId !== payload.id || !isLive(session)) {
+    throw new SessionError('You have been signed out. Please login again.', 'SESSION_REVOKED');
+  }
+
+  const { isActive, ...user } = session.user;
+  return { ...user, sid: session.id, exp: payload.exp };
+}
+
+/**
+ * Sign out one session
+ */
+async function revokeSession(sessionId, reason) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  realtime.disconnectSessions([sessionId]);
+  return count;
+}
+
+/**
+ * Sign out the session a refresh token belongs to; unknown tokens are ignored
+ */
+async function revokeByRefreshToken(refreshToken, reason) {
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+    select: { id: true }
+  });
+
+  return session ? revokeSession(session.id, reason) : 0;
+}
+
+/**
+ * Sign a user out everywhere, e.g. after a password change
+ * @param {string} userId
+ * @param {string} reason - Stored on each session, e.g. password_change
+ * @param {Object} options
+ * @param {string} options.exceptSessionId - Session to leave signed in (the one making the change)
+ * @returns {Promise<number>} Sessions signed out
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId = null } = {}) {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    select: { id: true }
+  });
+
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session.id);
+  await prisma.session.updateMany({
+    where: { id: { in: ids }, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  realtime.disconnectSessions(ids);
+  console.log(`🔒 Signed out ${ids.length} session(s) for user ${userId} (${reason})`);
+  return ids.length;
+}
+
+/**
+ * Sign out every member of an organization, e.g. when it is deactivated
+ * @returns {Promise<number>} Sessions signed out
+ */
+async function revokeOrganizationSessions(organizationId, reason) {
+  const sessions = await prisma.session.findMany({
+    where: { user: { organizationId }, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true }
+  });
+
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session.id);
+  await prisma.session.updateMany({
+    where: { id: { in: ids }, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  realtime.disconnectSessions(ids);
+  console.log(`🔒 Signed out ${ids.length} session(s) in organization ${organizationId} (${reason})`);
+  return ids.length;
+}
+
+/**
+ * Delete sessions that expired or were signed out more than RETENTION_DAYS ago
+ */
+async function purgeExpiredSessions() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+  const { count } = await prisma.session.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: cutoff } },
+        { revokedAt: { lt: cutoff } }
+      ]
+    }
+  });
+
+  return { purged: count };
+}
+
+module.exports = {
+  SessionError,
+  createSession,
+  refreshSession,
+  authenticate,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeUserSessions,
+  revokeOrganizationSessions,
+  purgeExpiredSessions
+};
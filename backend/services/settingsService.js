@@ -0,0 +1,295 @@
+// backend/services/settingsService.js - TYPED SYSTEM SETTINGS STORED IN SYSTEM_CONFIG
+// Each setting has a definition here and, once an admin changes it, a SystemConfig row holding
+// its JSON-encoded value. Missing or invalid rows fall back to the default.
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp'
+];
+
+const SETTINGS = {
+  'rateLimit.api.windowMinutes': {
+    type: 'integer', default: 15, min: 1, max: 1440,
+    category: 'Rate limits', label: 'API window (minutes)',
+    description: 'Period over which API requests are counted per IP'
+  },
+  'rateLimit.api.maxRequests': {
+    type: 'integer', default: 100, min: 10, max: 100000,
+    category: 'Rate limits', label: 'API requests per window',
+    description: 'Requests an IP may make to /api in one window'
+  },
+  'rateLimit.auth.windowMinutes': {
+    type: 'integer', default: 15, min: 1, max: 1440,
+    category: 'Rate limits', label: 'Login window (minutes)',
+    description: 'Period over which login and registration attempts are counted per IP and email address'
+  },
+  'rateLimit.auth.maxAttempts': {
+    type: 'integer', default: 5, min: 1, max: 1000,
+    category: 'Rate limits', label: 'Login attempts per window',
+    description: 'Login and registration attempts an IP may make for one email address in one window'
+  },
+  'rateLimit.auth.maxLoginAttemptsPerIp': {
+    type: 'integer', default: 100, min: 10, max: 10000,
+    category: 'Rate limits', label: 'Failed logins per IP per window',
+    description: 'Failed logins an IP may make across all accounts in one login window; successful sign-ins are not counted, so a class sharing one IP can still sign in'
+  },
+  'uploads.maxFileSizeMb': {
+    type: 'integer', default: 10, min: 1, max: 100,
+    category: 'File uploads', label: 'Maximum file size (MB)',
+    description: 'Largest file that can be uploaded',
+    public: true
+  },
+  'uploads.allowedMimeTypes': {
+    type: 'stringList', default: DEFAULT_MIME_TYPES, pattern: /^[a-z]+\/[a-z0-9.+-]+$/,
+    category: 'File uploads', label: 'Allowed file types',
+    description: 'MIME types accepted for upload, one per line',
+    public: true
+  },
+  'ai.model': {
+    type: 'string', default: 'claude-3-5-sonnet-20241022', pattern: /^claude-[a-z0-9.-]+$/,
+    category: 'AI analysis', label: 'Claude model',
+    description: 'Model used for writing analysis. Changing it starts a fresh analysis cache.'
+  },
+  'ai.maxTokens': {
+    type: 'integer', default: 4000, min: 256, max: 8192,
+    category: 'AI analysis', label: 'Max output tokens',
+    description: 'Upper bound on the length of each Claude response'
+  },
+  'password.minLength': {
+    type: 'integer', default: 8, min: 8, max: 128,
+    category: 'Passwords', label: 'Minimum length',
+    description: 'Applies to new passwords; existing passwords keep working',
+    public: true
+  },
+  'password.requireUppercase': {
+    type: 'boolean', default: false,
+    category: 'Passwords', label: 'Require an uppercase letter',
+    public: true
+  },
+  'password.requireNumber': {
+    type: 'boolean', default: false,
+    category: 'Passwords', label: 'Require a number',
+    public: true
+  },
+  'password.requireSymbol': {
+    type: 'boolean', default: false,
+    category: 'Passwords', label: 'Require a symbol',
+    public: true
+  },
+  'security.lockoutThreshold': {
+    type: 'integer', default: 5, min: 3, max: 50,
+    category: 'Security', label: 'Failed logins before lockout',
+    description: 'Wrong passwords or codes in a row that lock an account, whatever IP they come from'
+  },
+  'security.lockoutMinutes': {
+    type: 'integer', default: 15, min: 1, max: 1440,
+    category: 'Security', label: 'First lockout (minutes)',
+    description: 'Each further lockout before a successful login lasts twice as long, up to 24 hours'
+  },
+  'security.twoFactorRoles': {
+    type: 'choiceList', default: [], options: ['SUPER_ADMIN', 'ADMIN', 'OPERATIONS', 'EDITOR', 'REVIEWER', 'SALES', 'STUDENT'],
+    category: 'Security', label: 'Roles that must use two-factor authentication',
+    description: 'Users in these roles set up an authenticator app at their next login and cannot turn it off'
+  },
+  'onboarding.setPasswordLinkDays': {
+    type: 'integer', default: 14, min: 1, max: 90,
+    category: 'Onboarding', label: 'Set-password link lifetime (days)',
+    description: 'How long the link emailed to each imported user stays valid'
+  },
+  'onboarding.inviteDays': {
+    type: 'integer', default: 7, min: 1, max: 30,
+    category: 'Onboarding', label: 'Staff invitation lifetime (days)',
+    description: 'How long an invitation link works; resending one starts the period again'
+  }
+};
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Check a value against a setting's definition
+ * @returns {*} The value, normalized (trimmed, deduplicated)
+ * @throws {Error} With a message fit to show the admin
+ */
+function normalizeSetting(key, value) {
+  const definition = SETTINGS[key];
+  if (!definition) throw new Error(`Unknown setting: ${key}`);
+
+  switch (definition.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+        throw new Error(`${definition.label} must be a whole number from ${definition.min} to ${definition.max}`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error(`${definition.label} must be true or false`);
+      return value;
+    case 'string': {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text || (definition.pattern && !definition.pattern.test(text))) {
+        throw new Error(`${definition.label} is not valid`);
+      }
+      return text;
+    }
+    case 'choiceList': {
+      if (!Array.isArray(value)) throw new Error(`${definition.label} must be a list`);
+      const invalid = value.find(item => !definition.options.includes(item));
+      if (invalid !== undefined) throw new Error(`${definition.label}: "${invalid}" is not an option`);
+      return definition.options.filter(option => value.includes(option));
+    }
+    case 'stringList': {
+      if (!Array.isArray(value)) throw new Error(`${definition.label} must be a list`);
+      const items = [...new Set(value.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+      if (items.length === 0) throw new Error(`${definition.label} cannot be empty`);
+      const invalid = items.find(item => definition.pattern && !definition.pattern.test(item));
+      if (invalid) throw new Error(`${definition.label}: "${invalid}" is not valid`);
+      return items;
+    }
+    default:
+      throw new Error(`Unsupported setting type: ${definition.type}`);
+  }
+}
+
+async function load() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  const rows = await prisma.systemConfig.findMany({ where: { key: { in: Object.keys(SETTINGS) } } });
+  const next = {};
+
+  Object.entries(SETTINGS).forEach(([key, definition]) => {
+    next[key] = { value: definition.default, isDefault: true, updatedAt: null };
+  });
+
+  rows.forEach(row => {
+    try {
+      next[row.key] = { value: normalizeSetting(row.key, JSON.parse(row.value)), isDefault: false, updatedAt: row.updatedAt };
+    } catch (error) {
+      console.error(`❌ Ignoring invalid setting ${row.key}:`, error.message);
+    }
+  });
+
+  cached = next;
+  cachedAt = Date.now();
+  return cached;
+}
+
+/**
+ * Current value of a setting
+ */
+async function get(key) {
+  if (!SETTINGS[key]) throw new Error(`Unknown setting: ${key}`);
+  const settings = await load();
+  return settings[key].value;
+}
+
+/**
+ * Current values of several settings, e.g. getMany(['ai.model', 'ai.maxTokens'])
+ * @returns {Promise<Object>} Map of key to value
+ */
+async function getMany(keys) {
+  const settings = await load();
+  return Object.fromEntries(keys.map(key => [key, settings[key]?.value]));
+}
+
+/**
+ * Every setting with its definition and current value, for the admin settings page
+ */
+async function describeAll() {
+  const settings = await load();
+
+  return Object.entries(SETTINGS).map(([key, definition]) => ({
+    key,
+    type: definition.type,
+    category: definition.category,
+    label: definition.label,
+    description: definition.description || null,
+    min: definition.min,
+    max: definition.max,
+    options: definition.options,
+    default: definition.default,
+    ...settings[key]
+  }));
+}
+
+/**
+ * Settings the browser needs before login (upload limits, password rules)
+ */
+async function getPublicSettings() {
+  const keys = Object.keys(SETTINGS).filter(key => SETTINGS[key].public);
+  return getMany(keys);
+}
+
+/**
+ * Change settings, recording an audit entry for each one that actually changes
+ * @param {Object} changes - Map of key to new value; null resets a setting to its default
+ * @param {Object} actor - The admin making the change
+ * @param {Object} req - Express request, for the audit trail
+ * @returns {Promise<string[]>} Keys that changed
+ */
+async function updateSettings(changes, actor, req = null) {
+  const current = await load();
+  const updates = [];
+
+  Object.entries(changes).forEach(([key, value]) => {
+    const reset = value === null;
+    const next = reset ? SETTINGS[key]?.default : normalizeSetting(key, value);
+    if (!SETTINGS[key]) throw new Error(`Unknown setting: ${key}`);
+
+    const unchanged = reset ? current[key].isDefault : JSON.stringify(next) === JSON.stringify(current[key].value);
+    if (!unchanged) updates.push({ key, before: current[key].value, after: next, reset });
+  });
+
+  if (updates.length === 0) return [];
+
+  await prisma.$transaction(async (tx) => {
+    for (const { key, before, after, reset } of updates) {
+      if (reset) {
+        await tx.systemConfig.deleteMany({ where: { key } });
+      } else {
+        await tx.systemConfig.upsert({
+          where: { key },
+          create: { key, value: JSON.stringify(after), description: SETTINGS[key].label },
+          update: { value: JSON.stringify(after) }
+        });
+      }
+
+      await auditService.record({
+        actor,
+        action: reset ? 'settings.reset' : 'settings.update',
+        entityType: 'SystemConfig',
+        entityId: key,
+        before: { value: before },
+        after: { value: after },
+        req,
+        tx
+      });
+    }
+  });
+
+  // Other instances pick the change up when their cache expires
+  cached = null;
+  return updates.map(update => update.key);
+}
+
+module.exports = {
+  SETTINGS,
+  normalizeSetting,
+  get,
+  getMany,
+  describeAll,
+  getPublicSettings,
+  updateSettings
+};
@@ -0,0 +1,27 @@
+// backend/services/similarityJobs.js - SIMILARITY CHECK AS A QUEUED JOB
+const { jobQueue } = require('./jobQueue');
+const { checkSubmission } = require('./similarityService');
+
+const CHECK_SIMILARITY = 'CHECK_SIMILARITY';
+
+jobQueue.register(CHECK_SIMILARITY, {
+  handler: async (job) => {
+    const report = await checkSubmission(job.payload.submissionId);
+    if (!report) {
+      console.warn(`⚠️ Submission ${job.payload.submissionId} no longer exists, skipping similarity check`);
+    }
+  }
+});
+
+/**
+ * Queue a similarity check of a submission's current draft against every other submission
+ * @param {string} submissionId - The submission ID
+ */
+function enqueueSimilarityCheck(submissionId) {
+  return jobQueue.enqueue(CHECK_SIMILARITY, { submissionId }, { submissionId });
+}
+
+module.exports = {
+  CHECK_SIMILARITY,
+  enqueueSimilarityCheck
+};
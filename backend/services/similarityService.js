@@ -0,0 +1,324 @@
+// backend/services/similarityService.js - OFFLINE SIMILARITY CHECK AGAINST OUR OWN SUBMISSIONS
+// Word shingles + MinHash to find candidates, then exact shingle overlap for passages.
+// Everything runs in-process against our database; no external service is called.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const SHINGLE_SIZE = 5; // Words per shingle
+const NUM_HASHES = 128; // MinHash signature length
+const MIN_SHARED_HASHES = 2; // Signature slots two drafts must share to be checked in full
+const MAX_CANDIDATES = 20; // Submissions compared in full per check
+const MAX_MATCHES = 5; // Submissions listed in the report
+const MAX_PASSAGES = 5; // Passages listed per matching submission
+const MIN_PASSAGE_WORDS = 8; // Shorter overlaps are usually stock phrases
+const CONTEXT_CHARS = 80;
+const BACKFILL_BATCH = 50;
+
+// Fixed seeds so signatures stay comparable across restarts and deployments
+const SEEDS = (() => {
+  const seeds = [];
+  let state = 0x9e3779b9;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    state = (Math.imul(state, 1664525) + 1013904223) | 0;
+    seeds.push(state);
+  }
+  return seeds;
+})();
+
+// FNV-1a, 32-bit
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
+
+// Murmur3 finalizer, used to derive the NUM_HASHES hash functions from one shingle hash
+function mix(hash, seed) {
+  let h = hash ^ seed;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h | 0;
+}
+
+/**
+ * Normalised words with their character positions in the original text
+ */
+function tokenize(text) {
+  const words = [];
+  const pattern = /[\p{L}\p{N}']+/gu;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    const word = match[0].toLowerCase().replace(/'/g, '');
+    if (word) words.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+
+  return words;
+}
+
+/**
+ * Hash of every SHINGLE_SIZE-word window, in order; shingle i covers words i..i+SHINGLE_SIZE-1
+ */
+function shingle(words) {
+  const hashes = [];
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const window = words.slice(i, i + SHINGLE_SIZE).map(token => token.word).join(' ');
+    hashes.push(hashString(window));
+  }
+  return hashes;
+}
+
+function minHash(shingleHashes) {
+  const signature = new Array(NUM_HASHES).fill(2147483647);
+  const unique = new Set(shingleHashes);
+
+  unique.forEach(hash => {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix(hash, SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+
+  return signature;
+}
+
+function sharedHashes(a, b) {
+  let shared = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) shared++;
+  }
+  return shared;
+}
+
+/**
+ * Compute and store the signature of a submission's current draft
+ */
+async function updateFingerprint(submission) {
+  const shingles = shingle(tokenize(submission.content));
+  const data = {
+    version: submission.currentVersion,
+    signature: minHash(shingles),
+    shingleCount: shingles.length
+  };
+
+  return prisma.submissionFingerprint.upsert({
+    where: { submissionId: submission.id },
+    create: { submissionId: submission.id, ...data },
+    update: data
+  });
+}
+
+// Fingerprint submissions created before this check existed or revised since, a batch at a time
+async function backfillFingerprints() {
+  let updated = 0;
+
+  for (;;) {
+    const stale = await prisma.$queryRaw`
+      SELECT s.id, s.content, s.current_version AS "currentVersion"
+      FROM submissions s
+      LEFT JOIN submission_fingerprints f ON f.submission_id = s.id
+      WHERE f.id IS NULL OR f.version <> s.current_version
+      LIMIT ${BACKFILL_BATCH}
+    `;
+    if (stale.length === 0) break;
+
+    for (const submission of stale) {
+      await updateFingerprint(submission);
+    }
+    updated += stale.length;
+  }
+
+  if (updated > 0) {
+    console.log(`🧬 Fingerprinted ${updated} submission(s) for similarity checks`);
+  }
+}
+
+/**
+ * Exact overlap between two drafts as passages of at least MIN_PASSAGE_WORDS words
+ * @returns {Object} containment (share of the source's shingles found in the other draft) and passages
+ */
+function comparePassages(sourceWords, sourceShingles, otherWords, otherShingles) {
+  const firstPosition = new Map();
+  otherShingles.forEach((hash, index) => {
+    if (!firstPosition.has(hash)) firstPosition.set(hash, index);
+  });
+
+  let sharedCount = 0;
+  const runs = [];
+  let run = null;
+
+  sourceShingles.forEach((hash, index) => {
+    if (!firstPosition.has(hash)) {
+      run = null;
+      return;
+    }
+
+    sharedCount++;
+    const otherIndex = firstPosition.get(hash);
+
+    // Extend the run while both drafts keep moving forward together
+    if (run && run.end === index - 1 && run.otherEnd === otherIndex - 1) {
+      run.end = index;
+      run.otherEnd = otherIndex;
+    } else {
+      run = { start: index, end: index, otherStart: otherIndex, otherEnd: otherIndex };
+      runs.push(run);
+    }
+  });
+
+  const passages = runs
+    .map(({ start, end, otherStart, otherEnd }) => ({
+      wordStart: start,
+      wordEnd: end + SHINGLE_SIZE - 1,
+      start: sourceWords[start].start,
+      end: sourceWords[end + SHINGLE_SIZE - 1].end,
+      matchStart: otherWords[otherStart].start,
+      matchEnd: otherWords[otherEnd + SHINGLE_SIZE - 1].end,
+      wordCount: end - start + SHINGLE_SIZE
+    }))
+    .filter(passage => passage.wordCount >= MIN_PASSAGE_WORDS);
+
+  return {
+    containment: sourceShingles.length ? sharedCount / sourceShingles.length : 0,
+    passages
+  };
+}
+
+const withContext = (text, start, end) => ({
+  before: text.slice(Math.max(0, start - CONTEXT_CHARS), start),
+  text: text.slice(start, end),
+  after: text.slice(end, end + CONTEXT_CHARS)
+});
+
+/**
+ * Compare a submission's current draft with every other submission of its organization and store a report
+ * Matches show the other student's name and text, so they never cross organizations.
+ * @param {string} submissionId - The submission to check
+ * @returns {Promise<Object|null>} The SimilarityReport, null if the submission is gone
+ */
+async function checkSubmission(submissionId) {
+  const submission = await prisma.submission.findUnique({
+    where: { id: submissionId },
+    select: { id: true, content: true, currentVersion: true, organizationId: true }
+  });
+  if (!submission) return null;
+
+  await backfillFingerprints();
+
+  const words = tokenize(submission.content);
+  const shingles = shingle(words);
+  const signature = minHash(shingles);
+
+  const fingerprints = await prisma.submissionFingerprint.findMany({
+    where: {
+      submissionId: { not: submissionId },
+      shingleCount: { gt: 0 },
+      submission: { organizationId: submission.organizationId }
+    },
+    select: { submissionId: true, signature: true }
+  });
+
+  const candidates = fingerprints
+    .map(fingerprint => ({
+      submissionId: fingerprint.submissionId,
+      shared: sharedHashes(signature, fingerprint.signature)
+    }))
+    .filter(candidate => candidate.shared >= MIN_SHARED_HASHES)
+    .sort((a, b) => b.shared - a.shared)
+    .slice(0, MAX_CANDIDATES);
+
+  const others = candidates.length === 0 ? [] : await prisma.submission.findMany({
+    where: { id: { in: candidates.map(candidate => candidate.submissionId) } },
+    select: {
+      id: true,
+      title: true,
+      content: true,
+      createdAt: true,
+      student: { select: { id: true, name: true } }
+    }
+  });
+
+  // Words of this draft covered by any match, for the suggested score
+  const coveredWords = new Set();
+
+  const matches = others
+    .map(other => {
+      const otherWords = tokenize(other.content);
+      const { containment, passages } = comparePassages(words, shingles, otherWords, shingle(otherWords));
+
+      passages.forEach(passage => {
+        for (let i = passage.wordStart; i <= passage.wordEnd; i++) coveredWords.add(i);
+      });
+
+      return {
+        submissionId: other.id,
+        title: other.title,
+        student: other.student,
+        createdAt: other.createdAt,
+        similarity: Math.round(containment * 100),
+        matchedWords: passages.reduce((sum, passage) => sum + passage.wordCount, 0),
+        passages: passages
+          .sort((a, b) => b.wordCount - a.wordCount)
+          .slice(0, MAX_PASSAGES)
+          .map(passage => ({
+            start: passage.start,
+            end: passage.end,
+            wordCount: passage.wordCount,
+            source: withContext(submission.content, passage.start, passage.end),
+            match: withContext(other.content, passage.matchStart, passage.matchEnd)
+          }))
+      };
+    })
+    .filter(match => match.passages.length > 0)
+    .sort((a, b) => b.matchedWords - a.matchedWords)
+    .slice(0, MAX_MATCHES);
+
+  const suggestedScore = words.length ? Math.round((coveredWords.size / words.length) * 100) : 0;
+
+  const [report] = await prisma.$transaction([
+    prisma.similarityReport.create({
+      data: {
+        submissionId,
+        version: submission.currentVersion,
+        suggestedScore,
+        matches,
+        candidatesChecked: fingerprints.length
+      }
+    }),
+    prisma.submissionFingerprint.upsert({
+      where: { submissionId },
+      create: { submissionId, version: submission.currentVersion, signature, shingleCount: shingles.length },
+      update: { version: submission.currentVersion, signature, shingleCount: shingles.length }
+    })
+  ]);
+
+  console.log(`🔍 Similarity check for submission ${submissionId}: ${suggestedScore}% suggested, ${matches.length} match(es) in ${fingerprints.length} submission(s)`);
+
+  return report;
+}
+
+async function getLatestReport(submissionId) {
+  return prisma.similarityReport.findFirst({
+    where: { submissionId },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  SHINGLE_SIZE,
+  NUM_HASHES,
+  tokenize,
+  shingle,
+  minHash,
+  comparePassages,
+  updateFingerprint,
+  checkSubmission,
+  getLatestReport
+};
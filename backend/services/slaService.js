@@ -0,0 +1,185 @@
+// backend/services/slaService.js - PER-STAGE SLAS, DUE DATES AND OVERDUE FLAGS
+const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_STAGE_SLA_DAYS } = require('./workflowService');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// SystemConfig row holding the admin's overrides as JSON, e.g. {"PLAGIARISM_REVIEW": 2}
+const SLA_CONFIG_KEY = 'workflow.stage_sla_days';
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Less time than this left before the due date counts as due soon
+const DUE_SOON_MS = DAY_MS;
+const MAX_SLA_DAYS = 365;
+const OPEN_STAGE_STATUSES = ['pending', 'in_progress'];
+
+const SLA_STAGES = Object.keys(DEFAULT_STAGE_SLA_DAYS);
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Days allowed per stage: the defaults with any saved overrides applied
+ * @returns {Promise<Object>} Map of SubmissionStage to days
+ */
+async function getStageSlas() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  const config = await prisma.systemConfig.findUnique({ where: { key: SLA_CONFIG_KEY } });
+  let overrides = {};
+  if (config) {
+    try {
+      overrides = JSON.parse(config.value);
+    } catch (error) {
+      console.error(`❌ Ignoring invalid ${SLA_CONFIG_KEY} config:`, error.message);
+    }
+  }
+
+  cached = { ...DEFAULT_STAGE_SLA_DAYS };
+  SLA_STAGES.forEach(stage => {
+    const days = parseInt(overrides[stage], 10);
+    if (days >= 1 && days <= MAX_SLA_DAYS) cached[stage] = days;
+  });
+  cachedAt = Date.now();
+
+  return cached;
+}
+
+/**
+ * Save SLA overrides for some or all stages
+ * @param {Object} slas - Map of SubmissionStage to days (1-365)
+ * @param {Object} actor - The admin making the change
+ * @param {Object} req - Express request, for the audit trail
+ * @returns {Promise<Object>} The full SLA map after saving
+ */
+async function updateStageSlas(slas, actor = null, req = null) {
+  cached = null;
+  const current = await getStageSlas();
+  const next = { ...current, ...slas };
+
+  await prisma.$transaction(async (tx) => {
+    await tx.systemConfig.upsert({
+      where: { key: SLA_CONFIG_KEY },
+      create: {
+        key: SLA_CONFIG_KEY,
+        value: JSON.stringify(next),
+        description: 'Days a submission may spend in each workflow stage before it is overdue'
+      },
+      update: { value: JSON.stringify(next) }
+    });
+
+    await auditService.record({
+      actor,
+      action: 'settings.update',
+      entityType: 'SystemConfig',
+      entityId: SLA_CONFIG_KEY,
+      before: { value: current },
+      after: { value: next },
+      req,
+      tx
+    });
+  });
+
+  cached = null;
+  return getStageSlas();
+}
+
+const isValidSla = (stage, days) => SLA_STAGES.includes(stage) && Number.isInteger(days) && days >= 1 && days <= MAX_SLA_DAYS;
+
+/**
+ * Due date and overdue flag for a submission's current stage
+ * @param {Object} submission - Needs currentStage, createdAt, isArchived and workflowStages
+ * @param {Object} slas - From getStageSlas()
+ * @returns {Object|null} null for completed submissions
+ */
+function computeSla(submission, slas, now = new Date()) {
+  const slaDays = slas[submission.currentStage];
+  if (!slaDays || submission.isArchived) return null;
+
+  const stage = (submission.workflowStages || []).find(entry =>
+    entry.stageName === submission.currentStage && OPEN_STAGE_STATUSES.includes(entry.status)
+  );
+  // Every stage entered gets a row; createdAt is only a safety net
+  const startedAt = new Date(stage?.startedAt || submission.createdAt);
+  const dueAt = new Date(startedAt.getTime() + slaDays * DAY_MS);
+  const remainingMs = dueAt.getTime() - now.getTime();
+
+  let status = 'on_track';
+  if (remainingMs < 0) status = 'overdue';
+  else if (remainingMs <= DUE_SOON_MS) status = 'due_soon';
+
+  return {
+    stage: submission.currentStage,
+    slaDays,
+    startedAt,
+    dueAt,
+    status,
+    isOverdue: status === 'overdue',
+    daysInStage: Math.floor((now.getTime() - startedAt.getTime()) / DAY_MS),
+    overdueDays: remainingMs < 0 ? Math.floor(-remainingMs / DAY_MS) : 0
+  };
+}
+
+/**
+ * Submissions with `sla` added
+ */
+async function withSla(submissions) {
+  const slas = await getStageSlas();
+  const now = new Date();
+  return submissions.map(submission => ({ ...submission, sla: computeSla(submission, slas, now) }));
+}
+
+/**
+ * Prisma where clause matching submissions past the SLA of their current stage
+ */
+async function overdueWhere(now = new Date()) {
+  const slas = await getStageSlas();
+
+  return {
+    isArchived: false,
+    OR: Object.entries(slas).map(([stage, days]) => ({
+      currentStage: stage,
+      workflowStages: {
+        some: {
+          stageName: stage,
+          status: { in: OPEN_STAGE_STATUSES },
+          startedAt: { lt: new Date(now.getTime() - days * DAY_MS) }
+        }
+      }
+    }))
+  };
+}
+
+/**
+ * Overdue submission counts, total and per stage
+ * @param {Object} scope - Extra where clause, e.g. { editorId }
+ */
+async function countOverdue(scope = {}) {
+  const where = { AND: [scope, await overdueWhere()] };
+  const groups = await prisma.submission.groupBy({
+    by: ['currentStage'],
+    where,
+    _count: { _all: true }
+  });
+
+  const byStage = {};
+  groups.forEach(group => { byStage[group.currentStage] = group._count._all; });
+
+  return {
+    total: groups.reduce((sum, group) => sum + group._count._all, 0),
+    byStage
+  };
+}
+
+module.exports = {
+  SLA_STAGES,
+  MAX_SLA_DAYS,
+  getStageSlas,
+  updateStageSlas,
+  isValidSla,
+  computeSla,
+  withSla,
+  overdueWhere,
+  countOverdue
+};
@@ -0,0 +1,314 @@
+// backend/services/twoFactorService.js - TWO-FACTOR AUTHENTICATION WITH TOTP (RFC 6238)
+// Codes are computed here (HMAC-SHA1, 30-second steps, 6 digits) and QR codes are drawn locally,
+// so enrollment and sign-in never depend on an outside service.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const settingsService = require('./settingsService');
+
+const prisma = new PrismaClient();
+
+const ISSUER = process.env.TOTP_ISSUER || 'AI Writing Companion';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Also accept the codes either side of now, for phones whose clock is slightly off
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m'; // Time between the password step and the code step of a login
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ */
+function hotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Time step a TOTP code belongs to, if it is valid now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - What the user typed
+ * @param {number|null} lastUsedStep - Steps up to this one have been used and are refused
+ * @returns {number|null}
+ */
+function matchCode(secret, code, lastUsedStep = null, now = Date.now()) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, candidate)), Buffer.from(digits))) return candidate;
+  }
+
+  return null;
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Whether the user's role must use two-factor (security.twoFactorRoles setting)
+ */
+async function isRequiredFor(role) {
+  const roles = await settingsService.get('security.twoFactorRoles');
+  return roles.includes(role);
+}
+
+/**
+ * Two-factor state for the profile page
+ */
+async function getStatus(user) {
+  return {
+    enabled: !!user.totpEnabledAt,
+    enabledAt: user.totpEnabledAt,
+    required: await isRequiredFor(user.role),
+    recoveryCodesRemaining: Array.isArray(user.totpRecoveryCodes) ? user.totpRecoveryCodes.length : 0
+  };
+}
+
+/**
+ * What a correct password leads to
+ * @returns {Promise<'verify'|'setup'|null>} verify: ask for a code; setup: enroll first; null: signed in
+ */
+async function loginRequirement(user) {
+  if (user.totpEnabledAt) return 'verify';
+  if (await isRequiredFor(user.role)) return 'setup';
+  return null;
+}
+
+/**
+ * Start enrollment: a new secret, shown as a QR code until the user confirms it with a code
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} qrCode is a PNG data URL
+ */
+async function beginEnrollment(user) {
+  if (user.totpEnabledAt) {
+    throw new TwoFactorError('Two-factor authentication is already turned on', 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpPendingSecret: secret }
+  });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @returns {Promise<string[]>} Recovery codes - shown once, only their hashes are kept
+ * @throws {TwoFactorError} When there is no enrollment in progress or the code is wrong
+ */
+async function confirmEnrollment(user, code) {
+  if (user.totpEnabledAt) {
+    throw new TwoFactorError('Two-factor authentication is already turned on', 409);
+  }
+  if (!user.totpPendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first');
+  }
+
+  const step = matchCode(user.totpPendingSecret, code);
+  if (step === null) {
+    throw new TwoFactorError('That code is not valid. Check the time on your phone and try again.');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpEnabledAt: new Date(),
+      totpLastUsedStep: step,
+      totpRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+    }
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Check the second factor at login: an authenticator code or an unused recovery code
+ * @returns {Promise<{method: 'totp'|'recovery', recoveryCodesRemaining: number}>}
+ * @throws {TwoFactorError} When the code is wrong or already used
+ */
+async function verifyLogin(user, code) {
+  const step = matchCode(user.totpSecret, code, user.totpLastUsedStep);
+  const remaining = Array.isArray(user.totpRecoveryCodes) ? user.totpRecoveryCodes : [];
+
+  if (step !== null) {
+    // Conditional, so the same code can't be used by two requests at once
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+      },
+      data: { totpLastUsedStep: step }
+    });
+    if (count === 1) return { method: 'totp', recoveryCodesRemaining: remaining.length };
+  } else {
+    const hash = hashRecoveryCode(code);
+    if (remaining.includes(hash)) {
+      const left = remaining.filter(entry => entry !== hash);
+      // Conditional on the list we read, so concurrent logins can't reuse a code or restore a used one
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, totpRecoveryCodes: { equals: remaining } },
+        data: { totpRecoveryCodes: left }
+      });
+      if (count === 1) return { method: 'recovery', recoveryCodesRemaining: left.length };
+    }
+  }
+
+  throw new TwoFactorError('Invalid or already used code', 401);
+}
+
+/**
+ * Replace the recovery codes, e.g. when they run low
+ * @returns {Promise<string[]>} The new codes
+ */
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+  });
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor off (by the user, or by an admin for someone who lost their phone)
+ */
+async function disable(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpEnabledAt: null,
+      totpLastUsedStep: null,
+      // A Json column is cleared with DbNull (SQL NULL), which is what every read treats as no codes
+      totpRecoveryCodes: Prisma.DbNull
+    }
+  });
+}
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ */
+function createChallenge(user) {
+  return jwt.sign({ id: user.id, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+/**
+ * User behind a login challenge
+ * @throws {TwoFactorError} When the challenge is invalid or has expired
+ */
+async function readChallenge(challengeToken) {
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || payload.purpose !== 'two_factor') {
+    throw new TwoFactorError('Your login has expired. Please enter your password again.', 401);
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: payload.id } });
+  if (!user || !user.isActive) {
+    throw new TwoFactorError('Your login has expired. Please enter your password again.', 401);
+  }
+
+  return user;
+}
+
+module.exports = {
+  TwoFactorError,
+  isRequiredFor,
+  getStatus,
+  loginRequirement,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  disable,
+  createChallenge,
+  readChallenge
+};
@@ -0,0 +1,306 @@
+// backend/services/userImportService.js - CREATE MANY ACCOUNTS FROM A CSV FILE
+// Used to onboard a whole class at once. The file is first checked row by row (the dry run the
+// admin reviews), then every account is created in one transaction, so a bad row never leaves
+// half a class imported. Each new user is emailed a link to choose their own password, using the
+// same token as a password reset.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { emailService } = require('./emailService');
+const { jobQueue } = require('./jobQueue');
+const { escapeHtml, renderLayout, renderButton } = require('./notificationEmailService');
+const settingsService = require('./settingsService');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const SEND_SET_PASSWORD_EMAIL = 'SEND_SET_PASSWORD_EMAIL';
+
+const MAX_ROWS = 1000;
+const ROLES = ['STUDENT', 'ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS'];
+
+// Header as written in the file (any case, spaces or underscores) -> field
+const COLUMNS = {
+  name: 'name',
+  fullname: 'name',
+  email: 'email',
+  role: 'role',
+  grade: 'grade',
+  class: 'grade',
+  parentemail: 'parentEmail'
+};
+
+// The rules of POST /api/users, minus the password, run against each row
+const rowValidators = [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('email').trim().isEmail().withMessage('Email is not valid').normalizeEmail(),
+  body('role').customSanitizer(role => (role || 'STUDENT').trim().toUpperCase())
+    .isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+  body('grade').optional({ checkFalsy: true }).trim(),
+  body('parentEmail')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isEmail()
+    .withMessage('Parent email is not valid')
+    .normalizeEmail()
+];
+
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new ImportError('The file has a quoted value that is never closed');
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+// Header cells -> field per column; columns we don't know are reported and skipped
+function readHeader(header) {
+  const fields = header.map(cell => COLUMNS[cell.trim().toLowerCase().replace(/[\s_-]/g, '')] || null);
+
+  const missing = ['name', 'email'].filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    const columns = missing.length === 1 ? `a ${missing[0]} column` : 'name and email columns';
+    throw new ImportError(`The first row must be a header with ${columns}`);
+  }
+
+  const ignoredColumns = header.filter((cell, index) => !fields[index] && cell.trim()).map(cell => cell.trim());
+  return { fields, ignoredColumns };
+}
+
+/**
+ * Check every row of an import without creating anything
+ * @param {string} csv - The file's text
+ * @returns {Promise<Object>} { rows: [{ line, data, errors }], summary, ignoredColumns }
+ * @throws {ImportError} When the file as a whole can't be read
+ */
+async function preview(csv) {
+  // Excel starts UTF-8 files with a byte order mark
+  const [header, ...records] = parseCsv(String(csv || '').replace(/^\uFEFF/, ''));
+  if (!header) throw new ImportError('The file is empty');
+  if (records.length === 0) throw new ImportError('The file has a header but no users');
+  if (records.length > MAX_ROWS) {
+    throw new ImportError(`Import at most ${MAX_ROWS} users at a time; this file has ${records.length}`);
+  }
+
+  const { fields, ignoredColumns } = readHeader(header);
+
+  const rows = await Promise.all(records.map(async (cells, index) => {
+    const values = {};
+    fields.forEach((field, column) => {
+      if (field) values[field] = (cells[column] ?? '').trim();
+    });
+
+    const req = { body: { ...values } };
+    for (const validator of rowValidators) {
+      await validator.run(req);
+    }
+
+    // Invalid values are shown as written, not as the sanitizers left them
+    const result = validationResult(req);
+    const invalidFields = result.mapped();
+    const value = (field) => (invalidFields[field] ? values[field] : req.body[field]) || null;
+
+    return {
+      line: index + 2, // Line in the file, counting the header
+      data: {
+        name: value('name'),
+        email: value('email'),
+        role: value('role') || 'STUDENT',
+        grade: value('grade'),
+        parentEmail: value('parentEmail')
+      },
+      errors: result.array().map(error => error.msg)
+    };
+  }));
+
+  // The same address twice in the file, or already taken
+  const seen = new Map();
+  rows.forEach(row => {
+    if (row.errors.length > 0) return;
+    if (seen.has(row.data.email)) {
+      row.errors.push(`Email is also on line ${seen.get(row.data.email)}`);
+    } else {
+      seen.set(row.data.email, row.line);
+    }
+  });
+
+  const existing = await prisma.user.findMany({
+    where: { email: { in: [...seen.keys()] } },
+    select: { email: true }
+  });
+  const taken = new Set(existing.map(user => user.email));
+  rows.forEach(row => {
+    if (row.errors.length === 0 && taken.has(row.data.email)) {
+      row.errors.push('An account with this email already exists');
+    }
+  });
+
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+  return {
+    rows,
+    summary: { total: rows.length, valid: rows.length - invalid, invalid },
+    ignoredColumns
+  };
+}
+
+/**
+ * Create every account in the file, or none if any row has an error
+ * @param {string} csv - The file's text
+ * @param {Object} req - Express request of the importing admin, for the audit trail
+ * @param {string|null} organizationId - The organization every imported user joins
+ * @returns {Promise<Object>} The preview, plus the created users when every row was valid
+ */
+async function importUsers(csv, req, organizationId) {
+  const result = await preview(csv);
+  if (result.summary.invalid > 0) return { ...result, created: [] };
+
+  const linkDays = await settingsService.get('onboarding.setPasswordLinkDays');
+  const expires = new Date(Date.now() + linkDays * 24 * 60 * 60 * 1000);
+
+  // Nobody can sign in with a password until they set one: this hash is of random bytes that
+  // are thrown away, hashed once per import since bcrypt is slow by design
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  const created = await prisma.$transaction(async (tx) => {
+    const users = [];
+
+    for (const { data } of result.rows) {
+      const user = await tx.user.create({
+        data: {
+          ...data,
+          organizationId,
+          passwordHash,
+          resetPasswordToken: crypto.randomBytes(32).toString('hex'),
+          resetPasswordExpires: expires,
+          createdById: req.user.id
+        }
+      });
+
+      await auditService.record({
+        tx,
+        req,
+        actor: req.user,
+        action: 'user.import',
+        entityType: 'User',
+        entityId: user.id,
+        after: auditService.snapshot(user, ['email', 'name', 'role', 'grade', 'parentEmail', 'isActive'])
+      });
+
+      users.push({ id: user.id, email: user.email, name: user.name, role: user.role });
+    }
+
+    return users;
+  }, { timeout: 120000 });
+
+  // Queued rather than sent inline: hundreds of emails would outlast the request
+  await jobQueue.enqueueMany(SEND_SET_PASSWORD_EMAIL, created.map(user => ({ userId: user.id })));
+
+  console.log(`📥 ${req.user.email} imported ${created.length} users`);
+  return { ...result, created };
+}
+
+/**
+ * Email inviting a new user to choose their password
+ * @returns {Object} { subject, html, text }
+ */
+function renderSetPasswordEmail(user) {
+  const url = `${process.env.FRONTEND_URL || ''}/reset-password?token=${user.resetPasswordToken}&email=${encodeURIComponent(user.email)}`;
+  const until = user.resetPasswordExpires.toUTCString();
+
+  return {
+    subject: 'AI Writing Companion - Set Up Your Account',
+    html: renderLayout('Welcome to AI Writing Companion', `
+        <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(user.name)},</h2>
+        <p>An account has been created for you with this email address. Choose a password to start using it.</p>
+        ${renderButton(url, 'Set My Password')}
+        <p style="color: #666; font-size: 14px;">This link works until ${escapeHtml(until)}. After that, use
+          "Forgot password" on the sign-in page to get a new one.</p>
+    `, { footerUrl: `${process.env.FRONTEND_URL || ''}/login`, footerLabel: 'Sign in' }),
+    text: `
+Hello ${user.name},
+
+An account has been created for you with this email address. Choose a password to start using it:
+${url}
+
+This link works until ${until}. After that, use "Forgot password" on the sign-in page to get a new one.
+    `
+  };
+}
+
+async function sendSetPasswordEmail(job) {
+  const { userId } = job.payload;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, name: true, isActive: true, resetPasswordToken: true, resetPasswordExpires: true }
+  });
+
+  // Already set a password, deactivated, or the link ran out before the email could go
+  if (!user || !user.isActive || !user.resetPasswordToken || user.resetPasswordExpires <= new Date()) return;
+
+  if (!emailService.isConfigured) {
+    console.warn(`⚠️ Email not configured, skipping set-password email for user ${userId}`);
+    return;
+  }
+
+  await emailService.sendEmail({ to: user.email, ...renderSetPasswordEmail(user) });
+  console.log(`📧 Sent set-password email to user ${userId}`);
+}
+
+jobQueue.register(SEND_SET_PASSWORD_EMAIL, { handler: sendSetPasswordEmail });
+
+module.exports = {
+  ImportError,
+  MAX_ROWS,
+  parseCsv,
+  preview,
+  importUsers
+};
@@ -0,0 +1,367 @@
+// backend/services/workflowService.js - WORKFLOW STATE MACHINE
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { sameOrganization } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+const STAGE_NUMBERS = {
+  ANALYSIS: 1,
+  PLAGIARISM_REVIEW: 2,
+  EDITOR_MEETING: 3,
+  APPROVAL_PROCESS: 4,
+  PDF_REVIEW: 5,
+  COVER_APPROVAL: 6,
+  EVENT_PLANNING: 7,
+  COMPLETED: 8
+};
+
+// Days a submission may sit in a stage before it is overdue; admins can override these (see slaService)
+const DEFAULT_STAGE_SLA_DAYS = {
+  ANALYSIS: 1,
+  PLAGIARISM_REVIEW: 3,
+  EDITOR_MEETING: 7,
+  APPROVAL_PROCESS: 5,
+  PDF_REVIEW: 5,
+  COVER_APPROVAL: 5,
+  EVENT_PLANNING: 30
+};
+
+// Actor used for transitions the system makes on its own (analysis, approvals)
+const SYSTEM_ACTOR = { id: null, role: 'SYSTEM', name: 'System' };
+
+// Conditions a submission must meet before a transition is allowed
+const PRECONDITIONS = {
+  analysisComplete: {
+    description: 'AI analysis has been recorded',
+    check: (submission) => submission.analysisResult !== null
+  },
+  plagiarismScoreSet: {
+    description: 'Plagiarism score has been set',
+    check: (submission) => submission.plagiarismScore !== null
+  },
+  editorAssigned: {
+    description: 'An editor has been assigned',
+    check: (submission) => !!submission.editorId
+  },
+  approvalsComplete: {
+    description: 'All required approvals have been received',
+    check: (submission) => {
+      // Required lazily - approvalService depends on this module
+      const { getApprovalStatus } = require('./approvalService');
+      return getApprovalStatus(submission.currentStage, submission.approvals).isComplete;
+    }
+  },
+  pdfFileApproved: {
+    description: 'PDF soft copy file has been approved',
+    check: (submission) => submission.fileAttachments.some(
+      file => file.fileType === 'PDF_SOFT_COPY' && file.isApproved === true
+    )
+  },
+  coverFileApproved: {
+    description: 'Cover design file has been approved',
+    check: (submission) => submission.fileAttachments.some(
+      file => file.fileType === 'COVER_DESIGN' && file.isApproved === true
+    )
+  }
+};
+
+// Allowed transitions: from stage -> to stage -> role guard and preconditions.
+// EDITOR always means the editor assigned to the submission.
+const TRANSITIONS = {
+  ANALYSIS: {
+    PLAGIARISM_REVIEW: { roles: ['SYSTEM', 'ADMIN'], preconditions: ['analysisComplete'] }
+  },
+  PLAGIARISM_REVIEW: {
+    EDITOR_MEETING: { roles: ['REVIEWER', 'ADMIN'], preconditions: ['plagiarismScoreSet'] },
+    // Only via a resubmitted draft after a failed review (see revisionService)
+    ANALYSIS: { roles: ['SYSTEM'], preconditions: [] }
+  },
+  EDITOR_MEETING: {
+    APPROVAL_PROCESS: { roles: ['EDITOR', 'ADMIN'], preconditions: ['editorAssigned'] }
+  },
+  APPROVAL_PROCESS: {
+    PDF_REVIEW: { roles: ['SYSTEM', 'EDITOR', 'ADMIN', 'OPERATIONS'], preconditions: ['approvalsComplete'] },
+    EDITOR_MEETING: { roles: ['SYSTEM', 'EDITOR', 'ADMIN'], preconditions: [] }
+  },
+  PDF_REVIEW: {
+    COVER_APPROVAL: { roles: ['SYSTEM', 'ADMIN', 'OPERATIONS'], preconditions: ['pdfFileApproved', 'approvalsComplete'] },
+    APPROVAL_PROCESS: { roles: ['SYSTEM', 'ADMIN', 'OPERATIONS'], preconditions: [] }
+  },
+  COVER_APPROVAL: {
+    EVENT_PLANNING: { roles: ['SYSTEM', 'ADMIN', 'OPERATIONS'], preconditions: ['coverFileApproved', 'approvalsComplete'] },
+    PDF_REVIEW: { roles: ['SYSTEM', 'ADMIN', 'OPERATIONS'], preconditions: [] }
+  },
+  EVENT_PLANNING: {
+    COMPLETED: { roles: ['ADMIN', 'OPERATIONS'], preconditions: [] }
+  },
+  COMPLETED: {}
+};
+
+// Raised when a transition is not allowed; status maps straight to the HTTP response
+class WorkflowError extends Error {
+  constructor(message, status = 409, details = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const formatStage = (stage) => stage.replace(/_/g, ' ').toLowerCase();
+
+const passesRoleGuard = (rule, actor, submission) => {
+  // Super-admins move submissions as admins do, in any organization
+  const role = actor.role === 'SUPER_ADMIN' ? 'ADMIN' : actor.role;
+  if (!rule.roles.includes(role)) return false;
+  if (role !== 'SYSTEM' && !sameOrganization(actor, submission)) return false;
+  if (role === 'EDITOR') return submission.editorId === actor.id;
+  return true;
+};
+
+// Load a submission with everything the preconditions need
+const loadSubmission = (client, submissionId) => client.submission.findUnique({
+  where: { id: submissionId },
+  include: {
+    approvals: true,
+    fileAttachments: {
+      select: { id: true, fileType: true, isApproved: true }
+    }
+  }
+});
+
+/**
+ * Check a transition without applying it
+ * @param {Object} submission - Submission loaded with approvals and fileAttachments
+ * @param {string} toStage - Target SubmissionStage
+ * @param {Object} actor - The user (or SYSTEM_ACTOR) making the move
+ * @returns {{allowed: boolean, status?: number, error?: string, failedPreconditions: Array}}
+ */
+function evaluateTransition(submission, toStage, actor) {
+  const fromStage = submission.currentStage;
+  const allowedStages = Object.keys(TRANSITIONS[fromStage] || {});
+
+  if (fromStage === toStage) {
+    return { allowed: false, status: 409, error: `Submission is already in ${formatStage(toStage)}`, allowedStages, failedPreconditions: [] };
+  }
+
+  const rule = TRANSITIONS[fromStage]?.[toStage];
+  if (!rule) {
+    return {
+      allowed: false,
+      status: 409,
+      error: `Cannot move from ${formatStage(fromStage)} to ${formatStage(toStage)}`,
+      allowedStages,
+      failedPreconditions: []
+    };
+  }
+
+  if (!passesRoleGuard(rule, actor, submission)) {
+    return { allowed: false, status: 403, error: 'Not authorized to make this stage change', allowedStages, failedPreconditions: [] };
+  }
+
+  const failedPreconditions = rule.preconditions
+    .filter(name => !PRECONDITIONS[name].check(submission))
+    .map(name => ({ name, description: PRECONDITIONS[name].description }));
+
+  if (failedPreconditions.length > 0) {
+    return {
+      allowed: false,
+      status: 409,
+      error: `Requirements not met to move to ${formatStage(toStage)}`,
+      allowedStages,
+      failedPreconditions
+    };
+  }
+
+  return { allowed: true, allowedStages, failedPreconditions: [] };
+}
+
+/**
+ * List the stages an actor could move a submission to, with any unmet preconditions
+ * @param {string} submissionId - The submission ID
+ * @param {Object} actor - The user (or SYSTEM_ACTOR)
+ */
+async function getAvailableTransitions(submissionId, actor) {
+  const submission = await loadSubmission(prisma, submissionId);
+  if (!submission) return null;
+
+  return Object.entries(TRANSITIONS[submission.currentStage] || {})
+    .filter(([, rule]) => passesRoleGuard(rule, actor, submission))
+    .map(([stage]) => {
+      const evaluation = evaluateTransition(submission, stage, actor);
+      return {
+        stage,
+        allowed: evaluation.allowed,
+        failedPreconditions: evaluation.failedPreconditions
+      };
+    });
+}
+
+/**
+ * Check whether an actor may move a submission to a stage right now
+ */
+async function canTransition(submissionId, toStage, actor, client = prisma) {
+  const submission = await loadSubmission(client, submissionId);
+  if (!submission) {
+    return { allowed: false, status: 404, error: 'Submission not found', failedPreconditions: [] };
+  }
+  return evaluateTransition(submission, toStage, actor);
+}
+
+async function applyTransition(tx, submissionId, toStage, { actor, notes = null, req = null }) {
+  const submission = await loadSubmission(tx, submissionId);
+  if (!submission) {
+    throw new WorkflowError('Submission not found', 404);
+  }
+
+  const evaluation = evaluateTransition(submission, toStage, actor);
+  if (!evaluation.allowed) {
+    throw new WorkflowError(evaluation.error, evaluation.status, {
+      currentStage: submission.currentStage,
+      allowedStages: evaluation.allowedStages,
+      failedPreconditions: evaluation.failedPreconditions
+    });
+  }
+
+  const now = new Date();
+  const fromStage = submission.currentStage;
+
+  // Conditional on the stage we checked, so concurrent transitions can't both move the submission
+  // Any outstanding revision request belonged to the stage being left
+  const { count } = await tx.submission.updateMany({
+    where: { id: submissionId, currentStage: fromStage },
+    data: {
+      currentStage: toStage,
+      revisionRequested: false,
+      revisionRequestNotes: null
+    }
+  });
+  if (count === 0) {
+    throw new WorkflowError('The submission was moved on by someone else. Reload and try again.', 409);
+  }
+  const updatedSubmission = await tx.submission.findUnique({ where: { id: submissionId } });
+
+  await tx.workflowStage.updateMany({
+    where: {
+      submissionId,
+      stageName: fromStage,
+      status: { in: ['pending', 'in_progress'] }
+    },
+    data: {
+      status: 'completed',
+      completedAt: now,
+      ...(notes && { notes })
+    }
+  });
+
+  // One row per stage number: revisiting a stage reopens its row
+  if (toStage !== 'COMPLETED') {
+    await tx.workflowStage.upsert({
+      where: {
+        submissionId_stageNumber: {
+          submissionId,
+          stageNumber: STAGE_NUMBERS[toStage]
+        }
+      },
+      update: {
+        status: 'pending',
+        startedAt: now,
+        completedAt: null,
+        assignedUserId: actor.id
+      },
+      create: {
+        submissionId,
+        stageNumber: STAGE_NUMBERS[toStage],
+        stageName: toStage,
+        status: 'pending',
+        startedAt: now,
+        assignedUserId: actor.id
+      }
+    });
+  }
+
+  const { STAGE_APPROVALS, resetApprovals } = require('./approvalService');
+  if (STAGE_APPROVALS[toStage]) {
+    await resetApprovals(tx, submissionId, toStage);
+  }
+
+  // Every path that moves a stage (routes, reviews, approvals, jobs) comes through here
+  await auditService.record({
+    actor: actor.id ? actor : null,
+    action: 'submission.stage_change',
+    entityType: 'Submission',
+    entityId: submissionId,
+    before: { currentStage: fromStage },
+    after: { currentStage: toStage, notes },
+    req,
+    tx
+  });
+
+  console.log(`🔀 Submission ${submissionId} moved ${fromStage} → ${toStage} by ${actor.name} (${actor.role})`);
+
+  return { submission: updatedSubmission, fromStage, toStage, actor };
+}
+
+/**
+ * Side effects that must run after a transition has been committed
+ * Only needed when the caller passed its own transaction to transition()
+ * @param {Object} result - Value returned by transition()
+ */
+async function runStageHooks(result) {
+  const { STAGE_APPROVALS, requestApprovals } = require('./approvalService');
+  try {
+    const { realtime } = require('./realtimeService');
+    realtime.publishStageChange(result);
+
+    if (STAGE_APPROVALS[result.toStage]) {
+      await requestApprovals(result.submission);
+    }
+    if (result.toStage === 'PLAGIARISM_REVIEW') {
+      const { enqueueSimilarityCheck } = require('./similarityJobs');
+      await enqueueSimilarityCheck(result.submission.id);
+    }
+    const { milestoneForTransition, notifyParentMilestone } = require('./parentUpdateService');
+    const milestone = milestoneForTransition(result.fromStage, result.toStage);
+    if (milestone) {
+      await notifyParentMilestone(result.submission.id, milestone);
+    }
+  } catch (hookError) {
+    console.warn('⚠️ Stage hook failed (non-blocking):', hookError.message);
+  }
+}
+
+/**
+ * Move a submission to another stage if the workflow allows it
+ * @param {string} submissionId - The submission ID
+ * @param {string} toStage - Target SubmissionStage
+ * @param {Object} options
+ * @param {Object} options.actor - The user (or SYSTEM_ACTOR) making the move
+ * @param {string} options.notes - Notes stored on the stage being completed
+ * @param {Object} options.tx - Existing transaction; caller must then call runStageHooks
+ * @param {Object} options.req - Request that caused the move, for the audit trail
+ * @throws {WorkflowError} When the transition is not allowed
+ */
+async function transition(submissionId, toStage, { actor, notes = null, tx = null, req = null }) {
+  if (tx) {
+    return applyTransition(tx, submissionId, toStage, { actor, notes, req });
+  }
+
+  const result = await prisma.$transaction((client) => applyTransition(client, submissionId, toStage, { actor, notes, req }));
+  await runStageHooks(result);
+  return result;
+}
+
+module.exports = {
+  STAGE_NUMBERS,
+  DEFAULT_STAGE_SLA_DAYS,
+  SYSTEM_ACTOR,
+  PRECONDITIONS,
+  TRANSITIONS,
+  WorkflowError,
+  evaluateTransition,
+  getAvailableTransitions,
+  canTransition,
+  transition,
+  runStageHooks
+};
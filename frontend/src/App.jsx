@@ -17,12 +17,19 @@ import ReviewQueue from './pages/reviews/ReviewQueue';
 import EventsList from './pages/events/EventsList';
 import LoadingSpinner from './components/ui/LoadingSpinner';
 import EditorAssignment from './pages/admin/EditorAssignment';
+import SystemSettings from './pages/admin/SystemSettings';
+import AuditLog from './pages/admin/AuditLog';
+import Organizations from './pages/admin/Organizations';
+import CohortsList from './pages/cohorts/CohortsList';
+import CohortDetails from './pages/cohorts/CohortDetails';
+import ParentStatus from './pages/parent/ParentStatus';
+import AcceptInvitation from './pages/auth/AcceptInvitation';
 
 // Protected Route Component
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { isAuthenticated, isLoading, user } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { isAuthenticated, isLoading, permissions, canSometimes } = useAuth();
 
-  if (isLoading) {
+  if (isLoading || (isAuthenticated && permission && !permissions)) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <LoadingSpinner size="large" />
@@ -34,7 +41,7 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user?.role)) {
+  if (permission && !canSometimes(permission)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -100,6 +107,12 @@ function App() {
           }
         />
 
+        {/* Parent status page - the token in the link is the only credential */}
+        <Route path="/parent/:token" element={<ParentStatus />} />
+
+        {/* Staff invitation - accepting it creates the account, so there is no login yet */}
+        <Route path="/invite/:token" element={<AcceptInvitation />} />
+
         {/* Protected Routes */}
         <Route
           path="/*"
@@ -115,7 +128,7 @@ function App() {
                   <Route 
                     path="/submissions/new" 
                     element={
-                      <ProtectedRoute allowedRoles={['STUDENT']}>
+                      <ProtectedRoute permission="submission.create">
                         <NewSubmission />
                       </ProtectedRoute>
                     } 
@@ -126,7 +139,7 @@ function App() {
                   <Route 
                     path="/admin/users" 
                     element={
-                      <ProtectedRoute allowedRoles={['ADMIN']}>
+                      <ProtectedRoute permission="user.manage">
                         <UserManagement />
                       </ProtectedRoute>
                     } 
@@ -135,22 +148,67 @@ function App() {
                   <Route 
                     path="/admin/editor-assignment"
                     element={
-                      <ProtectedRoute allowedRoles={['ADMIN']}>
+                      <ProtectedRoute permission="submission.assign_editor">
                         <EditorAssignment />
                       </ProtectedRoute>
                     } 
                   />
+
+                  <Route 
+                    path="/admin/settings"
+                    element={
+                      <ProtectedRoute permission="settings.manage">
+                        <SystemSettings />
+                      </ProtectedRoute>
+                    } 
+                  />
+
+                  <Route 
+                    path="/admin/audit"
+                    element={
+                      <ProtectedRoute permission="audit.view">
+                        <AuditLog />
+                      </ProtectedRoute>
+                    } 
+                  />
+
+                  <Route 
+                    path="/admin/organizations"
+                    element={
+                      <ProtectedRoute permission="organization.manage">
+                        <Organizations />
+                      </ProtectedRoute>
+                    } 
+                  />
                   
                   {/* Reviewer Routes */}
                   <Route 
                     path="/reviews" 
                     element={
-                      <ProtectedRoute allowedRoles={['REVIEWER', 'ADMIN']}>
+                      <ProtectedRoute permission="review.perform">
                         <ReviewQueue />
                       </ProtectedRoute>
                     } 
                   />
                   
+                  {/* Cohort Routes */}
+                  <Route 
+                    path="/cohorts"
+                    element={
+                      <ProtectedRoute permission="cohort.view">
+                        <CohortsList />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/cohorts/:id"
+                    element={
+                      <ProtectedRoute permission="cohort.view">
+                        <CohortDetails />
+                      </ProtectedRoute>
+                    } 
+                  />
+
                   {/* Events Routes */}
                   <Route path="/events" element={<EventsList />} />
                   
@@ -0,0 +1,38 @@
+// frontend/src/components/admin/OrganizationSelect.jsx - WHICH ORGANIZATION A NEW RECORD BELONGS TO (SUPER-ADMINS ONLY)
+import React from 'react';
+import { useQuery } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { organizationsAPI } from '../../services/api';
+
+// Everyone else always creates in their own organization, so they see nothing
+const OrganizationSelect = ({ value, onChange, label = 'Organization *', emptyLabel = 'Choose an organization', required = true }) => {
+  const { canSometimes } = useAuth();
+  const isSuperAdmin = canSometimes('organization.manage');
+
+  const { data: organizations = [] } = useQuery('organizations', organizationsAPI.getAll, {
+    enabled: isSuperAdmin,
+    select: (response) => response.data.organizations.filter(organization => organization.isActive),
+    staleTime: 5 * 60 * 1000
+  });
+
+  if (!isSuperAdmin) return null;
+
+  return (
+    <div>
+      {label && <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>}
+      <select
+        required={required}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">{emptyLabel}</option>
+        {organizations.map(organization => (
+          <option key={organization.id} value={organization.id}>{organization.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default OrganizationSelect;
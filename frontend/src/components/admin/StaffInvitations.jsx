@@ -0,0 +1,202 @@
+// frontend/src/components/admin/StaffInvitations.jsx - INVITE STAFF BY EMAIL AND MANAGE OPEN INVITATIONS
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { ArrowPathIcon, ClipboardDocumentIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { invitationsAPI } from '../../services/api';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import OrganizationSelect from './OrganizationSelect';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const STAFF_ROLES = [
+  ['EDITOR', '✏️ Editor'],
+  ['REVIEWER', '🔍 Reviewer'],
+  ['OPERATIONS', '⚙️ Operations'],
+  ['SALES', '💼 Sales'],
+  ['ADMIN', '👑 Admin']
+];
+
+const emptyInvite = { name: '', email: '', role: 'EDITOR', organizationId: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.[0]?.msg || error.response?.data?.error || fallback;
+
+const StaffInvitations = ({ onClose }) => {
+  const queryClient = useQueryClient();
+  const [invite, setInvite] = useState(emptyInvite);
+  // Link to pass on by hand when the email couldn't be sent
+  const [manualLink, setManualLink] = useState(null);
+
+  const { data: invitations = [], isLoading } = useQuery(
+    'invitations',
+    () => invitationsAPI.getAll(),
+    { select: (response) => response.data.invitations.filter(invitation => ['pending', 'expired'].includes(invitation.status)) }
+  );
+
+  // Shared by create and resend: both email a new link
+  const handleSent = ({ data }, successMessage) => {
+    queryClient.invalidateQueries('invitations');
+    if (data.emailSent) {
+      setManualLink(null);
+      toast.success(successMessage);
+    } else {
+      setManualLink({ email: data.invitation.email, url: data.inviteUrl });
+      toast.error('The invitation email could not be sent. Copy the link below and share it yourself.');
+    }
+  };
+
+  const createMutation = useMutation(invitationsAPI.create, {
+    onSuccess: (response) => {
+      setInvite(emptyInvite);
+      handleSent(response, `Invitation sent to ${response.data.invitation.email}`);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to send invitation'))
+  });
+
+  const resendMutation = useMutation(invitationsAPI.resend, {
+    onSuccess: (response) => handleSent(response, `New invitation link sent to ${response.data.invitation.email}`),
+    onError: (error) => toast.error(errorMessage(error, 'Failed to resend invitation'))
+  });
+
+  const revokeMutation = useMutation(invitationsAPI.revoke, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('invitations');
+      toast.success('Invitation revoked');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to revoke invitation'))
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate(invite);
+  };
+
+  const handleRevoke = (invitation) => {
+    if (window.confirm(`Revoke the invitation for ${invitation.email}? The link they were sent will stop working.`)) {
+      revokeMutation.mutate(invitation.id);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(manualLink.url);
+      toast.success('Invitation link copied');
+    } catch (error) {
+      toast.error('Could not copy. Select the link and copy it instead.');
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white p-6 rounded-lg shadow border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Invite Staff</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <XCircleIcon className="h-6 w-6" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        The person gets an email with a link to choose their own password. The link works once and expires;
+        resending it sends a new link and retires the old one.
+      </p>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <Input
+          label="Full Name *"
+          required
+          value={invite.name}
+          onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+          placeholder="Enter full name"
+        />
+        <Input
+          label="Email *"
+          type="email"
+          required
+          value={invite.email}
+          onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+          placeholder="Enter email address"
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Role *</label>
+          <select
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+          >
+            {STAFF_ROLES.map(([role, label]) => (
+              <option key={role} value={role}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <OrganizationSelect
+          value={invite.organizationId}
+          onChange={(organizationId) => setInvite({ ...invite, organizationId })}
+        />
+        <Button type="submit" loading={createMutation.isLoading}>
+          Send Invitation
+        </Button>
+      </form>
+
+      {manualLink && (
+        <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-md p-3">
+          <p className="text-sm text-yellow-800 mb-2">Invitation link for {manualLink.email}:</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-xs text-gray-900 break-all select-all">{manualLink.url}</code>
+            <Button type="button" variant="secondary" size="sm" onClick={handleCopy}>
+              <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+              Copy
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <h4 className="mt-6 mb-2 text-sm font-medium text-gray-900">Open invitations</h4>
+      {isLoading ? (
+        <div className="flex items-center justify-center h-16">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : invitations.length === 0 ? (
+        <p className="text-sm text-gray-500">No open invitations.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {invitations.map(invitation => (
+            <li key={invitation.id} className="py-2 flex flex-col sm:flex-row sm:items-center gap-2 text-sm">
+              <div className="flex-1 min-w-0">
+                <span className="font-medium text-gray-900">{invitation.name}</span>{' '}
+                <span className="text-gray-500">{invitation.email} · {invitation.role}</span>
+                <div className={clsx('text-xs', invitation.status === 'expired' ? 'text-red-600' : 'text-gray-500')}>
+                  {invitation.status === 'expired'
+                    ? `Expired ${new Date(invitation.expiresAt).toLocaleDateString()}`
+                    : `Sent ${new Date(invitation.sentAt).toLocaleDateString()} by ${invitation.invitedBy.name}, expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => resendMutation.mutate(invitation.id)}
+                  disabled={resendMutation.isLoading}
+                >
+                  <ArrowPathIcon className="h-4 w-4 mr-1" />
+                  Resend
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRevoke(invitation)}
+                  disabled={revokeMutation.isLoading}
+                >
+                  Revoke
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StaffInvitations;
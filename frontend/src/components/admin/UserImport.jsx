@@ -0,0 +1,188 @@
+// frontend/src/components/admin/UserImport.jsx - BULK USER IMPORT FROM CSV WITH A DRY-RUN PREVIEW
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { ArrowDownTrayIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { usersAPI } from '../../services/api';
+import Button from '../ui/Button';
+import OrganizationSelect from './OrganizationSelect';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const TEMPLATE = 'name,email,role,grade,parentEmail\r\nJane Doe,jane.doe@example.com,STUDENT,Grade 10,parent@example.com\r\n';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.[0]?.msg || error.response?.data?.error || fallback;
+
+const UserImport = ({ onClose, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState('');
+  const [result, setResult] = useState(null);
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [organizationId, setOrganizationId] = useState('');
+
+  const previewMutation = useMutation(usersAPI.previewImport, {
+    onSuccess: (response) => {
+      setResult(response.data);
+      setErrorsOnly(response.data.summary.invalid > 0);
+    },
+    onError: (error) => {
+      setResult(null);
+      toast.error(errorMessage(error, 'Failed to read the file'));
+    }
+  });
+
+  const importMutation = useMutation(() => usersAPI.importUsers(csv, organizationId), {
+    onSuccess: (response) => {
+      const count = response.data.created.length;
+      toast.success(`${count} user${count === 1 ? '' : 's'} created. Each was emailed a link to set their password.`);
+      onImported();
+    },
+    onError: (error) => {
+      // Rows can turn invalid after the preview, e.g. someone registered one of the emails meanwhile
+      if (error.response?.data?.rows) {
+        setResult(error.response.data);
+        setErrorsOnly(true);
+      }
+      toast.error(errorMessage(error, 'Failed to import users'));
+    }
+  });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Choosing the same file again, after fixing it, still fires onChange
+    if (!file) return;
+
+    const text = await file.text();
+    setFileName(file.name);
+    setCsv(text);
+    previewMutation.mutate(text);
+  };
+
+  const handleDownloadTemplate = () => {
+    const url = window.URL.createObjectURL(new Blob([TEMPLATE], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'user-import-template.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const rows = result ? result.rows.filter(row => !errorsOnly || row.errors.length > 0) : [];
+
+  return (
+    <div className="mb-6 bg-white p-6 rounded-lg shadow border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Import Users from CSV</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <XCircleIcon className="h-6 w-6" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        The first row must name the columns: <span className="font-mono">name</span> and{' '}
+        <span className="font-mono">email</span> are required; <span className="font-mono">role</span> (default STUDENT),{' '}
+        <span className="font-mono">grade</span> and <span className="font-mono">parentEmail</span> are optional.
+        Nothing is created until every row is valid, and each new user is emailed a link to set their password.
+      </p>
+
+      <div className="mb-4 max-w-sm">
+        <OrganizationSelect
+          value={organizationId}
+          onChange={setOrganizationId}
+        />
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4">
+        <label className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md bg-white text-gray-700 border border-gray-300 hover:bg-gray-50 cursor-pointer">
+          {fileName ? 'Choose another file' : 'Choose CSV file'}
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} />
+        </label>
+        {fileName && <span className="text-sm text-gray-700">{fileName}</span>}
+        <Button type="button" variant="ghost" size="sm" onClick={handleDownloadTemplate}>
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Download template
+        </Button>
+      </div>
+
+      {previewMutation.isLoading && <p className="text-sm text-gray-500">Checking rows...</p>}
+
+      {result && !previewMutation.isLoading && (
+        <>
+          <div className={clsx(
+            'mb-4 rounded-md p-3 border text-sm',
+            result.summary.invalid > 0 ? 'bg-red-50 border-red-200 text-red-800' : 'bg-green-50 border-green-200 text-green-800'
+          )}>
+            {result.summary.invalid > 0
+              ? `${result.summary.invalid} of ${result.summary.total} rows have errors. Fix them in the file and choose it again.`
+              : `All ${result.summary.total} rows are valid and ready to import.`}
+            {result.ignoredColumns.length > 0 && (
+              <span className="block mt-1 text-gray-600">Ignored columns: {result.ignoredColumns.join(', ')}</span>
+            )}
+          </div>
+
+          {result.summary.invalid > 0 && (
+            <label className="flex items-center gap-2 mb-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={errorsOnly}
+                onChange={(e) => setErrorsOnly(e.target.checked)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Show only rows with errors
+            </label>
+          )}
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md mb-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  {['Line', 'Name', 'Email', 'Role', 'Grade', 'Parent email', ''].map(heading => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {rows.map(row => (
+                  <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : undefined}>
+                    <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                    <td className="px-3 py-2 text-gray-900">{row.data.name}</td>
+                    <td className="px-3 py-2 text-gray-900">{row.data.email}</td>
+                    <td className="px-3 py-2 text-gray-700">{row.data.role}</td>
+                    <td className="px-3 py-2 text-gray-700">{row.data.grade}</td>
+                    <td className="px-3 py-2 text-gray-700">{row.data.parentEmail}</td>
+                    <td className="px-3 py-2">
+                      {row.errors.length > 0 ? (
+                        <ul className="text-xs text-red-700 space-y-0.5">
+                          {row.errors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                      ) : (
+                        <CheckCircleIcon className="h-5 w-5 text-green-500" />
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex space-x-3">
+            <Button
+              onClick={() => importMutation.mutate()}
+              disabled={result.summary.invalid > 0}
+              loading={importMutation.isLoading}
+            >
+              Create {result.summary.total} user{result.summary.total === 1 ? '' : 's'}
+            </Button>
+            <Button type="button" variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UserImport;
@@ -0,0 +1,199 @@
+// frontend/src/components/analysis/AnalysisHistory.jsx - ANALYSIS RUNS AND SCORE CHANGES
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { submissionsAPI } from '../../services/api';
+import {
+  ArrowTrendingUpIcon,
+  ArrowTrendingDownIcon,
+  MinusIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import clsx from 'clsx';
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const TRIGGER_LABELS = {
+  submission: 'On submission',
+  manual: 'Re-run',
+  resubmission: 'Revised draft'
+};
+
+const describeRun = (run) => {
+  const who = run.triggeredBy ? run.triggeredBy.name : 'Automatic';
+  return `${formatDate(run.createdAt)} · ${who}`;
+};
+
+const AnalysisHistory = ({ submissionId }) => {
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+
+  const { data: runs = [], isLoading } = useQuery(
+    ['analyses', submissionId],
+    () => submissionsAPI.getAnalyses(submissionId),
+    {
+      enabled: !!submissionId,
+      select: (response) => response.data.runs
+    }
+  );
+
+  // Default comparison is previous vs latest until the user picks runs
+  const { data: comparison, isLoading: isComparing } = useQuery(
+    ['analyses-compare', submissionId, fromId, toId],
+    () => submissionsAPI.compareAnalyses(submissionId, fromId, toId),
+    {
+      enabled: runs.length > 1 && (!fromId || fromId !== toId),
+      select: (response) => response.data.comparison
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-16">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (runs.length === 0) return null;
+
+  const getDeltaIcon = (change) => {
+    if (change.improved === null) return <MinusIcon className="h-4 w-4 text-gray-400" />;
+    return change.improved
+      ? <ArrowTrendingUpIcon className="h-4 w-4 text-green-500" />
+      : <ArrowTrendingDownIcon className="h-4 w-4 text-red-500" />;
+  };
+
+  const selectedFrom = fromId || comparison?.from.id || '';
+  const selectedTo = toId || comparison?.to.id || '';
+
+  return (
+    <div className="bg-white p-6 rounded-lg border">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Analysis History</h3>
+
+      <div className="divide-y divide-gray-100">
+        {runs.map((run, index) => (
+          <div key={run.id} className="py-2 flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-900">
+                {describeRun(run)}
+                {index === 0 && <span className="ml-2 text-xs text-primary-600 font-medium">Current</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {TRIGGER_LABELS[run.trigger] || 'On submission'}
+                {run.version != null && ` · v${run.version}`}
+                {run.fallbackUsed && ' · fallback'}
+                {run.cached && ' · from cache'}
+                {run.wordCount != null && ` · ${run.wordCount} words`}
+              </p>
+            </div>
+            <span className="text-sm font-medium text-gray-900">
+              {run.scores.overall ?? '–'}/100
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {runs.length > 1 && (
+        <div className="mt-6">
+          <h4 className="font-semibold text-gray-900 mb-3">Compare Runs</h4>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+              value={selectedFrom}
+              onChange={(e) => {
+                setFromId(e.target.value);
+                setToId(selectedTo);
+              }}
+            >
+              {runs.map(run => (
+                <option key={run.id} value={run.id}>{describeRun(run)}</option>
+              ))}
+            </select>
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+              value={selectedTo}
+              onChange={(e) => {
+                setFromId(selectedFrom);
+                setToId(e.target.value);
+              }}
+            >
+              {runs.map(run => (
+                <option key={run.id} value={run.id}>{describeRun(run)}</option>
+              ))}
+            </select>
+          </div>
+
+          {fromId && fromId === toId && (
+            <p className="text-sm text-gray-500">Pick two different runs to compare.</p>
+          )}
+
+          {isComparing && <LoadingSpinner size="sm" />}
+
+          {comparison && (
+            <div className="space-y-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="pb-2 font-medium">Metric</th>
+                    <th className="pb-2 font-medium text-right">Before</th>
+                    <th className="pb-2 font-medium text-right">After</th>
+                    <th className="pb-2 font-medium text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {comparison.changes.map(change => (
+                    <tr key={change.metric}>
+                      <td className="py-1.5 text-gray-900">{change.label}</td>
+                      <td className="py-1.5 text-right text-gray-600">{change.from ?? '–'}</td>
+                      <td className="py-1.5 text-right text-gray-600">{change.to ?? '–'}</td>
+                      <td className="py-1.5">
+                        <div className={clsx(
+                          'flex items-center justify-end gap-1 font-medium',
+                          change.improved === true && 'text-green-600',
+                          change.improved === false && 'text-red-600',
+                          change.improved === null && 'text-gray-500'
+                        )}>
+                          {getDeltaIcon(change)}
+                          {change.delta === null ? '–' : `${change.delta > 0 ? '+' : ''}${change.delta}`}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {comparison.priorities.resolved.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-green-800 mb-1">No longer flagged:</p>
+                  <ul className="text-sm text-green-700 list-disc list-inside space-y-1">
+                    {comparison.priorities.resolved.map((priority, idx) => (
+                      <li key={idx}>{priority}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {comparison.priorities.added.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-yellow-800 mb-1">New priorities:</p>
+                  <ul className="text-sm text-yellow-700 list-disc list-inside space-y-1">
+                    {comparison.priorities.added.map((priority, idx) => (
+                      <li key={idx}>{priority}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisHistory;
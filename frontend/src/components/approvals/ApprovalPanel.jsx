@@ -0,0 +1,168 @@
+// frontend/src/components/approvals/ApprovalPanel.jsx - MULTI-PARTY APPROVALS
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { approvalsAPI } from '../../services/api';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+  ClockIcon,
+  ArrowUturnLeftIcon
+} from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const APPROVAL_LABELS = {
+  EDITOR_APPROVAL: 'Editor Approval',
+  STUDENT_CONFIRMATION: 'Student Confirmation',
+  ADMIN_FINAL_APPROVAL: 'Admin Final Approval',
+  PDF_APPROVAL: 'PDF Approval',
+  COVER_APPROVAL: 'Cover Approval'
+};
+
+const ApprovalPanel = ({ submissionId }) => {
+  const queryClient = useQueryClient();
+  const [comments, setComments] = useState('');
+
+  const { data, isLoading } = useQuery(
+    ['approvals', submissionId],
+    () => approvalsAPI.getBySubmission(submissionId),
+    {
+      enabled: !!submissionId,
+      staleTime: 10000,
+      select: (response) => response.data
+    }
+  );
+
+  const decisionMutation = useMutation(
+    ({ approvalType, status }) => approvalsAPI.submit(submissionId, { approvalType, status, comments }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['approvals', submissionId]);
+        queryClient.invalidateQueries(['submission', submissionId]);
+        setComments('');
+
+        const { outcome } = response.data;
+        if (outcome === 'advanced') {
+          toast.success('All approvals received - submission moved forward');
+        } else if (outcome === 'sent_back') {
+          toast.success('Revision requested - submission sent back');
+        } else {
+          toast.success('Decision recorded');
+        }
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to record decision');
+      }
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-16">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  const approvalStatus = data?.approvalStatus;
+  if (!approvalStatus?.requiresApproval) return null;
+
+  const canRecord = data?.canRecord || [];
+
+  const handleDecision = (approvalType, status) => {
+    if (status !== 'APPROVED' && !comments.trim()) {
+      toast.error('Please add a comment explaining what needs to change');
+      return;
+    }
+    decisionMutation.mutate({ approvalType, status });
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'APPROVED':
+        return <CheckCircleIcon className="h-5 w-5 text-green-500" />;
+      case 'BLOCKED':
+        return <XCircleIcon className="h-5 w-5 text-red-500" />;
+      default:
+        return <ClockIcon className="h-5 w-5 text-gray-400" />;
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg border">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Approvals</h3>
+
+      <div className="space-y-3">
+        {approvalStatus.requirements.map((requirement) => (
+          <div key={requirement.approvalType} className="flex items-start">
+            <div className="flex-shrink-0 mr-3 mt-0.5">
+              {getStatusIcon(requirement.status)}
+            </div>
+            <div className="flex-1">
+              <div className="text-sm font-medium text-gray-900">
+                {APPROVAL_LABELS[requirement.approvalType]}
+              </div>
+              {requirement.decisions
+                .filter(decision => decision.status !== 'PENDING')
+                .map((decision) => (
+                  <div key={decision.id} className="text-xs text-gray-600 mt-1">
+                    <span className={clsx(
+                      'font-medium',
+                      decision.status === 'APPROVED' ? 'text-green-700' : 'text-red-700'
+                    )}>
+                      {decision.status.replace(/_/g, ' ').toLowerCase()}
+                    </span>
+                    {decision.user?.name && ` by ${decision.user.name}`}
+                    {decision.comments && ` – ${decision.comments}`}
+                  </div>
+                ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {canRecord.length > 0 && (
+        <div className="mt-6 space-y-3">
+          <textarea
+            rows={3}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            placeholder="Comments (required when requesting revisions)"
+          />
+          {canRecord.map((approvalType) => (
+            <div key={approvalType} className="space-y-2">
+              <p className="text-xs font-medium text-gray-700">{APPROVAL_LABELS[approvalType]}</p>
+              <div className="flex gap-2">
+                <Button
+                  variant="success"
+                  size="sm"
+                  className="flex-1"
+                  onClick={() => handleDecision(approvalType, 'APPROVED')}
+                  disabled={decisionMutation.isLoading}
+                >
+                  <CheckCircleIcon className="h-4 w-4 mr-1" />
+                  Approve
+                </Button>
+                <Button
+                  variant="warning"
+                  size="sm"
+                  className="flex-1"
+                  onClick={() => handleDecision(approvalType, 'REVISION_NEEDED')}
+                  disabled={decisionMutation.isLoading}
+                >
+                  <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                  Revise
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalPanel;
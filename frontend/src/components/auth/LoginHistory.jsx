@@ -0,0 +1,73 @@
+// frontend/src/components/auth/LoginHistory.jsx - RECENT SIGN-INS AND FAILED ATTEMPTS
+import React from 'react';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+
+const FAILURE_REASONS = {
+  bad_password: 'Wrong password',
+  bad_code: 'Wrong two-factor code',
+  locked: 'Account locked',
+  deactivated: 'Account deactivated',
+  organization_inactive: 'Organization deactivated'
+};
+
+const METHODS = {
+  password: 'Password',
+  totp: 'Password and authenticator app',
+  recovery: 'Password and recovery code'
+};
+
+// "Chrome on Windows" from a user agent string; the full string is in the title
+const describeBrowser = (userAgent) => {
+  if (!userAgent) return 'Unknown browser';
+
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+  const os = [
+    ['Windows', 'Windows'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'],
+    ['Mac OS', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+
+  if (!browser && !os) return userAgent.slice(0, 40);
+  return [browser || 'Browser', os].filter(Boolean).join(' on ');
+};
+
+const LoginHistory = ({ events }) => {
+  if (events.length === 0) {
+    return <p className="text-sm text-gray-500">No sign-ins recorded yet.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {events.map(event => (
+        <li key={event.id} className="py-2 flex items-start gap-3 text-sm">
+          {event.success ? (
+            <CheckCircleIcon className="h-5 w-5 text-green-500 flex-shrink-0" />
+          ) : (
+            <XCircleIcon className="h-5 w-5 text-red-500 flex-shrink-0" />
+          )}
+          <div className="flex-1 min-w-0">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-gray-900">
+                {event.success ? METHODS[event.method] || 'Signed in' : FAILURE_REASONS[event.reason] || 'Failed'}
+              </span>
+              {event.newDevice && (
+                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                  New device
+                </span>
+              )}
+            </div>
+            <div className="text-xs text-gray-500" title={event.userAgent || undefined}>
+              {describeBrowser(event.userAgent)} · {event.ipAddress || 'Unknown IP'}
+            </div>
+          </div>
+          <span className="text-xs text-gray-500 whitespace-nowrap">
+            {new Date(event.createdAt).toLocaleString()}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default LoginHistory;
@@ -0,0 +1,55 @@
+// frontend/src/components/auth/RecoveryCodes.jsx - ONE-TIME RECOVERY CODES, SHOWN ONCE
+import React from 'react';
+import { ClipboardDocumentIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import toast from 'react-hot-toast';
+
+const RecoveryCodes = ({ codes }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy. Select the codes and copy them instead.');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = window.URL.createObjectURL(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+        <p className="text-sm text-yellow-800">
+          Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone.
+          They won't be shown again.
+        </p>
+      </div>
+      <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-4 font-mono text-sm text-gray-900 select-all">
+        {codes.map(code => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button type="button" variant="secondary" size="sm" onClick={handleCopy}>
+          <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+          Copy
+        </Button>
+        <Button type="button" variant="secondary" size="sm" onClick={handleDownload}>
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,29 @@
+// frontend/src/components/auth/TwoFactorSetup.jsx - QR CODE AND SECRET FOR AN AUTHENTICATOR APP
+import React from 'react';
+
+// Secret in groups of four, easier to type into an app by hand
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+const TwoFactorSetup = ({ enrollment }) => {
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password,
+        then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img
+          src={enrollment.qrCode}
+          alt="QR code for your authenticator app"
+          className="h-48 w-48 border border-gray-200 rounded-md"
+        />
+      </div>
+      <div className="text-center">
+        <p className="text-xs text-gray-500">Can't scan it? Enter this key instead:</p>
+        <p className="mt-1 font-mono text-sm text-gray-900 break-all select-all">{formatSecret(enrollment.secret)}</p>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
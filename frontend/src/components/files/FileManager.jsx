@@ -2,7 +2,7 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
-import { filesAPI } from '../../services/api';
+import { filesAPI, settingsAPI } from '../../services/api';
 import {
   DocumentIcon,
   PhotoIcon,
@@ -21,8 +21,12 @@ import clsx from 'clsx';
 import toast from 'react-hot-toast';
 
 const FileManager = ({ submissionId, allowUploads = true }) => {
-  const { user } = useAuth();
+  const { user, can, canSometimes } = useAuth();
   const queryClient = useQueryClient();
+  const { data: publicSettings } = useQuery('public-settings', settingsAPI.getPublic, {
+    select: (response) => response.data.settings,
+    staleTime: 5 * 60 * 1000
+  });
   const [selectedFileType, setSelectedFileType] = useState('all');
 
   // ✅ ENHANCED: Better file fetching with error handling
@@ -186,14 +190,13 @@ const FileManager = ({ submissionId, allowUploads = true }) => {
     }
   };
 
+  // Editors can only approve on their assigned submissions, and only those reach this list
   const canApproveFiles = () => {
-    return ['ADMIN', 'OPERATIONS', 'EDITOR'].includes(user?.role);
+    return canSometimes('file.approve');
   };
 
   const canDeleteFile = (file) => {
-    return user?.role === 'ADMIN' || 
-           user?.role === 'OPERATIONS' || 
-           file.uploadedBy.id === user?.id;
+    return can('file.delete', file);
   };
 
   const filteredFiles = selectedFileType === 'all' 
@@ -449,7 +452,7 @@ const FileManager = ({ submissionId, allowUploads = true }) => {
             <p>• <strong>Cover Design:</strong> Book cover artwork and design files</p>
             <p>• <strong>Attachments:</strong> Supporting materials, references, images</p>
             <p>• <strong>File Review:</strong> Uploaded files are reviewed and approved by your editor</p>
-            <p>• Maximum file size: 10MB per file</p>
+            <p>• Maximum file size: {publicSettings?.['uploads.maxFileSizeMb'] || 10}MB per file</p>
             <p>• Supported formats: PDF, Word documents, text files, images</p>
           </div>
         </div>
@@ -1,7 +1,7 @@
 // frontend/src/components/files/FileUpload.jsx - FIXED FOR TEXT EXTRACTION
 import React, { useState, useRef } from 'react';
-import { useMutation, useQueryClient } from 'react-query';
-import { filesAPI } from '../../services/api';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { filesAPI, settingsAPI } from '../../services/api';
 import {
   CloudArrowUpIcon,
   DocumentIcon,
@@ -20,7 +20,7 @@ const FileUpload = ({
   fileType = 'ATTACHMENT', 
   onUploadComplete,
   accept = '',
-  maxSize = 10 * 1024 * 1024, // 10MB limit
+  maxSize: maxSizeOverride, // Defaults to the upload limit in system settings
   multiple = false,
   className = '',
   extractText = true // ✅ NEW: Enable text extraction by default
@@ -31,6 +31,12 @@ const FileUpload = ({
   const fileInputRef = useRef(null);
   const queryClient = useQueryClient();
 
+  const { data: publicSettings } = useQuery('public-settings', settingsAPI.getPublic, {
+    select: (response) => response.data.settings,
+    staleTime: 5 * 60 * 1000
+  });
+  const maxSize = maxSizeOverride || (publicSettings?.['uploads.maxFileSizeMb'] || 10) * 1024 * 1024;
+
   // ✅ FIXED: Upload mutation with text extraction support
   const uploadMutation = useMutation(filesAPI.upload, {
     onSuccess: (data, variables) => {
@@ -70,7 +76,7 @@ const FileUpload = ({
       let errorMessage = 'Upload failed';
       
       if (errorData?.code === 'FILE_TOO_LARGE') {
-        errorMessage = 'File too large. Maximum size is 10MB.';
+        errorMessage = errorData.error || `File too large. Maximum size is ${formatFileSize(maxSize)}.`;
       } else if (errorData?.code === 'INVALID_FILE_TYPE') {
         errorMessage = 'File type not allowed. Please check supported formats.';
       } else if (errorData?.code === 'UPLOAD_TIMEOUT') {
@@ -12,7 +12,11 @@ import {
   ArrowRightOnRectangleIcon,
   Bars3Icon,
   XMarkIcon,
-  PlusIcon
+  PlusIcon,
+  Cog6ToothIcon,
+  ShieldCheckIcon,
+  BuildingOffice2Icon,
+  AcademicCapIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
 
@@ -33,13 +37,53 @@ const Layout = ({ children }) => {
         name: 'Dashboard',
         href: '/dashboard',
         icon: HomeIcon,
-        roles: ['STUDENT', 'ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS']
+        roles: ['STUDENT', 'SUPER_ADMIN', 'ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS']
       },
       {
         name: 'My Submissions',
         href: '/submissions',
         icon: DocumentTextIcon,
-        roles: ['STUDENT', 'ADMIN', 'EDITOR']
+        roles: ['STUDENT', 'SUPER_ADMIN', 'ADMIN', 'EDITOR']
+      },
+      {
+        name: 'Cohorts',
+        href: '/cohorts',
+        icon: AcademicCapIcon,
+        roles: ['SUPER_ADMIN', 'ADMIN', 'EDITOR', 'REVIEWER', 'SALES', 'OPERATIONS']
+      }
+    ];
+
+    // Super-admins have these too, in every organization
+    const adminItems = [
+      {
+        name: 'User Management',
+        href: '/admin/users',
+        icon: UserGroupIcon
+      },
+      {
+        name: 'Editor Assignment',
+        href: '/admin/editor-assignment',
+        icon: UserGroupIcon
+      },
+      {
+        name: 'Audit Log',
+        href: '/admin/audit',
+        icon: ShieldCheckIcon
+      },
+      {
+        name: 'All Submissions',
+        href: '/submissions',
+        icon: DocumentTextIcon
+      },
+      {
+        name: 'Events',
+        href: '/events',
+        icon: CalendarIcon
+      },
+      {
+        name: 'Reviews',
+        href: '/reviews',
+        icon: ClipboardDocumentCheckIcon
       }
     ];
 
@@ -57,33 +101,20 @@ const Layout = ({ children }) => {
           icon: CalendarIcon
         }
       ],
-      ADMIN: [
-        {
-          name: 'User Management',
-          href: '/admin/users',
-          icon: UserGroupIcon
-        },
+      SUPER_ADMIN: [
         {
-          name: 'Editor Assignment',
-          href: '/admin/editor-assignment',
-          icon: UserGroupIcon
+          name: 'Organizations',
+          href: '/admin/organizations',
+          icon: BuildingOffice2Icon
         },
         {
-          name: 'All Submissions',
-          href: '/submissions',
-          icon: DocumentTextIcon
+          name: 'System Settings',
+          href: '/admin/settings',
+          icon: Cog6ToothIcon
         },
-        {
-          name: 'Events',
-          href: '/events',
-          icon: CalendarIcon
-        },
-        {
-          name: 'Reviews',
-          href: '/reviews',
-          icon: ClipboardDocumentCheckIcon
-        }
+        ...adminItems
       ],
+      ADMIN: adminItems,
       EDITOR: [
         {
           name: 'Assigned Students',
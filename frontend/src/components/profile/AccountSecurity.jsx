@@ -0,0 +1,236 @@
+// frontend/src/components/profile/AccountSecurity.jsx - SIGN-IN SECURITY SETTINGS
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../services/api';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import TwoFactorSetup from '../auth/TwoFactorSetup';
+import RecoveryCodes from '../auth/RecoveryCodes';
+import LoginHistory from '../auth/LoginHistory';
+import toast from 'react-hot-toast';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.[0]?.msg || error.response?.data?.error || fallback;
+
+// Turn two-factor on or off, and replace recovery codes
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const queryClient = useQueryClient();
+  // setup | disable | regenerate while a form is open
+  const [mode, setMode] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { data: status, isLoading } = useQuery('two-factor-status', authAPI.getTwoFactorStatus, {
+    select: (response) => response.data
+  });
+
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    setValue('');
+    setError('');
+  };
+
+  const closeForm = () => {
+    setMode(null);
+    setEnrollment(null);
+    setValue('');
+    setError('');
+  };
+
+  const handleStartSetup = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await authAPI.beginTwoFactorSetup();
+      setEnrollment(response.data);
+      openForm('setup');
+    } catch (setupError) {
+      toast.error(errorMessage(setupError, 'Failed to start two-factor setup'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) {
+      setError(mode === 'disable' ? 'Enter your password' : 'Enter the code');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      if (mode === 'setup') {
+        const response = await authAPI.enableTwoFactor(value.trim());
+        setRecoveryCodes(response.data.recoveryCodes);
+        updateUser({ twoFactorEnabled: true });
+        toast.success('Two-factor authentication is on');
+      } else if (mode === 'regenerate') {
+        const response = await authAPI.regenerateRecoveryCodes(value.trim());
+        setRecoveryCodes(response.data.recoveryCodes);
+      } else {
+        await authAPI.disableTwoFactor(value);
+        updateUser({ twoFactorEnabled: false });
+        toast.success('Two-factor authentication is off');
+      }
+      closeForm();
+      queryClient.invalidateQueries('two-factor-status');
+    } catch (submitError) {
+      setError(errorMessage(submitError, 'Something went wrong'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-16">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <h3 className="text-sm font-medium text-gray-900">Your recovery codes</h3>
+        <RecoveryCodes codes={recoveryCodes} />
+        <Button onClick={() => setRecoveryCodes(null)}>Done</Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h3 className="text-sm font-medium text-gray-900">Two-factor authentication</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            {status?.enabled
+              ? `On since ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+              : 'Ask for a code from an authenticator app as well as your password when you sign in.'}
+            {status?.required && ' Required for your role.'}
+          </p>
+        </div>
+        {!mode && (
+          status?.enabled ? (
+            <div className="flex gap-2">
+              <Button variant="secondary" onClick={() => openForm('regenerate')}>
+                New recovery codes
+              </Button>
+              {!status.required && (
+                <Button variant="secondary" onClick={() => openForm('disable')}>
+                  Turn off
+                </Button>
+              )}
+            </div>
+          ) : (
+            <Button onClick={handleStartSetup} loading={isSubmitting}>
+              Turn on
+            </Button>
+          )
+        )}
+      </div>
+
+      {mode && (
+        <form className="space-y-4 border-t border-gray-100 pt-4" onSubmit={handleSubmit}>
+          {mode === 'setup' && enrollment && <TwoFactorSetup enrollment={enrollment} />}
+          <Input
+            label={mode === 'disable' ? 'Password' : 'Code from your authenticator app'}
+            type={mode === 'disable' ? 'password' : 'text'}
+            inputMode={mode === 'disable' ? undefined : 'numeric'}
+            autoComplete={mode === 'disable' ? 'current-password' : 'one-time-code'}
+            value={value}
+            onChange={(e) => { setValue(e.target.value); setError(''); }}
+            error={error}
+            className="max-w-xs"
+          />
+          <div className="flex gap-2">
+            <Button type="submit" loading={isSubmitting}>
+              {mode === 'setup' ? 'Turn on' : mode === 'disable' ? 'Turn off' : 'Create new codes'}
+            </Button>
+            <Button type="button" variant="ghost" onClick={closeForm}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const AccountSecurity = () => {
+  const { logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [isLoggingOut, setIsLoggingOut] = useState(false);
+
+  const { data: loginHistory, isLoading: historyLoading } = useQuery('login-history', authAPI.getLoginHistory, {
+    select: (response) => response.data.events
+  });
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+
+    setIsLoggingOut(true);
+    const result = await logoutAll();
+    setIsLoggingOut(false);
+
+    if (result.success) {
+      navigate('/login');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mt-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ShieldCheckIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Security
+        </h2>
+      </div>
+      <div className="p-6 divide-y divide-gray-100">
+        <div className="pb-6">
+          <TwoFactorSettings />
+        </div>
+        <div className="pt-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Signed-in devices</h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Lost a device or signed in somewhere you shouldn't have? Log out everywhere and sign in again here.
+              Changing your password also logs out your other devices.
+            </p>
+          </div>
+          <Button variant="secondary" onClick={handleLogoutAll} loading={isLoggingOut}>
+            Log out of all devices
+          </Button>
+        </div>
+        <div className="pt-6">
+          <h3 className="text-sm font-medium text-gray-900">Recent sign-ins</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Don't recognise one? Change your password and log out of all devices.
+          </p>
+          <div className="mt-3">
+            {historyLoading ? (
+              <div className="flex items-center justify-center h-16">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : (
+              <LoginHistory events={loginHistory || []} />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountSecurity;
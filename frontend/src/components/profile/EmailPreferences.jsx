@@ -0,0 +1,82 @@
+// frontend/src/components/profile/EmailPreferences.jsx - EMAIL SETTINGS PER NOTIFICATION TYPE
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { notificationsAPI } from '../../services/api';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const FREQUENCY_LABELS = {
+  IMMEDIATE: 'Immediately',
+  DAILY_DIGEST: 'Daily digest',
+  OFF: 'Off'
+};
+
+const EmailPreferences = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    'notification-preferences',
+    notificationsAPI.getPreferences,
+    {
+      select: (response) => response.data
+    }
+  );
+
+  const updateMutation = useMutation(
+    (preferences) => notificationsAPI.updatePreferences(preferences),
+    {
+      onSuccess: (response) => {
+        queryClient.setQueryData('notification-preferences', (old) => ({
+          ...old,
+          data: { ...old.data, preferences: response.data.preferences }
+        }));
+        toast.success('Email preferences saved');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to save email preferences');
+      }
+    }
+  );
+
+  return (
+    <div className="bg-white shadow rounded-lg mt-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <EnvelopeIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Email Notifications
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Choose which notifications are also sent to your email, and how often.
+        </p>
+      </div>
+      <div className="p-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-16">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {data?.preferences.map(preference => (
+              <div key={preference.type} className="py-3 flex items-center justify-between">
+                <span className="text-sm text-gray-900">{preference.label}</span>
+                <select
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+                  value={preference.email}
+                  onChange={(e) => updateMutation.mutate({ [preference.type]: e.target.value })}
+                  disabled={updateMutation.isLoading}
+                >
+                  {data.frequencies.map(frequency => (
+                    <option key={frequency} value={frequency}>{FREQUENCY_LABELS[frequency]}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailPreferences;
@@ -0,0 +1,131 @@
+// frontend/src/components/profile/ParentUpdates.jsx - STUDENT CONSENT FOR PARENT PROGRESS EMAILS
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { parentAPI } from '../../services/api';
+import { UserGroupIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const ParentUpdates = () => {
+  const queryClient = useQueryClient();
+  const [parentEmail, setParentEmail] = useState('');
+
+  const { data: settings, isLoading } = useQuery(
+    'parent-settings',
+    parentAPI.getSettings,
+    {
+      select: (response) => response.data.settings
+    }
+  );
+
+  useEffect(() => {
+    if (settings) setParentEmail(settings.parentEmail || '');
+  }, [settings]);
+
+  const updateMutation = useMutation(
+    (data) => parentAPI.updateSettings(data),
+    {
+      onSuccess: (response) => {
+        queryClient.setQueryData('parent-settings', response);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update parent updates');
+      }
+    }
+  );
+
+  const save = (consent) => updateMutation.mutate({
+    parentUpdatesConsent: consent,
+    parentEmail: parentEmail.trim() || null
+  });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(settings.statusUrl);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const emailChanged = settings && (parentEmail.trim() || null) !== settings.parentEmail;
+
+  return (
+    <div className="bg-white shadow rounded-lg mt-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <UserGroupIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Parent/Guardian Updates
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Let a parent or guardian know when your submissions pass review, get an editor, have a PDF ready
+          or head to a publishing event. They only see titles and stages, never your writing.
+        </p>
+      </div>
+      <div className="p-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-16">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <Input
+              label="Parent/Guardian Email"
+              type="email"
+              value={parentEmail}
+              onChange={(e) => setParentEmail(e.target.value)}
+              placeholder="parent@example.com"
+            />
+
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings?.parentUpdatesConsent || false}
+                onChange={(e) => save(e.target.checked)}
+                disabled={updateMutation.isLoading || (!settings?.parentEmail && !parentEmail.trim())}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm text-gray-700">Send progress emails to my parent/guardian</span>
+            </label>
+
+            {emailChanged && (
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => save(settings.parentUpdatesConsent)}
+                loading={updateMutation.isLoading}
+              >
+                Save Email
+              </Button>
+            )}
+
+            {settings?.parentOptedOut && (
+              <p className="text-sm text-yellow-700 bg-yellow-50 rounded-md p-3">
+                Your parent/guardian unsubscribed from these emails. They can still use the status link below.
+              </p>
+            )}
+
+            {settings?.statusUrl && (
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Status page link</p>
+                <div className="flex items-center space-x-2">
+                  <code className="flex-1 text-xs bg-gray-50 border border-gray-200 rounded px-3 py-2 truncate">
+                    {settings.statusUrl}
+                  </code>
+                  <Button variant="ghost" size="sm" onClick={copyLink}>
+                    <ClipboardDocumentIcon className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParentUpdates;
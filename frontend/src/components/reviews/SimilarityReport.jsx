@@ -0,0 +1,140 @@
+// frontend/src/components/reviews/SimilarityReport.jsx - MATCHES FROM THE AUTOMATIC SIMILARITY CHECK
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { reviewsAPI } from '../../services/api';
+import { ArrowPathIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const Excerpt = ({ excerpt }) => (
+  <span>
+    {excerpt.before && '…'}
+    {excerpt.before}
+    <mark className="bg-red-100 text-red-900 rounded-sm">{excerpt.text}</mark>
+    {excerpt.after}
+    {excerpt.after && '…'}
+  </span>
+);
+
+const SimilarityReport = ({ submissionId, onUseScore }) => {
+  const queryClient = useQueryClient();
+  const [openMatch, setOpenMatch] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['similarity', submissionId],
+    () => reviewsAPI.getSimilarity(submissionId),
+    {
+      select: (response) => response.data,
+      // Keep polling while a check is queued or running
+      refetchInterval: (result) => (result?.isChecking ? 5000 : false)
+    }
+  );
+
+  const recheckMutation = useMutation(
+    () => reviewsAPI.runSimilarityCheck(submissionId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['similarity', submissionId]);
+        toast.success('Similarity check queued');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to queue similarity check');
+      }
+    }
+  );
+
+  if (isLoading) {
+    return <LoadingSpinner size="sm" />;
+  }
+
+  const report = data?.report;
+
+  const getScoreColor = (score) => {
+    if (score <= 10) return 'text-green-600';
+    if (score <= 20) return 'text-yellow-600';
+    return 'text-red-600';
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-gray-900">Similarity Check</h4>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => recheckMutation.mutate()}
+          disabled={data?.isChecking || recheckMutation.isLoading}
+        >
+          <ArrowPathIcon className={clsx('h-4 w-4 mr-1', data?.isChecking && 'animate-spin')} />
+          {data?.isChecking ? 'Checking...' : 'Re-check'}
+        </Button>
+      </div>
+
+      {!report ? (
+        <p className="text-sm text-gray-500">
+          {data?.isChecking ? 'Comparing with other submissions...' : 'No similarity check has run yet.'}
+        </p>
+      ) : (
+        <div className="bg-gray-50 p-3 rounded-md text-sm space-y-3">
+          <div className="flex justify-between items-center">
+            <span>Suggested Score:</span>
+            <span className={clsx('font-medium', getScoreColor(report.suggestedScore))}>
+              {report.suggestedScore}%
+            </span>
+          </div>
+          <p className="text-xs text-gray-500">
+            Compared with {report.candidatesChecked} submissions
+            {report.matches.length === 0 && ' - no overlapping passages found'}
+          </p>
+
+          {onUseScore && (
+            <Button variant="secondary" size="sm" className="w-full" onClick={() => onUseScore(report.suggestedScore)}>
+              Use Suggested Score
+            </Button>
+          )}
+
+          {report.matches.map(match => (
+            <div key={match.submissionId} className="border-t border-gray-200 pt-2">
+              <button
+                type="button"
+                className="w-full flex items-start justify-between text-left"
+                onClick={() => setOpenMatch(openMatch === match.submissionId ? null : match.submissionId)}
+              >
+                <span className="flex items-start">
+                  <DocumentDuplicateIcon className="h-4 w-4 mr-1 mt-0.5 text-gray-400 flex-shrink-0" />
+                  <span>
+                    <span className="font-medium text-gray-900">{match.title}</span>
+                    <span className="block text-xs text-gray-500">
+                      {match.student?.name} · {match.matchedWords} matching words
+                    </span>
+                  </span>
+                </span>
+                <span className={clsx('font-medium ml-2', getScoreColor(match.similarity))}>
+                  {match.similarity}%
+                </span>
+              </button>
+
+              {openMatch === match.submissionId && (
+                <div className="mt-2 space-y-3">
+                  {match.passages.map((passage, index) => (
+                    <div key={index} className="text-xs space-y-1">
+                      <p className="text-gray-500">{passage.wordCount} words</p>
+                      <p className="text-gray-700"><Excerpt excerpt={passage.source} /></p>
+                      <p className="text-gray-500 pl-2 border-l-2 border-gray-300">
+                        <Excerpt excerpt={passage.match} />
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimilarityReport;
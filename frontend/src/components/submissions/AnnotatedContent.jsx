@@ -0,0 +1,343 @@
+// frontend/src/components/submissions/AnnotatedContent.jsx - CONTENT WITH HIGHLIGHT-AND-COMMENT THREADS
+import React, { useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { submissionsAPI } from '../../services/api';
+import {
+  ChatBubbleLeftRightIcon,
+  CheckCircleIcon,
+  EyeIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const PREVIEW_LENGTH = 500;
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Cut the text at every highlight boundary so overlapping comments can share a piece
+const buildPieces = (text, annotations) => {
+  const boundaries = new Set([0, text.length]);
+  annotations.forEach(({ anchor }) => {
+    boundaries.add(Math.min(anchor.start, text.length));
+    boundaries.add(Math.min(anchor.end, text.length));
+  });
+
+  const points = [...boundaries].sort((a, b) => a - b);
+  return points.slice(0, -1).map((start, index) => {
+    const end = points[index + 1];
+    return {
+      start,
+      text: text.slice(start, end),
+      annotations: annotations.filter(({ anchor }) => anchor.start < end && anchor.end > start)
+    };
+  });
+};
+
+// Character offset of a DOM position within the container's text
+const offsetWithin = (container, node, offset) => {
+  const range = document.createRange();
+  range.selectNodeContents(container);
+  range.setEnd(node, offset);
+  return range.toString().length;
+};
+
+const AnnotatedContent = ({ submission }) => {
+  const { can } = useAuth();
+  const queryClient = useQueryClient();
+  const contentRef = useRef(null);
+  const [showFullContent, setShowFullContent] = useState(false);
+  const [showResolved, setShowResolved] = useState(false);
+  const [selection, setSelection] = useState(null);
+  const [comment, setComment] = useState('');
+  const [activeId, setActiveId] = useState(null);
+  const [replies, setReplies] = useState({});
+
+  const queryKey = ['annotations', submission.id];
+  const { data } = useQuery(
+    [...queryKey, submission.currentVersion],
+    () => submissionsAPI.getAnnotations(submission.id),
+    {
+      select: (response) => response.data
+    }
+  );
+
+  const annotations = data?.annotations || [];
+  const visible = annotations.filter(annotation => showResolved || !annotation.isResolved);
+  const highlighted = visible.filter(annotation => annotation.anchor);
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error || fallback);
+  };
+
+  const createMutation = useMutation(
+    () => submissionsAPI.createAnnotation(submission.id, { ...selection, body: comment }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(queryKey);
+        setSelection(null);
+        setComment('');
+        setActiveId(response.data.annotation.id);
+        toast.success('Comment added');
+      },
+      onError: onError('Failed to add comment')
+    }
+  );
+
+  const replyMutation = useMutation(
+    (annotationId) => submissionsAPI.replyToAnnotation(submission.id, annotationId, replies[annotationId]),
+    {
+      onSuccess: (_, annotationId) => {
+        queryClient.invalidateQueries(queryKey);
+        setReplies({ ...replies, [annotationId]: '' });
+      },
+      onError: onError('Failed to add reply')
+    }
+  );
+
+  const resolveMutation = useMutation(
+    ({ annotationId, resolved }) => submissionsAPI.resolveAnnotation(submission.id, annotationId, resolved),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(queryKey);
+        toast.success(response.data.message);
+      },
+      onError: onError('Failed to update comment')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (annotationId) => submissionsAPI.deleteAnnotation(submission.id, annotationId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(queryKey);
+        toast.success('Comment deleted');
+      },
+      onError: onError('Failed to delete comment')
+    }
+  );
+
+  const content = submission.content || '';
+  const isTruncated = !showFullContent && content.length > PREVIEW_LENGTH;
+  const shownText = isTruncated ? content.substring(0, PREVIEW_LENGTH) : content;
+
+  const handleMouseUp = () => {
+    if (!data?.canAnnotate) return;
+
+    const browserSelection = window.getSelection();
+    if (!browserSelection || browserSelection.isCollapsed || browserSelection.rangeCount === 0) return;
+
+    const range = browserSelection.getRangeAt(0);
+    const container = contentRef.current;
+    if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return;
+
+    const startOffset = offsetWithin(container, range.startContainer, range.startOffset);
+    const endOffset = Math.min(offsetWithin(container, range.endContainer, range.endOffset), shownText.length);
+    if (endOffset <= startOffset || !content.slice(startOffset, endOffset).trim()) return;
+
+    setSelection({ startOffset, endOffset });
+  };
+
+  const canResolve = (annotation) => can('annotation.resolve', { ...annotation, submission });
+
+  const canDelete = (annotation) => can('annotation.delete', annotation);
+
+  const openCount = annotations.filter(annotation => !annotation.isResolved).length;
+
+  return (
+    <div className="bg-white p-6 rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Content</h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => setShowFullContent(!showFullContent)}
+        >
+          <EyeIcon className="h-4 w-4 mr-1" />
+          {showFullContent ? 'Show Less' : 'Show Full'}
+        </Button>
+      </div>
+
+      {data?.canAnnotate && (
+        <p className="text-xs text-gray-500 mb-2">Select text to leave a comment.</p>
+      )}
+
+      <div className="prose max-w-none">
+        <div
+          ref={contentRef}
+          onMouseUp={handleMouseUp}
+          className="whitespace-pre-wrap text-gray-700 bg-gray-50 p-4 rounded-md"
+        >
+          {buildPieces(shownText, highlighted).map(piece => (
+            piece.annotations.length === 0 ? (
+              <span key={piece.start}>{piece.text}</span>
+            ) : (
+              <mark
+                key={piece.start}
+                onClick={() => setActiveId(piece.annotations[0].id)}
+                className={clsx(
+                  'cursor-pointer rounded-sm text-gray-900',
+                  piece.annotations.some(annotation => annotation.id === activeId)
+                    ? 'bg-yellow-300'
+                    : piece.annotations.every(annotation => annotation.isResolved) ? 'bg-gray-200' : 'bg-yellow-100'
+                )}
+              >
+                {piece.text}
+              </mark>
+            )
+          ))}
+          {isTruncated && <span className="select-none">...</span>}
+        </div>
+      </div>
+
+      {selection && (
+        <div className="mt-4 p-4 border border-primary-200 bg-primary-50 rounded-md space-y-2">
+          <p className="text-sm text-gray-700">
+            Comment on: <span className="italic">“{content.slice(selection.startOffset, selection.endOffset)}”</span>
+          </p>
+          <textarea
+            rows={3}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Your comment..."
+            autoFocus
+          />
+          <div className="flex gap-2">
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={() => createMutation.mutate()}
+              disabled={!comment.trim() || createMutation.isLoading}
+            >
+              Comment
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setSelection(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {annotations.length > 0 && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-semibold text-gray-900 flex items-center">
+              <ChatBubbleLeftRightIcon className="h-5 w-5 mr-2 text-gray-500" />
+              Comments ({openCount} open)
+            </h4>
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                className="mr-2 rounded border-gray-300"
+                checked={showResolved}
+                onChange={(e) => setShowResolved(e.target.checked)}
+              />
+              Show resolved
+            </label>
+          </div>
+
+          <div className="space-y-3">
+            {visible.map(annotation => (
+              <div
+                key={annotation.id}
+                onClick={() => setActiveId(annotation.id)}
+                className={clsx(
+                  'p-3 rounded-md border',
+                  annotation.id === activeId ? 'border-yellow-300 bg-yellow-50' : 'border-gray-200',
+                  annotation.isResolved && 'opacity-75'
+                )}
+              >
+                <p className="text-xs text-gray-500 italic mb-1 line-clamp-2">“{annotation.quote}”</p>
+                {annotation.isOutdated && (
+                  <p className="text-xs text-gray-400 mb-1">
+                    From version {annotation.version}
+                    {!annotation.anchor && ' · text no longer in the current draft'}
+                  </p>
+                )}
+
+                <div className="text-sm">
+                  <span className="font-medium text-gray-900">{annotation.author.name}</span>
+                  <span className="text-xs text-gray-500 ml-2">{formatDate(annotation.createdAt)}</span>
+                  <p className="text-gray-700 mt-1 whitespace-pre-wrap">{annotation.body}</p>
+                </div>
+
+                {annotation.replies.map(reply => (
+                  <div key={reply.id} className="mt-2 ml-4 pl-3 border-l-2 border-gray-200 text-sm">
+                    <span className="font-medium text-gray-900">{reply.author.name}</span>
+                    <span className="text-xs text-gray-500 ml-2">{formatDate(reply.createdAt)}</span>
+                    <p className="text-gray-700 mt-1 whitespace-pre-wrap">{reply.body}</p>
+                  </div>
+                ))}
+
+                {annotation.isResolved && annotation.resolvedBy && (
+                  <p className="text-xs text-green-700 mt-2 flex items-center">
+                    <CheckCircleIcon className="h-4 w-4 mr-1" />
+                    Resolved by {annotation.resolvedBy.name}
+                  </p>
+                )}
+
+                {annotation.id === activeId && (
+                  <div className="mt-3 space-y-2">
+                    <textarea
+                      rows={2}
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+                      value={replies[annotation.id] || ''}
+                      onChange={(e) => setReplies({ ...replies, [annotation.id]: e.target.value })}
+                      placeholder="Reply..."
+                    />
+                    <div className="flex gap-2">
+                      <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => replyMutation.mutate(annotation.id)}
+                        disabled={!replies[annotation.id]?.trim() || replyMutation.isLoading}
+                      >
+                        Reply
+                      </Button>
+                      {canResolve(annotation) && (
+                        <Button
+                          variant="secondary"
+                          size="sm"
+                          onClick={() => resolveMutation.mutate({
+                            annotationId: annotation.id,
+                            resolved: !annotation.isResolved
+                          })}
+                          disabled={resolveMutation.isLoading}
+                        >
+                          {annotation.isResolved ? 'Reopen' : 'Resolve'}
+                        </Button>
+                      )}
+                      {canDelete(annotation) && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => {
+                            if (window.confirm('Delete this comment and its replies?')) {
+                              deleteMutation.mutate(annotation.id);
+                            }
+                          }}
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnotatedContent;
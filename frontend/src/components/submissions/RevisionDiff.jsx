@@ -0,0 +1,152 @@
+// frontend/src/components/submissions/RevisionDiff.jsx - WORD-LEVEL DIFF BETWEEN DRAFTS
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { submissionsAPI } from '../../services/api';
+import Button from '../ui/Button';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+// Unchanged runs longer than this are folded down to their ends
+const FOLD_LENGTH = 600;
+const FOLD_CONTEXT = 200;
+
+const buildSources = (submission) => {
+  const versions = Array.from({ length: submission.currentVersion }, (_, index) => ({
+    value: String(index + 1),
+    label: `Version ${index + 1}${index + 1 === submission.currentVersion ? ' (current)' : ''}`
+  }));
+
+  const files = (submission.fileAttachments || [])
+    .filter(file => file.metadata?.extractedText)
+    .map(file => ({ value: `file:${file.id}`, label: `File: ${file.originalName}` }));
+
+  return [...versions, ...files];
+};
+
+const EqualSegment = ({ text, expanded }) => {
+  if (expanded || text.length <= FOLD_LENGTH) return <span>{text}</span>;
+
+  const hidden = text.slice(FOLD_CONTEXT, -FOLD_CONTEXT).split(/\s+/).filter(Boolean).length;
+  return (
+    <span>
+      {text.slice(0, FOLD_CONTEXT)}
+      <span className="block my-2 text-center text-xs text-gray-400 select-none">
+        ··· {hidden} unchanged words ···
+      </span>
+      {text.slice(-FOLD_CONTEXT)}
+    </span>
+  );
+};
+
+const RevisionDiff = ({ submission }) => {
+  const sources = buildSources(submission);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [expanded, setExpanded] = useState(false);
+
+  // Nothing to choose from until there's a second draft or an extracted file
+  const canCompare = sources.length > 1;
+
+  // Server defaults to previous vs current version until the user picks sources
+  const hasDefault = submission.currentVersion > 1;
+  const { data: diff, isLoading, error } = useQuery(
+    ['diff', submission.id, from, to, submission.currentVersion],
+    () => submissionsAPI.getDiff(submission.id, from, to),
+    {
+      enabled: canCompare && (from ? from !== to : hasDefault),
+      select: (response) => response.data,
+      retry: false
+    }
+  );
+
+  if (!canCompare) return null;
+
+  const selectedFrom = from || diff?.from.source || '';
+  const selectedTo = to || diff?.to.source || '';
+
+  return (
+    <div className="bg-white p-6 rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Compare Drafts</h3>
+        {diff && (
+          <Button variant="ghost" size="sm" onClick={() => setExpanded(!expanded)}>
+            {expanded ? 'Fold Unchanged' : 'Show Everything'}
+          </Button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <select
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+          value={selectedFrom}
+          onChange={(e) => {
+            setFrom(e.target.value);
+            setTo(selectedTo || String(submission.currentVersion));
+          }}
+        >
+          {!selectedFrom && <option value="">Compare from...</option>}
+          {sources.map(source => (
+            <option key={source.value} value={source.value}>{source.label}</option>
+          ))}
+        </select>
+        <select
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+          value={selectedTo}
+          onChange={(e) => {
+            setFrom(selectedFrom || sources[0].value);
+            setTo(e.target.value);
+          }}
+        >
+          {!selectedTo && <option value="">Compare to...</option>}
+          {sources.map(source => (
+            <option key={source.value} value={source.value}>{source.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {from && from === to && (
+        <p className="text-sm text-gray-500">Pick two different drafts to compare.</p>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600">
+          {error.response?.data?.error || 'Failed to compare drafts'}
+        </p>
+      )}
+
+      {isLoading && <LoadingSpinner size="sm" />}
+
+      {diff && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-4 text-sm">
+            <span className="text-green-700 font-medium">+{diff.stats.wordsAdded} words</span>
+            <span className="text-red-700 font-medium">−{diff.stats.wordsRemoved} words</span>
+            <span className="text-gray-600">
+              {diff.stats.paragraphsTouched} of {diff.stats.paragraphsAfter} paragraphs touched
+            </span>
+            <span className="text-gray-600">{diff.stats.percentChanged}% changed</span>
+          </div>
+
+          {diff.approximate && (
+            <p className="text-xs text-yellow-700">
+              These drafts differ too much for a word-by-word match; the changed part is shown as a whole.
+            </p>
+          )}
+
+          <div className="whitespace-pre-wrap text-sm text-gray-700 bg-gray-50 p-4 rounded-md max-h-[32rem] overflow-y-auto leading-relaxed">
+            {diff.segments.map((segment, index) => {
+              if (segment.type === 'added') {
+                return <ins key={index} className="bg-green-100 text-green-900 no-underline">{segment.text}</ins>;
+              }
+              if (segment.type === 'removed') {
+                return <del key={index} className="bg-red-100 text-red-900">{segment.text}</del>;
+              }
+              return <EqualSegment key={index} text={segment.text} expanded={expanded} />;
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionDiff;
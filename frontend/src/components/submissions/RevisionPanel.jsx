@@ -0,0 +1,202 @@
+// frontend/src/components/submissions/RevisionPanel.jsx - DRAFTS AND RESUBMISSION
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { submissionsAPI } from '../../services/api';
+import {
+  ArrowPathIcon,
+  DocumentDuplicateIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import Button from '../ui/Button';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const RevisionPanel = ({ submission }) => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [draft, setDraft] = useState({ content: '', changeNotes: '' });
+  const [requestNotes, setRequestNotes] = useState('');
+
+  const { data, isLoading } = useQuery(
+    ['revisions', submission.id, submission.currentVersion, submission.revisionRequested],
+    () => submissionsAPI.getRevisions(submission.id),
+    {
+      select: (response) => response.data
+    }
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['submission', submission.id]);
+    queryClient.invalidateQueries(['revisions', submission.id]);
+    queryClient.invalidateQueries(['transitions', submission.id]);
+  };
+
+  const resubmitMutation = useMutation(
+    () => submissionsAPI.resubmit(submission.id, draft),
+    {
+      onSuccess: () => {
+        refresh();
+        setShowForm(false);
+        setDraft({ content: '', changeNotes: '' });
+        toast.success('Revised draft submitted - analysis is running again');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to submit revised draft');
+      }
+    }
+  );
+
+  const requestMutation = useMutation(
+    () => submissionsAPI.requestRevision(submission.id, requestNotes),
+    {
+      onSuccess: () => {
+        refresh();
+        setRequestNotes('');
+        toast.success('Revision requested from the student');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to request revision');
+      }
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-16">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const openForm = () => {
+    setDraft({ content: submission.content, changeNotes: '' });
+    setShowForm(true);
+  };
+
+  const handleResubmit = () => {
+    if (draft.content.trim().length < 50) {
+      toast.error('Content must be at least 50 characters');
+      return;
+    }
+    resubmitMutation.mutate();
+  };
+
+  const handleRequest = () => {
+    if (requestNotes.trim().length < 10) {
+      toast.error('Please describe what needs to change');
+      return;
+    }
+    requestMutation.mutate();
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Drafts</h3>
+        <span className="text-sm text-gray-500">Version {data.currentVersion}</span>
+      </div>
+
+      {data.revisionRequested && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+          <div className="flex">
+            <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 mr-2 flex-shrink-0" />
+            <div>
+              <p className="text-sm font-medium text-yellow-800">A revised draft has been requested</p>
+              {data.revisionRequestNotes && (
+                <p className="text-sm text-yellow-700 mt-1">{data.revisionRequestNotes}</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {data.canResubmit && !showForm && (
+        <Button variant="primary" size="sm" className="mb-4" onClick={openForm}>
+          <ArrowPathIcon className="h-4 w-4 mr-1" />
+          Submit Revised Draft
+        </Button>
+      )}
+
+      {showForm && (
+        <div className="mb-6 space-y-3">
+          <textarea
+            rows={14}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            value={draft.content}
+            onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+          />
+          <textarea
+            rows={2}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            value={draft.changeNotes}
+            onChange={(e) => setDraft({ ...draft, changeNotes: e.target.value })}
+            placeholder="What did you change? (optional)"
+          />
+          <div className="flex gap-2">
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleResubmit}
+              disabled={resubmitMutation.isLoading}
+            >
+              {resubmitMutation.isLoading ? 'Submitting...' : 'Submit Draft'}
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {data.canRequestRevision && (
+        <div className="mb-6 space-y-2">
+          <textarea
+            rows={3}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            value={requestNotes}
+            onChange={(e) => setRequestNotes(e.target.value)}
+            placeholder="What should the student change in the next draft?"
+          />
+          <Button
+            variant="warning"
+            size="sm"
+            onClick={handleRequest}
+            disabled={requestMutation.isLoading}
+          >
+            Request Revision
+          </Button>
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {data.revisions.map((revision) => (
+          <div key={revision.version} className="py-2 flex items-start">
+            <DocumentDuplicateIcon className="h-5 w-5 text-gray-400 mr-3 mt-0.5" />
+            <div className="flex-1">
+              <p className="text-sm text-gray-900">
+                Version {revision.version}
+                {revision.isCurrent && <span className="ml-2 text-xs text-primary-600 font-medium">Current</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {formatDate(revision.createdAt)} · {revision.wordCount} words
+              </p>
+              {revision.changeNotes && (
+                <p className="text-xs text-gray-600 mt-1">{revision.changeNotes}</p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionPanel;
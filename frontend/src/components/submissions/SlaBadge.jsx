@@ -0,0 +1,46 @@
+// src/components/submissions/SlaBadge.jsx
+import React from 'react';
+import clsx from 'clsx';
+
+const SLA_STYLES = {
+  overdue: 'bg-red-100 text-red-800',
+  due_soon: 'bg-yellow-100 text-yellow-800',
+  on_track: 'bg-green-100 text-green-800'
+};
+
+export const formatDueDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+export const getSlaLabel = (sla) => {
+  if (sla.status === 'overdue') {
+    return sla.overdueDays > 0 ? `Overdue ${sla.overdueDays}d` : 'Overdue';
+  }
+  if (sla.status === 'due_soon') return 'Due soon';
+  return 'On track';
+};
+
+/**
+ * Due-date status of a submission's current stage, from `submission.sla`
+ */
+const SlaBadge = ({ sla, className }) => {
+  if (!sla) return null;
+
+  return (
+    <span
+      className={clsx(
+        'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium',
+        SLA_STYLES[sla.status],
+        className
+      )}
+      title={`Due ${formatDueDate(sla.dueAt)} (${sla.slaDays}-day target)`}
+    >
+      {getSlaLabel(sla)}
+    </span>
+  );
+};
+
+export default SlaBadge;
@@ -36,8 +36,7 @@ const Notifications = ({ isOpen, onClose }) => {
     ['notifications', showUnreadOnly],
     () => notificationsAPI.getAll(showUnreadOnly),
     {
-      enabled: isOpen,
-      refetchInterval: 30000, // Refetch every 30 seconds when open
+      enabled: isOpen, // Kept current by live updates (see RealtimeContext)
       select: (data) => data.data?.notifications || []
     }
   );
@@ -46,7 +45,6 @@ const Notifications = ({ isOpen, onClose }) => {
     'unread-count',
     notificationsAPI.getUnreadCount,
     {
-      refetchInterval: 60000, // Check every minute
       select: (data) => data.data?.count || 0
     }
   );
@@ -286,7 +284,6 @@ export const NotificationBell = () => {
     'unread-count',
     notificationsAPI.getUnreadCount,
     {
-      refetchInterval: 60000,
       select: (data) => data.data?.count || 0
     }
   );
@@ -1,7 +1,8 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import api from '../services/api';
+import api, { authAPI, storeTokens, clearTokens } from '../services/api';
+import { checkPermission, hasPermission } from '../services/permissions';
 
 // Auth Context
 const AuthContext = createContext();
@@ -14,6 +15,10 @@ const AUTH_ACTIONS = {
   LOGOUT: 'LOGOUT',
   UPDATE_USER: 'UPDATE_USER',
   CLEAR_ERROR: 'CLEAR_ERROR',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_ENROLLED: 'TWO_FACTOR_ENROLLED',
+  TWO_FACTOR_CANCEL: 'TWO_FACTOR_CANCEL',
+  PERMISSIONS_LOADED: 'PERMISSIONS_LOADED',
 };
 
 // Initial state
@@ -23,6 +28,10 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  // Login waiting for its second step: { challengeToken, setupRequired, recoveryCodes?, session? }
+  twoFactor: null,
+  // The signed-in user's role grants from the server; null until loaded
+  permissions: null,
 };
 
 // Auth reducer
@@ -42,6 +51,8 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        twoFactor: null,
+        permissions: null,
       };
     case AUTH_ACTIONS.LOGIN_FAILURE:
       return {
@@ -51,6 +62,7 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: action.payload,
+        permissions: null,
       };
     case AUTH_ACTIONS.LOGOUT:
       return {
@@ -60,6 +72,8 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: null,
+        twoFactor: null,
+        permissions: null,
       };
     case AUTH_ACTIONS.UPDATE_USER:
       return {
@@ -71,6 +85,28 @@ const authReducer = (state, action) => {
         ...state,
         error: null,
       };
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        twoFactor: action.payload,
+      };
+    case AUTH_ACTIONS.TWO_FACTOR_ENROLLED:
+      return {
+        ...state,
+        twoFactor: { ...state.twoFactor, ...action.payload },
+      };
+    case AUTH_ACTIONS.TWO_FACTOR_CANCEL:
+      return {
+        ...state,
+        twoFactor: null,
+      };
+    case AUTH_ACTIONS.PERMISSIONS_LOADED:
+      return {
+        ...state,
+        permissions: action.payload,
+      };
     default:
       return state;
   }
@@ -102,9 +138,8 @@ export const AuthProvider = ({ children }) => {
           });
         } catch (error) {
           console.error('Token verification failed:', error);
-          // Token is invalid, remove it
-          localStorage.removeItem('token');
-          delete api.defaults.headers.common['Authorization'];
+          // Token is invalid and could not be refreshed, remove it
+          clearTokens();
           
           dispatch({
             type: AUTH_ACTIONS.LOGIN_FAILURE,
@@ -122,24 +157,53 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Load what the user's role may do whenever someone signs in
+  const userId = state.user?.id;
+  const userRole = state.user?.role;
+  useEffect(() => {
+    if (!userId) return;
+
+    authAPI.getPermissions()
+      .then(response => {
+        dispatch({ type: AUTH_ACTIONS.PERMISSIONS_LOADED, payload: response.data.permissions });
+      })
+      .catch(error => {
+        console.error('Failed to load permissions:', error);
+        // Nothing granted: the API still decides, the UI just hides more than it has to
+        dispatch({ type: AUTH_ACTIONS.PERMISSIONS_LOADED, payload: {} });
+      });
+  }, [userId, userRole]);
+
+  // Store the tokens of a new session and sign in with it
+  const startSession = ({ user, token, refreshToken }) => {
+    storeTokens(token, refreshToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, token },
+    });
+  };
+
   // Login function
   const login = async (email, password) => {
     dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { user, token } = response.data;
 
-      // Store token in localStorage
-      localStorage.setItem('token', token);
-      
-      // Set token in API headers
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      // Password was right; the login page now asks for a code (or sets two-factor up first)
+      if (response.data.twoFactorRequired) {
+        const { challengeToken, setupRequired } = response.data;
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: { challengeToken, setupRequired },
+        });
+        return { success: false, twoFactorRequired: true };
+      }
 
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
-      });
+      const { user } = response.data;
+      startSession(response.data);
 
       toast.success(`Welcome back, ${user.name}!`);
       return { success: true };
@@ -156,16 +220,57 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: an authenticator code, a recovery code, or the first code of a new setup
+  const completeTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(state.twoFactor.challengeToken, code);
+      const { recoveryCodes, recoveryCodesRemaining, ...session } = response.data;
+
+      // Two-factor was just set up: show the recovery codes before leaving the login page
+      if (recoveryCodes) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_ENROLLED,
+          payload: { recoveryCodes, session },
+        });
+        return { success: true };
+      }
+
+      startSession(session);
+      toast.success(`Welcome back, ${session.user.name}!`);
+      if (recoveryCodesRemaining !== null && recoveryCodesRemaining <= 3) {
+        toast(`Only ${recoveryCodesRemaining} recovery code${recoveryCodesRemaining === 1 ? '' : 's'} left. Create new ones on your profile.`, { icon: '⚠️' });
+      }
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Verification failed',
+      };
+    }
+  };
+
+  // Sign in after the new recovery codes have been saved
+  const finishTwoFactorSetup = () => {
+    const { session } = state.twoFactor;
+    startSession(session);
+    toast.success(`Welcome back, ${session.user.name}!`);
+  };
+
+  // Back to the email and password form
+  const cancelTwoFactor = () => {
+    dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCEL });
+  };
+
   // Register function
   const register = async (userData) => {
     dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
     try {
       const response = await api.post('/auth/register', userData);
-      const { user, token } = response.data;
+      const { user, token, refreshToken } = response.data;
 
-      // Store token in localStorage
-      localStorage.setItem('token', token);
+      // Store tokens in localStorage
+      storeTokens(token, refreshToken);
       
       // Set token in API headers
       api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
@@ -178,7 +283,7 @@ export const AuthProvider = ({ children }) => {
       toast.success(`Welcome to AI Writing Companion, ${user.name}!`);
       return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.error || 'Registration failed';
+      const errorMessage = error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Registration failed';
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_FAILURE,
@@ -192,17 +297,33 @@ export const AuthProvider = ({ children }) => {
 
   // Logout function
   const logout = () => {
-    // Remove token from localStorage
-    localStorage.removeItem('token');
-    
-    // Remove token from API headers
-    delete api.defaults.headers.common['Authorization'];
+    // Sign this device's session out on the server; local logout doesn't wait for it
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch(error => console.error('Server logout failed:', error));
+    }
+
+    // Remove tokens from localStorage and API headers
+    clearTokens();
 
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     
     toast.success('Logged out successfully');
   };
 
+  // Sign out every device, including this one
+  const logoutAll = async () => {
+    try {
+      const response = await authAPI.logoutAll();
+      clearTokens();
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.success(`Logged out of ${response.data.sessionsRevoked} device${response.data.sessionsRevoked === 1 ? '' : 's'}`);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error || 'Failed to log out of all devices' };
+    }
+  };
+
   // Update user profile
   const updateUser = (userData) => {
     dispatch({
@@ -233,6 +354,16 @@ export const AuthProvider = ({ children }) => {
     return allowedRoles.includes(state.user?.role);
   };
 
+  // Check a permission from the server's matrix, against a record (submission, file, event...) if given
+  const can = useCallback((permission, record) => (
+    checkPermission(state.permissions, state.user, permission, record)
+  ), [state.permissions, state.user]);
+
+  // Check whether the user's role has a permission for at least some records
+  const canSometimes = useCallback((permission) => (
+    hasPermission(state.permissions, permission)
+  ), [state.permissions]);
+
   const value = {
     // State
     user: state.user,
@@ -240,11 +371,17 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     isLoading: state.isLoading,
     error: state.error,
+    twoFactor: state.twoFactor,
+    permissions: state.permissions,
     
     // Actions
     login,
+    completeTwoFactor,
+    finishTwoFactorSetup,
+    cancelTwoFactor,
     register,
     logout,
+    logoutAll,
     updateUser,
     clearError,
     
@@ -252,6 +389,8 @@ export const AuthProvider = ({ children }) => {
     hasRole,
     hasAnyRole,
     canAccess,
+    can,
+    canSometimes,
   };
 
   return (
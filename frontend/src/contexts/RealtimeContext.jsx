@@ -0,0 +1,166 @@
+// frontend/src/contexts/RealtimeContext.jsx - LIVE UPDATES OVER SERVER-SENT EVENTS
+import React, { createContext, useContext, useEffect, useRef, useCallback } from 'react';
+import { useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { refreshAccessToken } from '../services/api';
+
+const RealtimeContext = createContext();
+
+const STREAM_URL = `${import.meta.env.VITE_API_URL || '/api'}/realtime/stream`;
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Split an SSE buffer into complete events; returns the unparsed remainder
+const parseEvents = (buffer, onEvent) => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+
+  blocks.forEach(block => {
+    let event = 'message';
+    const data = [];
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+
+    if (data.length > 0) {
+      try {
+        onEvent(event, JSON.parse(data.join('\n')));
+      } catch (error) {
+        console.error('Invalid live update:', error);
+      }
+    }
+  });
+
+  return rest;
+};
+
+export const RealtimeProvider = ({ children }) => {
+  const { isAuthenticated, token } = useAuth();
+  const queryClient = useQueryClient();
+  const listeners = useRef(new Map());
+
+  const emit = useCallback((event, data) => {
+    listeners.current.get(event)?.forEach(listener => listener(data));
+  }, []);
+
+  // fetch rather than EventSource so the token goes in the Authorization header, not the URL
+  useEffect(() => {
+    if (!isAuthenticated || !token) return undefined;
+
+    let controller = null;
+    let retryTimer = null;
+    let retryMs = MIN_RETRY_MS;
+    let stopped = false;
+
+    const handleEvent = (event, data) => {
+      switch (event) {
+        case 'ready':
+          retryMs = MIN_RETRY_MS;
+          // Catch up on anything missed while disconnected
+          queryClient.invalidateQueries('unread-count');
+          queryClient.invalidateQueries(['notifications']);
+          break;
+        case 'notification':
+          queryClient.invalidateQueries('unread-count');
+          queryClient.invalidateQueries(['notifications']);
+          toast(data.title, { icon: '🔔' });
+          break;
+        case 'notifications.updated':
+          queryClient.invalidateQueries('unread-count');
+          queryClient.invalidateQueries(['notifications']);
+          break;
+        default:
+          break;
+      }
+      emit(event, data);
+    };
+
+    const connect = async () => {
+      controller = new AbortController();
+
+      try {
+        // Read at each attempt: the access token is replaced every time it is refreshed
+        const response = await fetch(STREAM_URL, {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}`, Accept: 'text/event-stream' },
+          signal: controller.signal
+        });
+
+        // An expired access token is refreshed and the stream reopened
+        if (response.status === 401) {
+          const { code } = await response.json().catch(() => ({}));
+          if (code !== 'TOKEN_EXPIRED') return;
+          try {
+            await refreshAccessToken();
+          } catch (refreshError) {
+            return;
+          }
+          if (!stopped) connect();
+          return;
+        }
+
+        // A revoked session or a forbidden stream will not get better by retrying
+        if (response.status === 403) return;
+        if (!response.ok || !response.body) throw new Error(`Stream responded ${response.status}`);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer = parseEvents(buffer + decoder.decode(value, { stream: true }).replace(/\r/g, ''), handleEvent);
+        }
+      } catch (error) {
+        if (stopped) return;
+        console.warn('Live updates disconnected:', error.message);
+      }
+
+      if (!stopped) {
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+      }
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      controller?.abort();
+    };
+  }, [isAuthenticated, token, queryClient, emit]);
+
+  const subscribe = useCallback((event, listener) => {
+    if (!listeners.current.has(event)) listeners.current.set(event, new Set());
+    listeners.current.get(event).add(listener);
+    return () => listeners.current.get(event).delete(listener);
+  }, []);
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+/**
+ * Run a handler for each live event of a type while the component is mounted
+ * @param {string} event - e.g. 'notification' or 'submission.stage'
+ * @param {Function} handler - Receives the event's data
+ */
+export const useRealtimeEvent = (event, handler) => {
+  const context = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  if (!context) {
+    throw new Error('useRealtimeEvent must be used within a RealtimeProvider');
+  }
+
+  const { subscribe } = context;
+  useEffect(() => subscribe(event, (data) => handlerRef.current(data)), [subscribe, event]);
+};
@@ -7,6 +7,7 @@ import { Toaster } from 'react-hot-toast';
 
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 import './index.css';
 
 // Create a client
@@ -29,7 +30,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <QueryClientProvider client={queryClient}>
       <BrowserRouter>
         <AuthProvider>
-          <App />
+          <RealtimeProvider>
+            <App />
+          </RealtimeProvider>
           <Toaster
             position="top-right"
             toastOptions={{
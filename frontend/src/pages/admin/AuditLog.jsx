@@ -0,0 +1,310 @@
+// frontend/src/pages/admin/AuditLog.jsx - WHO CHANGED WHAT, AND WHEN
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { auditAPI } from '../../services/api';
+import {
+  ShieldCheckIcon,
+  MagnifyingGlassIcon,
+  ArrowDownTrayIcon,
+  ChevronDownIcon,
+  ChevronRightIcon
+} from '@heroicons/react/24/outline';
+import Button from '../../components/ui/Button';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const emptyFilters = { action: '', entityType: '', search: '', from: '', to: '' };
+
+// Date inputs give local calendar days; the range covers the whole of both days
+const toParams = (filters) => ({
+  action: filters.action || undefined,
+  entityType: filters.entityType || undefined,
+  search: filters.search || undefined,
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined
+});
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Before and after side by side, one row per field
+const ChangeDetails = ({ before, after }) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  if (fields.length === 0) {
+    return <p className="text-sm text-gray-500">No field changes recorded.</p>;
+  }
+
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+          <th className="pr-4 py-1">Field</th>
+          <th className="pr-4 py-1">Before</th>
+          <th className="py-1">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {fields.map(field => (
+          <tr key={field} className="align-top">
+            <td className="pr-4 py-1 font-medium text-gray-700">{field}</td>
+            <td className="pr-4 py-1 text-red-700 break-all">{formatValue(before?.[field])}</td>
+            <td className="py-1 text-green-700 break-all">{formatValue(after?.[field])}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const AuditLog = () => {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const { data, isLoading, error } = useQuery(
+    ['audit-log', filters, currentPage],
+    () => auditAPI.getAll({ ...toParams(filters), page: currentPage, limit: 50 }),
+    { keepPreviousData: true }
+  );
+
+  const entries = data?.data?.entries || [];
+  const pagination = data?.data?.pagination || {};
+  const facets = data?.data?.facets || { actions: [], entityTypes: [] };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+    setExpanded(null);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await auditAPI.export(toParams(filters));
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (exportError) {
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <ShieldCheckIcon className="h-7 w-7 mr-2 text-gray-500" />
+              Audit Log
+            </h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Every change made through the app, with who made it and from where. Entries cannot be edited or removed.
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <Button variant="secondary" onClick={handleExport} loading={exporting} disabled={!pagination.total}>
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              Export CSV
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white shadow rounded-lg p-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            <div className="relative md:col-span-2">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search actor, entity ID or IP..."
+                className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                value={filters.search}
+                onChange={(e) => updateFilter('search', e.target.value)}
+              />
+            </div>
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              value={filters.action}
+              onChange={(e) => updateFilter('action', e.target.value)}
+            >
+              <option value="">All actions</option>
+              {facets.actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              value={filters.entityType}
+              onChange={(e) => updateFilter('entityType', e.target.value)}
+            >
+              <option value="">All entities</option>
+              {facets.entityTypes.map(entityType => (
+                <option key={entityType} value={entityType}>{entityType}</option>
+              ))}
+            </select>
+            <div className="flex items-center gap-2">
+              <input
+                type="date"
+                aria-label="From"
+                className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+              />
+              <input
+                type="date"
+                aria-label="To"
+                className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+              />
+            </div>
+          </div>
+          {hasFilters && (
+            <div className="mt-3 text-right">
+              <button
+                className="text-sm text-primary-600 hover:text-primary-800"
+                onClick={() => { setFilters(emptyFilters); setCurrentPage(1); }}
+              >
+                Clear filters
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Entries */}
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          {isLoading ? (
+            <div className="flex items-center justify-center h-64">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : error ? (
+            <div className="p-6 text-sm text-red-700">
+              Failed to load audit log: {error.response?.data?.error || error.message}
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="text-center py-12">
+              <ShieldCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No entries found</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                {hasFilters ? 'Try adjusting your filters.' : 'Changes will appear here as they happen.'}
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="w-8" />
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entity</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP address</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {entries.map(entry => (
+                      <React.Fragment key={entry.id}>
+                        <tr
+                          className="hover:bg-gray-50 cursor-pointer"
+                          onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                        >
+                          <td className="pl-4 py-3 text-gray-400">
+                            {expanded === entry.id
+                              ? <ChevronDownIcon className="h-4 w-4" />
+                              : <ChevronRightIcon className="h-4 w-4" />}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(entry.createdAt).toLocaleString()}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm">
+                            {entry.actor ? (
+                              <>
+                                <div className="font-medium text-gray-900">{entry.actor.name}</div>
+                                <div className="text-xs text-gray-500">{entry.actor.role}</div>
+                              </>
+                            ) : (
+                              <span className="text-gray-500 italic">System</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{entry.action}</td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            <div>{entry.entityType}</div>
+                            {entry.entityId && <div className="text-xs text-gray-500 font-mono break-all">{entry.entityId}</div>}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono">{entry.ipAddress || '—'}</td>
+                        </tr>
+                        {expanded === entry.id && (
+                          <tr className="bg-gray-50">
+                            <td />
+                            <td colSpan={5} className="px-4 py-4">
+                              <ChangeDetails before={entry.before} after={entry.after} />
+                              {entry.userAgent && (
+                                <p className="mt-3 text-xs text-gray-400 break-all">{entry.userAgent}</p>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {pagination.totalPages > 1 && (
+                <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+                  <p className="text-sm text-gray-700">
+                    Showing{' '}
+                    <span className="font-medium">{(currentPage - 1) * pagination.limit + 1}</span>{' '}
+                    to{' '}
+                    <span className="font-medium">{Math.min(currentPage * pagination.limit, pagination.total)}</span>{' '}
+                    of{' '}
+                    <span className="font-medium">{pagination.total}</span>{' '}
+                    entries
+                  </p>
+                  <div className="flex gap-2">
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                      disabled={currentPage === 1}
+                    >
+                      Previous
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => setCurrentPage(prev => Math.min(prev + 1, pagination.totalPages))}
+                      disabled={currentPage === pagination.totalPages}
+                    >
+                      Next
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
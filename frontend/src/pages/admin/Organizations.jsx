@@ -0,0 +1,205 @@
+// frontend/src/pages/admin/Organizations.jsx - SCHOOLS USING THE PLATFORM, MANAGED BY SUPER-ADMINS
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { organizationsAPI } from '../../services/api';
+import { BuildingOffice2Icon, PencilIcon, PlusIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.[0]?.msg || error.response?.data?.error || fallback;
+
+const Organizations = () => {
+  const queryClient = useQueryClient();
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newName, setNewName] = useState('');
+  // { id, name } of the organization being renamed
+  const [renaming, setRenaming] = useState(null);
+
+  const { data: organizations = [], isLoading, error } = useQuery('organizations', organizationsAPI.getAll, {
+    select: (response) => response.data.organizations
+  });
+
+  const createMutation = useMutation(organizationsAPI.create, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('organizations');
+      setShowCreateForm(false);
+      setNewName('');
+      toast.success(`${response.data.organization.name} created`);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to create organization'))
+  });
+
+  const updateMutation = useMutation(({ id, data }) => organizationsAPI.update(id, data), {
+    onSuccess: () => {
+      queryClient.invalidateQueries('organizations');
+      setRenaming(null);
+      toast.success('Organization updated');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update organization'))
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({ name: newName.trim() });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    updateMutation.mutate({ id: renaming.id, data: { name: renaming.name.trim() } });
+  };
+
+  const handleToggleActive = (organization) => {
+    if (organization.isActive) {
+      if (!window.confirm(`Deactivate "${organization.name}"? Its ${organization._count.users} members will be signed out and unable to sign in until it is reactivated.`)) return;
+    }
+    updateMutation.mutate({ id: organization.id, data: { isActive: !organization.isActive } });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="large" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="max-w-5xl mx-auto bg-red-50 border border-red-200 rounded-md p-4 text-red-800">
+          {errorMessage(error, 'Failed to load organizations')}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Organizations</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Each school's users, submissions and events are kept separate. Admins only see their own organization.
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <Button onClick={() => setShowCreateForm(true)}>
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Organization
+            </Button>
+          </div>
+        </div>
+
+        {showCreateForm && (
+          <div className="mb-6 bg-white p-6 rounded-lg shadow border">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">New Organization</h3>
+              <button onClick={() => setShowCreateForm(false)} className="text-gray-400 hover:text-gray-600">
+                <XCircleIcon className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleCreate} className="flex flex-col sm:flex-row sm:items-end gap-4">
+              <Input
+                label="Name *"
+                required
+                className="flex-1"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="e.g., Riverside High School"
+              />
+              <Button type="submit" loading={createMutation.isLoading}>
+                Create
+              </Button>
+            </form>
+            <p className="mt-3 text-xs text-gray-500">
+              Then invite its first admin from User Management, choosing this organization.
+            </p>
+          </div>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          {organizations.length > 0 ? (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Members</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submissions</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {organizations.map(organization => (
+                  <tr key={organization.id}>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {renaming?.id === organization.id ? (
+                        <form onSubmit={handleRename} className="flex items-center gap-2">
+                          <Input
+                            required
+                            autoFocus
+                            value={renaming.name}
+                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                          />
+                          <Button type="submit" size="sm" loading={updateMutation.isLoading}>Save</Button>
+                          <Button type="button" variant="ghost" size="sm" onClick={() => setRenaming(null)}>Cancel</Button>
+                        </form>
+                      ) : (
+                        <span className="font-medium">{organization.name}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{organization._count.users}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{organization._count.submissions}</td>
+                    <td className="px-6 py-4">
+                      <span className={clsx(
+                        'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium',
+                        organization.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      )}>
+                        {organization.isActive ? 'Active' : 'Deactivated'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => setRenaming({ id: organization.id, name: organization.name })}
+                        className="p-1 text-blue-600 hover:text-blue-800"
+                        title="Rename"
+                      >
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="ml-2"
+                        onClick={() => handleToggleActive(organization)}
+                        disabled={updateMutation.isLoading}
+                      >
+                        {organization.isActive ? 'Deactivate' : 'Reactivate'}
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-center py-12">
+              <BuildingOffice2Icon className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No organizations yet</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Until one exists, everyone shares a single space and students register without choosing a school.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Organizations;
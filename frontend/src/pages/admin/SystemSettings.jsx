@@ -0,0 +1,325 @@
+// frontend/src/pages/admin/SystemSettings.jsx - ADMIN-EDITABLE SYSTEM SETTINGS
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { settingsAPI, slaAPI } from '../../services/api';
+import { Cog6ToothIcon, ClockIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import Button from '../../components/ui/Button';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const formatStage = (stage) => stage.replace(/_/g, ' ').toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
+
+// Values as shown in the form: lists become one item per line
+const toDraft = (setting) => {
+  if (setting.type === 'stringList') return setting.value.join('\n');
+  if (setting.type === 'integer') return String(setting.value);
+  return setting.value;
+};
+
+const fromDraft = (setting, draft) => {
+  if (setting.type === 'stringList') return draft.split('\n').map(item => item.trim()).filter(Boolean);
+  if (setting.type === 'integer') return Number(draft);
+  return draft;
+};
+
+const formatDefault = (setting) => {
+  if (setting.type === 'boolean') return setting.default ? 'On' : 'Off';
+  if (setting.type === 'stringList') return `${setting.default.length} types`;
+  if (setting.type === 'choiceList') return setting.default.length ? setting.default.join(', ') : 'None';
+  return setting.default;
+};
+
+const SettingField = ({ setting, draft, onChange }) => {
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500';
+
+  switch (setting.type) {
+    case 'boolean':
+      return (
+        <input
+          type="checkbox"
+          className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+          checked={draft}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      );
+    case 'integer':
+      return (
+        <input
+          type="number"
+          className={clsx(inputClass, 'max-w-[10rem]')}
+          min={setting.min}
+          max={setting.max}
+          value={draft}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+    case 'stringList':
+      return (
+        <textarea
+          className={clsx(inputClass, 'font-mono text-sm')}
+          rows={Math.min(Math.max(draft.split('\n').length, 3), 10)}
+          value={draft}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+    case 'choiceList':
+      return (
+        <div className="flex flex-wrap gap-x-6 gap-y-2">
+          {setting.options.map(option => (
+            <label key={option} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                checked={draft.includes(option)}
+                // Kept in the order of the options, as the server stores it
+                onChange={(e) => onChange(setting.options.filter(item =>
+                  item === option ? e.target.checked : draft.includes(item)
+                ))}
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    default:
+      return (
+        <input
+          type="text"
+          className={inputClass}
+          value={draft}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+};
+
+const StageSlaSettings = () => {
+  const queryClient = useQueryClient();
+  const [drafts, setDrafts] = useState({});
+
+  const { data: slas, isLoading } = useQuery('stage-slas', slaAPI.get, {
+    select: (response) => response.data.slas
+  });
+
+  useEffect(() => {
+    if (slas) setDrafts(Object.fromEntries(Object.entries(slas).map(([stage, days]) => [stage, String(days)])));
+  }, [slas]);
+
+  const updateMutation = useMutation(slaAPI.update, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('stage-slas');
+      toast.success('Stage SLAs saved');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to save stage SLAs');
+    }
+  });
+
+  const changed = slas
+    ? Object.fromEntries(
+        Object.entries(drafts)
+          .filter(([stage, days]) => Number(days) !== slas[stage])
+          .map(([stage, days]) => [stage, Number(days)])
+      )
+    : {};
+  const hasChanges = Object.keys(changed).length > 0;
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ClockIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Stage SLAs
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Days a submission may spend in each stage before it is flagged as overdue.
+        </p>
+      </div>
+      <div className="p-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-16">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {Object.keys(drafts).map(stage => (
+                <label key={stage} className="flex items-center justify-between gap-4">
+                  <span className="text-sm font-medium text-gray-700">{formatStage(stage)}</span>
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={365}
+                      className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      value={drafts[stage]}
+                      onChange={(e) => setDrafts(prev => ({ ...prev, [stage]: e.target.value }))}
+                    />
+                    <span className="text-sm text-gray-500">days</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="mt-6 flex justify-end">
+              <Button
+                onClick={() => updateMutation.mutate(changed)}
+                disabled={!hasChanges}
+                loading={updateMutation.isLoading}
+              >
+                Save SLAs
+              </Button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SystemSettings = () => {
+  const queryClient = useQueryClient();
+  const [drafts, setDrafts] = useState({});
+
+  const { data, isLoading, error } = useQuery('system-settings', settingsAPI.getAll, {
+    select: (response) => response.data.settings
+  });
+  const settings = data || [];
+
+  const savedDrafts = (list) => Object.fromEntries(list.map(setting => [setting.key, toDraft(setting)]));
+  const resetDrafts = () => setDrafts(savedDrafts(settings));
+
+  // Start from the saved values whenever they load or change
+  useEffect(() => {
+    if (data) setDrafts(savedDrafts(data));
+  }, [data]);
+
+  const updateMutation = useMutation(settingsAPI.update, {
+    onSuccess: (response) => {
+      queryClient.setQueryData('system-settings', response);
+      toast.success(response.data.message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to save settings');
+    }
+  });
+
+  const changed = {};
+  settings.forEach(setting => {
+    if (drafts[setting.key] === undefined) return;
+    const value = fromDraft(setting, drafts[setting.key]);
+    if (JSON.stringify(value) !== JSON.stringify(setting.value)) changed[setting.key] = value;
+  });
+  const hasChanges = Object.keys(changed).length > 0;
+
+  const categories = [...new Set(settings.map(setting => setting.category))];
+
+  if (isLoading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="max-w-4xl mx-auto bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-700">
+          Failed to load settings: {error.response?.data?.error || error.message}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Cog6ToothIcon className="h-7 w-7 mr-2 text-gray-500" />
+              System Settings
+            </h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Changes apply within a minute on every server, without a redeploy. Every change is recorded in the audit log.
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0 flex gap-2">
+            <Button
+              variant="secondary"
+              onClick={resetDrafts}
+              disabled={!hasChanges}
+            >
+              Discard
+            </Button>
+            <Button
+              onClick={() => updateMutation.mutate(changed)}
+              disabled={!hasChanges}
+              loading={updateMutation.isLoading}
+            >
+              Save Changes
+            </Button>
+          </div>
+        </div>
+
+        {categories.map(category => (
+          <div key={category} className="bg-white shadow rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">{category}</h2>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {settings.filter(setting => setting.category === category).map(setting => (
+                <div key={setting.key} className="px-6 py-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900 flex items-center">
+                      {setting.label}
+                      {changed[setting.key] !== undefined && (
+                        <span className="ml-2 text-xs text-yellow-700">(unsaved)</span>
+                      )}
+                    </div>
+                    {setting.description && (
+                      <p className="text-sm text-gray-500 mt-1">{setting.description}</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">
+                      Default: {formatDefault(setting)}
+                      {setting.updatedAt && ` · Changed ${new Date(setting.updatedAt).toLocaleString()}`}
+                    </p>
+                  </div>
+                  <div className="flex items-start gap-2">
+                    <div className="flex-1">
+                      {drafts[setting.key] !== undefined && (
+                        <SettingField
+                          setting={setting}
+                          draft={drafts[setting.key]}
+                          onChange={(value) => setDrafts(prev => ({ ...prev, [setting.key]: value }))}
+                        />
+                      )}
+                    </div>
+                    {!setting.isDefault && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        title="Reset to default"
+                        onClick={() => updateMutation.mutate({ [setting.key]: null })}
+                        disabled={updateMutation.isLoading}
+                      >
+                        <ArrowUturnLeftIcon className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <StageSlaSettings />
+      </div>
+    </div>
+  );
+};
+
+export default SystemSettings;
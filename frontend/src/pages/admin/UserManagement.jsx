@@ -12,36 +12,52 @@ import {
   EyeSlashIcon,
   EyeIcon,
   CheckCircleIcon,
-  XCircleIcon
+  XCircleIcon,
+  ShieldCheckIcon,
+  ClockIcon,
+  LockClosedIcon,
+  ArrowUpTrayIcon,
+  EnvelopeIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import LoginHistory from '../../components/auth/LoginHistory';
+import UserImport from '../../components/admin/UserImport';
+import StaffInvitations from '../../components/admin/StaffInvitations';
+import OrganizationSelect from '../../components/admin/OrganizationSelect';
 import clsx from 'clsx';
 import toast from 'react-hot-toast';
 
 const UserManagement = () => {
-  const { user: currentUser } = useAuth();
+  const { user: currentUser, canSometimes } = useAuth();
+  const isSuperAdmin = canSometimes('organization.manage');
   const queryClient = useQueryClient();
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
+  const [historyUser, setHistoryUser] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showInvitations, setShowInvitations] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedRole, setSelectedRole] = useState('');
+  const [selectedOrganization, setSelectedOrganization] = useState('');
   const [newUser, setNewUser] = useState({
     name: '',
     email: '',
     role: 'STUDENT',
     grade: '',
     parentEmail: '',
-    password: ''
+    password: '',
+    organizationId: ''
   });
 
   // Fetch users with search and filter
   const { data: usersResponse, isLoading, error } = useQuery(
-    ['users', searchTerm, selectedRole],
+    ['users', searchTerm, selectedRole, selectedOrganization],
     () => usersAPI.getAll({
       search: searchTerm || undefined,
       role: selectedRole || undefined,
+      organizationId: selectedOrganization || undefined,
       limit: 100
     }),
     {
@@ -50,6 +66,14 @@ const UserManagement = () => {
     }
   );
 
+  // Login history of the user whose panel is open
+  const { data: historyResponse, isLoading: historyLoading } = useQuery(
+    ['user-login-history', historyUser?.id],
+    () => usersAPI.getLoginHistory(historyUser.id),
+    { enabled: !!historyUser }
+  );
+  const history = historyResponse?.data;
+
   // Create user mutation
   const createUserMutation = useMutation(usersAPI.create, {
     onSuccess: () => {
@@ -59,7 +83,7 @@ const UserManagement = () => {
       toast.success('User created successfully');
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to create user');
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to create user');
     }
   });
 
@@ -89,8 +113,33 @@ const UserManagement = () => {
     }
   });
 
+  // Reset two-factor mutation
+  const resetTwoFactorMutation = useMutation(usersAPI.resetTwoFactor, {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['users']);
+      toast.success('Two-factor authentication reset');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to reset two-factor authentication');
+    }
+  });
+
+  // Unlock account mutation
+  const unlockMutation = useMutation(usersAPI.unlock, {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['users']);
+      queryClient.invalidateQueries(['user-login-history']);
+      toast.success('Account unlocked');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to unlock account');
+    }
+  });
+
   const users = usersResponse?.data?.users || [];
 
+  const isLocked = (user) => user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
   const resetNewUserForm = () => {
     setNewUser({
       name: '',
@@ -98,24 +147,14 @@ const UserManagement = () => {
       role: 'STUDENT',
       grade: '',
       parentEmail: '',
-      password: ''
+      password: '',
+      organizationId: ''
     });
   };
 
   const handleCreateUser = (e) => {
     e.preventDefault();
-    
-    // Generate password if not provided
-    const userData = {
-      ...newUser,
-      password: newUser.password || generateRandomPassword()
-    };
-    
-    createUserMutation.mutate(userData);
-  };
-
-  const generateRandomPassword = () => {
-    return Math.random().toString(36).slice(-8) + Math.random().toString(36).slice(-4).toUpperCase();
+    createUserMutation.mutate(newUser);
   };
 
   const handleUpdateUser = (userData) => {
@@ -125,6 +164,12 @@ const UserManagement = () => {
     });
   };
 
+  const handleResetTwoFactor = (userId, userName) => {
+    if (window.confirm(`Turn off two-factor authentication for "${userName}"? Use this when they have lost their authenticator app and recovery codes. They will be logged out everywhere.`)) {
+      resetTwoFactorMutation.mutate(userId);
+    }
+  };
+
   const handleDeleteUser = (userId, userName) => {
     if (userId === currentUser.id) {
       toast.error("You cannot deactivate your own account");
@@ -138,6 +183,7 @@ const UserManagement = () => {
 
   const getRoleColor = (role) => {
     const colors = {
+      SUPER_ADMIN: 'bg-gray-800 text-white',
       STUDENT: 'bg-blue-100 text-blue-800',
       ADMIN: 'bg-red-100 text-red-800',
       EDITOR: 'bg-green-100 text-green-800',
@@ -150,6 +196,7 @@ const UserManagement = () => {
 
   const getRoleIcon = (role) => {
     switch (role) {
+      case 'SUPER_ADMIN': return '🏫';
       case 'ADMIN': return '👑';
       case 'EDITOR': return '✏️';
       case 'REVIEWER': return '🔍';
@@ -196,7 +243,15 @@ const UserManagement = () => {
               {filteredUsers.length} users found
             </p>
           </div>
-          <div className="mt-4 sm:mt-0">
+          <div className="mt-4 sm:mt-0 flex gap-3">
+            <Button variant="secondary" onClick={() => setShowInvitations(true)}>
+              <EnvelopeIcon className="h-5 w-5 mr-2" />
+              Invite Staff
+            </Button>
+            <Button variant="secondary" onClick={() => setShowImport(true)}>
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+              Import CSV
+            </Button>
             <Button onClick={() => setShowCreateForm(true)}>
               <PlusIcon className="h-5 w-5 mr-2" />
               Create User
@@ -229,14 +284,84 @@ const UserManagement = () => {
                 <option value="STUDENT">👤 Students</option>
                 <option value="EDITOR">✏️ Editors</option>
                 <option value="REVIEWER">🔍 Reviewers</option>
+                {isSuperAdmin && <option value="SUPER_ADMIN">🏫 Super Admins</option>}
                 <option value="ADMIN">👑 Admins</option>
                 <option value="SALES">💼 Sales</option>
                 <option value="OPERATIONS">⚙️ Operations</option>
               </select>
             </div>
+            {isSuperAdmin && (
+              <div>
+                <OrganizationSelect
+                  label={null}
+                  emptyLabel="All Organizations"
+                  required={false}
+                  value={selectedOrganization}
+                  onChange={setSelectedOrganization}
+                />
+              </div>
+            )}
           </div>
         </div>
 
+        {/* Login History */}
+        {historyUser && (
+          <div className="mb-6 bg-white p-6 rounded-lg shadow border">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Login History: {historyUser.name}</h3>
+              <button
+                onClick={() => setHistoryUser(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XCircleIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {historyLoading ? (
+              <div className="flex items-center justify-center h-24">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : history && (
+              <>
+                {history.lockedUntil ? (
+                  <div className="mb-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 bg-red-50 border border-red-200 rounded-md p-3">
+                    <p className="text-sm text-red-800">
+                      Locked after too many failed attempts until {new Date(history.lockedUntil).toLocaleString()}.
+                    </p>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => unlockMutation.mutate(historyUser.id)}
+                      loading={unlockMutation.isLoading}
+                    >
+                      Unlock now
+                    </Button>
+                  </div>
+                ) : history.failedLoginAttempts > 0 && (
+                  <p className="mb-4 text-sm text-gray-600">
+                    {history.failedLoginAttempts} failed attempt{history.failedLoginAttempts === 1 ? '' : 's'} since the last successful login.
+                  </p>
+                )}
+                <LoginHistory events={history.events} />
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Staff Invitations */}
+        {showInvitations && <StaffInvitations onClose={() => setShowInvitations(false)} />}
+
+        {/* CSV Import */}
+        {showImport && (
+          <UserImport
+            onClose={() => setShowImport(false)}
+            onImported={() => {
+              queryClient.invalidateQueries(['users']);
+              setShowImport(false);
+            }}
+          />
+        )}
+
         {/* Create User Form */}
         {showCreateForm && (
           <div className="mb-6 bg-white p-6 rounded-lg shadow border">
@@ -290,15 +415,30 @@ const UserManagement = () => {
                   </select>
                 </div>
 
-                <Input
-                  label="Password (optional)"
-                  type="password"
-                  value={newUser.password}
-                  onChange={(e) => setNewUser({...newUser, password: e.target.value})}
-                  placeholder="Leave blank for auto-generated"
-                />
+                <div>
+                  <Input
+                    label="Password *"
+                    type="password"
+                    required
+                    value={newUser.password}
+                    onChange={(e) => setNewUser({...newUser, password: e.target.value})}
+                    placeholder="Password to give the user"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    To let staff choose their own password, use Invite Staff instead.
+                  </p>
+                </div>
               </div>
 
+              {isSuperAdmin && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <OrganizationSelect
+                    value={newUser.organizationId}
+                    onChange={(organizationId) => setNewUser({...newUser, organizationId})}
+                  />
+                </div>
+              )}
+
               {newUser.role === 'STUDENT' && (
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <Input
@@ -363,6 +503,12 @@ const UserManagement = () => {
                     </div>
                     
                     <div className="flex items-center space-x-1">
+                      {isLocked(user) && (
+                        <LockClosedIcon className="h-4 w-4 text-red-500" title="Locked after failed logins" />
+                      )}
+                      {user.totpEnabledAt && (
+                        <ShieldCheckIcon className="h-4 w-4 text-primary-600" title="Two-factor on" />
+                      )}
                       {user.isActive ? (
                         <EyeIcon className="h-4 w-4 text-green-500" title="Active" />
                       ) : (
@@ -379,6 +525,12 @@ const UserManagement = () => {
                       {user.role}
                     </span>
                     
+                    {isSuperAdmin && user.organization && (
+                      <div className="text-xs text-gray-600">
+                        <strong>Organization:</strong> {user.organization.name}
+                      </div>
+                    )}
+
                     {user.grade && (
                       <div className="text-xs text-gray-600">
                         <strong>Grade:</strong> {user.grade}
@@ -398,6 +550,24 @@ const UserManagement = () => {
                     >
                       <PencilIcon className="h-4 w-4" />
                     </button>
+
+                    <button
+                      onClick={() => setHistoryUser(user)}
+                      className="p-1 text-gray-600 hover:text-gray-800"
+                      title="Login history"
+                    >
+                      <ClockIcon className="h-4 w-4" />
+                    </button>
+
+                    {user.totpEnabledAt && currentUser.id !== user.id && (
+                      <button
+                        onClick={() => handleResetTwoFactor(user.id, user.name)}
+                        className="p-1 text-yellow-600 hover:text-yellow-800"
+                        title="Reset two-factor authentication"
+                      >
+                        <ShieldCheckIcon className="h-4 w-4" />
+                      </button>
+                    )}
                     
                     {currentUser.id !== user.id && (
                       <button
@@ -0,0 +1,147 @@
+// frontend/src/pages/auth/AcceptInvitation.jsx - STAFF INVITEE CHOOSES A PASSWORD TO CREATE THEIR ACCOUNT
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
+import { invitationsAPI, settingsAPI } from '../../services/api';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { ExclamationTriangleIcon, UserPlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+
+  const { data: minLength = 8 } = useQuery('public-settings', settingsAPI.getPublic, {
+    select: (response) => response.data.settings['password.minLength'],
+    staleTime: 5 * 60 * 1000
+  });
+
+  const { data: invitation, isLoading, error } = useQuery(
+    ['invitation', token],
+    () => invitationsAPI.get(token),
+    {
+      select: (response) => response.data.invitation,
+      retry: false
+    }
+  );
+
+  const acceptMutation = useMutation(({ password }) => invitationsAPI.accept(token, password), {
+    onSuccess: (response) => {
+      toast.success('Account created! You can now sign in.');
+      navigate('/login', {
+        state: {
+          message: 'Your account is ready. Sign in with the password you just chose.',
+          email: response.data.email
+        }
+      });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to create account');
+    }
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (formData.password.length < minLength) {
+      newErrors.password = `Password must be at least ${minLength} characters`;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    acceptMutation.mutate({ password: formData.password });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6 text-center">
+          <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-red-100">
+            <ExclamationTriangleIcon className="h-8 w-8 text-red-600" />
+          </div>
+          <h2 className="text-3xl font-extrabold text-gray-900">Invitation Unavailable</h2>
+          <p className="text-sm text-gray-600">
+            {error.response?.data?.error || 'This invitation link could not be checked. Please try again later.'}
+          </p>
+          <Link to="/login" className="text-sm text-primary-600 hover:text-primary-500">
+            Go to Sign In
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-100">
+            <UserPlusIcon className="h-8 w-8 text-primary-600" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Welcome, {invitation.name}
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            You've been invited to AI Writing Companion as {invitation.role.toLowerCase()}.
+            Choose a password to create your account.
+          </p>
+          <p className="mt-1 text-center text-sm font-medium text-gray-900">{invitation.email}</p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <Input
+              label="Password"
+              name="password"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={formData.password}
+              onChange={handleChange}
+              error={errors.password}
+              placeholder={`At least ${minLength} characters`}
+            />
+            <Input
+              label="Confirm Password"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              error={errors.confirmPassword}
+            />
+          </div>
+
+          <Button type="submit" className="w-full" size="lg" loading={acceptMutation.isLoading}>
+            Create Account
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -5,7 +5,145 @@ import { useAuth } from '../../contexts/AuthContext';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
-import { EyeIcon, EyeSlashIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import TwoFactorSetup from '../../components/auth/TwoFactorSetup';
+import RecoveryCodes from '../../components/auth/RecoveryCodes';
+import { authAPI } from '../../services/api';
+import { EyeIcon, EyeSlashIcon, CheckCircleIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
+
+// Second step of a login: the code from the authenticator app, or setting the app up first
+const TwoFactorStep = () => {
+  const { twoFactor, completeTwoFactor, finishTwoFactorSetup, cancelTwoFactor } = useAuth();
+  const navigate = useNavigate();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // A role that requires two-factor, without it set up yet: get a QR code first
+  useEffect(() => {
+    if (!twoFactor.setupRequired) return;
+
+    authAPI.beginLoginTwoFactorSetup(twoFactor.challengeToken)
+      .then(response => setEnrollment(response.data))
+      .catch(setupError => setError(setupError.response?.data?.error || 'Failed to start two-factor setup'));
+  }, [twoFactor.setupRequired, twoFactor.challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setError('Enter the code');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await completeTwoFactor(code.trim());
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error);
+    } else if (!twoFactor.setupRequired) {
+      navigate('/dashboard');
+    }
+  };
+
+  if (twoFactor.recoveryCodes) {
+    return (
+      <div className="mt-8 space-y-6">
+        <p className="text-sm text-gray-700">Two-factor authentication is now on for your account.</p>
+        <RecoveryCodes codes={twoFactor.recoveryCodes} />
+        <Button
+          className="w-full flex justify-center"
+          size="lg"
+          onClick={() => { finishTwoFactorSetup(); navigate('/dashboard'); }}
+        >
+          I've saved my codes, continue
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      {twoFactor.setupRequired ? (
+        <>
+          <p className="text-sm text-gray-700">
+            Your role requires two-factor authentication. Set it up to finish signing in.
+          </p>
+          {enrollment ? (
+            <TwoFactorSetup enrollment={enrollment} />
+          ) : !error && (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="md" />
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="text-sm text-gray-700">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <div>
+        <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+          {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <Input
+          id="code"
+          name="code"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          value={code}
+          onChange={(e) => { setCode(e.target.value); setError(''); }}
+          error={error}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          className="mt-1"
+        />
+      </div>
+
+      <Button
+        type="submit"
+        disabled={isSubmitting || (twoFactor.setupRequired && !enrollment)}
+        className="w-full flex justify-center"
+        size="lg"
+      >
+        {isSubmitting ? (
+          <>
+            <LoadingSpinner size="sm" className="mr-2" />
+            Verifying...
+          </>
+        ) : twoFactor.setupRequired ? (
+          'Turn on and sign in'
+        ) : (
+          'Verify'
+        )}
+      </Button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          className="font-medium text-primary-600 hover:text-primary-500"
+          onClick={cancelTwoFactor}
+        >
+          Back to sign in
+        </button>
+        {!twoFactor.setupRequired && (
+          <button
+            type="button"
+            className="font-medium text-primary-600 hover:text-primary-500"
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -17,7 +155,7 @@ const Login = () => {
   const [errors, setErrors] = useState({});
   const [successMessage, setSuccessMessage] = useState('');
 
-  const { login } = useAuth();
+  const { login, twoFactor } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -96,6 +234,27 @@ const Login = () => {
     }
   };
 
+  if (twoFactor) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-100">
+              <ShieldCheckIcon className="h-8 w-8 text-primary-600" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              One more step to sign in to your account
+            </p>
+          </div>
+          <TwoFactorStep />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { settingsAPI, organizationsAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
@@ -13,9 +15,20 @@ const Register = () => {
     password: '',
     confirmPassword: '',
     grade: '',
-    parentEmail: ''
+    parentEmail: '',
+    parentUpdatesConsent: false,
+    organizationId: ''
   });
   const [showPassword, setShowPassword] = useState(false);
+  const { data: minLength = 8 } = useQuery('public-settings', settingsAPI.getPublic, {
+    select: (response) => response.data.settings['password.minLength'],
+    staleTime: 5 * 60 * 1000
+  });
+  // Schools to join; until any exist, students register without one
+  const { data: organizations = [] } = useQuery('public-organizations', organizationsAPI.getPublic, {
+    select: (response) => response.data.organizations,
+    staleTime: 5 * 60 * 1000
+  });
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -55,8 +68,8 @@ const Register = () => {
 
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else if (formData.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters';
+    } else if (formData.password.length < minLength) {
+      newErrors.password = `Password must be at least ${minLength} characters`;
     }
 
     if (!formData.confirmPassword) {
@@ -65,6 +78,10 @@ const Register = () => {
       newErrors.confirmPassword = 'Passwords do not match';
     }
 
+    if (organizations.length > 0 && !formData.organizationId) {
+      newErrors.organizationId = 'Choose your school';
+    }
+
     if (formData.parentEmail && !/\S+@\S+\.\S+/.test(formData.parentEmail)) {
       newErrors.parentEmail = 'Parent email is invalid';
     }
@@ -86,7 +103,9 @@ const Register = () => {
         email: formData.email,
         password: formData.password,
         grade: formData.grade || undefined,
-        parentEmail: formData.parentEmail || undefined
+        parentEmail: formData.parentEmail || undefined,
+        parentUpdatesConsent: formData.parentEmail ? formData.parentUpdatesConsent : undefined,
+        organizationId: formData.organizationId || undefined
       };
 
       const result = await register(userData);
@@ -155,6 +174,30 @@ const Register = () => {
               />
             </div>
 
+            {organizations.length > 0 && (
+              <div>
+                <label htmlFor="organizationId" className="block text-sm font-medium text-gray-700">
+                  School *
+                </label>
+                <select
+                  id="organizationId"
+                  name="organizationId"
+                  required
+                  value={formData.organizationId}
+                  onChange={handleChange}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500"
+                >
+                  <option value="">Choose your school</option>
+                  {organizations.map(organization => (
+                    <option key={organization.id} value={organization.id}>{organization.name}</option>
+                  ))}
+                </select>
+                {errors.organizationId && (
+                  <p className="mt-1 text-sm text-error-600">{errors.organizationId}</p>
+                )}
+              </div>
+            )}
+
             <div>
               <label htmlFor="grade" className="block text-sm font-medium text-gray-700">
                 Grade/Class (Optional)
@@ -185,6 +228,17 @@ const Register = () => {
                 placeholder="Parent's email for notifications"
                 className="mt-1"
               />
+              {formData.parentEmail && (
+                <label className="mt-2 flex items-start text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    className="mt-0.5 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    checked={formData.parentUpdatesConsent}
+                    onChange={(e) => setFormData(prev => ({ ...prev, parentUpdatesConsent: e.target.checked }))}
+                  />
+                  Email my parent/guardian when my submissions reach key stages, with a link to follow my progress
+                </label>
+              )}
             </div>
 
             <div>
@@ -201,7 +255,7 @@ const Register = () => {
                   value={formData.password}
                   onChange={handleChange}
                   error={errors.password}
-                  placeholder="Create a password (min 8 characters)"
+                  placeholder={`Create a password (min ${minLength} characters)`}
                 />
                 <button
                   type="button"
@@ -1,7 +1,8 @@
 // frontend/src/pages/auth/ResetPassword.jsx - NEW FILE
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
-import { authAPI } from '../../services/api';
+import { useQuery } from 'react-query';
+import { authAPI, settingsAPI } from '../../services/api';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
@@ -18,6 +19,10 @@ import toast from 'react-hot-toast';
 const ResetPassword = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
+  const { data: minLength = 8 } = useQuery('public-settings', settingsAPI.getPublic, {
+    select: (response) => response.data.settings['password.minLength'],
+    staleTime: 5 * 60 * 1000
+  });
   
   const [formData, setFormData] = useState({
     password: '',
@@ -78,8 +83,8 @@ const ResetPassword = () => {
 
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else if (formData.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters';
+    } else if (formData.password.length < minLength) {
+      newErrors.password = `Password must be at least ${minLength} characters`;
     }
 
     if (!formData.confirmPassword) {
@@ -133,7 +138,9 @@ const ResetPassword = () => {
       const errorData = error.response?.data;
       let errorMessage = 'Password reset failed. Please try again.';
       
-      if (errorData?.error) {
+      if (errorData?.details?.[0]?.msg) {
+        errorMessage = errorData.details[0].msg;
+      } else if (errorData?.error) {
         errorMessage = errorData.error;
       } else if (error.response?.status === 400) {
         errorMessage = 'Invalid or expired reset token. Please request a new password reset.';
@@ -143,8 +150,8 @@ const ResetPassword = () => {
       
       toast.error(errorMessage);
       
-      // If token is invalid, redirect to forgot password
-      if (error.response?.status === 400 || error.response?.status === 404) {
+      // If token is invalid, redirect to forgot password (a rejected password can just be retyped)
+      if ((error.response?.status === 400 && !errorData?.details) || error.response?.status === 404) {
         setTimeout(() => {
           navigate('/forgot-password', {
             state: { 
@@ -330,7 +337,7 @@ const ResetPassword = () => {
                 </button>
               </div>
               <p className="mt-1 text-xs text-gray-500">
-                Must be at least 8 characters long
+                Must be at least {minLength} characters long
               </p>
             </div>
 
@@ -370,9 +377,9 @@ const ResetPassword = () => {
             <div className="bg-gray-50 rounded-lg p-3">
               <h4 className="text-sm font-medium text-gray-700 mb-2">Password Requirements:</h4>
               <div className="space-y-1">
-                <div className={`flex items-center text-sm ${formData.password.length >= 8 ? 'text-green-600' : 'text-gray-500'}`}>
-                  <CheckCircleIcon className={`h-4 w-4 mr-2 ${formData.password.length >= 8 ? 'text-green-500' : 'text-gray-300'}`} />
-                  At least 8 characters long
+                <div className={`flex items-center text-sm ${formData.password.length >= minLength ? 'text-green-600' : 'text-gray-500'}`}>
+                  <CheckCircleIcon className={`h-4 w-4 mr-2 ${formData.password.length >= minLength ? 'text-green-500' : 'text-gray-300'}`} />
+                  At least {minLength} characters long
                 </div>
                 <div className={`flex items-center text-sm ${/[A-Z]/.test(formData.password) ? 'text-green-600' : 'text-gray-500'}`}>
                   <CheckCircleIcon className={`h-4 w-4 mr-2 ${/[A-Z]/.test(formData.password) ? 'text-green-500' : 'text-gray-300'}`} />
@@ -0,0 +1,485 @@
+// frontend/src/pages/cohorts/CohortDetails.jsx - COHORT PROGRESS DASHBOARD AND MEMBERS
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { cohortsAPI } from '../../services/api';
+import {
+  AcademicCapIcon,
+  ArrowLeftIcon,
+  ExclamationTriangleIcon,
+  MagnifyingGlassIcon,
+  PencilIcon,
+  TrashIcon,
+  UserPlusIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import SlaBadge from '../../components/submissions/SlaBadge';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const STAGES = [
+  'ANALYSIS',
+  'PLAGIARISM_REVIEW',
+  'EDITOR_MEETING',
+  'APPROVAL_PROCESS',
+  'PDF_REVIEW',
+  'COVER_APPROVAL',
+  'EVENT_PLANNING',
+  'COMPLETED'
+];
+
+const formatStage = (stage) => stage.replace(/_/g, ' ').toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.[0]?.msg || error.response?.data?.error || fallback;
+
+const StatCard = ({ label, value, highlight }) => (
+  <div className="bg-white p-4 rounded-lg shadow">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className={clsx('mt-1 text-2xl font-semibold', highlight ? 'text-red-600' : 'text-gray-900')}>{value}</p>
+  </div>
+);
+
+// Search the organization for students to enroll or staff to add as owners
+const AddMembers = ({ cohortId, onClose }) => {
+  const queryClient = useQueryClient();
+  const [role, setRole] = useState('student');
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+
+  const { data: candidates = [], isLoading } = useQuery(
+    ['cohort-candidates', cohortId, role, search],
+    () => cohortsAPI.getCandidates(cohortId, { role, search: search || undefined }),
+    {
+      keepPreviousData: true,
+      select: (response) => response.data.users
+    }
+  );
+
+  const addMutation = useMutation(() => cohortsAPI.addMembers(cohortId, selected, role), {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['cohort', cohortId]);
+      queryClient.invalidateQueries(['cohort-progress', cohortId]);
+      queryClient.invalidateQueries('cohort-candidates');
+      queryClient.invalidateQueries('cohorts');
+      setSelected([]);
+      toast.success(role === 'student'
+        ? `${response.data.added} student${response.data.added === 1 ? '' : 's'} enrolled`
+        : `${response.data.added} owner${response.data.added === 1 ? '' : 's'} added`);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to add members'))
+  });
+
+  const toggle = (userId) => setSelected(prev =>
+    prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+  );
+
+  return (
+    <div className="mb-6 bg-white p-6 rounded-lg shadow border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Add to Cohort</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <XCircleIcon className="h-6 w-6" />
+        </button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <select
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          value={role}
+          onChange={(e) => {
+            setRole(e.target.value);
+            setSelected([]);
+          }}
+        >
+          <option value="student">Enroll students</option>
+          <option value="staff">Add owners (staff)</option>
+        </select>
+        <div className="flex-1 relative">
+          <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by name or email..."
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-16">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : candidates.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {search ? 'No one matches that search.' : `Everyone who could be added already is.`}
+        </p>
+      ) : (
+        <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md">
+          {candidates.map(candidate => (
+            <li key={candidate.id}>
+              <label className="flex items-center px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 mr-3 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                  checked={selected.includes(candidate.id)}
+                  onChange={() => toggle(candidate.id)}
+                />
+                <span className="font-medium text-gray-900">{candidate.name}</span>
+                <span className="ml-2 text-gray-500 truncate">
+                  {candidate.email}
+                  {role === 'student' ? (candidate.grade ? ` · ${candidate.grade}` : '') : ` · ${candidate.role}`}
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      {candidates.length === 50 && (
+        <p className="mt-1 text-xs text-gray-500">Showing the first 50. Search to narrow the list.</p>
+      )}
+
+      <div className="mt-4">
+        <Button onClick={() => addMutation.mutate()} disabled={selected.length === 0} loading={addMutation.isLoading}>
+          <UserPlusIcon className="h-5 w-5 mr-2" />
+          Add {selected.length || ''} {role === 'student' ? 'student' : 'owner'}{selected.length === 1 ? '' : 's'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const CohortDetails = () => {
+  const { id } = useParams();
+  const { can } = useAuth();
+  const queryClient = useQueryClient();
+  const [showAddMembers, setShowAddMembers] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const { data: cohort, isLoading, error } = useQuery(['cohort', id], () => cohortsAPI.get(id), {
+    select: (response) => response.data.cohort,
+    retry: false
+  });
+
+  const { data: progress, isLoading: progressLoading } = useQuery(['cohort-progress', id], () => cohortsAPI.getProgress(id), {
+    select: (response) => response.data,
+    enabled: !!cohort
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['cohort', id]);
+    queryClient.invalidateQueries(['cohort-progress', id]);
+    queryClient.invalidateQueries('cohorts');
+  };
+
+  const updateMutation = useMutation((data) => cohortsAPI.update(id, data), {
+    onSuccess: () => {
+      refresh();
+      setEditing(null);
+      toast.success('Cohort updated');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update cohort'))
+  });
+
+  const removeMutation = useMutation((userId) => cohortsAPI.removeMember(id, userId), {
+    onSuccess: () => {
+      refresh();
+      queryClient.invalidateQueries('cohort-candidates');
+      toast.success('Removed from cohort');
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to remove member'))
+  });
+
+  if (isLoading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="large" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="max-w-7xl mx-auto bg-red-50 border border-red-200 rounded-md p-4">
+          <div className="flex">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-400" />
+            <p className="ml-3 text-sm text-red-800">{errorMessage(error, 'Failed to load cohort')}</p>
+          </div>
+          <Link to="/cohorts" className="mt-2 inline-block text-sm text-primary-600 hover:text-primary-500">
+            Back to cohorts
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const canManage = can('cohort.manage', cohort);
+  const staff = cohort.members.filter(member => member.role === 'staff');
+  const summary = progress?.summary;
+  const largestStage = summary ? Math.max(1, ...Object.values(summary.byStage)) : 1;
+
+  const handleRemove = (member) => {
+    const what = member.role === 'student' ? 'unenroll' : 'remove as owner';
+    if (window.confirm(`${what[0].toUpperCase()}${what.slice(1)} ${member.user.name}?`)) {
+      removeMutation.mutate(member.userId);
+    }
+  };
+
+  const handleArchive = () => {
+    if (cohort.isArchived) {
+      updateMutation.mutate({ isArchived: false });
+    } else if (window.confirm(`Archive "${cohort.name}"? It is hidden from cohort lists and can no longer be chosen for new events. Its members stay enrolled.`)) {
+      updateMutation.mutate({ isArchived: true });
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        <Link to="/cohorts" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          All cohorts
+        </Link>
+
+        {/* Header */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+          {editing ? (
+            <form
+              className="flex-1 space-y-3"
+              onSubmit={(e) => {
+                e.preventDefault();
+                updateMutation.mutate({ name: editing.name.trim(), description: editing.description.trim() });
+              }}
+            >
+              <Input
+                label="Name"
+                required
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+              <textarea
+                rows={2}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                value={editing.description}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                placeholder="Description (optional)"
+              />
+              <div className="flex space-x-3">
+                <Button type="submit" size="sm" loading={updateMutation.isLoading}>Save</Button>
+                <Button type="button" variant="secondary" size="sm" onClick={() => setEditing(null)}>Cancel</Button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex items-start space-x-3">
+              <div className="h-12 w-12 flex-shrink-0 rounded-full bg-primary-100 flex items-center justify-center">
+                <AcademicCapIcon className="h-6 w-6 text-primary-600" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">
+                  {cohort.name}
+                  {cohort.isArchived && (
+                    <span className="ml-2 align-middle inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                      Archived
+                    </span>
+                  )}
+                </h1>
+                {cohort.description && <p className="mt-1 text-sm text-gray-600">{cohort.description}</p>}
+                <p className="mt-1 text-xs text-gray-500">
+                  {staff.length > 0 ? `Owned by ${staff.map(member => member.user.name).join(', ')}` : 'No owners yet'}
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <Link to={`/submissions?cohortId=${cohort.id}`}>
+              <Button variant="secondary">View Submissions</Button>
+            </Link>
+            {canManage && !editing && (
+              <>
+                <Button variant="secondary" onClick={() => setEditing({ name: cohort.name, description: cohort.description || '' })}>
+                  <PencilIcon className="h-4 w-4 mr-1" />
+                  Edit
+                </Button>
+                <Button variant="secondary" onClick={handleArchive} disabled={updateMutation.isLoading}>
+                  {cohort.isArchived ? 'Restore' : 'Archive'}
+                </Button>
+                <Button onClick={() => setShowAddMembers(true)}>
+                  <UserPlusIcon className="h-5 w-5 mr-2" />
+                  Add Members
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {showAddMembers && <AddMembers cohortId={cohort.id} onClose={() => setShowAddMembers(false)} />}
+
+        {progressLoading || !progress ? (
+          <div className="flex items-center justify-center h-32">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+              <StatCard label="Students" value={summary.students} />
+              <StatCard label="Not yet submitted" value={summary.withoutSubmissions} />
+              <StatCard label="In progress" value={summary.submissions - summary.completed} />
+              <StatCard label="Completed" value={summary.completed} />
+              <StatCard label="Overdue" value={summary.overdue} highlight={summary.overdue > 0} />
+            </div>
+
+            {/* Stage distribution */}
+            <div className="mb-6 bg-white p-6 rounded-lg shadow">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Submissions by Stage</h2>
+              {summary.submissions === 0 ? (
+                <p className="text-sm text-gray-500">No submissions from this cohort yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {STAGES.map(stage => (
+                    <div key={stage} className="flex items-center text-sm">
+                      <span className="w-40 flex-shrink-0 text-gray-700">{formatStage(stage)}</span>
+                      <div className="flex-1 h-3 bg-gray-100 rounded">
+                        <div
+                          className="h-3 bg-primary-500 rounded"
+                          style={{ width: `${((summary.byStage[stage] || 0) / largestStage) * 100}%` }}
+                        />
+                      </div>
+                      <span className="w-10 text-right text-gray-600">{summary.byStage[stage] || 0}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Students */}
+            <div className="mb-6 bg-white shadow rounded-lg overflow-hidden">
+              <h2 className="px-6 pt-6 text-lg font-semibold text-gray-900">Students</h2>
+              {progress.students.length === 0 ? (
+                <p className="px-6 py-6 text-sm text-gray-500">
+                  No students enrolled yet.{canManage && ' Use Add Members to enroll some.'}
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 mt-4">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submissions</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Latest</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+                        {canManage && <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {progress.students.map(row => (
+                        <tr key={row.student.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <div className="font-medium text-gray-900">{row.student.name}</div>
+                            <div className="text-xs text-gray-500">
+                              {row.student.email}{row.student.grade && ` · ${row.student.grade}`}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                            {row.submissions}
+                            {row.submissions > 0 && (
+                              <span className="text-xs text-gray-500"> ({row.completed} completed)</span>
+                            )}
+                            {row.overdue > 0 && (
+                              <div className="text-xs text-red-600">{row.overdue} overdue</div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            {row.latest ? (
+                              <>
+                                {can('submission.view', row.latest) ? (
+                                  <Link to={`/submissions/${row.latest.id}`} className="text-primary-600 hover:text-primary-900">
+                                    {row.latest.title}
+                                  </Link>
+                                ) : (
+                                  <span className="text-gray-900">{row.latest.title}</span>
+                                )}
+                                <div className="mt-1 flex items-center gap-2">
+                                  <span className="text-xs text-gray-600">{formatStage(row.latest.currentStage)}</span>
+                                  {row.latest.sla?.status !== 'on_track' && <SlaBadge sla={row.latest.sla} />}
+                                </div>
+                              </>
+                            ) : (
+                              <span className="text-gray-500">Not yet submitted</span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {row.latest ? formatDate(row.latest.updatedAt) : '—'}
+                          </td>
+                          {canManage && (
+                            <td className="px-6 py-4 whitespace-nowrap text-right">
+                              <button
+                                onClick={() => handleRemove(cohort.members.find(member => member.userId === row.student.id))}
+                                className="p-1 text-red-600 hover:text-red-800"
+                                title="Unenroll"
+                              >
+                                <TrashIcon className="h-4 w-4" />
+                              </button>
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        {/* Owners */}
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Owners</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Owners manage the cohort and see this dashboard. Admins and operations staff see every cohort.
+          </p>
+          {staff.length === 0 ? (
+            <p className="text-sm text-gray-500">No owners yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {staff.map(member => (
+                <li key={member.id} className="py-2 flex items-center justify-between text-sm">
+                  <div>
+                    <span className="font-medium text-gray-900">{member.user.name}</span>
+                    <span className="ml-2 text-gray-500">{member.user.email} · {member.user.role}</span>
+                  </div>
+                  {canManage && staff.length > 1 && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      className="p-1 text-red-600 hover:text-red-800"
+                      title="Remove as owner"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CohortDetails;
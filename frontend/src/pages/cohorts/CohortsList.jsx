@@ -0,0 +1,221 @@
+// frontend/src/pages/cohorts/CohortsList.jsx - CLASSES/COHORTS THE USER OWNS OR OVERSEES
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { cohortsAPI } from '../../services/api';
+import { AcademicCapIcon, PlusIcon, UserGroupIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import OrganizationSelect from '../../components/admin/OrganizationSelect';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const emptyCohort = { name: '', description: '', organizationId: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.[0]?.msg || error.response?.data?.error || fallback;
+
+const CohortsList = () => {
+  const { canSometimes } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newCohort, setNewCohort] = useState(emptyCohort);
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const isSuperAdmin = canSometimes('organization.manage');
+
+  const { data: cohorts = [], isLoading, error } = useQuery(
+    ['cohorts', { includeArchived }],
+    () => cohortsAPI.getAll({ includeArchived: includeArchived || undefined }),
+    {
+      keepPreviousData: true,
+      select: (response) => response.data.cohorts
+    }
+  );
+
+  const createMutation = useMutation(cohortsAPI.create, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('cohorts');
+      setNewCohort(emptyCohort);
+      setShowCreateForm(false);
+      toast.success('Cohort created');
+      navigate(`/cohorts/${response.data.cohort.id}`);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to create cohort'))
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      name: newCohort.name.trim(),
+      description: newCohort.description.trim() || undefined,
+      organizationId: newCohort.organizationId || undefined
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="large" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="max-w-7xl mx-auto bg-red-50 border border-red-200 rounded-md p-4 text-red-800">
+          {errorMessage(error, 'Failed to load cohorts')}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Cohorts</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Classes of students, each with the staff who own it. Open one to see how its students are progressing.
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0 flex items-center gap-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                checked={includeArchived}
+                onChange={(e) => setIncludeArchived(e.target.checked)}
+              />
+              Show archived
+            </label>
+            {canSometimes('cohort.create') && (
+              <Button onClick={() => setShowCreateForm(true)}>
+                <PlusIcon className="h-5 w-5 mr-2" />
+                New Cohort
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Create Cohort Form */}
+        {showCreateForm && (
+          <div className="mb-6 bg-white p-6 rounded-lg shadow border">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">New Cohort</h3>
+              <button onClick={() => setShowCreateForm(false)} className="text-gray-400 hover:text-gray-600">
+                <XCircleIcon className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                  label="Name *"
+                  required
+                  value={newCohort.name}
+                  onChange={(e) => setNewCohort({ ...newCohort, name: e.target.value })}
+                  placeholder="e.g., Grade 8 – Spring 2026"
+                />
+                <OrganizationSelect
+                  value={newCohort.organizationId}
+                  onChange={(organizationId) => setNewCohort({ ...newCohort, organizationId })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  rows={2}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={newCohort.description}
+                  onChange={(e) => setNewCohort({ ...newCohort, description: e.target.value })}
+                  placeholder="Optional"
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                {isSuperAdmin
+                  ? 'The cohort starts without owners; add staff of the organization to it next.'
+                  : 'You will own the cohort. You can add students and other staff next.'}
+              </p>
+              <div className="flex space-x-3">
+                <Button type="submit" loading={createMutation.isLoading}>
+                  Create Cohort
+                </Button>
+                <Button type="button" variant="secondary" onClick={() => setShowCreateForm(false)}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Cohorts Grid */}
+        {cohorts.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {cohorts.map(cohort => (
+              <Link
+                key={cohort.id}
+                to={`/cohorts/${cohort.id}`}
+                className={clsx(
+                  'block p-4 bg-white border border-gray-200 rounded-lg shadow hover:shadow-md transition-shadow',
+                  cohort.isArchived && 'opacity-75'
+                )}
+              >
+                <div className="flex items-start justify-between mb-2">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <div className="h-10 w-10 flex-shrink-0 rounded-full bg-primary-100 flex items-center justify-center">
+                      <AcademicCapIcon className="h-5 w-5 text-primary-600" />
+                    </div>
+                    <div className="min-w-0">
+                      <h3 className="text-sm font-medium text-gray-900 truncate">{cohort.name}</h3>
+                      {isSuperAdmin && cohort.organization && (
+                        <p className="text-xs text-gray-500 truncate">{cohort.organization.name}</p>
+                      )}
+                    </div>
+                  </div>
+                  {cohort.isArchived && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                      Archived
+                    </span>
+                  )}
+                </div>
+
+                {cohort.description && (
+                  <p className="text-sm text-gray-600 mb-2 line-clamp-2">{cohort.description}</p>
+                )}
+
+                <div className="flex items-center text-sm text-gray-600">
+                  <UserGroupIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                  {cohort.studentCount} student{cohort.studentCount === 1 ? '' : 's'}
+                </div>
+                <div className="mt-1 text-xs text-gray-500 truncate">
+                  {cohort.staff.length > 0
+                    ? `Owned by ${cohort.staff.map(member => member.name).join(', ')}`
+                    : 'No owners yet'}
+                </div>
+              </Link>
+            ))}
+          </div>
+        ) : (
+          <div className="bg-white shadow rounded-lg text-center py-12">
+            <AcademicCapIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No cohorts</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {canSometimes('cohort.create')
+                ? 'Create one to group students into a class.'
+                : 'Cohorts you are added to as staff will appear here.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CohortsList;
@@ -53,6 +53,7 @@ const Dashboard = () => {
   const getRoleDisplayName = (role) => {
     const roleNames = {
       STUDENT: 'Student',
+      SUPER_ADMIN: 'Super Admin',
       ADMIN: 'Administrator',
       EDITOR: 'Editor',
       REVIEWER: 'Reviewer',
@@ -93,6 +94,46 @@ const Dashboard = () => {
     </div>
   );
 
+  // Only staff get overdue counts, already scoped to their role
+  const OverduePanel = () => {
+    if (!stats.overdue) return null;
+    const stages = Object.entries(stats.overdue.byStage);
+
+    return (
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Overdue Submissions</h3>
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            stats.overdue.total > 0 ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+          }`}>
+            {stats.overdue.total} overdue
+          </span>
+        </div>
+        <div className="p-6">
+          {stages.length > 0 ? (
+            <div className="space-y-3">
+              {stages.map(([stage, count]) => (
+                <Link
+                  key={stage}
+                  to={`/submissions?overdue=true&stage=${stage}`}
+                  className="flex items-center justify-between p-3 bg-red-50 rounded-lg hover:bg-red-100"
+                >
+                  <span className="text-sm font-medium text-gray-900">{stage.replace(/_/g, ' ')}</span>
+                  <span className="text-sm text-red-700">{count} past due</span>
+                </Link>
+              ))}
+            </div>
+          ) : (
+            <div className="flex items-center text-sm text-gray-600">
+              <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+              Everything is within its stage deadline.
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   // ✅ ENHANCED: Better error handling
   if (error) {
     console.error('Dashboard error details:', error);
@@ -183,6 +224,8 @@ const Dashboard = () => {
         />
       </div>
 
+      <OverduePanel />
+
       {/* Recent Submissions */}
       <div className="bg-white shadow rounded-lg">
         <div className="px-6 py-4 border-b border-gray-200">
@@ -274,6 +317,8 @@ const Dashboard = () => {
         />
       </div>
 
+      <OverduePanel />
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="bg-white shadow rounded-lg p-6">
           <h3 className="text-lg font-medium text-gray-900 mb-4">Quick Actions</h3>
@@ -358,6 +403,7 @@ const Dashboard = () => {
   const RoleDashboard = () => {
     const dashboards = {
       STUDENT: <StudentDashboard />,
+      SUPER_ADMIN: <AdminDashboard />,
       ADMIN: <AdminDashboard />,
       EDITOR: <StudentDashboard />, // Similar to student but with assigned students
       REVIEWER: <StudentDashboard />, // Will show review queue
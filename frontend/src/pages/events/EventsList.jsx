@@ -2,7 +2,7 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
-import { eventsAPI } from '../../services/api';
+import { eventsAPI, cohortsAPI } from '../../services/api';
 import {
   CalendarIcon,
   PlusIcon,
@@ -18,16 +18,18 @@ import {
   UsersIcon,
   UserIcon,
   XCircleIcon,
-  QuestionMarkCircleIcon
+  QuestionMarkCircleIcon,
+  AcademicCapIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
+import OrganizationSelect from '../../components/admin/OrganizationSelect';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import clsx from 'clsx';
 import toast from 'react-hot-toast';
 
 const EventsList = () => {
-  const { user } = useAuth();
+  const { user, can, canSometimes } = useAuth();
   const queryClient = useQueryClient();
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [selectedEventForRSVPs, setSelectedEventForRSVPs] = useState(null);
@@ -38,18 +40,31 @@ const EventsList = () => {
     location: '',
     isVirtual: false,
     meetingLink: '',
-    maxAttendees: ''
+    maxAttendees: '',
+    organizationId: '',
+    cohortId: ''
   });
 
   // Helper functions defined at component level
+  // Event staff: whoever may create events also gets the admin view of them
   const isAdmin = () => {
-    return ['ADMIN', 'OPERATIONS', 'SALES'].includes(user?.role);
+    return can('event.create');
   };
 
   const canCreateEvents = () => {
-    return isAdmin();
+    return can('event.create');
   };
 
+  // Cohorts an event can be limited to; a super-admin's are those of the organization they chose
+  const { data: cohorts = [] } = useQuery('cohorts', () => cohortsAPI.getAll(), {
+    enabled: canCreateEvents() && canSometimes('cohort.view'),
+    select: (response) => response.data.cohorts,
+    staleTime: 5 * 60 * 1000
+  });
+  const cohortOptions = canSometimes('organization.manage')
+    ? cohorts.filter(cohort => cohort.organizationId === newEvent.organizationId)
+    : cohorts;
+
   const formatEventDate = (dateString) => {
     try {
       const date = new Date(dateString);
@@ -131,7 +146,7 @@ const EventsList = () => {
     ['event-rsvps', selectedEventForRSVPs?.id],
     () => eventsAPI.getRsvps(selectedEventForRSVPs.id),
     {
-      enabled: !!selectedEventForRSVPs && isAdmin(),
+      enabled: !!selectedEventForRSVPs && can('event.manage', selectedEventForRSVPs),
       staleTime: 30000,
       onError: (error) => {
         console.error('❌ RSVPs fetch error:', error);
@@ -200,7 +215,9 @@ const EventsList = () => {
       location: '',
       isVirtual: false,
       meetingLink: '',
-      maxAttendees: ''
+      maxAttendees: '',
+      organizationId: '',
+      cohortId: ''
     });
   };
 
@@ -230,7 +247,9 @@ const EventsList = () => {
       isVirtual: newEvent.isVirtual,
       location: newEvent.isVirtual ? undefined : newEvent.location.trim() || undefined,
       meetingLink: newEvent.isVirtual && newEvent.meetingLink.trim() ? newEvent.meetingLink.trim() : undefined,
-      maxAttendees: newEvent.maxAttendees && newEvent.maxAttendees.trim() ? parseInt(newEvent.maxAttendees) : undefined
+      maxAttendees: newEvent.maxAttendees && newEvent.maxAttendees.trim() ? parseInt(newEvent.maxAttendees) : undefined,
+      organizationId: newEvent.organizationId || undefined,
+      cohortId: newEvent.cohortId || undefined
     };
 
     if (newEvent.isVirtual && newEvent.meetingLink && !/^https?:\/\/.+/.test(newEvent.meetingLink.trim())) {
@@ -517,6 +536,29 @@ const EventsList = () => {
                   onChange={(e) => setNewEvent({...newEvent, eventDate: e.target.value})}
                   min={new Date().toISOString().slice(0, 16)}
                 />
+
+                <OrganizationSelect
+                  value={newEvent.organizationId}
+                  onChange={(organizationId) => setNewEvent({...newEvent, organizationId, cohortId: ''})}
+                />
+
+                {cohortOptions.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Invite
+                    </label>
+                    <select
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      value={newEvent.cohortId}
+                      onChange={(e) => setNewEvent({...newEvent, cohortId: e.target.value})}
+                    >
+                      <option value="">Everyone in the organization</option>
+                      {cohortOptions.map(cohort => (
+                        <option key={cohort.id} value={cohort.id}>Only {cohort.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
               </div>
 
               <div>
@@ -649,6 +691,13 @@ const EventsList = () => {
                           )}
                         </div>
 
+                        {event.cohort && (
+                          <div className="flex items-center text-sm text-gray-600">
+                            <AcademicCapIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                            <span className="truncate">For {event.cohort.name}</span>
+                          </div>
+                        )}
+
                         <div className="flex items-center text-sm text-gray-600">
                           <UserGroupIcon className="h-4 w-4 mr-2 flex-shrink-0" />
                           <span>
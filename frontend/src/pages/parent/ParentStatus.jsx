@@ -0,0 +1,215 @@
+// frontend/src/pages/parent/ParentStatus.jsx - READ-ONLY PROGRESS PAGE FOR PARENTS (NO LOGIN)
+import React from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { parentAPI } from '../../services/api';
+import Button from '../../components/ui/Button';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  CalendarIcon,
+  EnvelopeIcon
+} from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+// In workflow order, worded for families rather than staff
+const STAGES = [
+  { stage: 'ANALYSIS', label: 'Submitted' },
+  { stage: 'PLAGIARISM_REVIEW', label: 'Originality review' },
+  { stage: 'EDITOR_MEETING', label: 'Meeting with an editor' },
+  { stage: 'APPROVAL_PROCESS', label: 'Final approvals' },
+  { stage: 'PDF_REVIEW', label: 'Preparing the PDF' },
+  { stage: 'COVER_APPROVAL', label: 'Cover design' },
+  { stage: 'EVENT_PLANNING', label: 'Publishing event' },
+  { stage: 'COMPLETED', label: 'Published' }
+];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const SubmissionProgress = ({ submission }) => {
+  const currentIndex = STAGES.findIndex(entry => entry.stage === submission.currentStage);
+  const stageDates = new Map(submission.workflowStages.map(stage => [stage.stageName, stage]));
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{submission.title}</h2>
+          <p className="text-sm text-gray-500">Submitted {formatDate(submission.createdAt)}</p>
+        </div>
+        <span className="px-3 py-1 rounded-full text-sm font-medium bg-primary-100 text-primary-800">
+          {STAGES[currentIndex]?.label}
+        </span>
+      </div>
+      <div className="p-6">
+        <ol className="space-y-3">
+          {STAGES.map((entry, index) => {
+            const isDone = index < currentIndex || submission.currentStage === 'COMPLETED';
+            const isCurrent = index === currentIndex && !isDone;
+            const dates = stageDates.get(entry.stage);
+
+            return (
+              <li key={entry.stage} className="flex items-center">
+                <span
+                  className={clsx(
+                    'h-6 w-6 rounded-full flex items-center justify-center text-xs font-medium flex-shrink-0',
+                    isDone && 'bg-green-100 text-green-700',
+                    isCurrent && 'bg-primary-600 text-white',
+                    !isDone && !isCurrent && 'bg-gray-100 text-gray-400'
+                  )}
+                >
+                  {isDone ? <CheckCircleIcon className="h-4 w-4" /> : index + 1}
+                </span>
+                <span className={clsx('ml-3 text-sm', isCurrent ? 'font-medium text-gray-900' : 'text-gray-600')}>
+                  {entry.label}
+                </span>
+                {isDone && dates?.completedAt && (
+                  <span className="ml-auto text-xs text-gray-400">{formatDate(dates.completedAt)}</span>
+                )}
+                {isCurrent && dates?.startedAt && (
+                  <span className="ml-auto text-xs text-gray-400">since {formatDate(dates.startedAt)}</span>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+
+        {submission.events.length > 0 && (
+          <div className="mt-6 border-t border-gray-100 pt-4 space-y-2">
+            {submission.events.map(event => (
+              <div key={event.id} className="flex items-start text-sm">
+                <CalendarIcon className="h-5 w-5 mr-2 text-gray-400 flex-shrink-0" />
+                <div>
+                  <p className="font-medium text-gray-900">{event.title}</p>
+                  <p className="text-gray-500">
+                    {new Date(event.eventDate).toLocaleString('en-US', {
+                      weekday: 'long',
+                      month: 'long',
+                      day: 'numeric',
+                      hour: '2-digit',
+                      minute: '2-digit'
+                    })}
+                    {' · '}
+                    {event.isVirtual ? 'Online' : event.location}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ParentStatus = () => {
+  const { token } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryClient = useQueryClient();
+  const wantsUnsubscribe = searchParams.get('unsubscribe') === '1';
+
+  const { data, isLoading, isError } = useQuery(
+    ['parent-status', token],
+    () => parentAPI.getStatus(token),
+    {
+      select: (response) => response.data,
+      retry: false
+    }
+  );
+
+  const optOutMutation = useMutation(
+    () => parentAPI.optOut(token),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['parent-status', token]);
+        setSearchParams({});
+        toast.success('You will no longer receive progress emails');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update email settings');
+      }
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (isError || !data) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4">
+        <div className="max-w-md w-full text-center">
+          <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-red-100">
+            <ExclamationTriangleIcon className="h-8 w-8 text-red-600" />
+          </div>
+          <h2 className="mt-6 text-2xl font-bold text-gray-900">Link No Longer Active</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            This progress link is invalid, or the student has turned off parent updates.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-10 px-4">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{data.student.name}'s Writing Progress</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Where each of {data.student.name}'s pieces is in our publishing process.
+          </p>
+        </div>
+
+        {wantsUnsubscribe && !data.optedOut && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start justify-between">
+            <div className="flex">
+              <EnvelopeIcon className="h-5 w-5 text-yellow-500 mt-0.5" />
+              <p className="ml-3 text-sm text-yellow-800">
+                Stop receiving progress emails about {data.student.name}? This page will keep working.
+              </p>
+            </div>
+            <Button
+              variant="warning"
+              size="sm"
+              className="ml-4 flex-shrink-0"
+              onClick={() => optOutMutation.mutate()}
+              loading={optOutMutation.isLoading}
+            >
+              Unsubscribe
+            </Button>
+          </div>
+        )}
+
+        {data.optedOut && (
+          <div className="bg-gray-100 rounded-lg p-4 text-sm text-gray-600 flex items-center">
+            <EnvelopeIcon className="h-5 w-5 mr-2 text-gray-400" />
+            You have unsubscribed from progress emails.
+          </div>
+        )}
+
+        {data.submissions.length === 0 ? (
+          <div className="bg-white shadow rounded-lg p-6 text-sm text-gray-500">
+            No submissions yet.
+          </div>
+        ) : (
+          data.submissions.map(submission => (
+            <SubmissionProgress key={submission.id} submission={submission} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParentStatus;
@@ -2,10 +2,13 @@ import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
+import EmailPreferences from '../../components/profile/EmailPreferences';
+import ParentUpdates from '../../components/profile/ParentUpdates';
+import AccountSecurity from '../../components/profile/AccountSecurity';
 import { UserIcon } from '@heroicons/react/24/outline';
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, can } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     name: user?.name || '',
@@ -82,6 +85,12 @@ const Profile = () => {
             </form>
           </div>
         </div>
+
+        {can('parent_updates.manage') && <ParentUpdates />}
+
+        <EmailPreferences />
+
+        <AccountSecurity />
       </div>
     </div>
   );
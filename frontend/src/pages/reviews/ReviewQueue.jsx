@@ -3,6 +3,7 @@ import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
 import { submissionsAPI, reviewsAPI } from '../../services/api';
 import {
   ClipboardDocumentCheckIcon,
@@ -19,6 +20,8 @@ import {
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import SimilarityReport from '../../components/reviews/SimilarityReport';
+import SlaBadge, { formatDueDate } from '../../components/submissions/SlaBadge';
 import clsx from 'clsx';
 import toast from 'react-hot-toast';
 
@@ -33,22 +36,32 @@ const ReviewQueue = () => {
   });
   const [filters, setFilters] = useState({
     search: '',
-    priority: ''
+    sla: ''
   });
 
   // Fetch submissions pending review
   const { data: submissionsResponse, isLoading, error } = useQuery(
-    ['review-queue', filters],
+    ['review-queue', filters.search],
     () => submissionsAPI.getAll({
       stage: 'PLAGIARISM_REVIEW',
-      ...filters
+      search: filters.search
     }),
     {
-      refetchInterval: 30000, // Refresh every 30 seconds
       staleTime: 10000
     }
   );
 
+  // Submissions arriving for review, or reviewed by someone else
+  useRealtimeEvent('submission.stage', (change) => {
+    if (change.toStage !== 'PLAGIARISM_REVIEW' && change.fromStage !== 'PLAGIARISM_REVIEW') return;
+    queryClient.invalidateQueries(['review-queue']);
+
+    if (change.fromStage === 'PLAGIARISM_REVIEW' && selectedSubmission?.id === change.submissionId && change.actorId !== user?.id) {
+      setSelectedSubmission(null);
+      toast(`"${change.title}" was reviewed by someone else`, { icon: 'ℹ️' });
+    }
+  });
+
   // Submit review mutation
   const submitReviewMutation = useMutation(
     ({ submissionId, reviewData }) => reviewsAPI.submit(submissionId, reviewData),
@@ -69,21 +82,10 @@ const ReviewQueue = () => {
     }
   );
 
-  // Move to next stage mutation
-  const moveToNextStageMutation = useMutation(
-    ({ submissionId, notes }) => submissionsAPI.updateStage(submissionId, 'EDITOR_MEETING', notes),
-    {
-      onSuccess: () => {
-        queryClient.invalidateQueries(['review-queue']);
-        toast.success('Submission moved to editor meeting stage');
-      },
-      onError: (error) => {
-        toast.error(error.response?.data?.error || 'Failed to move submission');
-      }
-    }
-  );
-
-  const submissions = submissionsResponse?.data?.submissions || [];
+  // Most urgent first: closest (or furthest past) due date at the top
+  const submissions = (submissionsResponse?.data?.submissions || [])
+    .filter(submission => !filters.sla || submission.sla?.status === filters.sla)
+    .sort((a, b) => new Date(a.sla?.dueAt || a.createdAt) - new Date(b.sla?.dueAt || b.createdAt));
 
   const handleSubmitReview = (submissionId, passed) => {
     const plagiarismScore = parseInt(reviewData.plagiarismScore);
@@ -106,16 +108,6 @@ const ReviewQueue = () => {
     };
 
     submitReviewMutation.mutate({ submissionId, reviewData: reviewPayload });
-
-    // If passed, also move to next stage
-    if (passed) {
-      setTimeout(() => {
-        moveToNextStageMutation.mutate({
-          submissionId,
-          notes: `Plagiarism review completed. Score: ${plagiarismScore}%. ${reviewData.plagiarismNotes}`
-        });
-      }, 1000);
-    }
   };
 
   const getScoreColor = (score) => {
@@ -124,20 +116,6 @@ const ReviewQueue = () => {
     return 'text-red-600 bg-red-50';
   };
 
-  const getPriorityColor = (createdAt) => {
-    const daysSinceCreated = Math.floor((Date.now() - new Date(createdAt)) / (1000 * 60 * 60 * 24));
-    if (daysSinceCreated >= 3) return 'text-red-600';
-    if (daysSinceCreated >= 1) return 'text-yellow-600';
-    return 'text-green-600';
-  };
-
-  const getPriorityLabel = (createdAt) => {
-    const daysSinceCreated = Math.floor((Date.now() - new Date(createdAt)) / (1000 * 60 * 60 * 24));
-    if (daysSinceCreated >= 3) return 'High Priority';
-    if (daysSinceCreated >= 1) return 'Medium Priority';
-    return 'Normal';
-  };
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -153,7 +131,7 @@ const ReviewQueue = () => {
   };
 
   const clearFilters = () => {
-    setFilters({ search: '', priority: '' });
+    setFilters({ search: '', sla: '' });
   };
 
   if (isLoading) {
@@ -198,7 +176,7 @@ const ReviewQueue = () => {
           <div className="mt-4 sm:mt-0 flex items-center space-x-2">
             <div className="flex items-center text-sm text-gray-600">
               <ClockIcon className="h-4 w-4 mr-1" />
-              Auto-refresh every 30s
+              Live updates
             </div>
           </div>
         </div>
@@ -221,13 +199,13 @@ const ReviewQueue = () => {
             <div className="flex gap-2">
               <select
                 className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-                value={filters.priority}
-                onChange={(e) => handleFilterChange('priority', e.target.value)}
+                value={filters.sla}
+                onChange={(e) => handleFilterChange('sla', e.target.value)}
               >
-                <option value="">All Priorities</option>
-                <option value="high">High Priority (3+ days)</option>
-                <option value="medium">Medium Priority (1-2 days)</option>
-                <option value="normal">Normal (&lt; 1 day)</option>
+                <option value="">All Due Dates</option>
+                <option value="overdue">Overdue</option>
+                <option value="due_soon">Due within a day</option>
+                <option value="on_track">On track</option>
               </select>
               <Button variant="secondary" onClick={clearFilters}>
                 <FunnelIcon className="h-4 w-4 mr-1" />
@@ -262,14 +240,7 @@ const ReviewQueue = () => {
                               <h3 className="text-lg font-medium text-gray-900">
                                 {submission.title}
                               </h3>
-                              <span className={clsx(
-                                'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium',
-                                getPriorityColor(submission.createdAt) === 'text-red-600' && 'bg-red-100 text-red-800',
-                                getPriorityColor(submission.createdAt) === 'text-yellow-600' && 'bg-yellow-100 text-yellow-800',
-                                getPriorityColor(submission.createdAt) === 'text-green-600' && 'bg-green-100 text-green-800'
-                              )}>
-                                {getPriorityLabel(submission.createdAt)}
-                              </span>
+                              <SlaBadge sla={submission.sla} />
                             </div>
                             
                             <div className="space-y-1 text-sm text-gray-600">
@@ -288,6 +259,15 @@ const ReviewQueue = () => {
                                   ({daysSinceCreated === 0 ? 'today' : `${daysSinceCreated} days ago`})
                                 </span>
                               </div>
+
+                              {submission.sla && (
+                                <div className="flex items-center">
+                                  <span className="font-medium">Review due:</span>
+                                  <span className={clsx('ml-1', submission.sla.isOverdue && 'text-red-600 font-medium')}>
+                                    {formatDueDate(submission.sla.dueAt)}
+                                  </span>
+                                </div>
+                              )}
                               
                               <div className="flex items-center">
                                 <span className="font-medium">Word count:</span>
@@ -406,6 +386,13 @@ const ReviewQueue = () => {
                     </div>
                   )}
 
+                  {/* Automatic Similarity Check */}
+                  <SimilarityReport
+                    key={selectedSubmission.id}
+                    submissionId={selectedSubmission.id}
+                    onUseScore={(score) => setReviewData({ ...reviewData, plagiarismScore: String(score) })}
+                  />
+
                   {/* Review Form */}
                   <div className="space-y-4">
                     <div>
@@ -3,6 +3,7 @@ import React, { useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
 import { submissionsAPI } from '../../services/api';
 import {
   ArrowLeftIcon,
@@ -14,7 +15,6 @@ import {
   CalendarIcon,
   ChartBarIcon,
   BeakerIcon,
-  EyeIcon,
   PencilIcon,
   CloudArrowUpIcon,
   FolderIcon
@@ -23,16 +23,23 @@ import Button from '../../components/ui/Button';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import FileUpload from '../../components/files/FileUpload';
 import FileManager from '../../components/files/FileManager';
+import ApprovalPanel from '../../components/approvals/ApprovalPanel';
+import AnalysisHistory from '../../components/analysis/AnalysisHistory';
+import AnnotatedContent from '../../components/submissions/AnnotatedContent';
+import RevisionPanel from '../../components/submissions/RevisionPanel';
+import RevisionDiff from '../../components/submissions/RevisionDiff';
+import SlaBadge, { formatDueDate } from '../../components/submissions/SlaBadge';
 import clsx from 'clsx';
 import toast from 'react-hot-toast';
 
 const SubmissionDetails = () => {
   const { id } = useParams();
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const queryClient = useQueryClient();
-  const [showFullContent, setShowFullContent] = useState(false);
   const [selectedFileType, setSelectedFileType] = useState('ATTACHMENT');
   const [showFileUpload, setShowFileUpload] = useState(false);
+  // Id of the re-analysis job this user queued, until its result arrives
+  const [pendingAnalysisJob, setPendingAnalysisJob] = useState(null);
 
   const { data, isLoading, error } = useQuery(
     ['submission', id],
@@ -43,11 +50,33 @@ const SubmissionDetails = () => {
     }
   );
 
+  const { data: transitions = [] } = useQuery(
+    ['transitions', id, data?.data?.submission?.currentStage],
+    () => submissionsAPI.getTransitions(id),
+    {
+      enabled: !!id,
+      select: (response) => response.data.transitions
+    }
+  );
+
+  // Stage moves by other people or by background jobs (e.g. analysis finishing)
+  useRealtimeEvent('submission.stage', (change) => {
+    if (change.submissionId !== id) return;
+    queryClient.invalidateQueries(['submission', id]);
+    queryClient.invalidateQueries(['transitions', id]);
+    queryClient.invalidateQueries(['analyses', id]);
+    queryClient.invalidateQueries(['revisions', id]);
+    if (change.actorId !== user?.id) {
+      toast(`Moved to ${formatStage(change.toStage)}`, { icon: '🔄' });
+    }
+  });
+
   const updateStageMutation = useMutation(
     ({ stage, notes }) => submissionsAPI.updateStage(id, stage, notes),
     {
       onSuccess: () => {
         queryClient.invalidateQueries(['submission', id]);
+        queryClient.invalidateQueries(['transitions', id]);
         toast.success('Stage updated successfully');
       },
       onError: (error) => {
@@ -56,12 +85,29 @@ const SubmissionDetails = () => {
     }
   );
 
+  // Re-analysis runs as a background job; its result arrives as a submission.analysis event
+  useRealtimeEvent('submission.analysis', (result) => {
+    if (result.submissionId !== id) return;
+    setPendingAnalysisJob(null);
+    queryClient.invalidateQueries(['submission', id]);
+    queryClient.invalidateQueries(['analyses', id]);
+    if (result.status === 'completed') {
+      toast.success('Analysis completed');
+    } else {
+      toast.error('Analysis failed. Please try again or contact support.');
+    }
+  });
+
   const triggerAnalysisMutation = useMutation(
     () => submissionsAPI.triggerAnalysis(id),
     {
-      onSuccess: () => {
-        queryClient.invalidateQueries(['submission', id]);
-        toast.success('Analysis triggered successfully');
+      onSuccess: (response) => {
+        if (response.data.alreadyQueued) {
+          toast('An analysis is already queued for this submission', { icon: '⏳' });
+          return;
+        }
+        setPendingAnalysisJob(response.data.jobId);
+        toast.success('Analysis queued - results will appear here when it finishes');
       },
       onError: (error) => {
         toast.error(error.response?.data?.error || 'Failed to trigger analysis');
@@ -81,10 +127,7 @@ const SubmissionDetails = () => {
   };
 
   const canUploadFiles = () => {
-    return submission?.studentId === user?.id || 
-           user?.role === 'ADMIN' || 
-           user?.role === 'OPERATIONS' ||
-           (user?.role === 'EDITOR' && submission?.editorId === user?.id);
+    return can('submission.upload_file', submission);
   };
 
   const handleFileUploadComplete = (file) => {
@@ -160,13 +203,11 @@ const SubmissionDetails = () => {
   };
 
   const canUpdateStage = () => {
-    return user?.role === 'ADMIN' || 
-           (user?.role === 'EDITOR' && submission.editorId === user.id) ||
-           (user?.role === 'OPERATIONS');
+    return can('submission.change_stage', submission);
   };
 
   const canTriggerAnalysis = () => {
-    return user?.role === 'ADMIN' || user?.role === 'OPERATIONS';
+    return can('submission.analyze', submission);
   };
 
   const AnalysisResults = ({ analysis }) => {
@@ -193,8 +234,47 @@ const SubmissionDetails = () => {
               </p>
             </div>
           )}
+          {analysis.coverage?.chunked && (
+            <p className="text-sm text-gray-600">
+              Analyzed in {analysis.sections?.length} sections covering{' '}
+              {Math.round((analysis.coverage.analyzed_characters / analysis.coverage.total_characters) * 100)}% of the manuscript.
+              {analysis.coverage.sections_skipped?.length > 0 && (
+                <span className="text-yellow-700">
+                  {' '}Not analyzed: {analysis.coverage.sections_skipped.join(', ')}.
+                </span>
+              )}
+            </p>
+          )}
         </div>
 
+        {/* Per-Section Scores */}
+        {analysis.sections?.length > 1 && (
+          <div className="bg-white p-6 rounded-lg border">
+            <h4 className="font-semibold text-gray-900 mb-3">Section Scores</h4>
+            <div className="divide-y divide-gray-100">
+              {analysis.sections.map((section) => (
+                <div key={section.index} className="py-3">
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm font-medium text-gray-900">{section.label}</span>
+                    <span className={clsx('text-sm font-medium', getScoreColor(section.overall_score))}>
+                      {section.overall_score}/100
+                    </span>
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-x-4 text-xs text-gray-500">
+                    <span>{section.word_count} words</span>
+                    {section.scores?.grammar != null && <span>Grammar {section.scores.grammar}</span>}
+                    {section.scores?.story_structure != null && <span>Structure {section.scores.story_structure}</span>}
+                    {section.scores?.engagement != null && <span>Engagement {section.scores.engagement}</span>}
+                  </div>
+                  {section.top_priorities?.[0] && (
+                    <p className="mt-1 text-xs text-gray-600">{section.top_priorities[0]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Detailed Analysis */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Grammar Analysis */}
@@ -377,6 +457,13 @@ const SubmissionDetails = () => {
                   <DocumentTextIcon className="h-4 w-4 mr-1" />
                   {submission.content?.length || 0} characters
                 </div>
+                {submission.sla && (
+                  <div className={clsx('flex items-center', submission.sla.isOverdue && 'text-red-600 font-medium')}>
+                    <ClockIcon className="h-4 w-4 mr-1" />
+                    {formatStage(submission.currentStage)} due {formatDueDate(submission.sla.dueAt)}
+                    {submission.sla.isOverdue && ` (${submission.sla.daysInStage} days in stage)`}
+                  </div>
+                )}
               </div>
             </div>
             
@@ -387,20 +474,21 @@ const SubmissionDetails = () => {
               )}>
                 {formatStage(submission.currentStage)}
               </span>
+              <SlaBadge sla={submission.sla} className="self-center" />
               
               {canTriggerAnalysis() && (
                 <Button
                   variant="secondary"
                   size="sm"
                   onClick={() => triggerAnalysisMutation.mutate()}
-                  disabled={triggerAnalysisMutation.isLoading}
+                  disabled={triggerAnalysisMutation.isLoading || !!pendingAnalysisJob}
                 >
-                  {triggerAnalysisMutation.isLoading ? (
+                  {triggerAnalysisMutation.isLoading || pendingAnalysisJob ? (
                     <LoadingSpinner size="sm" className="mr-1" />
                   ) : (
                     <BeakerIcon className="h-4 w-4 mr-1" />
                   )}
-                  Re-analyze
+                  {pendingAnalysisJob ? 'Analyzing...' : 'Re-analyze'}
                 </Button>
               )}
             </div>
@@ -411,27 +499,11 @@ const SubmissionDetails = () => {
           {/* Main Content */}
           <div className="lg:col-span-2 space-y-6">
             {/* Content */}
-            <div className="bg-white p-6 rounded-lg border">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold text-gray-900">Content</h3>
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => setShowFullContent(!showFullContent)}
-                >
-                  <EyeIcon className="h-4 w-4 mr-1" />
-                  {showFullContent ? 'Show Less' : 'Show Full'}
-                </Button>
-              </div>
-              <div className="prose max-w-none">
-                <div className="whitespace-pre-wrap text-gray-700 bg-gray-50 p-4 rounded-md">
-                  {showFullContent 
-                    ? submission.content 
-                    : `${submission.content?.substring(0, 500)}${submission.content?.length > 500 ? '...' : ''}`
-                  }
-                </div>
-              </div>
-            </div>
+            <AnnotatedContent submission={submission} />
+
+            {/* Drafts */}
+            <RevisionPanel submission={submission} />
+            <RevisionDiff submission={submission} />
 
             {/* AI Analysis Results */}
             {submission.analysisResult && (
@@ -441,6 +513,10 @@ const SubmissionDetails = () => {
               </div>
             )}
 
+            {submission.analysisResult && (
+              <AnalysisHistory submissionId={submission.id} />
+            )}
+
             {!submission.analysisResult && submission.currentStage === 'ANALYSIS' && (
               <div className="bg-blue-50 p-6 rounded-lg border border-blue-200">
                 <div className="flex items-center">
@@ -588,6 +664,9 @@ const SubmissionDetails = () => {
               </div>
             </div>
 
+            {/* Approvals */}
+            <ApprovalPanel submissionId={submission.id} />
+
             {/* Actions */}
             {canUpdateStage() && (
               <div className="bg-white p-6 rounded-lg border">
@@ -606,14 +685,19 @@ const SubmissionDetails = () => {
                     }}
                     disabled={updateStageMutation.isLoading}
                   >
-                    <option value="ANALYSIS">Analysis</option>
-                    <option value="PLAGIARISM_REVIEW">Plagiarism Review</option>
-                    <option value="EDITOR_MEETING">Editor Meeting</option>
-                    <option value="APPROVAL_PROCESS">Approval Process</option>
-                    <option value="PDF_REVIEW">PDF Review</option>
-                    <option value="COVER_APPROVAL">Cover Approval</option>
-                    <option value="EVENT_PLANNING">Event Planning</option>
-                    <option value="COMPLETED">Completed</option>
+                    <option value={submission.currentStage}>
+                      {formatStage(submission.currentStage)} (current)
+                    </option>
+                    {transitions.map((transition) => (
+                      <option
+                        key={transition.stage}
+                        value={transition.stage}
+                        disabled={!transition.allowed}
+                      >
+                        {formatStage(transition.stage)}
+                        {!transition.allowed && ` – ${transition.failedPreconditions.map(p => p.description).join(', ')}`}
+                      </option>
+                    ))}
                   </select>
                 </div>
               </div>
@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useQuery } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
-import { submissionsAPI } from '../../services/api';
+import { submissionsAPI, cohortsAPI } from '../../services/api';
 import {
   DocumentTextIcon,
   PlusIcon,
@@ -14,15 +14,26 @@ import {
 } from '@heroicons/react/24/outline';
 import Button from '../../components/ui/Button';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import SlaBadge from '../../components/submissions/SlaBadge';
 import clsx from 'clsx';
 
 const SubmissionsList = () => {
-  const { user } = useAuth();
+  const { user, can, canSometimes } = useAuth();
+  const [searchParams] = useSearchParams();
   const [currentPage, setCurrentPage] = useState(1);
   const [filters, setFilters] = useState({
-    stage: '',
+    stage: searchParams.get('stage') || '',
     status: '',
-    search: ''
+    search: '',
+    overdue: searchParams.get('overdue') === 'true',
+    cohortId: searchParams.get('cohortId') || ''
+  });
+
+  // Cohorts the user may see, to filter by
+  const { data: cohorts = [] } = useQuery('cohorts', () => cohortsAPI.getAll(), {
+    enabled: canSometimes('cohort.view'),
+    select: (response) => response.data.cohorts,
+    staleTime: 5 * 60 * 1000
   });
 
   const { data, isLoading, error } = useQuery(
@@ -32,7 +43,9 @@ const SubmissionsList = () => {
       limit: 10,
       stage: filters.stage || undefined,
       status: filters.status || undefined,
-      search: filters.search || undefined
+      search: filters.search || undefined,
+      overdue: filters.overdue || undefined,
+      cohortId: filters.cohortId || undefined
     }),
     {
       keepPreviousData: true,
@@ -87,7 +100,7 @@ const SubmissionsList = () => {
   };
 
   const clearFilters = () => {
-    setFilters({ stage: '', status: '', search: '' });
+    setFilters({ stage: '', status: '', search: '', overdue: false, cohortId: '' });
     setCurrentPage(1);
   };
 
@@ -133,7 +146,7 @@ const SubmissionsList = () => {
               {pagination.total ? `${pagination.total} total submissions` : 'No submissions found'}
             </p>
           </div>
-          {user?.role === 'STUDENT' && (
+          {can('submission.create') && (
             <div className="mt-4 sm:mt-0">
               <Link to="/submissions/new">
                 <Button>
@@ -185,6 +198,28 @@ const SubmissionsList = () => {
                 <option value="active">Active</option>
                 <option value="archived">Archived</option>
               </select>
+              {user?.role !== 'STUDENT' && (
+                <select
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={filters.overdue ? 'overdue' : ''}
+                  onChange={(e) => handleFilterChange('overdue', e.target.value === 'overdue')}
+                >
+                  <option value="">All Due Dates</option>
+                  <option value="overdue">Overdue</option>
+                </select>
+              )}
+              {cohorts.length > 0 && (
+                <select
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={filters.cohortId}
+                  onChange={(e) => handleFilterChange('cohortId', e.target.value)}
+                >
+                  <option value="">All Cohorts</option>
+                  {cohorts.map(cohort => (
+                    <option key={cohort.id} value={cohort.id}>{cohort.name}</option>
+                  ))}
+                </select>
+              )}
               <Button variant="secondary" onClick={clearFilters}>
                 <FunnelIcon className="h-4 w-4 mr-1" />
                 Clear
@@ -247,6 +282,9 @@ const SubmissionsList = () => {
                             {getStageIcon(submission.currentStage)}
                             <span className="ml-1">{formatStage(submission.currentStage)}</span>
                           </span>
+                          {submission.sla?.status !== 'on_track' && (
+                            <SlaBadge sla={submission.sla} className="ml-2" />
+                          )}
                         </td>
                         {user?.role !== 'STUDENT' && (
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -338,7 +376,7 @@ const SubmissionsList = () => {
               <DocumentTextIcon className="mx-auto h-12 w-12 text-gray-400" />
               <h3 className="mt-2 text-sm font-medium text-gray-900">No submissions found</h3>
               <p className="mt-1 text-sm text-gray-500">
-                {filters.search || filters.stage || filters.status
+                {filters.search || filters.stage || filters.status || filters.overdue || filters.cohortId
                   ? 'Try adjusting your search criteria.'
                   : user?.role === 'STUDENT'
                   ? 'Get started by creating your first submission.'
@@ -11,6 +11,73 @@ const api = axios.create({
   },
 });
 
+// Access token (short-lived) and refresh token, kept in localStorage
+export const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete api.defaults.headers.common['Authorization'];
+};
+
+let refreshPromise = null;
+
+/**
+ * Get a new access token with the refresh token. Concurrent callers share one request,
+ * since each refresh token can only be used once.
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.reject(new Error('Not logged in'));
+
+  // Plain axios so a failed refresh doesn't pass back through the interceptors below
+  refreshPromise = axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+    .then(({ data }) => {
+      storeTokens(data.token, data.refreshToken);
+      return data.token;
+    })
+    .catch(async (error) => {
+      // Another tab refreshed with the same token first; use what it stored
+      if (error.response?.data?.code === 'REFRESH_SUPERSEDED') {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (localStorage.getItem('refreshToken') !== refreshToken) return localStorage.getItem('token');
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+// Error code from the response body; blob downloads carry their JSON error as a Blob
+const errorCode = async (response) => {
+  if (response?.data instanceof Blob) {
+    try {
+      return JSON.parse(await response.data.text()).code;
+    } catch (parseError) {
+      return undefined;
+    }
+  }
+  return response?.data?.code;
+};
+
+const endSession = () => {
+  clearTokens();
+
+  if (window.location.pathname !== '/login') {
+    toast.error('Session expired. Please login again.');
+    window.location.href = '/login';
+  }
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -43,7 +110,19 @@ api.interceptors.response.use(
     
     return response;
   },
-  (error) => {
+  async (error) => {
+    // An expired access token is refreshed once and the request retried
+    if (error.response?.status === 401 && !error.config._retried && await errorCode(error.response) === 'TOKEN_EXPIRED') {
+      error.config._retried = true;
+      return refreshAccessToken().then(
+        () => api(error.config),
+        () => {
+          endSession();
+          return Promise.reject(error);
+        }
+      );
+    }
+
     console.error('API Error:', error);
     
     // Handle different error types
@@ -53,14 +132,8 @@ api.interceptors.response.use(
       
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('token');
-          delete api.defaults.headers.common['Authorization'];
-          
-          if (window.location.pathname !== '/login') {
-            toast.error('Session expired. Please login again.');
-            window.location.href = '/login';
-          }
+          // Unauthorized - signed out, revoked or refresh failed; clear tokens and redirect to login
+          endSession();
           break;
           
         case 403:
@@ -104,6 +177,19 @@ export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
   register: (userData) => api.post('/auth/register', userData),
   getProfile: () => api.get('/auth/profile'),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getLoginHistory: () => api.get('/auth/login-history'),
+  getPermissions: () => api.get('/auth/permissions'),
+
+  // Two-factor authentication
+  verifyTwoFactor: (challengeToken, code) => api.post('/auth/login/2fa', { challengeToken, code }),
+  beginLoginTwoFactorSetup: (challengeToken) => api.post('/auth/login/2fa/setup', { challengeToken }),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  beginTwoFactorSetup: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password) => api.post('/auth/2fa/disable', { password }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
   
   // ✅ ENHANCED: Password Reset Functions
   forgotPassword: (email) => {
@@ -159,7 +245,27 @@ export const submissionsAPI = {
   getById: (id) => api.get(`/submissions/${id}`),
   create: (data) => api.post('/submissions', data),
   updateStage: (id, stage, notes) => api.put(`/submissions/${id}/stage`, { stage, notes }),
+  getTransitions: (id) => api.get(`/submissions/${id}/transitions`),
   triggerAnalysis: (id) => api.post(`/submissions/${id}/analysis`),
+  getAnalyses: (id) => api.get(`/submissions/${id}/analyses`),
+  getAnalysisRun: (id, runId) => api.get(`/submissions/${id}/analyses/${runId}`),
+  compareAnalyses: (id, from, to) =>
+    api.get(`/submissions/${id}/analyses/compare`, { params: from && to ? { from, to } : {} }),
+  getRevisions: (id) => api.get(`/submissions/${id}/revisions`),
+  getRevision: (id, version) => api.get(`/submissions/${id}/revisions/${version}`),
+  resubmit: (id, { title, content, changeNotes }) =>
+    api.post(`/submissions/${id}/revisions`, { title, content, changeNotes }),
+  requestRevision: (id, notes) => api.post(`/submissions/${id}/request-revision`, { notes }),
+  getDiff: (id, from, to) =>
+    api.get(`/submissions/${id}/diff`, { params: from && to ? { from, to } : {} }),
+  getAnnotations: (id) => api.get(`/submissions/${id}/annotations`),
+  createAnnotation: (id, { startOffset, endOffset, body }) =>
+    api.post(`/submissions/${id}/annotations`, { startOffset, endOffset, body }),
+  replyToAnnotation: (id, annotationId, body) =>
+    api.post(`/submissions/${id}/annotations/${annotationId}/replies`, { body }),
+  resolveAnnotation: (id, annotationId, resolved) =>
+    api.put(`/submissions/${id}/annotations/${annotationId}/resolve`, { resolved }),
+  deleteAnnotation: (id, annotationId) => api.delete(`/submissions/${id}/annotations/${annotationId}`),
   archive: (id) => api.delete(`/submissions/${id}`),
   
   // ✅ NEW: Editor Assignment Functions
@@ -190,9 +296,9 @@ export const filesAPI = {
 };
 
 export const approvalsAPI = {
-  submit: (data) => api.post('/approvals', data),
-  getPending: () => api.get('/approvals/pending'),
-  getBySubmission: (submissionId) => api.get(`/approvals/submission/${submissionId}`),
+  getBySubmission: (submissionId) => api.get(`/submissions/${submissionId}/approvals`),
+  submit: (submissionId, { approvalType, status, comments = '' }) =>
+    api.post(`/submissions/${submissionId}/approvals`, { approvalType, status, comments }),
 };
 
 // frontend/src/services/api.js - UPDATED EVENTS API SECTION ONLY
@@ -390,7 +496,11 @@ export const reviewsAPI = {
       console.error('❌ Review update API error:', error);
       throw error;
     });
-  }
+  },
+
+  // Automatic similarity check against our own submissions
+  getSimilarity: (submissionId) => api.get(`/reviews/${submissionId}/similarity`),
+  runSimilarityCheck: (submissionId) => api.post(`/reviews/${submissionId}/similarity`),
 };
 export const dashboardAPI = {
   getStats: () => api.get('/dashboard/stats'),
@@ -404,6 +514,68 @@ export const usersAPI = {
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   assignEditor: (studentId, editorId) => api.post('/users/assign-editor', { studentId, editorId }),
+  resetTwoFactor: (id) => api.post(`/users/${id}/reset-2fa`),
+  getLoginHistory: (id) => api.get(`/users/${id}/login-history`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  previewImport: (csv) => api.post('/users/import/preview', { csv }),
+  importUsers: (csv, organizationId) => api.post('/users/import', { csv, organizationId }, {
+    timeout: 180000, // 3 minutes: a whole class is created in one transaction
+  }),
+};
+
+export const cohortsAPI = {
+  getAll: (params) => api.get('/cohorts', { params }),
+  get: (id) => api.get(`/cohorts/${id}`),
+  getProgress: (id) => api.get(`/cohorts/${id}/progress`),
+  create: (data) => api.post('/cohorts', data),
+  update: (id, data) => api.put(`/cohorts/${id}`, data),
+  getCandidates: (id, params) => api.get(`/cohorts/${id}/candidates`, { params }),
+  addMembers: (id, userIds, role) => api.post(`/cohorts/${id}/members`, { userIds, role }),
+  removeMember: (id, userId) => api.delete(`/cohorts/${id}/members/${userId}`),
+};
+
+export const organizationsAPI = {
+  getPublic: () => api.get('/organizations/public'),
+  getAll: () => api.get('/organizations'),
+  create: (data) => api.post('/organizations', data),
+  update: (id, data) => api.put(`/organizations/${id}`, data),
+};
+
+export const invitationsAPI = {
+  getAll: (params) => api.get('/invitations', { params }),
+  create: (data) => api.post('/invitations', data),
+  resend: (id) => api.post(`/invitations/${id}/resend`),
+  revoke: (id) => api.delete(`/invitations/${id}`),
+  get: (token) => api.get(`/invitations/accept/${token}`),
+  accept: (token, password) => api.post(`/invitations/accept/${token}`, { password }),
+};
+
+export const notificationsAPI = {
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences }),
+};
+
+export const parentAPI = {
+  getStatus: (token) => api.get(`/parent/status/${token}`),
+  optOut: (token) => api.post(`/parent/opt-out/${token}`),
+  getSettings: () => api.get('/parent/settings'),
+  updateSettings: (data) => api.put('/parent/settings', data),
+};
+
+export const settingsAPI = {
+  getPublic: () => api.get('/settings/public'),
+  getAll: () => api.get('/settings'),
+  update: (settings) => api.put('/settings', { settings }),
+};
+
+export const auditAPI = {
+  getAll: (params) => api.get('/audit', { params }),
+  export: (params) => api.get('/audit/export', { params, responseType: 'blob' }),
+};
+
+export const slaAPI = {
+  get: () => api.get('/sla'),
+  update: (slas) => api.put('/sla', { slas }),
 };
 
 // Utility functions
@@ -0,0 +1,29 @@
+// frontend/src/services/permissions.js - CHECKS AGAINST THE SERVER'S PERMISSION MATRIX
+// The grants come from GET /api/auth/permissions; this is the same evaluation the API does
+// (backend/services/permissions.js), so a button only shows when the request would succeed.
+
+const valueAt = (record, path) => path.split('.').reduce((value, key) => value?.[key], record) ?? null;
+
+const matches = (condition, user, record) => Object.entries(condition).every(([path, expected]) =>
+  valueAt(record, path) === (expected === '$user' ? user.id : expected)
+);
+
+/**
+ * Whether the user may do something, to this record if given
+ * @param {Object} grants - permission -> true | conditions, for the user's role
+ * @param {Object} user - The signed-in user
+ * @param {string} permission - e.g. submission.archive
+ * @param {Object} record - The thing acted on; without one, only unconditional grants count
+ */
+export const checkPermission = (grants, user, permission, record = null) => {
+  const grant = grants?.[permission];
+  if (!user || !grant) return false;
+  if (grant === true) return true;
+  if (!record) return false;
+  return grant.some(condition => matches(condition, user, record));
+};
+
+/**
+ * Whether the user's role may ever do something (unconditionally or for some records)
+ */
+export const hasPermission = (grants, permission) => !!grants?.[permission];